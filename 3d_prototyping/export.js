@@ -0,0 +1,166 @@
+// ============================================================================
+// Export to Game
+// ============================================================================
+//
+// Turns a generated model into a vehicle the game loads:
+//
+//   <id>.glb         -> game/public/world/vehicles/
+//   <id>_lod<n>.glb  -> game/public/world/vehicles/, if LODs were built
+//   <id>.json        -> game/public/vehicles/
+//
+// The browser can't edit the game's files, so adding the id to
+// game/public/vehicles/manifest.json (which the garage lists cars from) is
+// left to the user: the export UI and its status message say so.
+//
+// The game sets config.model.rotationY on the glTF root, which the loader
+// gives a rotation quaternion, so that rotation never shows. The export
+// therefore bakes orientation, size and ground into the GLB instead: a new
+// root node turns the chosen forward axis to +Z (the game's forward), scales
+// the model to the target length and puts the ground under its center at
+// y = 0. The config gets scale 1, no rotation and heightOffset 0.
+
+const EXPORT_DEFAULT_LENGTH = 4.5; // m, a typical car
+const EXPORT_NODE_NAME = 'game_export';
+const EXPORT_LOD_DISTANCE = 30; // m to the first LOD; each further level doubles it
+
+// Model axis (glTF space) that points out of the front of the vehicle,
+// and the turn about Y that points it down +Z
+const EXPORT_FORWARD_AXES = {
+  '+z': { label: '+Z', vector: [0, 0, 1], yaw: 0 },
+  '-z': { label: '-Z', vector: [0, 0, -1], yaw: Math.PI },
+  '+x': { label: '+X', vector: [1, 0, 0], yaw: -Math.PI / 2 },
+  '-x': { label: '-X', vector: [-1, 0, 0], yaw: Math.PI / 2 }
+};
+
+// Must match VEHICLE_CONFIG_VERSION in game/src/game/VehicleConfig.ts
+const GAME_VEHICLE_CONFIG_VERSION = 2;
+
+// Handling of the stock cars in game/public/vehicles/, as a starting point
+const GAME_VEHICLE_PHYSICS = {
+  maxSpeed: 25,
+  acceleration: 15,
+  friction: 0.85,
+  maxSteerAngle: 2.0,
+  mass: 1500,
+  brakingForce: 30,
+  steerVelocityDamping: 0.1,
+  steerAngleDamping: 0.02,
+  reverseSpeedRatio: 0.5,
+  restitution: 0.3
+};
+
+/**
+ * Vehicle id from a display name: lowercase letters, digits and underscores
+ */
+function toVehicleId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * The root transform that fits the model to the game
+ * @param bounds Model bounds in glTF space (getGlbBounds)
+ * @param forwardAxis Key of EXPORT_FORWARD_AXES
+ * @param targetLength Length along the forward axis after export (m)
+ * @param groundOffset Height of the ground above the model's lowest point,
+ *   in exported meters (for models with parts hanging below the wheels)
+ * @returns { translation, rotation, scale, size } as glTF node fields, and
+ *   the exported size [width, height, length]
+ */
+function computeExportTransform(bounds, forwardAxis, targetLength, groundOffset) {
+  const axis = EXPORT_FORWARD_AXES[forwardAxis];
+  const extent = [0, 1, 2].map(i => bounds.max[i] - bounds.min[i]);
+  const length = extent[0] * Math.abs(axis.vector[0]) + extent[2] * Math.abs(axis.vector[2]);
+  const scale = length > 0 ? targetLength / length : 1;
+
+  // Rotated about Y, the center moves in XZ; the translation undoes that
+  const cos = Math.cos(axis.yaw);
+  const sin = Math.sin(axis.yaw);
+  const center = [0, 1, 2].map(i => (bounds.min[i] + bounds.max[i]) / 2 * scale);
+  const rotatedCenterX = cos * center[0] + sin * center[2];
+  const rotatedCenterZ = -sin * center[0] + cos * center[2];
+  const sideways = axis.vector[0] !== 0;
+
+  return {
+    translation: [-rotatedCenterX, -(bounds.min[1] * scale + groundOffset), -rotatedCenterZ],
+    rotation: [0, Math.sin(axis.yaw / 2), 0, Math.cos(axis.yaw / 2)],
+    scale: [scale, scale, scale],
+    size: [
+      (sideways ? extent[2] : extent[0]) * scale,
+      extent[1] * scale,
+      targetLength
+    ]
+  };
+}
+
+/**
+ * Put every root node of the default scene under a node with the transform
+ */
+function bakeExportTransform(gltf, transform) {
+  const scene = gltf.scenes[gltf.scene ?? 0];
+  gltf.nodes = gltf.nodes || [];
+  gltf.nodes.push({
+    name: EXPORT_NODE_NAME,
+    translation: transform.translation,
+    rotation: transform.rotation,
+    scale: transform.scale,
+    children: scene.nodes || []
+  });
+  scene.nodes = [gltf.nodes.length - 1];
+}
+
+/**
+ * A config VehicleConfigLoader accepts for the exported model
+ * @param lodCount Number of <id>_lod<n>.glb files exported with it
+ */
+function buildVehicleConfig(id, name, lodCount = 0) {
+  const config = {
+    version: GAME_VEHICLE_CONFIG_VERSION,
+    id: id,
+    name: name,
+    modelFile: `${id}.glb`,
+    physics: {
+      ...GAME_VEHICLE_PHYSICS,
+      heightOffset: 0 // The ground is baked into the model
+    },
+    model: {
+      scale: 1.0,
+      rotationY: 0.0,
+      rotationZ: 0.0
+    }
+  };
+  if (lodCount > 0) {
+    config.model.lods = Array.from({ length: lodCount }, (_, i) => ({
+      file: `${id}_lod${i + 1}.glb`,
+      distance: EXPORT_LOD_DISTANCE * 2 ** i
+    }));
+  }
+  return config;
+}
+
+/**
+ * The game files for a GLB
+ * @param lodBlobs Lower-detail versions of the model, most detailed first
+ * @returns { glb: Blob, lods: [Blob], config: object }
+ */
+async function exportVehicle(glbBlob, options, lodBlobs = []) {
+  const { gltf, bin } = parseGlb(await glbBlob.arrayBuffer());
+  const bounds = getGlbBounds(gltf);
+  if (!bounds) {
+    throw new Error('Model has no geometry');
+  }
+
+  // LODs get the full model's transform, so every level lines up with it
+  const transform = computeExportTransform(bounds, options.forwardAxis, options.targetLength, options.groundOffset);
+  bakeExportTransform(gltf, transform);
+  const lods = await Promise.all(lodBlobs.map(async blob => {
+    const lod = parseGlb(await blob.arrayBuffer());
+    bakeExportTransform(lod.gltf, transform);
+    return buildGlb(lod.gltf, lod.bin);
+  }));
+
+  return {
+    glb: buildGlb(gltf, bin),
+    lods: lods,
+    config: buildVehicleConfig(options.id, options.name, lods.length)
+  };
+}
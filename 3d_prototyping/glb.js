@@ -0,0 +1,163 @@
+// ============================================================================
+// GLB Helpers
+// ============================================================================
+//
+// Reads and writes binary glTF without a scene: the JSON chunk is edited as
+// plain data and the BIN chunk (geometry, textures) is copied as is.
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_VERSION = 2;
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+/**
+ * Split a GLB into its glTF JSON and binary chunk
+ * @returns { gltf, bin } where bin is a Uint8Array, or null if there is none
+ * @throws Error if the data isn't a GLB file
+ */
+function parseGlb(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC || view.getUint32(16, true) !== GLB_CHUNK_JSON) {
+    throw new Error('Not a GLB file');
+  }
+
+  const jsonLength = view.getUint32(12, true);
+  const gltf = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+
+  let bin = null;
+  const binHeader = 20 + jsonLength;
+  if (buffer.byteLength >= binHeader + 8 && view.getUint32(binHeader + 4, true) === GLB_CHUNK_BIN) {
+    bin = new Uint8Array(buffer, binHeader + 8, view.getUint32(binHeader, true));
+  }
+  return { gltf, bin };
+}
+
+/**
+ * Pack glTF JSON and a binary chunk back into a GLB file
+ */
+function buildGlb(gltf, bin) {
+  // Chunks are 4-byte aligned: JSON pads with spaces, BIN with zeros
+  const json = new TextEncoder().encode(JSON.stringify(gltf));
+  const jsonLength = Math.ceil(json.length / 4) * 4;
+  const binLength = bin ? Math.ceil(bin.length / 4) * 4 : 0;
+  const totalLength = 12 + 8 + jsonLength + (bin ? 8 + binLength : 0);
+
+  const buffer = new ArrayBuffer(totalLength);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, GLB_VERSION, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  bytes.fill(0x20, 20, 20 + jsonLength);
+  bytes.set(json, 20);
+
+  if (bin) {
+    const binHeader = 20 + jsonLength;
+    view.setUint32(binHeader, binLength, true);
+    view.setUint32(binHeader + 4, GLB_CHUNK_BIN, true);
+    bytes.set(bin, binHeader + 8);
+  }
+  return new Blob([buffer], { type: 'model/gltf-binary' });
+}
+
+/**
+ * Vertex and triangle counts from the accessors
+ */
+function countGlbGeometry(gltf) {
+  let vertices = 0;
+  let faces = 0;
+  (gltf.meshes || []).forEach(mesh => {
+    mesh.primitives.forEach(primitive => {
+      const positions = gltf.accessors[primitive.attributes.POSITION];
+      const count = positions ? positions.count : 0;
+      vertices += count;
+      faces += (primitive.indices !== undefined ? gltf.accessors[primitive.indices].count : count) / 3;
+    });
+  });
+  return { vertices: Math.round(vertices), faces: Math.round(faces) };
+}
+
+// ----------------------------------------------------------------------------
+// Node Transforms
+// ----------------------------------------------------------------------------
+
+// 4x4 matrices are column-major arrays, as in glTF
+
+function composeMatrix(translation, rotation, scale) {
+  const [x, y, z, w] = rotation;
+  const [sx, sy, sz] = scale;
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    translation[0], translation[1], translation[2], 1
+  ];
+}
+
+function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+function transformPoint(m, p) {
+  return [
+    m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12],
+    m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13],
+    m[2] * p[0] + m[6] * p[1] + m[10] * p[2] + m[14]
+  ];
+}
+
+function getNodeMatrix(node) {
+  if (node.matrix) return node.matrix;
+  return composeMatrix(node.translation || [0, 0, 0], node.rotation || [0, 0, 0, 1], node.scale || [1, 1, 1]);
+}
+
+/**
+ * Axis-aligned bounds of the default scene in glTF space, from the POSITION
+ * accessors' min/max (which glTF requires) and the node transforms
+ * @returns { min: [x, y, z], max: [x, y, z] }, or null for an empty scene
+ */
+function getGlbBounds(gltf) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  function visit(nodeIndex, parentMatrix) {
+    const node = gltf.nodes[nodeIndex];
+    const matrix = multiplyMatrices(parentMatrix, getNodeMatrix(node));
+    if (node.mesh !== undefined) {
+      gltf.meshes[node.mesh].primitives.forEach(primitive => {
+        const accessor = gltf.accessors[primitive.attributes.POSITION];
+        if (!accessor?.min || !accessor?.max) return;
+        // All 8 corners: a rotated box's extremes can be any of them
+        for (let corner = 0; corner < 8; corner++) {
+          const point = transformPoint(matrix, [0, 1, 2].map(axis =>
+            (corner >> axis) & 1 ? accessor.max[axis] : accessor.min[axis]
+          ));
+          for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], point[axis]);
+            max[axis] = Math.max(max[axis], point[axis]);
+          }
+        }
+      });
+    }
+    (node.children || []).forEach(child => visit(child, matrix));
+  }
+
+  const identity = composeMatrix([0, 0, 0], [0, 0, 0, 1], [1, 1, 1]);
+  const scene = gltf.scenes?.[gltf.scene ?? 0];
+  (scene?.nodes || []).forEach(nodeIndex => visit(nodeIndex, identity));
+
+  return min[0] === Infinity ? null : { min, max };
+}
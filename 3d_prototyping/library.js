@@ -0,0 +1,280 @@
+// ============================================================================
+// Asset Library (IndexedDB)
+// ============================================================================
+//
+// Generations and their files live in IndexedDB, so nothing depends on
+// remote URLs staying alive or on the few MB localStorage allows.
+//
+//   generations  metadata, keyed by id, indexed by timestamp/ai_model/provider
+//     { id, timestamp, ai_model, provider, source: 'generated' | 'uploaded',
+//       model: { glb_url, vertices, faces, expired? },
+//       retopo: { glb_url, vertices, faces, expired? } | null }
+//
+//   blobs        files, keyed by "<generation id>/<kind>", indexed by generation
+//     { key, generation_id, kind: 'image' | 'model' | 'retopo', blob }
+//
+// glb_url is where a model was downloaded from; the blob is the copy to use.
+// The image pasted into the generator before it becomes a generation is kept
+// under the 'draft' generation id.
+
+const LIBRARY_DB_NAME = 'asset-library';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_DRAFT_ID = 'draft';
+const LEGACY_HISTORY_KEY = 'history';
+const LEGACY_AI_MODEL = 'hunyuan3d'; // Only generator entries are migrated
+
+let libraryDbPromise = null;
+
+function openLibrary() {
+  if (!libraryDbPromise) {
+    libraryDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const generations = db.createObjectStore('generations', { keyPath: 'id' });
+        generations.createIndex('timestamp', 'timestamp');
+        generations.createIndex('ai_model', 'ai_model');
+        generations.createIndex('provider', 'provider');
+        const blobs = db.createObjectStore('blobs', { keyPath: 'key' });
+        blobs.createIndex('generation_id', 'generation_id');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        libraryDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return libraryDbPromise;
+}
+
+/**
+ * Run work(tx) in one transaction. work issues its requests synchronously
+ * and may return one; its result resolves the promise once the transaction
+ * has committed.
+ */
+function runLibraryTransaction(storeNames, mode, work) {
+  return openLibrary().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+function isStorageFullError(err) {
+  return err && err.name === 'QuotaExceededError';
+}
+
+// ----------------------------------------------------------------------------
+// Generations
+// ----------------------------------------------------------------------------
+
+/**
+ * Every generation, newest first
+ */
+function libraryListGenerations() {
+  return runLibraryTransaction('generations', 'readonly', tx =>
+    tx.objectStore('generations').index('timestamp').getAll()
+  ).then(entries => entries.reverse());
+}
+
+function libraryGetGeneration(id) {
+  return runLibraryTransaction('generations', 'readonly', tx =>
+    tx.objectStore('generations').get(id)
+  ).then(entry => entry || null);
+}
+
+function libraryPutGeneration(entry) {
+  return runLibraryTransaction('generations', 'readwrite', tx => {
+    tx.objectStore('generations').put(entry);
+  });
+}
+
+/**
+ * Shallow-merge updates into a stored generation (missing ids are ignored)
+ */
+function libraryUpdateGeneration(id, updates) {
+  return runLibraryTransaction('generations', 'readwrite', tx => {
+    const store = tx.objectStore('generations');
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, ...updates });
+      }
+    };
+  });
+}
+
+/**
+ * Delete a generation and all of its files
+ */
+function libraryDeleteGeneration(id) {
+  return runLibraryTransaction(['generations', 'blobs'], 'readwrite', tx => {
+    tx.objectStore('generations').delete(id);
+    const blobs = tx.objectStore('blobs');
+    const request = blobs.index('generation_id').getAllKeys(id);
+    request.onsuccess = () => request.result.forEach(key => blobs.delete(key));
+  });
+}
+
+/**
+ * Delete every generation (the draft image stays)
+ */
+function libraryClearGenerations() {
+  return runLibraryTransaction(['generations', 'blobs'], 'readwrite', tx => {
+    tx.objectStore('generations').clear();
+    const blobs = tx.objectStore('blobs');
+    const request = blobs.getAll();
+    request.onsuccess = () => request.result
+      .filter(record => record.generation_id !== LIBRARY_DRAFT_ID)
+      .forEach(record => blobs.delete(record.key));
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Files
+// ----------------------------------------------------------------------------
+
+function libraryPutBlob(generationId, kind, blob) {
+  return runLibraryTransaction('blobs', 'readwrite', tx => {
+    tx.objectStore('blobs').put({
+      key: `${generationId}/${kind}`,
+      generation_id: generationId,
+      kind: kind,
+      blob: blob
+    });
+  });
+}
+
+function libraryGetBlob(generationId, kind) {
+  return runLibraryTransaction('blobs', 'readonly', tx =>
+    tx.objectStore('blobs').get(`${generationId}/${kind}`)
+  ).then(record => record ? record.blob : null);
+}
+
+function libraryDeleteBlob(generationId, kind) {
+  return runLibraryTransaction('blobs', 'readwrite', tx => {
+    tx.objectStore('blobs').delete(`${generationId}/${kind}`);
+  });
+}
+
+/**
+ * Object URL for a stored file, or null if it isn't stored.
+ * The caller revokes it when done.
+ */
+function libraryGetBlobUrl(generationId, kind) {
+  return libraryGetBlob(generationId, kind)
+    .then(blob => blob ? URL.createObjectURL(blob) : null);
+}
+
+/**
+ * Download a model into the library. A URL the server refuses (expired) is
+ * marked so it isn't tried again; network errors are left for next time.
+ * @returns true if the file is now stored
+ */
+async function libraryStoreRemoteModel(generationId, kind, url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    console.warn(`Library: ✗ could not download ${kind} for ${generationId}:`, err.message);
+    return false;
+  }
+
+  if (!response.ok) {
+    console.warn(`Library: ✗ ${kind} for ${generationId} is gone (${response.status})`);
+    const entry = await libraryGetGeneration(generationId);
+    if (entry && entry[kind]) {
+      await libraryUpdateGeneration(generationId, { [kind]: { ...entry[kind], expired: true } });
+    }
+    return false;
+  }
+
+  await libraryPutBlob(generationId, kind, await response.blob());
+  return true;
+}
+
+/**
+ * Download every model that only exists as a remote URL, while the URLs
+ * still work. Safe to call repeatedly.
+ */
+async function libraryCacheRemoteModels() {
+  const entries = await libraryListGenerations();
+  for (const entry of entries) {
+    for (const kind of ['model', 'retopo']) {
+      const info = entry[kind];
+      if (!info?.glb_url || info.expired || info.glb_url.startsWith('blob:')) continue;
+      if (await libraryGetBlob(entry.id, kind)) continue;
+      await libraryStoreRemoteModel(entry.id, kind, info.glb_url);
+    }
+  }
+}
+
+function dataUrlToBlob(dataUrl) {
+  return fetch(dataUrl).then(r => r.blob());
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Migration from localStorage
+// ----------------------------------------------------------------------------
+
+/**
+ * Move generator entries out of the localStorage history into the library:
+ * metadata, and the base64 source image as a file. Entries leave localStorage
+ * only once stored, so an interrupted migration resumes on the next load.
+ * @returns The number of entries migrated
+ */
+async function migrateLegacyHistory() {
+  let history;
+  try {
+    history = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || '[]');
+  } catch {
+    return 0;
+  }
+  const legacy = history.filter(entry => entry.ai_model === LEGACY_AI_MODEL);
+  if (legacy.length === 0) return 0;
+
+  const migrated = new Set();
+  for (const entry of legacy) {
+    const { original_image_data, ...metadata } = entry;
+    try {
+      // Entries from before providers existed all came from fal.ai
+      await libraryPutGeneration({ provider: 'fal', source: 'generated', ...metadata });
+      if (original_image_data) {
+        await libraryPutBlob(entry.id, 'image', await dataUrlToBlob(original_image_data));
+      }
+      migrated.add(entry.id);
+    } catch (err) {
+      console.error(`Library: ✗ failed to migrate generation ${entry.id}:`, err);
+    }
+  }
+
+  localStorage.setItem(
+    LEGACY_HISTORY_KEY,
+    JSON.stringify(history.filter(entry => !migrated.has(entry.id)))
+  );
+  console.log(`Library: ✓ migrated ${migrated.size} generation(s) from localStorage`);
+  return migrated.size;
+}
+
+/**
+ * Open the library, migrate old history and start saving remote models.
+ * Both pages call this before reading the library.
+ */
+async function initLibrary() {
+  await openLibrary();
+  await migrateLegacyHistory();
+  // In the background: the pages work from the metadata meanwhile
+  libraryCacheRemoteModels().catch(err => console.error('Library: ✗ caching failed:', err));
+}
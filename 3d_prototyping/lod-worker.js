@@ -0,0 +1,700 @@
+// ============================================================================
+// Mesh Optimization Worker
+// ============================================================================
+//
+// Builds a LOD set from a GLB off the main thread:
+//
+//   weld      merge vertices that are identical in every attribute
+//   decimate  quadric edge collapse (Garland & Heckbert) down to a face target
+//
+// Collapses move a vertex onto a neighbor, so surviving vertices keep their
+// UVs, normals and colors untouched. Vertices split by an attribute seam (same
+// position, different UVs) move as one group. Collapses that would tear a
+// seam wait until nothing else is left; faces then take the neighbor's vertex
+// with the closest attributes. Flat-shaded models, where every corner is a
+// seam, only decimate in that second pass.
+//
+// Message in:  { glb: ArrayBuffer, targets: [faces, ...], weld: boolean }
+// Messages out:
+//   { type: 'progress', level, fraction }
+//   { type: 'done', levels: [{ targetFaces, glb: ArrayBuffer }], welded }
+//   { type: 'error', message }
+//
+// Each level is decimated from the full model, so errors don't pile up.
+
+importScripts('glb.js');
+
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+const SIZE_TYPES = { 1: 'SCALAR', 2: 'VEC2', 3: 'VEC3', 4: 'VEC4' };
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const TRIANGLES = 4;
+
+const WELD_POSITION_TOLERANCE = 1e-6; // Of the model's size
+const WELD_ATTRIBUTE_TOLERANCE = 1e-5;
+const BORDER_WEIGHT = 10; // Keeps open edges (holes, cut-offs) from shrinking
+const MIN_NORMAL_DOT = 0.2; // Refuse collapses that turn a face further than ~80°
+
+// ----------------------------------------------------------------------------
+// Accessors
+// ----------------------------------------------------------------------------
+
+/**
+ * Copy an accessor out of the binary chunk into a tightly packed array
+ */
+function readAccessor(gltf, bin, index) {
+  const accessor = gltf.accessors[index];
+  const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+  const size = TYPE_SIZES[accessor.type];
+  if (accessor.sparse || accessor.bufferView === undefined) {
+    throw new Error('Sparse accessors are not supported');
+  }
+
+  const view = gltf.bufferViews[accessor.bufferView];
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const elementBytes = size * ArrayType.BYTES_PER_ELEMENT;
+  const stride = view.byteStride || elementBytes;
+  const bytes = new Uint8Array(accessor.count * elementBytes);
+  for (let i = 0; i < accessor.count; i++) {
+    const offset = start + i * stride;
+    bytes.set(bin.subarray(offset, offset + elementBytes), i * elementBytes);
+  }
+
+  return {
+    array: new ArrayType(bytes.buffer),
+    size: size,
+    componentType: accessor.componentType,
+    normalized: accessor.normalized || false
+  };
+}
+
+function canOptimize(primitive) {
+  return (primitive.mode ?? TRIANGLES) === TRIANGLES &&
+    primitive.attributes.POSITION !== undefined &&
+    !primitive.targets &&
+    !primitive.extensions;
+}
+
+// ----------------------------------------------------------------------------
+// Welding
+// ----------------------------------------------------------------------------
+
+/**
+ * Map every vertex to the first vertex identical to it
+ * @returns { remap: Uint32Array, welded: number of vertices merged away }
+ */
+function weldVertices(attributes, vertexCount, positionTolerance) {
+  const names = Object.keys(attributes).sort();
+  const remap = new Uint32Array(vertexCount);
+  const seen = new Map();
+  let welded = 0;
+
+  for (let v = 0; v < vertexCount; v++) {
+    const parts = names.map(name => {
+      const { array, size } = attributes[name];
+      const tolerance = name === 'POSITION' ? positionTolerance : WELD_ATTRIBUTE_TOLERANCE;
+      const values = [];
+      for (let c = 0; c < size; c++) {
+        values.push(Math.round(array[v * size + c] / tolerance));
+      }
+      return values.join(',');
+    });
+    const key = parts.join('|');
+    if (seen.has(key)) {
+      remap[v] = seen.get(key);
+      welded++;
+    } else {
+      seen.set(key, v);
+      remap[v] = v;
+    }
+  }
+  return { remap, welded };
+}
+
+// ----------------------------------------------------------------------------
+// Decimation
+// ----------------------------------------------------------------------------
+
+/**
+ * Min-heap of collapse candidates
+ */
+class CollapseHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= item.cost) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = item;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        let smallestCost = last.cost;
+        if (left < items.length && items[left].cost < smallestCost) {
+          smallest = left;
+          smallestCost = items[left].cost;
+        }
+        if (right < items.length && items[right].cost < smallestCost) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        items[i] = items[smallest];
+        i = smallest;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
+
+// Quadrics are symmetric 4x4 matrices stored as their 10 upper-triangle terms
+function addPlaneQuadric(quadrics, group, a, b, c, d, weight) {
+  const q = group * 10;
+  quadrics[q] += weight * a * a;
+  quadrics[q + 1] += weight * a * b;
+  quadrics[q + 2] += weight * a * c;
+  quadrics[q + 3] += weight * a * d;
+  quadrics[q + 4] += weight * b * b;
+  quadrics[q + 5] += weight * b * c;
+  quadrics[q + 6] += weight * b * d;
+  quadrics[q + 7] += weight * c * c;
+  quadrics[q + 8] += weight * c * d;
+  quadrics[q + 9] += weight * d * d;
+}
+
+function quadricError(quadrics, g1, g2, x, y, z) {
+  const q = new Array(10);
+  for (let i = 0; i < 10; i++) {
+    q[i] = quadrics[g1 * 10 + i] + quadrics[g2 * 10 + i];
+  }
+  return q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+    q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+    q[7] * z * z + 2 * q[8] * z + q[9];
+}
+
+function triangleNormal(p, a, b, c) {
+  const ux = p[b * 3] - p[a * 3];
+  const uy = p[b * 3 + 1] - p[a * 3 + 1];
+  const uz = p[b * 3 + 2] - p[a * 3 + 2];
+  const vx = p[c * 3] - p[a * 3];
+  const vy = p[c * 3 + 1] - p[a * 3 + 1];
+  const vz = p[c * 3 + 2] - p[a * 3 + 2];
+  return [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+}
+
+function attributeDistance(attributes, a, b) {
+  let distance = 0;
+  for (const { array, size } of attributes) {
+    for (let c = 0; c < size; c++) {
+      const d = array[a * size + c] - array[b * size + c];
+      distance += d * d;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Collapse edges, cheapest first, until targetTriangles remain or no
+ * collapse is allowed
+ * @param positions Float32Array, 3 per vertex
+ * @param attributes The other vertex attributes, as { array, size }
+ * @param indices Triangle vertex indices (not modified)
+ * @returns Indices of the remaining triangles
+ */
+function decimate(positions, attributes, indices, targetTriangles, positionTolerance) {
+  const triangleCount = indices.length / 3;
+  if (targetTriangles >= triangleCount) return indices;
+
+  // Vertices at one point (split by a seam) form a group that moves together
+  const vertexCount = positions.length / 3;
+  const group = new Int32Array(vertexCount);
+  const groupIds = new Map();
+  const groupVertices = [];
+  for (let v = 0; v < vertexCount; v++) {
+    const key = [0, 1, 2].map(c => Math.round(positions[v * 3 + c] / positionTolerance)).join(',');
+    if (!groupIds.has(key)) {
+      groupIds.set(key, groupVertices.length);
+      groupVertices.push([]);
+    }
+    group[v] = groupIds.get(key);
+    groupVertices[group[v]].push(v);
+  }
+  const groupCount = groupVertices.length;
+  // Group positions, as vertex-sized entries for triangleNormal()
+  const groupPositions = new Float64Array(groupCount * 3);
+  groupVertices.forEach((vertices, g) => groupPositions.set(positions.subarray(vertices[0] * 3, vertices[0] * 3 + 3), g * 3));
+
+  const triangles = Uint32Array.from(indices);
+  const alive = new Uint8Array(triangleCount);
+  const groupTriangles = Array.from({ length: groupCount }, () => []);
+  const quadrics = new Float64Array(groupCount * 10);
+  const edgeUse = new Map();
+  const edgeKey = (a, b) => (a < b ? a * groupCount + b : b * groupCount + a);
+  let aliveCount = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const g = [0, 1, 2].map(k => group[triangles[t * 3 + k]]);
+    if (g[0] === g[1] || g[1] === g[2] || g[0] === g[2]) continue; // Already degenerate
+    alive[t] = 1;
+    aliveCount++;
+
+    const n = triangleNormal(groupPositions, g[0], g[1], g[2]);
+    const length = Math.hypot(n[0], n[1], n[2]);
+    if (length > 0) {
+      const [a, b, c] = n.map(value => value / length);
+      const d = -(a * groupPositions[g[0] * 3] + b * groupPositions[g[0] * 3 + 1] + c * groupPositions[g[0] * 3 + 2]);
+      for (const corner of g) {
+        addPlaneQuadric(quadrics, corner, a, b, c, d, length / 2);
+      }
+    }
+    for (let k = 0; k < 3; k++) {
+      groupTriangles[g[k]].push(t);
+      const key = edgeKey(g[k], g[(k + 1) % 3]);
+      const use = edgeUse.get(key);
+      edgeUse.set(key, use ? { count: use.count + 1, triangle: use.triangle } : { count: 1, triangle: t, a: g[k], b: g[(k + 1) % 3] });
+    }
+  }
+
+  // Open edges get a plane through them, perpendicular to their face
+  edgeUse.forEach(use => {
+    if (use.count !== 1) return;
+    const t = use.triangle;
+    const n = triangleNormal(groupPositions, group[triangles[t * 3]], group[triangles[t * 3 + 1]], group[triangles[t * 3 + 2]]);
+    const e = [0, 1, 2].map(c => groupPositions[use.b * 3 + c] - groupPositions[use.a * 3 + c]);
+    const p = [e[1] * n[2] - e[2] * n[1], e[2] * n[0] - e[0] * n[2], e[0] * n[1] - e[1] * n[0]];
+    const length = Math.hypot(p[0], p[1], p[2]);
+    if (length === 0) return;
+    const [a, b, c] = p.map(value => value / length);
+    const d = -(a * groupPositions[use.a * 3] + b * groupPositions[use.a * 3 + 1] + c * groupPositions[use.a * 3 + 2]);
+    const weight = BORDER_WEIGHT * (e[0] * e[0] + e[1] * e[1] + e[2] * e[2]);
+    addPlaneQuadric(quadrics, use.a, a, b, c, d, weight);
+    addPlaneQuadric(quadrics, use.b, a, b, c, d, weight);
+  });
+
+  const version = new Int32Array(groupCount);
+  const removed = new Uint8Array(groupCount);
+  const heap = new CollapseHeap();
+
+  function pushEdge(a, b) {
+    const costAtB = quadricError(quadrics, a, b, groupPositions[b * 3], groupPositions[b * 3 + 1], groupPositions[b * 3 + 2]);
+    const costAtA = quadricError(quadrics, a, b, groupPositions[a * 3], groupPositions[a * 3 + 1], groupPositions[a * 3 + 2]);
+    const [from, to, cost] = costAtB <= costAtA ? [a, b, costAtB] : [b, a, costAtA];
+    heap.push({ cost, from, to, fromVersion: version[from], toVersion: version[to] });
+  }
+
+  // The vertex of group `to` that can best stand in for vertex v
+  function closestVertex(v, to) {
+    let best = -1;
+    let bestDistance = Infinity;
+    for (const candidate of groupVertices[to]) {
+      const distance = attributeDistance(attributes, v, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  // Move group `from` onto group `to`, if that keeps faces intact and, when
+  // strict, seams too
+  function collapse(from, to, strict) {
+    const around = groupTriangles[from].filter(t => alive[t]);
+    const vertexMap = new Map(); // Vertex of `from` -> vertex of `to` on the same side of any seam
+    const torn = new Set(); // Vertices of `from` with more than one side
+    const shared = [];
+    const kept = [];
+    for (const t of around) {
+      let vFrom = -1;
+      let vTo = -1;
+      for (let k = 0; k < 3; k++) {
+        const v = triangles[t * 3 + k];
+        if (group[v] === from) vFrom = v;
+        if (group[v] === to) vTo = v;
+      }
+      if (vTo === -1) {
+        kept.push(t);
+        continue;
+      }
+      shared.push(t);
+      if (vertexMap.has(vFrom) && vertexMap.get(vFrom) !== vTo) {
+        if (strict) return false;
+        torn.add(vFrom);
+      }
+      vertexMap.set(vFrom, vTo);
+    }
+    if (shared.length === 0) return false;
+
+    const moves = []; // [index into triangles, new vertex]
+    for (const t of kept) {
+      let corner = -1;
+      for (let k = 0; k < 3; k++) {
+        if (group[triangles[t * 3 + k]] === from) corner = k;
+      }
+      const v = triangles[t * 3 + corner];
+      if (vertexMap.has(v) && !torn.has(v)) {
+        moves.push([t * 3 + corner, vertexMap.get(v)]);
+      } else if (strict) {
+        return false; // No matching vertex across a seam
+      } else {
+        moves.push([t * 3 + corner, closestVertex(v, to)]);
+      }
+
+      // Refuse to flip or squash the face
+      const g = [0, 1, 2].map(k => group[triangles[t * 3 + k]]);
+      const before = triangleNormal(groupPositions, g[0], g[1], g[2]);
+      g[corner] = to;
+      const after = triangleNormal(groupPositions, g[0], g[1], g[2]);
+      const dot = before[0] * after[0] + before[1] * after[1] + before[2] * after[2];
+      const lengths = Math.hypot(...before) * Math.hypot(...after);
+      if (lengths === 0 || dot < MIN_NORMAL_DOT * lengths) return false;
+    }
+
+    for (const t of shared) {
+      alive[t] = 0;
+      aliveCount--;
+    }
+    for (const [index, v] of moves) {
+      triangles[index] = v;
+    }
+
+    removed[from] = 1;
+    version[to]++;
+    for (let i = 0; i < 10; i++) {
+      quadrics[to * 10 + i] += quadrics[from * 10 + i];
+    }
+    const toTriangles = groupTriangles[to].filter(t => alive[t]).concat(kept);
+    groupTriangles[to] = toTriangles;
+    groupTriangles[from] = [];
+
+    const neighbors = new Set();
+    for (const t of toTriangles) {
+      for (let k = 0; k < 3; k++) {
+        const g = group[triangles[t * 3 + k]];
+        if (g !== to) neighbors.add(g);
+      }
+    }
+    neighbors.forEach(g => pushEdge(to, g));
+    return true;
+  }
+
+  for (const strict of [true, false]) {
+    // Every edge of the remaining faces is a candidate again
+    heap.items = [];
+    const edges = new Set();
+    for (let t = 0; t < triangleCount; t++) {
+      if (!alive[t]) continue;
+      for (let k = 0; k < 3; k++) {
+        edges.add(edgeKey(group[triangles[t * 3 + k]], group[triangles[t * 3 + (k + 1) % 3]]));
+      }
+    }
+    edges.forEach(key => pushEdge(Math.floor(key / groupCount), key % groupCount));
+
+    while (aliveCount > targetTriangles && heap.size > 0) {
+      const edge = heap.pop();
+      if (removed[edge.from] || removed[edge.to]) continue;
+      if (version[edge.from] !== edge.fromVersion || version[edge.to] !== edge.toVersion) continue;
+      collapse(edge.from, edge.to, strict);
+    }
+  }
+
+  const result = new Uint32Array(aliveCount * 3);
+  let out = 0;
+  for (let t = 0; t < triangleCount; t++) {
+    if (!alive[t]) continue;
+    result.set(triangles.subarray(t * 3, t * 3 + 3), out);
+    out += 3;
+  }
+  return result;
+}
+
+// ----------------------------------------------------------------------------
+// Rebuilding the GLB
+// ----------------------------------------------------------------------------
+
+/**
+ * Keep only the vertices the indices use
+ * @returns { attributes, indices } renumbered
+ */
+function compactVertices(attributes, indices, vertexCount) {
+  const newIndex = new Int32Array(vertexCount).fill(-1);
+  const order = [];
+  const remapped = new Uint32Array(indices.length);
+  for (let i = 0; i < indices.length; i++) {
+    const v = indices[i];
+    if (newIndex[v] === -1) {
+      newIndex[v] = order.length;
+      order.push(v);
+    }
+    remapped[i] = newIndex[v];
+  }
+
+  const compacted = {};
+  for (const [name, attribute] of Object.entries(attributes)) {
+    const { array, size } = attribute;
+    const out = new array.constructor(order.length * size);
+    order.forEach((v, i) => out.set(array.subarray(v * size, v * size + size), i * size));
+    compacted[name] = { ...attribute, array: out };
+  }
+  return { attributes: compacted, indices: remapped };
+}
+
+/**
+ * A copy of the glTF with the given primitives' geometry replaced. Buffer
+ * views nothing uses any more are left out of the new binary chunk.
+ * @param replacements Map "<mesh>/<primitive>" -> { attributes, indices }
+ */
+function rebuildGlb(gltf, bin, replacements) {
+  const out = JSON.parse(JSON.stringify(gltf));
+  const chunks = [];
+  let binLength = 0;
+  function appendBytes(bytes, alignment = 0) {
+    // 4-byte aligned, keeping the old offset's alignment for copied views
+    const padding = ((alignment - binLength) % 4 + 4) % 4;
+    if (padding) chunks.push(new Uint8Array(padding));
+    binLength += padding;
+    const offset = binLength;
+    chunks.push(bytes);
+    binLength += bytes.length;
+    return offset;
+  }
+
+  // Accessors still in use, and which new index each gets
+  const usedAccessors = new Set();
+  (out.meshes || []).forEach((mesh, m) => mesh.primitives.forEach((primitive, p) => {
+    if (replacements.has(`${m}/${p}`)) return;
+    Object.values(primitive.attributes).forEach(a => usedAccessors.add(a));
+    if (primitive.indices !== undefined) usedAccessors.add(primitive.indices);
+    (primitive.targets || []).forEach(target => Object.values(target).forEach(a => usedAccessors.add(a)));
+  }));
+  (out.skins || []).forEach(skin => {
+    if (skin.inverseBindMatrices !== undefined) usedAccessors.add(skin.inverseBindMatrices);
+  });
+  (out.animations || []).forEach(animation => animation.samplers.forEach(sampler => {
+    usedAccessors.add(sampler.input);
+    usedAccessors.add(sampler.output);
+  }));
+
+  // Buffer views still in use get copied over
+  const usedViews = new Set();
+  usedAccessors.forEach(a => {
+    const accessor = out.accessors[a];
+    if (accessor.bufferView !== undefined) usedViews.add(accessor.bufferView);
+    if (accessor.sparse) {
+      usedViews.add(accessor.sparse.indices.bufferView);
+      usedViews.add(accessor.sparse.values.bufferView);
+    }
+  });
+  (out.images || []).forEach(image => {
+    if (image.bufferView !== undefined) usedViews.add(image.bufferView);
+  });
+
+  const viewMap = new Map();
+  const bufferViews = [];
+  [...usedViews].sort((a, b) => a - b).forEach(v => {
+    const view = out.bufferViews[v];
+    const start = view.byteOffset || 0;
+    const offset = appendBytes(bin.subarray(start, start + view.byteLength), start);
+    viewMap.set(v, bufferViews.length);
+    bufferViews.push({ ...view, buffer: 0, byteOffset: offset });
+  });
+
+  const accessorMap = new Map();
+  const accessors = [];
+  [...usedAccessors].sort((a, b) => a - b).forEach(a => {
+    const accessor = { ...out.accessors[a] };
+    if (accessor.bufferView !== undefined) accessor.bufferView = viewMap.get(accessor.bufferView);
+    if (accessor.sparse) {
+      accessor.sparse = JSON.parse(JSON.stringify(accessor.sparse));
+      accessor.sparse.indices.bufferView = viewMap.get(accessor.sparse.indices.bufferView);
+      accessor.sparse.values.bufferView = viewMap.get(accessor.sparse.values.bufferView);
+    }
+    accessorMap.set(a, accessors.length);
+    accessors.push(accessor);
+  });
+
+  function addAccessor(array, size, componentType, normalized, target) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    bufferViews.push({ buffer: 0, byteOffset: appendBytes(bytes), byteLength: bytes.length, target: target });
+    const accessor = {
+      bufferView: bufferViews.length - 1,
+      componentType: componentType,
+      count: array.length / size,
+      type: SIZE_TYPES[size]
+    };
+    if (normalized) accessor.normalized = true;
+    accessors.push(accessor);
+    return accessor;
+  }
+
+  (out.meshes || []).forEach((mesh, m) => mesh.primitives.forEach((primitive, p) => {
+    const replacement = replacements.get(`${m}/${p}`);
+    if (!replacement) {
+      Object.keys(primitive.attributes).forEach(name => {
+        primitive.attributes[name] = accessorMap.get(primitive.attributes[name]);
+      });
+      if (primitive.indices !== undefined) primitive.indices = accessorMap.get(primitive.indices);
+      (primitive.targets || []).forEach(target => Object.keys(target).forEach(name => {
+        target[name] = accessorMap.get(target[name]);
+      }));
+      return;
+    }
+
+    for (const [name, attribute] of Object.entries(replacement.attributes)) {
+      const accessor = addAccessor(attribute.array, attribute.size, attribute.componentType, attribute.normalized, ARRAY_BUFFER);
+      if (name === 'POSITION') {
+        // Required for positions
+        accessor.min = [Infinity, Infinity, Infinity];
+        accessor.max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < attribute.array.length; i++) {
+          accessor.min[i % 3] = Math.min(accessor.min[i % 3], attribute.array[i]);
+          accessor.max[i % 3] = Math.max(accessor.max[i % 3], attribute.array[i]);
+        }
+      }
+      primitive.attributes[name] = accessors.length - 1;
+    }
+    const vertexCount = replacement.attributes.POSITION.array.length / 3;
+    const indices = vertexCount <= 65535 ? Uint16Array.from(replacement.indices) : replacement.indices;
+    addAccessor(indices, 1, indices instanceof Uint16Array ? 5123 : 5125, false, ELEMENT_ARRAY_BUFFER);
+    primitive.indices = accessors.length - 1;
+  }));
+
+  (out.skins || []).forEach(skin => {
+    if (skin.inverseBindMatrices !== undefined) skin.inverseBindMatrices = accessorMap.get(skin.inverseBindMatrices);
+  });
+  (out.animations || []).forEach(animation => animation.samplers.forEach(sampler => {
+    sampler.input = accessorMap.get(sampler.input);
+    sampler.output = accessorMap.get(sampler.output);
+  }));
+  (out.images || []).forEach(image => {
+    if (image.bufferView !== undefined) image.bufferView = viewMap.get(image.bufferView);
+  });
+
+  out.accessors = accessors;
+  out.bufferViews = bufferViews;
+  out.buffers = [{ byteLength: binLength }];
+
+  const newBin = new Uint8Array(binLength);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    newBin.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return buildGlb(out, newBin);
+}
+
+// ----------------------------------------------------------------------------
+// Levels
+// ----------------------------------------------------------------------------
+
+/**
+ * Read, and optionally weld, every primitive that can be decimated
+ */
+function loadPrimitives(gltf, bin, weld) {
+  const primitives = [];
+  let welded = 0;
+  const bounds = getGlbBounds(gltf);
+  const size = bounds ? Math.hypot(...[0, 1, 2].map(i => bounds.max[i] - bounds.min[i])) : 1;
+  const positionTolerance = Math.max(size, 1e-6) * WELD_POSITION_TOLERANCE;
+
+  (gltf.meshes || []).forEach((mesh, m) => mesh.primitives.forEach((primitive, p) => {
+    if (!canOptimize(primitive)) return;
+
+    const attributes = {};
+    for (const [name, index] of Object.entries(primitive.attributes)) {
+      attributes[name] = readAccessor(gltf, bin, index);
+    }
+    const vertexCount = attributes.POSITION.array.length / 3;
+    let indices = primitive.indices !== undefined
+      ? Uint32Array.from(readAccessor(gltf, bin, primitive.indices).array)
+      : Uint32Array.from({ length: vertexCount }, (_, i) => i);
+
+    if (weld) {
+      const result = weldVertices(attributes, vertexCount, positionTolerance);
+      indices = indices.map(v => result.remap[v]);
+      welded += result.welded;
+    }
+
+    primitives.push({ key: `${m}/${p}`, attributes, indices, vertexCount });
+  }));
+
+  return { primitives, welded, positionTolerance };
+}
+
+function buildLevels(glb, targets, weld) {
+  const { gltf, bin } = parseGlb(glb);
+  if ((gltf.buffers || []).length > 1 || gltf.buffers?.[0]?.uri) {
+    throw new Error('Only self-contained GLB files can be optimized');
+  }
+  if ((gltf.extensionsRequired || []).length > 0) {
+    throw new Error(`Compressed models are not supported (${gltf.extensionsRequired.join(', ')})`);
+  }
+
+  const { primitives, welded, positionTolerance } = loadPrimitives(gltf, bin, weld);
+  if (primitives.length === 0) {
+    throw new Error('No triangle meshes to optimize');
+  }
+  const totalFaces = primitives.reduce((sum, primitive) => sum + primitive.indices.length / 3, 0);
+
+  const levels = targets.map((targetFaces, level) => {
+    // Every primitive gives up the same share of its faces
+    const ratio = Math.min(1, targetFaces / totalFaces);
+    const replacements = new Map();
+    primitives.forEach((primitive, i) => {
+      const faces = primitive.indices.length / 3;
+      const target = Math.max(1, Math.round(faces * ratio));
+      const others = Object.keys(primitive.attributes)
+        .filter(name => name !== 'POSITION')
+        .map(name => primitive.attributes[name]);
+      const indices = decimate(primitive.attributes.POSITION.array, others, primitive.indices, target, positionTolerance);
+      replacements.set(primitive.key, compactVertices(primitive.attributes, indices, primitive.vertexCount));
+      self.postMessage({ type: 'progress', level, fraction: (i + 1) / primitives.length });
+    });
+    return { targetFaces, glb: rebuildGlb(gltf, bin, replacements) };
+  });
+
+  return { levels, welded };
+}
+
+self.onmessage = async (e) => {
+  try {
+    const { levels, welded } = buildLevels(e.data.glb, e.data.targets, e.data.weld);
+    const buffers = await Promise.all(levels.map(level => level.glb.arrayBuffer()));
+    self.postMessage({
+      type: 'done',
+      welded: welded,
+      levels: levels.map((level, i) => ({ targetFaces: level.targetFaces, glb: buffers[i] }))
+    }, buffers);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -3,15 +3,11 @@
 // ============================================================================
 
 const LS_API_KEY = 'fal_key';
+const LS_PROVIDER = 'provider';
 
-const FAL_BASE = 'https://queue.fal.run';
-const FAL_MODEL = 'fal-ai/hunyuan3d-v3/image-to-3d';
-const FAL_MODEL_BASE = 'fal-ai/hunyuan3d'; // For status/result requests
-const FAL_REMESH = 'fal-ai/meshy/v5/remesh';
-const FAL_REMESH_BASE = 'fal-ai/meshy'; // For status/result requests (no v5)
 const REMESH_TARGET_POLYCOUNT = 3000;
-const POLL_MS = 3000;
-const MAX_POLLS = 200; // 10 min timeout
+const LOD_DEFAULT_RATIOS = [0.5, 0.2, 0.05]; // Of the original's faces
+const MAX_POLLS = 200; // 10 min timeout at the fal.ai poll interval
 
 // ============================================================================
 // Current Generation Helpers
@@ -41,6 +37,7 @@ function updateCurrentGeneration(updates) {
 
 const state = {
   apiKey: '',
+  providerId: DEFAULT_PROVIDER,
   imageB64: '',
   requestId: '',
   pollTimer: null,
@@ -49,13 +46,18 @@ const state = {
   engine: null,
   meshes: [],
   camera: null,
-  currentModel: 'original', // 'original' or 'retopo'
+  currentModel: 'original', // 'original', 'retopo' or 'lod<n>'
   retopoPollTimer: null,
   retopoRequestId: '',
   repoPollCount: 0,
   retopoMeshes: [],
+  lods: [], // [{ targetFaces, blob, meshes }] from local optimization, most detailed first
+  lodJob: null, // { cancel } while the optimization worker runs
   originalStatsSaved: false,
-  generationId: null
+  generationId: null, // Library id of the model on screen
+  originalBlob: null, // GLB of the original model, saved to the library with it
+  exportBounds: null, // { kind, bounds } of the model being exported, glTF space
+  exportGuides: [] // Forward arrow and ground plane meshes
 };
 
 // ============================================================================
@@ -64,9 +66,33 @@ const state = {
 
 function loadStateFromStorage() {
   state.apiKey = localStorage.getItem(LS_API_KEY) || '';
+  state.providerId = localStorage.getItem(LS_PROVIDER) || DEFAULT_PROVIDER;
   const gen = getCurrentGeneration();
-  state.imageB64 = gen.image_b64 || '';
   state.requestId = gen.request_id || '';
+  state.generationId = gen.generation_id || null;
+  // A restored result that is already in the library isn't saved again
+  state.originalStatsSaved = !!state.generationId;
+}
+
+/**
+ * Bring back the image pasted before a reload (kept in the library, since
+ * sessionStorage is too small for it)
+ */
+async function restoreDraftImage() {
+  const gen = getCurrentGeneration();
+  if (gen.image_b64) {
+    // Sessions from before the library kept the image inline
+    await libraryPutBlob(LIBRARY_DRAFT_ID, 'image', await dataUrlToBlob(gen.image_b64));
+    updateCurrentGeneration({ image_b64: undefined });
+  }
+  if (gen.glb_source === 'uploaded') return;
+
+  const blob = await libraryGetBlob(LIBRARY_DRAFT_ID, 'image');
+  if (blob) {
+    state.imageB64 = await blobToDataUrl(blob);
+    updateImagePreview(state.imageB64);
+    setGenerating(!!state.requestId);
+  }
 }
 
 function saveToLocalStorage(key, value) {
@@ -117,30 +143,60 @@ function clearError() {
   errEl.textContent = '';
 }
 
+function getSelectedProvider() {
+  return getProvider(state.providerId);
+}
+
+// Requests keep the provider they were submitted to, even if the setting changes
+function getRequestProvider(providerId) {
+  return getProvider(providerId || state.providerId);
+}
+
+function getProviderSettings() {
+  return { apiKey: state.apiKey };
+}
+
+function checkProviderReady(provider) {
+  if (provider.requiresApiKey && !state.apiKey) {
+    showError(`Please enter your ${provider.label} API key`);
+    return false;
+  }
+  return true;
+}
+
 function setGenerating(active) {
   const btn = document.getElementById('generate-btn');
   btn.disabled = active || !state.imageB64;
+  // Queueing doesn't touch the generation on screen
+  document.getElementById('queue-add-btn').disabled = !state.imageB64;
+}
+
+function disposeMeshes(meshes) {
+  meshes.forEach(mesh => {
+    if (mesh.material) {
+      if (mesh.material.getActiveTextures) {
+        mesh.material.getActiveTextures().forEach(tex => tex.dispose());
+      }
+      mesh.material.dispose();
+    }
+    mesh.dispose();
+  });
 }
 
 function clearScene() {
   if (state.meshes) {
-    state.meshes.forEach(mesh => {
-      if (mesh.material) {
-        if (mesh.material.getActiveTextures) {
-          mesh.material.getActiveTextures().forEach(tex => tex.dispose());
-        }
-        mesh.material.dispose();
-      }
-      mesh.dispose();
-    });
+    disposeMeshes(state.meshes);
   }
   state.meshes = [];
+  clearLods();
 
   // Reset FilesInput to prevent stale entries
   if (window.BABYLON && window.BABYLON.FilesInput) {
     window.BABYLON.FilesInput.FilesToLoad = {};
   }
 
+  hideExportSection();
+
   const overlay = document.getElementById('canvas-overlay');
   overlay.classList.remove('hidden');
 
@@ -174,16 +230,19 @@ function calculateModelStats(meshes = null) {
 }
 
 function displayModelStats() {
-  const stats = calculateModelStats();
-  const modelType = state.currentModel === 'retopo' ? 'Retopologized' : 'Original';
-  document.getElementById('model-type').textContent = modelType;
+  const stats = calculateModelStats(getModelMeshes(state.currentModel));
+  document.getElementById('model-type').textContent = getModelLabel(state.currentModel);
   document.getElementById('vertex-count').textContent = stats.vertices.toLocaleString();
   document.getElementById('face-count').textContent = stats.faces.toLocaleString();
   document.getElementById('model-stats').style.display = 'block';
+  showExportSection();
+
+  renderModelComparison();
 
   // Show retopology section if original model is loaded
   if (state.currentModel === 'original') {
     document.getElementById('retopology-section').style.display = 'block';
+    document.getElementById('optimize-section').style.display = 'flex';
   }
 
   // Save stats to generation history if viewing original
@@ -197,30 +256,31 @@ function displayModelStats() {
 // History Helpers
 // ============================================================================
 
-function getHistory() {
-  try {
-    return JSON.parse(localStorage.getItem('history') || '[]');
-  } catch {
-    return [];
+function showLibraryError(err) {
+  if (isStorageFullError(err)) {
+    showError('Storage full: Delete old generations to save new ones');
+  } else {
+    showError('Failed to save to library: ' + err.message);
   }
+  console.error('Library write failed:', err);
 }
 
-function saveHistory(history) {
-  localStorage.setItem('history', JSON.stringify(history));
-}
-
-function saveGenerationHistory(modelType, stats) {
+async function saveGenerationHistory(modelType, stats) {
   const generationId = Date.now();
   state.generationId = generationId;
   const gen = getCurrentGeneration();
+  updateCurrentGeneration({ generation_id: generationId });
+  const provider = getRequestProvider(gen.provider);
+  const uploaded = gen.glb_source === 'uploaded';
 
   const entry = {
     id: generationId,
     timestamp: new Date().toISOString(),
-    ai_model: 'hunyuan3d',
-    original_image_data: state.imageB64,
+    ai_model: provider.aiModel,
+    provider: provider.id,
+    source: uploaded ? 'uploaded' : 'generated',
     model: {
-      glb_url: gen.glb_url,
+      glb_url: uploaded ? null : gen.glb_url, // Uploads only have a blob: URL
       vertices: stats.vertices,
       faces: stats.faces
     },
@@ -228,47 +288,56 @@ function saveGenerationHistory(modelType, stats) {
   };
 
   try {
-    const history = getHistory();
-    history.push(entry);
-    saveHistory(history);
-  } catch (e) {
-    if (e.name === 'QuotaExceededError') {
-      showError('Storage full: Clear history to save new generations');
-      console.error('localStorage quota exceeded');
-    } else {
-      throw e;
+    await libraryPutGeneration(entry);
+    if (state.imageB64 && !uploaded) {
+      await libraryPutBlob(generationId, 'image', await dataUrlToBlob(state.imageB64));
+    }
+    if (state.originalBlob) {
+      await libraryPutBlob(generationId, 'model', state.originalBlob);
     }
+  } catch (err) {
+    showLibraryError(err);
   }
 }
 
 function updateGenerationHistory(generationId, updates) {
-  const history = getHistory();
-  const entry = history.find(e => e.id === generationId);
-  if (entry) {
-    Object.assign(entry, updates);
-    saveHistory(history);
-  }
+  return libraryUpdateGeneration(generationId, updates).catch(showLibraryError);
 }
 
-function downloadGLB() {
-  const gen = getCurrentGeneration();
-  const glbUrl = gen.glb_url;
-  if (!glbUrl) {
-    showError('No model URL available');
-    return;
+/**
+ * GLB of the current model ('model' or 'retopo'): the library copy if there
+ * is one, else downloaded from its URL. Null if neither exists.
+ */
+async function getModelBlob(kind) {
+  if (state.generationId) {
+    const blob = await libraryGetBlob(state.generationId, kind);
+    if (blob) return blob;
   }
+  const gen = getCurrentGeneration();
+  const glbUrl = kind === 'retopo' ? gen.retopo_glb_url : gen.glb_url;
+  if (!glbUrl) return null;
+  return fetch(glbUrl).then(r => r.blob());
+}
+
+function saveBlobAs(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
 
-  fetch(glbUrl)
-    .then(r => r.blob())
+function downloadGLB() {
+  getModelBlob('model')
     .then(blob => {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'model.glb';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      if (!blob) {
+        showError('No model available');
+        return;
+      }
+      saveBlobAs(blob, 'model.glb');
     })
     .catch(err => {
       showError('Download failed: ' + err.message);
@@ -276,24 +345,13 @@ function downloadGLB() {
 }
 
 function downloadRetopoModel() {
-  const gen = getCurrentGeneration();
-  const glbUrl = gen.retopo_glb_url;
-  if (!glbUrl) {
-    showError('No remeshed model available');
-    return;
-  }
-
-  fetch(glbUrl)
-    .then(r => r.blob())
+  getModelBlob('retopo')
     .then(blob => {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'model-remeshed.glb';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      if (!blob) {
+        showError('No remeshed model available');
+        return;
+      }
+      saveBlobAs(blob, 'model-remeshed.glb');
     })
     .catch(err => {
       showError('Download failed: ' + err.message);
@@ -314,10 +372,29 @@ function setupAPIKeyUI() {
   const input = document.getElementById('settings-api-key-input');
   const toggle = document.getElementById('settings-toggle-btn');
   const saveBtn = document.getElementById('settings-save-btn');
+  const providerSelect = document.getElementById('settings-provider-select');
+
+  listProviders().forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    providerSelect.appendChild(option);
+  });
+
+  // Only providers that need a key show the key field
+  function updateApiKeyField() {
+    const provider = getProvider(providerSelect.value);
+    document.getElementById('settings-api-key-group').style.display =
+      provider.requiresApiKey ? 'block' : 'none';
+    document.getElementById('settings-api-key-label').textContent = `${provider.label} API Key`;
+  }
+  providerSelect.addEventListener('change', updateApiKeyField);
 
   // Open modal
   settingsBtn.addEventListener('click', () => {
     input.value = state.apiKey;
+    providerSelect.value = getSelectedProvider().id;
+    updateApiKeyField();
     modal.classList.add('active');
   });
 
@@ -331,7 +408,9 @@ function setupAPIKeyUI() {
   // Save API key
   saveBtn.addEventListener('click', () => {
     state.apiKey = input.value;
+    state.providerId = providerSelect.value;
     saveToLocalStorage(LS_API_KEY, input.value);
+    saveToLocalStorage(LS_PROVIDER, providerSelect.value);
     closeSettings();
   });
 
@@ -365,17 +444,13 @@ function setupInputZone() {
     zone.style.borderColor = '#3a3a4e';
     zone.style.background = '#0f0f1a';
 
-    const files = e.dataTransfer?.files || [];
-    if (files.length > 0) {
-      handleInputFile(files[0]);
-    }
+    handleInputFiles(Array.from(e.dataTransfer?.files || []));
   });
 
   // File input change
   fileInput.addEventListener('change', (e) => {
-    if (e.target.files?.length > 0) {
-      handleInputFile(e.target.files[0]);
-    }
+    handleInputFiles(Array.from(e.target.files || []));
+    fileInput.value = ''; // Picking the same files again still fires change
   });
 
   // Paste handler
@@ -394,8 +469,15 @@ function handleGLBFile(file) {
       const gen = getCurrentGeneration();
       gen.glb_url = url;
       gen.glb_source = 'uploaded'; // Mark as uploaded (not from FAL)
-      gen.image_b64 = ''; // Clear image since we're not generating
+      gen.generation_id = null; // Saved to the library as a new entry once shown
       saveCurrentGeneration(gen);
+      state.generationId = null;
+      state.originalStatsSaved = false;
+
+      // Clear image since we're not generating
+      state.imageB64 = '';
+      document.getElementById('queue-add-btn').disabled = true;
+      libraryDeleteBlob(LIBRARY_DRAFT_ID, 'image').catch(showLibraryError);
 
       // Show in UI
       clearScene();
@@ -432,6 +514,7 @@ async function loadUploadedGLB(blobUrl, filename) {
     setStatus('Loading uploaded model...', 10);
 
     const blob = await fetch(blobUrl).then(r => r.blob());
+    state.originalBlob = blob;
     const BABYLON = window.BABYLON;
     BABYLON.FilesInput.FilesToLoad['uploaded.glb'] = new File([blob], filename, { type: 'model/gltf-binary' });
 
@@ -459,6 +542,16 @@ async function loadUploadedGLB(blobUrl, filename) {
   }
 }
 
+// Several images go to the batch queue; anything else loads as before
+function handleInputFiles(files) {
+  const images = files.filter(file => file.type.startsWith('image/'));
+  if (images.length > 1) {
+    queueImages(images.map(file => ({ name: file.name, blob: file })));
+  } else if (files.length > 0) {
+    handleInputFile(files[0]);
+  }
+}
+
 function handleInputFile(file) {
   const isGLB = file.name.toLowerCase().endsWith('.glb');
   const isImage = file.type.startsWith('image/');
@@ -477,22 +570,25 @@ function handleImageFile(file) {
   reader.onload = (evt) => {
     const dataUrl = evt.target.result;
     state.imageB64 = dataUrl;
-    updateCurrentGeneration({ image_b64: dataUrl });
+    updateCurrentGeneration({ glb_source: null });
+    libraryPutBlob(LIBRARY_DRAFT_ID, 'image', file).catch(showLibraryError);
     updateImagePreview(dataUrl);
     document.getElementById('generate-btn').disabled = false;
+    document.getElementById('queue-add-btn').disabled = false;
     clearError();
   };
   reader.readAsDataURL(file);
 }
 
 function handlePaste(e) {
-  const items = e.clipboardData?.items || [];
-  for (let item of items) {
-    if (item.type.startsWith('image/')) {
-      const file = item.getAsFile();
-      handleImageFile(file);
-      break;
-    }
+  const items = Array.from(e.clipboardData?.items || []);
+  const files = items
+    .filter(item => item.type.startsWith('image/'))
+    .map(item => item.getAsFile());
+  if (files.length > 1) {
+    queueImages(files.map((file, i) => ({ name: `Pasted image ${i + 1}`, blob: file })));
+  } else if (files.length === 1) {
+    handleImageFile(files[0]);
   }
 }
 
@@ -518,12 +614,12 @@ function setupGenerateButton() {
 }
 
 // ============================================================================
-// FAL.ai Integration
+// Generation
 // ============================================================================
 
 function startGeneration() {
-  if (!state.apiKey) {
-    showError('Please enter API key');
+  const provider = getSelectedProvider();
+  if (!checkProviderReady(provider)) {
     return;
   }
   if (!state.imageB64) {
@@ -531,64 +627,67 @@ function startGeneration() {
     return;
   }
 
+  // Starting over abandons any request still running
+  if (state.requestId) {
+    cancelRequest('generate', state.requestId, getCurrentGeneration().provider);
+    clearRequestId();
+  }
+
   setGenerating(true);
   setStatus('Submitting...', 5);
   updateCurrentGeneration({
     glb_url: null,
     retopo_glb_url: null,
     request_id: '',
+    provider: provider.id,
     last_status: '',
     last_result: null,
     retopo_request_id: '',
+    retopo_provider: null,
     retopo_status: '',
     retopo_result: null,
+    generation_id: null,
     glb_source: null // Clear the glb_source flag
   });
+  state.generationId = null;
+  state.originalBlob = null;
+  state.originalStatsSaved = false;
   state.retopoMeshes = [];
   state.currentModel = 'original';
   document.getElementById('model-selector').style.display = 'none';
   document.getElementById('retopology-section').style.display = 'none';
+  document.getElementById('optimize-section').style.display = 'none';
   document.getElementById('download-retopo-btn').style.display = 'none';
   // Reset input zone display
   document.getElementById('input-zone-text').style.display = 'block';
   document.getElementById('image-preview').style.display = 'none';
   document.getElementById('glb-loaded-text').style.display = 'none';
 
-  const url = `${FAL_BASE}/${FAL_MODEL}`;
-  const body = {
-    input_image_url: state.imageB64,
-    enable_pbr: true
-  };
-
-  fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Key ${state.apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  })
-    .then(r => r.json())
-    .then(data => {
-      if (data.request_id) {
-        state.requestId = data.request_id;
-        updateCurrentGeneration({
-          request_id: data.request_id,
-          last_status: 'pending'
-        });
-        state.pollCount = 0;
-        startPolling();
-      } else {
-        showError(data.detail || 'Failed to start generation');
-        setGenerating(false);
-      }
+  provider.submit('generate', { imageUrl: state.imageB64 }, getProviderSettings())
+    .then(requestId => {
+      state.requestId = requestId;
+      updateCurrentGeneration({
+        request_id: requestId,
+        last_status: 'pending'
+      });
+      state.pollCount = 0;
+      startPolling();
     })
     .catch(err => {
-      showError('Network error: ' + err.message);
+      showError('Generation error: ' + err.message);
       setGenerating(false);
     });
 }
 
+/**
+ * Ask the provider to stop a request. Best effort: failures are only logged.
+ */
+function cancelRequest(kind, requestId, providerId) {
+  getRequestProvider(providerId)
+    .cancel(kind, requestId, getProviderSettings())
+    .catch(err => console.warn(`Failed to cancel ${kind} request ${requestId}:`, err));
+}
+
 function startPolling() {
   pollStatus();
 }
@@ -608,37 +707,27 @@ function pollStatus() {
     return;
   }
 
-  const url = `${FAL_BASE}/${FAL_MODEL_BASE}/requests/${state.requestId}/status`;
-
-  fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Key ${state.apiKey}`
-    }
-  })
-    .then(r => r.json())
-    .then(data => {
-      const status = data.status;
+  const provider = getRequestProvider(getCurrentGeneration().provider);
+  provider.poll('generate', state.requestId, getProviderSettings())
+    .then(({ status, error }) => {
       const pct = 10 + (state.pollCount / MAX_POLLS) * 70; // 10% to 80%
 
-      if (status === 'IN_QUEUE') {
+      if (status === PROVIDER_STATUS.QUEUED) {
         setStatus('Queued...', pct);
-        schedulePoll();
-      } else if (status === 'IN_PROGRESS') {
+        schedulePoll(provider);
+      } else if (status === PROVIDER_STATUS.RUNNING) {
         setStatus('Generating...', pct);
-        schedulePoll();
-      } else if (status === 'COMPLETED') {
+        schedulePoll(provider);
+      } else if (status === PROVIDER_STATUS.COMPLETED) {
         updateCurrentGeneration({ last_status: 'completed' });
         setStatus('Processing result...', 85);
         fetchResult();
-      } else if (status === 'FAILED') {
-        const reason = data.error || 'Unknown error';
+      } else if (status === PROVIDER_STATUS.FAILED) {
+        const reason = error || 'Unknown error';
         showError('Generation failed: ' + reason);
         updateCurrentGeneration({ last_status: 'failed' });
         clearRequestId();
         setGenerating(false);
-      } else {
-        schedulePoll();
       }
     })
     .catch(err => {
@@ -647,11 +736,11 @@ function pollStatus() {
     });
 }
 
-function schedulePoll() {
+function schedulePoll(provider) {
   if (state.pollTimer) clearTimeout(state.pollTimer);
   state.pollTimer = setTimeout(() => {
     pollStatus();
-  }, POLL_MS);
+  }, provider.pollInterval);
 }
 
 function fetchResult() {
@@ -661,29 +750,17 @@ function fetchResult() {
     return;
   }
 
-  const url = `${FAL_BASE}/${FAL_MODEL_BASE}/requests/${state.requestId}`;
-
-  fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Key ${state.apiKey}`
-    }
-  })
-    .then(r => r.json())
+  const provider = getRequestProvider(getCurrentGeneration().provider);
+  provider.fetchResult('generate', state.requestId, getProviderSettings())
     .then(data => {
-      if (data.model_glb?.url) {
-        updateCurrentGeneration({
-          last_result: data,
-          glb_url: data.model_glb.url
-        });
-        setStatus('Loading model...', 90);
-        loadGLBModel(data);
-        clearRequestId();
-        setGenerating(false);
-      } else {
-        showError('No model URL in response');
-        setGenerating(false);
-      }
+      updateCurrentGeneration({
+        last_result: data,
+        glb_url: data.model_glb.url
+      });
+      setStatus('Loading model...', 90);
+      loadGLBModel(data);
+      clearRequestId();
+      setGenerating(false);
     })
     .catch(err => {
       showError('Result fetch error: ' + err.message);
@@ -708,33 +785,24 @@ async function loadGLBModel(result) {
   try {
     // Check if there's a stored retopo model - if so, skip loading original (saves 30MB)
     const gen = getCurrentGeneration();
-    const retopoResult = gen.retopo_result;
-    const hasRetopo = retopoResult && retopoResult.model_glb?.url;
+    const hasRetopo = !!gen.retopo_glb_url;
 
     if (hasRetopo) {
       // Load only retopo, skip original
-      try {
-        setStatus('Loading retopologized model...', 95);
-        const retopoData = JSON.parse(retopoResult);
-        if (retopoData.model_glb?.url) {
-          await loadStoredRetopoModel(retopoData);
-        }
-      } catch (e) {
-        console.error('Failed to load stored retopo model:', e);
-      }
+      setStatus('Loading retopologized model...', 95);
+      await loadStoredRetopoModel();
     } else {
       // Load original model
-      const glbUrl = result.model_glb?.url;
-
-      if (!glbUrl) {
+      if (!result.model_glb?.url) {
         showError('Missing GLB URL in result');
         setGenerating(false);
         return;
       }
 
-      // Fetch GLB file
+      // Library copy if this generation was saved, else download it
       setStatus('Fetching model...', 92);
-      const glbBlob = await fetch(glbUrl).then(r => r.blob());
+      const glbBlob = await getModelBlob('model');
+      state.originalBlob = glbBlob;
 
       // Register GLB file
       setStatus('Loading model...', 95);
@@ -899,8 +967,8 @@ function restoreInFlightRequest() {
 // ============================================================================
 
 function startRetopology() {
-  if (!state.apiKey) {
-    showError('Please enter API key');
+  const provider = getSelectedProvider();
+  if (!checkProviderReady(provider)) {
     return;
   }
 
@@ -911,51 +979,48 @@ function startRetopology() {
     return;
   }
 
+  if (state.retopoRequestId) {
+    cancelRequest('remesh', state.retopoRequestId, gen.retopo_provider);
+    clearRetopoRequestId();
+  }
+
   setStatus('Submitting remesh...', 5);
 
   const topology = document.getElementById('polygon-type').value === 'quadrilateral' ? 'quad' : 'triangle';
-
-  const url = `${FAL_BASE}/${FAL_REMESH}`;
-  const body = {
-    model_url: glbUrl,
-    target_formats: ['glb'],
+  const input = {
+    modelUrl: glbUrl,
     topology: topology,
-    target_polycount: REMESH_TARGET_POLYCOUNT
+    targetPolycount: REMESH_TARGET_POLYCOUNT
   };
 
-  console.log('Remesh request URL:', url);
-  console.log('Remesh request body:', body);
-  console.log('GLB URL being sent:', glbUrl);
+  console.log(`Remesh request (${provider.label}):`, input);
 
-  fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Key ${state.apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  })
-    .then(r => r.json())
-    .then(data => {
-      console.log('Retopo response:', data);
-      if (data.request_id) {
-        state.retopoRequestId = data.request_id;
-        updateCurrentGeneration({
-          retopo_request_id: data.request_id,
-          retopo_status: 'pending'
-        });
-        state.repoPollCount = 0;
-        pollRetopoStatus();
-      } else {
-        console.error('Remesh error detail:', data.detail || data);
-        showError(data.detail || 'Failed to start remesh');
-      }
+  provider.submit('remesh', input, getProviderSettings())
+    .then(requestId => {
+      console.log('Retopo request id:', requestId);
+      state.retopoRequestId = requestId;
+      updateCurrentGeneration({
+        retopo_request_id: requestId,
+        retopo_provider: provider.id,
+        retopo_status: 'pending'
+      });
+      state.repoPollCount = 0;
+      pollRetopoStatus();
     })
     .catch(err => {
-      showError('Network error: ' + err.message);
+      showError('Remesh error: ' + err.message);
     });
 }
 
+function clearRetopoRequestId() {
+  state.retopoRequestId = '';
+  updateCurrentGeneration({ retopo_request_id: '' });
+  if (state.retopoPollTimer) {
+    clearTimeout(state.retopoPollTimer);
+    state.retopoPollTimer = null;
+  }
+}
+
 function pollRetopoStatus() {
   if (!state.retopoRequestId) {
     showError('No active retopo request');
@@ -965,41 +1030,27 @@ function pollRetopoStatus() {
   state.repoPollCount++;
   if (state.repoPollCount > MAX_POLLS) {
     showError('Remesh timeout (6 min exceeded)');
-    state.retopoRequestId = '';
-    updateCurrentGeneration({ retopo_request_id: '' });
+    clearRetopoRequestId();
     return;
   }
 
-  const url = `${FAL_BASE}/${FAL_REMESH_BASE}/requests/${state.retopoRequestId}/status`;
-
-  fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Key ${state.apiKey}`
-    }
-  })
-    .then(r => r.json())
-    .then(data => {
-      const status = data.status;
+  const provider = getRequestProvider(getCurrentGeneration().retopo_provider);
+  provider.poll('remesh', state.retopoRequestId, getProviderSettings())
+    .then(({ status, error }) => {
       const pct = 10 + (state.repoPollCount / MAX_POLLS) * 70;
 
-      if (status === 'IN_QUEUE' || status === 'IN_PROGRESS') {
+      if (status === PROVIDER_STATUS.QUEUED || status === PROVIDER_STATUS.RUNNING) {
         setStatus(`Remeshing... (${status})`, pct);
-        scheduleRetopoPoll();
-      } else if (status === 'COMPLETED') {
+        scheduleRetopoPoll(provider);
+      } else if (status === PROVIDER_STATUS.COMPLETED) {
         updateCurrentGeneration({ retopo_status: 'completed' });
         setStatus('Loading remeshed model...', 85);
         fetchRetopoResult();
-      } else if (status === 'FAILED') {
-        const reason = data.error || 'Unknown error';
+      } else if (status === PROVIDER_STATUS.FAILED) {
+        const reason = error || 'Unknown error';
         showError('Remesh failed: ' + reason);
-        updateCurrentGeneration({
-          retopo_status: 'failed',
-          retopo_request_id: ''
-        });
-        state.retopoRequestId = '';
-      } else {
-        scheduleRetopoPoll();
+        updateCurrentGeneration({ retopo_status: 'failed' });
+        clearRetopoRequestId();
       }
     })
     .catch(err => {
@@ -1007,11 +1058,11 @@ function pollRetopoStatus() {
     });
 }
 
-function scheduleRetopoPoll() {
+function scheduleRetopoPoll(provider) {
   if (state.retopoPollTimer) clearTimeout(state.retopoPollTimer);
   state.retopoPollTimer = setTimeout(() => {
     pollRetopoStatus();
-  }, POLL_MS);
+  }, provider.pollInterval);
 }
 
 function fetchRetopoResult() {
@@ -1020,27 +1071,16 @@ function fetchRetopoResult() {
     return;
   }
 
-  const url = `${FAL_BASE}/${FAL_REMESH_BASE}/requests/${state.retopoRequestId}`;
-
-  fetch(url, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Key ${state.apiKey}`
-    }
-  })
-    .then(r => r.json())
+  const provider = getRequestProvider(getCurrentGeneration().retopo_provider);
+  provider.fetchResult('remesh', state.retopoRequestId, getProviderSettings())
     .then(data => {
-      if (data.model_glb?.url) {
-        updateCurrentGeneration({
-          retopo_result: data,
-          retopo_glb_url: data.model_glb.url,
-          retopo_request_id: ''
-        });
-        loadRetopoModel(data);
-        state.retopoRequestId = '';
-      } else {
-        showError('No retopo model in response');
-      }
+      updateCurrentGeneration({
+        retopo_result: data,
+        retopo_glb_url: data.model_glb.url,
+        retopo_request_id: ''
+      });
+      loadRetopoModel(data);
+      state.retopoRequestId = '';
     })
     .catch(err => {
       showError('Result fetch error: ' + err.message);
@@ -1086,11 +1126,10 @@ async function loadRetopoModel(result) {
       generationId = gen.id;
       state.generationId = generationId;
     } else if (!generationId) {
-      // If still no ID, find the most recent model in history
-      const history = getHistory();
-      const recentEntry = history
-        .filter(e => e.ai_model === 'hunyuan3d')
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+      // If still no ID, find the most recent model in the library
+      const aiModel = getRequestProvider(gen.provider).aiModel;
+      const recentEntry = (await libraryListGenerations())
+        .find(e => e.ai_model === aiModel);
       if (recentEntry) {
         generationId = recentEntry.id;
         state.generationId = generationId;
@@ -1098,7 +1137,10 @@ async function loadRetopoModel(result) {
     }
 
     if (generationId) {
-      updateGenerationHistory(generationId, {
+      // Keep the file itself: remesh URLs don't live forever
+      await libraryPutBlob(generationId, 'retopo', glbBlob)
+        .catch(showLibraryError);
+      await updateGenerationHistory(generationId, {
         retopo: {
           glb_url: gen.retopo_glb_url || glbUrl,
           vertices: retopoStats.vertices,
@@ -1131,15 +1173,13 @@ function saveRetopoMeshes(meshes) {
   state.retopoMeshes = meshes;
 }
 
-async function loadStoredRetopoModel(result) {
+async function loadStoredRetopoModel() {
   try {
-    const glbUrl = result.model_glb?.url;
-    if (!glbUrl) {
-      console.warn('No GLB URL in retopo result');
+    const glbBlob = await getModelBlob('retopo');
+    if (!glbBlob) {
+      console.warn('No stored retopo model');
       return;
     }
-
-    const glbBlob = await fetch(glbUrl).then(r => r.blob());
     const BABYLON = window.BABYLON;
     BABYLON.FilesInput.FilesToLoad['model_retopo.glb'] = new File([glbBlob], 'model_retopo.glb', { type: 'model/gltf-binary' });
 
@@ -1164,22 +1204,19 @@ async function loadStoredRetopoModel(result) {
 
 async function switchModel(modelType) {
   state.currentModel = modelType;
-
-  let meshesToDisplay = modelType === 'retopo' ? state.retopoMeshes : state.meshes;
-  let meshesToHide = modelType === 'retopo' ? state.meshes : state.retopoMeshes;
+  state.exportBounds = null; // Original and retopo are exported separately
 
   // If switching to original and it's not loaded, load it on demand
-  if (modelType === 'original' && (!meshesToDisplay || meshesToDisplay.length === 0)) {
-    const gen = getCurrentGeneration();
-    const glbUrl = gen.glb_url;
-    if (!glbUrl) {
-      showError('Original model not available');
-      return;
-    }
-
+  if (modelType === 'original' && getModelMeshes('original').length === 0) {
     try {
       setStatus('Loading original model...', 50);
-      const glbBlob = await fetch(glbUrl).then(r => r.blob());
+      const glbBlob = await getModelBlob('model');
+      if (!glbBlob) {
+        clearStatus();
+        showError('Original model not available');
+        return;
+      }
+      state.originalBlob = glbBlob;
       const BABYLON = window.BABYLON;
       BABYLON.FilesInput.FilesToLoad['model.glb'] = new File([glbBlob], 'model.glb', { type: 'model/gltf-binary' });
 
@@ -1191,12 +1228,6 @@ async function switchModel(modelType) {
       );
 
       state.meshes = importResult.meshes.filter(m => m.name !== '__root__');
-      // Hide retopo meshes when showing original
-      if (state.retopoMeshes) {
-        state.retopoMeshes.forEach(mesh => {
-          if (mesh) mesh.isVisible = false;
-        });
-      }
       clearStatus();
     } catch (err) {
       showError('Failed to load original model: ' + err.message);
@@ -1204,19 +1235,18 @@ async function switchModel(modelType) {
     }
   }
 
-  // Re-evaluate meshes in case they were loaded on demand
-  meshesToDisplay = modelType === 'retopo' ? state.retopoMeshes : state.meshes;
-  meshesToHide = modelType === 'retopo' ? state.meshes : state.retopoMeshes;
-
-  if (!meshesToDisplay || meshesToDisplay.length === 0) {
+  const meshesToDisplay = getModelMeshes(modelType);
+  if (meshesToDisplay.length === 0) {
     showError('Model not loaded');
     return;
   }
 
   // Hide meshes we're switching away from
-  meshesToHide.forEach(mesh => {
-    if (mesh) mesh.isVisible = false;
-  });
+  getModelTypes()
+    .filter(type => type !== modelType)
+    .forEach(type => getModelMeshes(type).forEach(mesh => {
+      if (mesh) mesh.isVisible = false;
+    }));
 
   // Show meshes we're switching to
   meshesToDisplay.forEach(mesh => {
@@ -1231,15 +1261,60 @@ async function switchModel(modelType) {
   document.getElementById('canvas-overlay').classList.add('hidden');
 
   // Update button active states
-  const originalBtn = document.getElementById('view-original-btn');
-  const retpoBtn = document.getElementById('view-retopo-btn');
+  document.querySelectorAll('#model-selector-buttons button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.model === modelType && modelType !== 'original');
+  });
+}
 
-  if (modelType === 'original') {
-    originalBtn.classList.remove('active');
-    retpoBtn.classList.remove('active');
-  } else {
-    retpoBtn.classList.add('active');
+function getModelTypes() {
+  return ['original', 'retopo', ...state.lods.map((lod, i) => `lod${i + 1}`)];
+}
+
+function getModelMeshes(modelType) {
+  if (modelType === 'original') return state.meshes || [];
+  if (modelType === 'retopo') return state.retopoMeshes || [];
+  const lod = state.lods[parseInt(modelType.slice(3), 10) - 1];
+  return lod ? lod.meshes : [];
+}
+
+function getModelLabel(modelType) {
+  if (modelType === 'original') return 'Original';
+  if (modelType === 'retopo') return 'Retopologized';
+  return `LOD ${modelType.slice(3)}`;
+}
+
+/**
+ * Vertex and face counts of every loaded version of the model, side by side
+ */
+function renderModelComparison() {
+  const table = document.getElementById('model-compare');
+  const rows = getModelTypes()
+    .filter(type => getModelMeshes(type).length > 0)
+    .map(type => ({ type, stats: calculateModelStats(getModelMeshes(type)) }));
+  if (rows.length < 2) {
+    table.style.display = 'none';
+    return;
   }
+
+  const originalFaces = rows.find(row => row.type === 'original')?.stats.faces;
+  const body = table.querySelector('tbody');
+  body.innerHTML = '';
+  rows.forEach(({ type, stats }) => {
+    const tr = document.createElement('tr');
+    if (type === state.currentModel) tr.className = 'current';
+    [
+      getModelLabel(type),
+      stats.vertices.toLocaleString(),
+      stats.faces.toLocaleString(),
+      originalFaces ? `${Math.round(stats.faces / originalFaces * 100)}%` : '—'
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  table.style.display = 'table';
 }
 
 function setupRetopologyUI() {
@@ -1249,100 +1324,521 @@ function setupRetopologyUI() {
   document.getElementById('view-retopo-btn').addEventListener('click', () => switchModel('retopo'));
 }
 
+// ============================================================================
+// Local Optimization (LODs)
+// ============================================================================
+
+/**
+ * Face targets from the input, largest first; the defaults if it's empty
+ */
+function getLodTargets(originalFaces) {
+  const input = document.getElementById('lod-targets-input');
+  const targets = [...new Set(input.value.split(/[\s,]+/)
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0))]
+    .sort((a, b) => b - a);
+  if (targets.length > 0) return targets;
+
+  const defaults = LOD_DEFAULT_RATIOS.map(ratio => Math.max(1, Math.round(originalFaces * ratio)));
+  input.value = defaults.join(', ');
+  return defaults;
+}
+
+/**
+ * Build LODs from the original model in lod-worker.js
+ * @returns The worker's 'done' message
+ */
+function runLodWorker(glb, targets, weld) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('lod-worker.js');
+
+    function finish(err, result) {
+      worker.terminate();
+      state.lodJob = null;
+      if (err) reject(err);
+      else resolve(result);
+    }
+
+    state.lodJob = {
+      cancel: () => {
+        const err = new Error('Optimization cancelled');
+        err.cancelled = true;
+        finish(err);
+      }
+    };
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        const pct = Math.round((message.level + message.fraction) / targets.length * 100);
+        setStatus(`Optimizing LOD ${message.level + 1} of ${targets.length}...`, pct);
+      } else if (message.type === 'done') {
+        finish(null, message);
+      } else {
+        finish(new Error(message.message));
+      }
+    };
+    worker.onerror = (e) => finish(new Error(e.message || 'Optimization worker failed'));
+    worker.postMessage({ glb, targets, weld }, [glb]);
+  });
+}
+
+function startOptimization() {
+  const originalFaces = calculateModelStats(state.meshes).faces;
+  if (originalFaces === 0) {
+    showError('Load the original model to optimize it');
+    return;
+  }
+  const targets = getLodTargets(originalFaces);
+  if (targets[0] >= originalFaces) {
+    showError(`Face targets must be below the original's ${originalFaces.toLocaleString()} faces`);
+    return;
+  }
+  clearError();
+
+  const btn = document.getElementById('optimize-btn');
+  btn.disabled = true;
+  setStatus('Optimizing...', 0);
+
+  getModelBlob('model')
+    .then(blob => {
+      if (!blob) throw new Error('Original model not available');
+      return blob.arrayBuffer();
+    })
+    .then(glb => runLodWorker(glb, targets, document.getElementById('lod-weld-checkbox').checked))
+    .then(loadLods)
+    .catch(err => {
+      clearStatus();
+      if (err.cancelled) return;
+      console.error('Optimization error:', err);
+      showError('Optimization failed: ' + err.message);
+    })
+    .finally(() => {
+      btn.disabled = false;
+    });
+}
+
+async function loadLods(result) {
+  clearLods();
+  const BABYLON = window.BABYLON;
+  for (const [i, level] of result.levels.entries()) {
+    const fileName = `model_lod${i + 1}.glb`;
+    const blob = new Blob([level.glb], { type: 'model/gltf-binary' });
+    BABYLON.FilesInput.FilesToLoad[fileName] = new File([blob], fileName, { type: 'model/gltf-binary' });
+
+    const importResult = await BABYLON.SceneLoader.ImportMeshAsync(
+      '',
+      'file:',
+      fileName,
+      state.scene
+    );
+
+    const meshes = importResult.meshes.filter(m => m.name !== '__root__');
+    meshes.forEach(mesh => {
+      mesh.isVisible = false;
+    });
+    state.lods.push({ targetFaces: level.targetFaces, blob, meshes });
+  }
+  console.log(`LOD: ✓ built ${state.lods.length} level(s), ${result.welded} vertices welded`);
+
+  setStatus('Complete!', 100);
+  clearStatus();
+
+  renderLodButtons();
+  document.getElementById('model-selector').style.display = 'block';
+  switchModel('lod1');
+}
+
+/**
+ * Drop the LODs, and stop building any (they belong to the model on screen)
+ */
+function clearLods() {
+  if (state.lodJob) {
+    state.lodJob.cancel();
+  }
+  state.lods.forEach(lod => disposeMeshes(lod.meshes));
+  state.lods = [];
+  renderLodButtons();
+  if (state.currentModel.startsWith('lod')) {
+    state.currentModel = 'original';
+  }
+}
+
+function renderLodButtons() {
+  const container = document.getElementById('model-selector-buttons');
+  container.querySelectorAll('.view-lod-btn').forEach(btn => btn.remove());
+  state.lods.forEach((lod, i) => {
+    const btn = document.createElement('button');
+    btn.className = 'view-lod-btn';
+    btn.dataset.model = `lod${i + 1}`;
+    btn.textContent = `LOD ${i + 1}`;
+    btn.title = `Target ${lod.targetFaces.toLocaleString()} faces`;
+    btn.addEventListener('click', () => switchModel(btn.dataset.model));
+    container.appendChild(btn);
+  });
+}
+
+function setupOptimizeUI() {
+  document.getElementById('optimize-btn').addEventListener('click', startOptimization);
+}
+
+// ============================================================================
+// Export to Game
+// ============================================================================
+
+function getExportOptions() {
+  const name = document.getElementById('export-name-input').value.trim();
+  return {
+    id: toVehicleId(name),
+    name: name,
+    targetLength: parseFloat(document.getElementById('export-length-input').value),
+    forwardAxis: document.getElementById('export-forward-select').value,
+    groundOffset: parseFloat(document.getElementById('export-ground-input').value)
+  };
+}
+
+function getExportKind() {
+  return state.currentModel === 'retopo' ? 'retopo' : 'model';
+}
+
+function showExportSection() {
+  document.getElementById('export-section').style.display = 'flex';
+  updateExportPreview();
+}
+
+function hideExportSection() {
+  document.getElementById('export-section').style.display = 'none';
+  state.exportBounds = null;
+  clearExportGuides();
+}
+
+/**
+ * Bounds of the model on screen, read from its GLB once per model
+ */
+async function getExportBounds() {
+  const kind = getExportKind();
+  if (state.exportBounds?.kind !== kind) {
+    const blob = await getModelBlob(kind);
+    if (!blob) throw new Error('No model available');
+    const bounds = getGlbBounds(parseGlb(await blob.arrayBuffer()).gltf);
+    if (!bounds) throw new Error('Model has no geometry');
+    state.exportBounds = { kind, bounds };
+  }
+  return state.exportBounds.bounds;
+}
+
+/**
+ * Show the exported size, and redraw the guides for the current options
+ */
+async function updateExportPreview() {
+  const sizeEl = document.getElementById('export-size');
+  const options = getExportOptions();
+  document.getElementById('export-ground-value').textContent = `${options.groundOffset.toFixed(2)} m`;
+  if (!(options.targetLength > 0)) {
+    sizeEl.textContent = 'Enter a length';
+    return;
+  }
+
+  let bounds;
+  try {
+    bounds = await getExportBounds();
+  } catch (err) {
+    sizeEl.textContent = err.message;
+    return;
+  }
+
+  const transform = computeExportTransform(bounds, options.forwardAxis, options.targetLength, options.groundOffset);
+  const [width, height, length] = transform.size;
+  sizeEl.textContent = `${width.toFixed(2)} × ${height.toFixed(2)} × ${length.toFixed(2)} m (scale ${transform.scale[0].toPrecision(3)})`;
+  // Offsets beyond half the height would bury most of the model
+  document.getElementById('export-ground-input').max = (height / 2).toFixed(2);
+
+  drawExportGuides(bounds, transform.scale[0], options);
+}
+
+function clearExportGuides() {
+  state.exportGuides.forEach(mesh => mesh.dispose());
+  state.exportGuides = [];
+}
+
+/**
+ * Draw where the exported model's front and ground are on the model on
+ * screen: an arrow along the forward axis and a translucent ground plane
+ */
+function drawExportGuides(bounds, exportScale, options) {
+  clearExportGuides();
+  const meshes = getModelMeshes(state.currentModel);
+  if (!document.getElementById('export-guides-checkbox').checked || !meshes.length) return;
+
+  const BABYLON = window.BABYLON;
+  let min = new BABYLON.Vector3(Infinity, Infinity, Infinity);
+  let max = new BABYLON.Vector3(-Infinity, -Infinity, -Infinity);
+  meshes.forEach(mesh => {
+    mesh.computeWorldMatrix(true);
+    const bb = mesh.getBoundingInfo().boundingBox;
+    min = BABYLON.Vector3.Minimize(min, bb.minimumWorld);
+    max = BABYLON.Vector3.Maximize(max, bb.maximumWorld);
+  });
+  const size = max.subtract(min);
+  const center = BABYLON.Vector3.Center(min, max);
+
+  // The display is scaled (fitCameraToMeshes); compare diagonals to map
+  // glTF units onto it
+  const gltfDiag = BABYLON.Vector3.Distance(BABYLON.Vector3.FromArray(bounds.min), BABYLON.Vector3.FromArray(bounds.max));
+  const displayPerUnit = gltfDiag > 0 ? size.length() / gltfDiag : 1;
+
+  // The glTF root converts the model's axes into the scene's
+  let root = meshes[0];
+  while (root.parent) root = root.parent;
+  const forward = BABYLON.Vector3.TransformNormal(
+    BABYLON.Vector3.FromArray(EXPORT_FORWARD_AXES[options.forwardAxis].vector),
+    root.getWorldMatrix()
+  ).normalize();
+
+  const groundY = min.y + (options.groundOffset / exportScale) * displayPerUnit;
+  const ground = BABYLON.MeshBuilder.CreateGround('export-ground', {
+    width: Math.max(size.x, size.z) * 1.5,
+    height: Math.max(size.x, size.z) * 1.5
+  }, state.scene);
+  ground.position = new BABYLON.Vector3(center.x, groundY, center.z);
+  const groundMaterial = new BABYLON.StandardMaterial('export-ground-material', state.scene);
+  groundMaterial.diffuseColor = new BABYLON.Color3(0.29, 0.62, 1);
+  groundMaterial.alpha = 0.3;
+  groundMaterial.backFaceCulling = false;
+  ground.material = groundMaterial;
+  ground.isPickable = false;
+
+  const reach = Math.max(size.x, size.z) * 0.9;
+  const head = reach * 0.15;
+  const side = BABYLON.Vector3.Cross(forward, BABYLON.Axis.Y).scale(head);
+  const start = new BABYLON.Vector3(center.x, groundY, center.z);
+  const tip = start.add(forward.scale(reach));
+  const back = tip.subtract(forward.scale(head));
+  const arrow = BABYLON.MeshBuilder.CreateLines('export-forward', {
+    points: [start, tip, back.add(side), tip, back.subtract(side)]
+  }, state.scene);
+  arrow.color = new BABYLON.Color3(1, 0.8, 0.2);
+  arrow.isPickable = false;
+
+  state.exportGuides = [ground, groundMaterial, arrow];
+}
+
+function exportToGame() {
+  const options = getExportOptions();
+  if (!options.id) {
+    showError('Enter a vehicle name to export');
+    return;
+  }
+  if (!(options.targetLength > 0)) {
+    showError('Enter a length greater than 0');
+    return;
+  }
+  clearError();
+
+  // LODs are built from the original, so they go with it
+  const kind = getExportKind();
+  const lodBlobs = kind === 'model' ? state.lods.map(lod => lod.blob) : [];
+  getModelBlob(kind)
+    .then(blob => {
+      if (!blob) throw new Error('No model available');
+      return exportVehicle(blob, options, lodBlobs);
+    })
+    .then(({ glb, lods, config }) => {
+      saveBlobAs(glb, config.modelFile);
+      lods.forEach((lod, i) => saveBlobAs(lod, config.model.lods[i].file));
+      const json = JSON.stringify(config, null, 2) + '\n';
+      saveBlobAs(new Blob([json], { type: 'application/json' }), `${options.id}.json`);
+      const lodNote = lods.length > 0 ? ` with ${lods.length} LOD(s)` : '';
+      setStatus(`Exported ${config.modelFile}${lodNote} and ${options.id}.json. ` +
+        `Add "${options.id}" to "vehicles" in game/public/vehicles/manifest.json to see it in the garage`);
+    })
+    .catch(err => {
+      showError('Export failed: ' + err.message);
+    });
+}
+
+function setupExportUI() {
+  const forwardSelect = document.getElementById('export-forward-select');
+  Object.entries(EXPORT_FORWARD_AXES).forEach(([value, axis]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = axis.label;
+    forwardSelect.appendChild(option);
+  });
+  document.getElementById('export-length-input').value = EXPORT_DEFAULT_LENGTH;
+
+  // Picking the front or the ground is done by eye, so show the guides
+  [forwardSelect, document.getElementById('export-ground-input')].forEach(el => {
+    el.addEventListener('input', () => {
+      document.getElementById('export-guides-checkbox').checked = true;
+    });
+  });
+  ['export-length-input', 'export-forward-select', 'export-ground-input', 'export-guides-checkbox'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateExportPreview);
+  });
+  document.getElementById('export-btn').addEventListener('click', exportToGame);
+}
+
+// ============================================================================
+// Batch Queue
+// ============================================================================
+
+/**
+ * Queue images with the selected provider and remesh option
+ */
+function queueImages(images) {
+  const provider = getSelectedProvider();
+  if (!checkProviderReady(provider)) {
+    return;
+  }
+  clearError();
+
+  const remesh = document.getElementById('queue-remesh-select').value;
+  enqueueImages(images, provider.id, remesh === 'none' ? null : remesh)
+    .catch(showLibraryError);
+}
+
+function setupQueueUI() {
+  document.getElementById('queue-add-btn').addEventListener('click', () => {
+    // The image in the input zone, e.g. pasted one at a time
+    dataUrlToBlob(state.imageB64)
+      .then(blob => queueImages([{ name: 'Pasted image', blob }]))
+      .catch(err => showError('Failed to queue image: ' + err.message));
+  });
+  document.getElementById('queue-clear-btn').addEventListener('click', clearFinishedJobs);
+  renderQueue();
+}
+
 // ============================================================================
 // Load Model from History
 // ============================================================================
 
-function checkAndLoadHistoryModel() {
+async function checkAndLoadHistoryModel() {
   const loadData = localStorage.getItem('hunyuan3d_load_model');
   if (!loadData) return;
 
   try {
-    const data = JSON.parse(loadData);
+    // The dashboard passes the generation id; the entry is in the library
+    const { id } = JSON.parse(loadData);
     localStorage.removeItem('hunyuan3d_load_model'); // Clear after loading
+    await loadGenerationFromLibrary(id);
+  } catch (err) {
+    console.error('Failed to load history entry:', err);
+  }
+}
 
-    // Reset input zone display when loading from history
-    document.getElementById('input-zone-text').style.display = 'block';
-    document.getElementById('image-preview').style.display = 'none';
-    document.getElementById('glb-loaded-text').style.display = 'none';
-
-    setStatus('Loading model from history...', 10);
-
-    // Load the GLB model - only load retopo for performance
-    async function loadHistoryModel() {
-      try {
-        // Load retopo if available, otherwise original
-        const glbUrl = data.retopo?.glb_url || data.model?.glb_url;
-        if (!glbUrl) {
-          console.warn('No model available in history');
-          return;
-        }
+/**
+ * Replace the model on screen with a finished generation from the library
+ * (the batch queue's Open button)
+ */
+function openGeneration(id) {
+  if (state.requestId || state.retopoRequestId) {
+    showError('Wait for the current generation to finish');
+    return;
+  }
+  clearError();
+  clearStatus();
+  clearScene();
+  (state.retopoMeshes || []).forEach(mesh => mesh.dispose());
+  state.retopoMeshes = [];
+  state.originalBlob = null;
+  state.currentModel = 'original';
+  document.getElementById('model-selector').style.display = 'none';
+  document.getElementById('download-retopo-btn').style.display = 'none';
+  loadGenerationFromLibrary(id).catch(err => {
+    showError('Failed to load model: ' + err.message);
+  });
+}
 
-        const BABYLON = window.BABYLON;
-        const fileName = data.retopo?.glb_url ? 'model_retopo.glb' : 'model.glb';
-
-        // Load model
-        const modelBlob = await fetch(glbUrl).then(r => r.blob());
-        BABYLON.FilesInput.FilesToLoad[fileName] = new File([modelBlob], fileName, { type: 'model/gltf-binary' });
-
-        const result = await BABYLON.SceneLoader.ImportMeshAsync(
-          '',
-          'file:',
-          fileName,
-          state.scene
-        );
-
-        const meshes = result.meshes.filter(m => m.name !== '__root__');
-
-        if (meshes.length > 0) {
-          // Store model URLs in current_generation for retopology access
-          updateCurrentGeneration({
-            glb_url: data.model?.glb_url,
-            retopo_glb_url: data.retopo?.glb_url
-          });
-
-          if (data.retopo?.glb_url) {
-            state.retopoMeshes = meshes;
-            state.currentModel = 'original';
-            switchModel('retopo');
-
-            // Display retopo stats
-            document.getElementById('model-type').textContent = 'Retopologized';
-            document.getElementById('vertex-count').textContent = data.retopo.vertices?.toLocaleString() || '?';
-            document.getElementById('face-count').textContent = data.retopo.faces?.toLocaleString() || '?';
-
-            // Show model selector and download button for retopo
-            document.getElementById('model-selector').style.display = 'block';
-            document.getElementById('download-retopo-btn').style.display = 'block';
-            document.getElementById('retopology-section').style.display = 'none';
-          } else {
-            state.meshes = meshes;
-            fitCameraToMeshes(meshes);
-
-            // Display original stats
-            document.getElementById('model-type').textContent = 'Original';
-            document.getElementById('vertex-count').textContent = data.model.vertices?.toLocaleString() || '?';
-            document.getElementById('face-count').textContent = data.model.faces?.toLocaleString() || '?';
-
-            // Show retopology section for models without retopo
-            document.getElementById('retopology-section').style.display = 'block';
-          }
-
-          document.getElementById('model-stats').style.display = 'block';
-
-          setStatus('Complete!', 100);
-          clearStatus();
-          document.getElementById('canvas-overlay').classList.add('hidden');
-        }
-      } catch (err) {
-        console.error('History model loading error:', err);
-        showError('Failed to load model: ' + err.message);
-      }
+async function loadGenerationFromLibrary(id) {
+  const data = await libraryGetGeneration(id);
+  if (!data) {
+    showError('Generation not found in library');
+    return;
+  }
+
+  // Reset input zone display when loading from history
+  document.getElementById('input-zone-text').style.display = 'block';
+  document.getElementById('image-preview').style.display = 'none';
+  document.getElementById('glb-loaded-text').style.display = 'none';
+
+  setStatus('Loading model from history...', 10);
+
+  // Load the GLB model - only load retopo for performance
+  try {
+    // Point current_generation at the entry, so downloads, retopology
+    // and switching to the original use its library files
+    state.generationId = data.id;
+    state.originalStatsSaved = true;
+    updateCurrentGeneration({
+      generation_id: data.id,
+      provider: data.provider,
+      glb_source: data.source === 'uploaded' ? 'uploaded' : null,
+      glb_url: data.model?.glb_url,
+      retopo_glb_url: data.retopo?.glb_url
+    });
+
+    // Load retopo if available, otherwise original
+    const hasRetopo = !!data.retopo;
+    const modelBlob = await getModelBlob(hasRetopo ? 'retopo' : 'model');
+    if (!modelBlob) {
+      clearStatus();
+      showError('Model file is no longer available');
+      return;
     }
 
-    loadHistoryModel();
+    const BABYLON = window.BABYLON;
+    const fileName = hasRetopo ? 'model_retopo.glb' : 'model.glb';
+
+    // Load model
+    BABYLON.FilesInput.FilesToLoad[fileName] = new File([modelBlob], fileName, { type: 'model/gltf-binary' });
+
+    const result = await BABYLON.SceneLoader.ImportMeshAsync(
+      '',
+      'file:',
+      fileName,
+      state.scene
+    );
+
+    const meshes = result.meshes.filter(m => m.name !== '__root__');
+
+    if (meshes.length > 0) {
+      if (hasRetopo) {
+        state.retopoMeshes = meshes;
+        state.currentModel = 'original';
+        switchModel('retopo');
+
+        // Display retopo stats
+        document.getElementById('model-type').textContent = 'Retopologized';
+        document.getElementById('vertex-count').textContent = data.retopo.vertices?.toLocaleString() || '?';
+        document.getElementById('face-count').textContent = data.retopo.faces?.toLocaleString() || '?';
+
+        // Show model selector and download button for retopo
+        document.getElementById('model-selector').style.display = 'block';
+        document.getElementById('download-retopo-btn').style.display = 'block';
+        document.getElementById('retopology-section').style.display = 'none';
+      } else {
+        state.meshes = meshes;
+        fitCameraToMeshes(meshes);
+
+        // Display original stats
+        document.getElementById('model-type').textContent = 'Original';
+        document.getElementById('vertex-count').textContent = data.model.vertices?.toLocaleString() || '?';
+        document.getElementById('face-count').textContent = data.model.faces?.toLocaleString() || '?';
+
+        // Show retopology section for models without retopo
+        document.getElementById('retopology-section').style.display = 'block';
+      }
+
+      document.getElementById('model-stats').style.display = 'block';
+      showExportSection();
+
+      setStatus('Complete!', 100);
+      clearStatus();
+      document.getElementById('canvas-overlay').classList.add('hidden');
+    }
   } catch (err) {
-    console.error('Failed to parse history load data:', err);
+    console.error('History model loading error:', err);
+    showError('Failed to load model: ' + err.message);
   }
 }
 
@@ -1356,17 +1852,25 @@ function init() {
   setupInputZone();
   setupGenerateButton();
   setupRetopologyUI();
+  setupOptimizeUI();
+  setupQueueUI();
+  setupExportUI();
   initBabylon();
 
-  // Check if loading from history
-  checkAndLoadHistoryModel();
-
-  restoreInFlightRequest();
-
-  // Restore image preview if present
-  if (state.imageB64) {
-    updateImagePreview(state.imageB64);
-  }
+  // Everything restored from before the reload lives in the library
+  initLibrary()
+    .then(() => restoreDraftImage().catch(err => {
+      console.error('Failed to restore image:', err);
+    }))
+    .then(() => {
+      // Check if loading from history
+      checkAndLoadHistoryModel();
+      restoreInFlightRequest();
+      restoreQueue();
+    })
+    .catch(err => {
+      showError('Asset library unavailable: ' + err.message);
+    });
 
   // Setup download button
   document.getElementById('download-btn').addEventListener('click', downloadGLB);
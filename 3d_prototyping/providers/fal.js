@@ -0,0 +1,98 @@
+// ============================================================================
+// fal.ai Provider (Hunyuan 3D generation, Meshy remesh)
+// ============================================================================
+
+const FAL_BASE = 'https://queue.fal.run';
+
+// Submit goes to the full model path, status/result requests to its base
+const FAL_ENDPOINTS = {
+  generate: {
+    model: 'fal-ai/hunyuan3d-v3/image-to-3d',
+    base: 'fal-ai/hunyuan3d'
+  },
+  remesh: {
+    model: 'fal-ai/meshy/v5/remesh',
+    base: 'fal-ai/meshy' // No v5 in status/result paths
+  }
+};
+
+const FAL_STATUS = {
+  IN_QUEUE: PROVIDER_STATUS.QUEUED,
+  IN_PROGRESS: PROVIDER_STATUS.RUNNING,
+  COMPLETED: PROVIDER_STATUS.COMPLETED,
+  FAILED: PROVIDER_STATUS.FAILED
+};
+
+function falRequest(url, apiKey, options = {}) {
+  return fetch(url, {
+    method: options.method || 'GET',
+    headers: {
+      'Authorization': `Key ${apiKey}`,
+      ...(options.body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  }).then(r => r.json());
+}
+
+function falRequestUrl(kind, requestId, suffix = '') {
+  return `${FAL_BASE}/${FAL_ENDPOINTS[kind].base}/requests/${requestId}${suffix}`;
+}
+
+function falRequestBody(kind, input) {
+  if (kind === 'generate') {
+    return {
+      input_image_url: input.imageUrl,
+      enable_pbr: true
+    };
+  }
+  return {
+    model_url: input.modelUrl,
+    target_formats: ['glb'],
+    topology: input.topology,
+    target_polycount: input.targetPolycount
+  };
+}
+
+registerProvider({
+  id: 'fal',
+  label: 'fal.ai',
+  aiModel: 'hunyuan3d',
+  requiresApiKey: true,
+  pollInterval: 3000,
+
+  async submit(kind, input, settings) {
+    const url = `${FAL_BASE}/${FAL_ENDPOINTS[kind].model}`;
+    const data = await falRequest(url, settings.apiKey, {
+      method: 'POST',
+      body: falRequestBody(kind, input)
+    });
+    if (!data.request_id) {
+      console.error('fal.ai submit error detail:', data.detail || data);
+      throw new Error(data.detail || `Failed to start ${kind}`);
+    }
+    return data.request_id;
+  },
+
+  async poll(kind, requestId, settings) {
+    const data = await falRequest(falRequestUrl(kind, requestId, '/status'), settings.apiKey);
+    return {
+      // Unknown statuses count as queued, so the caller keeps polling
+      status: FAL_STATUS[data.status] || PROVIDER_STATUS.QUEUED,
+      error: data.error
+    };
+  },
+
+  async fetchResult(kind, requestId, settings) {
+    const data = await falRequest(falRequestUrl(kind, requestId), settings.apiKey);
+    if (!data.model_glb?.url) {
+      throw new Error('No model URL in response');
+    }
+    return data;
+  },
+
+  async cancel(kind, requestId, settings) {
+    await falRequest(falRequestUrl(kind, requestId, '/cancel'), settings.apiKey, {
+      method: 'PUT'
+    });
+  }
+});
@@ -0,0 +1,69 @@
+// ============================================================================
+// Mock Provider (offline development)
+// ============================================================================
+//
+// Answers every job with a canned GLB from public/mock/, after a short fake
+// queue. Request ids carry their own submit time, so a request survives a
+// page reload just like a real one. Use it to work on the generator, the
+// retopology flow and the dashboard without an API key or network.
+
+const MOCK_RESULTS = {
+  generate: 'mock/model.glb',
+  remesh: 'mock/model_remeshed.glb'
+};
+const MOCK_QUEUE_MS = 1000; // Time spent "in queue"
+const MOCK_RUN_MS = 3000; // Time until the job completes
+
+// A prompt image or model URL containing this fails the job, to test errors
+const MOCK_FAIL_MARKER = 'mock-fail';
+
+function parseMockRequestId(requestId) {
+  const match = /^mock-(generate|remesh)-(\d+)(-fail)?$/.exec(requestId);
+  if (!match) {
+    throw new Error(`Unknown mock request: ${requestId}`);
+  }
+  return { kind: match[1], submittedAt: Number(match[2]), fails: !!match[3] };
+}
+
+registerProvider({
+  id: 'mock',
+  label: 'Mock (offline)',
+  aiModel: 'hunyuan3d', // Stands in for the fal.ai generator
+  requiresApiKey: false,
+  pollInterval: 500,
+
+  async submit(kind, input) {
+    if (!MOCK_RESULTS[kind]) {
+      throw new Error(`Mock provider can't run ${kind}`);
+    }
+    const source = input.imageUrl || input.modelUrl || '';
+    const fails = source.includes(MOCK_FAIL_MARKER);
+    return `mock-${kind}-${Date.now()}${fails ? '-fail' : ''}`;
+  },
+
+  async poll(kind, requestId) {
+    const request = parseMockRequestId(requestId);
+    const elapsed = Date.now() - request.submittedAt;
+    if (elapsed < MOCK_QUEUE_MS) {
+      return { status: PROVIDER_STATUS.QUEUED };
+    }
+    if (elapsed < MOCK_RUN_MS) {
+      return { status: PROVIDER_STATUS.RUNNING };
+    }
+    if (request.fails) {
+      return { status: PROVIDER_STATUS.FAILED, error: 'Mock failure requested' };
+    }
+    return { status: PROVIDER_STATUS.COMPLETED };
+  },
+
+  async fetchResult(kind, requestId) {
+    const request = parseMockRequestId(requestId);
+    // Absolute, so the URL still works when loaded from the dashboard
+    const url = new URL(MOCK_RESULTS[request.kind], window.location.href).href;
+    return { model_glb: { url } };
+  },
+
+  async cancel() {
+    // Nothing runs anywhere, so there is nothing to stop
+  }
+});
@@ -0,0 +1,58 @@
+// ============================================================================
+// Generation Providers
+// ============================================================================
+//
+// A provider is an adapter for a remote (or fake) service that runs the two
+// jobs the generator needs:
+//
+//   'generate'  image -> 3D model   input: { imageUrl }
+//   'remesh'    3D model -> 3D model input: { modelUrl, topology, targetPolycount }
+//
+// Every adapter is a plain object registered with registerProvider():
+//
+//   {
+//     id: 'fal',                     // Stored in settings and history
+//     label: 'fal.ai',               // Shown in the settings modal
+//     aiModel: 'hunyuan3d',          // Written to history entries as ai_model
+//     requiresApiKey: true,
+//     pollInterval: 3000,            // ms between poll() calls
+//     submit(kind, input, settings)         -> Promise<requestId>
+//     poll(kind, requestId, settings)       -> Promise<{ status, error? }>
+//     fetchResult(kind, requestId, settings) -> Promise<{ model_glb: { url } }>
+//     cancel(kind, requestId, settings)     -> Promise<void>
+//   }
+//
+// settings is { apiKey }. poll() returns one of PROVIDER_STATUS, and
+// fetchResult() returns the model URL in the shape the generator stores.
+// Adapters throw an Error with a readable message when a call fails.
+//
+// To add a service, drop an adapter script into providers/ and list it in
+// index.html after this file.
+
+const PROVIDER_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DEFAULT_PROVIDER = 'fal';
+
+const providerRegistry = {};
+
+function registerProvider(provider) {
+  const missing = ['id', 'label', 'submit', 'poll', 'fetchResult', 'cancel']
+    .filter(key => !provider[key]);
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.id || '?'} is missing: ${missing.join(', ')}`);
+  }
+  providerRegistry[provider.id] = provider;
+}
+
+function getProvider(id) {
+  return providerRegistry[id] || providerRegistry[DEFAULT_PROVIDER];
+}
+
+function listProviders() {
+  return Object.values(providerRegistry);
+}
@@ -0,0 +1,423 @@
+// ============================================================================
+// Batch Generation Queue
+// ============================================================================
+//
+// Generates models for many images in the background, next to the single
+// generation on screen. A job moves through:
+//
+//   queued -> generating -> remeshing (if chained) -> done
+//
+// and fails when the provider reports a failure, a step times out, or a
+// transient error (network, provider call) repeats QUEUE_MAX_ATTEMPTS times.
+// Between tries it is 'waiting'.
+//
+// Jobs are kept in sessionStorage, including their provider request ids, and
+// saved after every step: after a reload each job resumes where it was, like
+// restoreInFlightRequest() does for the single generation. A job's source
+// image is stored in the asset library under the job id, which becomes the
+// generation id once the model is saved.
+//
+// Uses the generator's settings through getProviderSettings() (main.js).
+
+const QUEUE_STORAGE_KEY = 'generation_queue';
+const QUEUE_CONCURRENCY = 2; // Jobs running at once
+const QUEUE_MAX_ATTEMPTS = 3; // Tries per job before it fails
+const QUEUE_RETRY_DELAY = 5000; // ms before the first retry, doubled each time
+const QUEUE_STEP_TIMEOUT = 10 * 60 * 1000; // ms a provider request may take
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  GENERATING: 'generating',
+  REMESHING: 'remeshing',
+  WAITING: 'waiting',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Where each kind of request keeps its id and result on the job
+const JOB_REQUEST_FIELDS = {
+  generate: { requestId: 'request_id', resultUrl: 'model_url', status: JOB_STATUS.GENERATING },
+  remesh: { requestId: 'retopo_request_id', resultUrl: 'retopo_url', status: JOB_STATUS.REMESHING }
+};
+
+const queue = {
+  jobs: [],
+  running: new Set() // Ids of jobs being worked on by this page
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function jobError(message, transient) {
+  const err = new Error(message);
+  err.transient = transient;
+  return err;
+}
+
+// Provider calls and downloads fail for reasons that go away (network,
+// rate limits, 5xx), so their errors are worth retrying
+function transient(promise) {
+  return promise.catch(err => {
+    if (err.transient === undefined) err.transient = true;
+    throw err;
+  });
+}
+
+function saveQueue() {
+  try {
+    sessionStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue.jobs));
+  } catch (err) {
+    console.error('Queue: ✗ failed to save:', err);
+  }
+}
+
+function loadQueue() {
+  try {
+    return JSON.parse(sessionStorage.getItem(QUEUE_STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function updateJob(job, updates) {
+  Object.assign(job, updates);
+  saveQueue();
+  renderQueue();
+}
+
+// ----------------------------------------------------------------------------
+// Adding and Removing Jobs
+// ----------------------------------------------------------------------------
+
+function nextJobId() {
+  let id = Date.now();
+  while (queue.jobs.some(job => job.id === id)) id++;
+  return id;
+}
+
+/**
+ * Queue one job per image
+ * @param images [{ name, blob }]
+ * @param topology 'triangle' | 'quad' to remesh each model when done, or null
+ */
+async function enqueueImages(images, providerId, topology) {
+  for (const image of images) {
+    const id = nextJobId();
+    await libraryPutBlob(id, 'image', image.blob);
+    queue.jobs.push({
+      id: id,
+      name: image.name,
+      provider: providerId,
+      topology: topology,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      error: null,
+      request_id: '',
+      model_url: null,
+      model_saved: false,
+      retopo_request_id: '',
+      retopo_url: null,
+      retopo_saved: false,
+      step_started: null
+    });
+  }
+  saveQueue();
+  renderQueue();
+  pumpQueue();
+}
+
+function removeJob(id) {
+  const job = queue.jobs.find(j => j.id === id);
+  if (!job) return;
+
+  job.removed = true; // Its runner stops at the next step
+  queue.jobs = queue.jobs.filter(j => j !== job);
+
+  for (const [kind, fields] of Object.entries(JOB_REQUEST_FIELDS)) {
+    if (job[fields.requestId]) {
+      getProvider(job.provider)
+        .cancel(kind, job[fields.requestId], getProviderSettings())
+        .catch(err => console.warn(`Queue: failed to cancel ${kind} for job ${id}:`, err));
+    }
+  }
+  // Until the model is saved the image belongs to the job alone
+  if (!job.model_saved) {
+    libraryDeleteBlob(id, 'image').catch(err => console.error('Queue: ✗ failed to delete image:', err));
+  }
+
+  saveQueue();
+  renderQueue();
+  pumpQueue();
+}
+
+function retryJob(id) {
+  const job = queue.jobs.find(j => j.id === id);
+  if (!job || job.status !== JOB_STATUS.FAILED) return;
+  updateJob(job, { status: JOB_STATUS.QUEUED, attempts: 0, error: null });
+  pumpQueue();
+}
+
+function clearFinishedJobs() {
+  queue.jobs = queue.jobs.filter(job => job.status !== JOB_STATUS.DONE);
+  saveQueue();
+  renderQueue();
+}
+
+// ----------------------------------------------------------------------------
+// Running Jobs
+// ----------------------------------------------------------------------------
+
+/**
+ * Start jobs until QUEUE_CONCURRENCY are running. Jobs that were already
+ * under way (restored after a reload) go before new ones.
+ */
+function pumpQueue() {
+  const waiting = queue.jobs
+    .filter(job => !queue.running.has(job.id))
+    .filter(job => job.status !== JOB_STATUS.DONE && job.status !== JOB_STATUS.FAILED)
+    .sort((a, b) => (a.status === JOB_STATUS.QUEUED) - (b.status === JOB_STATUS.QUEUED));
+
+  for (const job of waiting) {
+    if (queue.running.size >= QUEUE_CONCURRENCY) break;
+    runJob(job);
+  }
+}
+
+async function runJob(job) {
+  queue.running.add(job.id);
+  try {
+    while (!job.removed && job.status !== JOB_STATUS.DONE) {
+      let delay;
+      try {
+        delay = await advanceJob(job);
+      } catch (err) {
+        if (job.removed) break;
+        const attempts = job.attempts + 1;
+        console.error(`Queue: ✗ job ${job.id} (attempt ${attempts}):`, err);
+
+        if (!err.transient || attempts >= QUEUE_MAX_ATTEMPTS) {
+          updateJob(job, { status: JOB_STATUS.FAILED, attempts: attempts, error: err.message });
+          break;
+        }
+        updateJob(job, { status: JOB_STATUS.WAITING, attempts: attempts, error: err.message });
+        delay = QUEUE_RETRY_DELAY * 2 ** (attempts - 1);
+      }
+      if (delay > 0) await sleep(delay);
+    }
+  } finally {
+    queue.running.delete(job.id);
+    pumpQueue();
+  }
+}
+
+/**
+ * Take the next step of a job: one provider call, download or library write.
+ * @returns ms to wait before the next step
+ */
+async function advanceJob(job) {
+  if (!job.model_url) {
+    return advanceRequest(job, 'generate', async () => {
+      const image = await libraryGetBlob(job.id, 'image');
+      if (!image) throw jobError('Source image is missing from the library', false);
+      return { imageUrl: await blobToDataUrl(image) };
+    });
+  }
+
+  if (!job.model_saved) {
+    await saveJobModel(job, 'model', job.model_url);
+    updateJob(job, { model_saved: true, attempts: 0, error: null });
+    return 0;
+  }
+
+  if (job.topology && !job.retopo_url) {
+    return advanceRequest(job, 'remesh', async () => ({
+      modelUrl: job.model_url,
+      topology: job.topology,
+      targetPolycount: REMESH_TARGET_POLYCOUNT
+    }));
+  }
+
+  if (job.topology && !job.retopo_saved) {
+    await saveJobModel(job, 'retopo', job.retopo_url);
+    updateJob(job, { retopo_saved: true, attempts: 0, error: null });
+    return 0;
+  }
+
+  updateJob(job, { status: JOB_STATUS.DONE, error: null });
+  return 0;
+}
+
+/**
+ * Submit, poll or fetch the result of a job's provider request
+ */
+async function advanceRequest(job, kind, getInput) {
+  const fields = JOB_REQUEST_FIELDS[kind];
+  const provider = getProvider(job.provider);
+  const settings = getProviderSettings();
+
+  if (!job[fields.requestId]) {
+    const input = await getInput();
+    const requestId = await transient(provider.submit(kind, input, settings));
+    if (job.removed) {
+      provider.cancel(kind, requestId, settings).catch(() => {});
+      return 0;
+    }
+    updateJob(job, { status: fields.status, [fields.requestId]: requestId, step_started: Date.now() });
+    return provider.pollInterval;
+  }
+
+  if (job.status !== fields.status) {
+    updateJob(job, { status: fields.status });
+  }
+
+  const { status, error } = await transient(provider.poll(kind, job[fields.requestId], settings));
+
+  if (status === PROVIDER_STATUS.COMPLETED) {
+    const result = await transient(provider.fetchResult(kind, job[fields.requestId], settings));
+    updateJob(job, {
+      [fields.requestId]: '',
+      [fields.resultUrl]: result.model_glb.url,
+      attempts: 0,
+      error: null
+    });
+    return 0;
+  }
+
+  // Neither outcome improves by asking again: a retry submits a new request
+  if (status === PROVIDER_STATUS.FAILED) {
+    updateJob(job, { [fields.requestId]: '' });
+    throw jobError(`${kind === 'generate' ? 'Generation' : 'Remesh'} failed: ${error || 'Unknown error'}`, false);
+  }
+  if (Date.now() - job.step_started > QUEUE_STEP_TIMEOUT) {
+    provider.cancel(kind, job[fields.requestId], settings).catch(() => {});
+    updateJob(job, { [fields.requestId]: '' });
+    throw jobError(`${kind === 'generate' ? 'Generation' : 'Remesh'} timed out`, false);
+  }
+
+  return provider.pollInterval;
+}
+
+/**
+ * Download a finished model into the library and record it on the job's
+ * generation, creating the generation with the original model
+ */
+async function saveJobModel(job, kind, url) {
+  const response = await transient(fetch(url));
+  if (!response.ok) {
+    // A server error may clear up; a missing or expired file won't
+    throw jobError(`Model download failed (${response.status})`, response.status >= 500);
+  }
+  const blob = await response.blob();
+  const stats = await readGlbStats(blob);
+  const info = { glb_url: url, vertices: stats.vertices, faces: stats.faces };
+
+  await libraryPutBlob(job.id, kind, blob);
+  if (kind === 'model') {
+    const provider = getProvider(job.provider);
+    await libraryPutGeneration({
+      id: job.id,
+      timestamp: new Date().toISOString(),
+      ai_model: provider.aiModel,
+      provider: provider.id,
+      source: 'generated',
+      model: info,
+      retopo: null
+    });
+  } else {
+    await libraryUpdateGeneration(job.id, { retopo: info });
+  }
+}
+
+/**
+ * Vertex and triangle counts of a downloaded GLB, without loading it into a
+ * scene
+ */
+async function readGlbStats(blob) {
+  try {
+    return countGlbGeometry(parseGlb(await blob.arrayBuffer()).gltf);
+  } catch (err) {
+    throw jobError(`Downloaded model is unreadable: ${err.message}`, false);
+  }
+}
+
+/**
+ * Resume the jobs saved before a reload. Call once the library is open.
+ */
+function restoreQueue() {
+  queue.jobs = loadQueue();
+  renderQueue();
+  pumpQueue();
+}
+
+// ----------------------------------------------------------------------------
+// Queue UI
+// ----------------------------------------------------------------------------
+
+function describeJob(job) {
+  switch (job.status) {
+    case JOB_STATUS.QUEUED:
+      return 'Queued';
+    case JOB_STATUS.GENERATING:
+      return 'Generating...';
+    case JOB_STATUS.REMESHING:
+      return 'Remeshing...';
+    case JOB_STATUS.WAITING:
+      return `Retrying (${job.attempts + 1}/${QUEUE_MAX_ATTEMPTS})`;
+    case JOB_STATUS.DONE:
+      return job.topology ? 'Done (remeshed)' : 'Done';
+    case JOB_STATUS.FAILED:
+      return 'Failed';
+    default:
+      return job.status;
+  }
+}
+
+function createJobButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'btn btn-secondary queue-job-btn';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function renderQueue() {
+  const section = document.getElementById('queue-list');
+  if (!section) return;
+  section.innerHTML = '';
+
+  queue.jobs.forEach(job => {
+    const item = document.createElement('li');
+    item.className = `queue-job ${job.status}`;
+
+    const name = document.createElement('div');
+    name.className = 'queue-job-name';
+    name.textContent = job.name; // File names go in as text, never markup
+    name.title = job.name;
+
+    const status = document.createElement('div');
+    status.className = 'queue-job-status';
+    status.textContent = describeJob(job);
+    if (job.error) status.title = job.error;
+
+    const actions = document.createElement('div');
+    actions.className = 'queue-job-actions';
+    if (job.status === JOB_STATUS.DONE) {
+      actions.appendChild(createJobButton('Open', () => openGeneration(job.id)));
+    }
+    if (job.status === JOB_STATUS.FAILED) {
+      actions.appendChild(createJobButton('Retry', () => retryJob(job.id)));
+    }
+    actions.appendChild(createJobButton('✕', () => removeJob(job.id)));
+
+    item.append(name, status, actions);
+    section.appendChild(item);
+  });
+
+  const done = queue.jobs.filter(job => job.status === JOB_STATUS.DONE).length;
+  const failed = queue.jobs.filter(job => job.status === JOB_STATUS.FAILED).length;
+  document.getElementById('queue-summary').textContent = queue.jobs.length
+    ? `${done}/${queue.jobs.length} done${failed ? `, ${failed} failed` : ''}`
+    : 'Drop several images to queue them';
+  document.getElementById('queue-clear-btn').style.display = done ? 'block' : 'none';
+}
@@ -0,0 +1,25 @@
+// Bloom: bright areas bleed light into their surroundings
+// textureSampler: output of the previous pass
+
+varying vec2 vUV;
+uniform sampler2D textureSampler;
+uniform vec2 resolution;
+uniform float threshold; // Brightness where glow starts
+uniform float intensity;
+
+void main() {
+    vec4 sceneColor = texture2D(textureSampler, vUV);
+
+    // 5x5 bright-pass blur
+    vec2 texel = 2.0 / resolution;
+    vec3 glow = vec3(0.0);
+    for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+            vec3 neighbour = texture2D(textureSampler, vUV + vec2(float(x), float(y)) * texel).rgb;
+            float brightness = max(neighbour.r, max(neighbour.g, neighbour.b));
+            glow += neighbour * smoothstep(threshold, 1.0, brightness);
+        }
+    }
+
+    gl_FragColor = vec4(sceneColor.rgb + glow / 25.0 * intensity, sceneColor.a);
+}
@@ -0,0 +1,30 @@
+// Color grading: a color matrix followed by a 3D lookup table
+// lut: lutSize slices of lutSize x lutSize laid out horizontally (red along x,
+// green along y, blue picks the slice)
+
+varying vec2 vUV;
+uniform sampler2D textureSampler;
+uniform sampler2D lut;
+uniform float lutSize;
+uniform mat4 colorMatrix;
+uniform float strength; // 0 = original colors, 1 = fully graded
+
+vec3 applyLut(vec3 color) {
+    float blue = color.b * (lutSize - 1.0);
+    float slice0 = floor(blue);
+    float slice1 = min(slice0 + 1.0, lutSize - 1.0);
+
+    // Sample texel centers so neighbouring slices don't bleed in
+    float x = (color.r * (lutSize - 1.0) + 0.5) / (lutSize * lutSize);
+    float y = (color.g * (lutSize - 1.0) + 0.5) / lutSize;
+    vec3 color0 = texture2D(lut, vec2(slice0 / lutSize + x, y)).rgb;
+    vec3 color1 = texture2D(lut, vec2(slice1 / lutSize + x, y)).rgb;
+    return mix(color0, color1, blue - slice0);
+}
+
+void main() {
+    vec4 sceneColor = texture2D(textureSampler, vUV);
+    vec3 color = clamp((colorMatrix * vec4(sceneColor.rgb, 1.0)).rgb, 0.0, 1.0);
+    color = applyLut(color);
+    gl_FragColor = vec4(mix(sceneColor.rgb, color, strength), sceneColor.a);
+}
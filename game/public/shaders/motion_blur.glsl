@@ -0,0 +1,26 @@
+// Motion blur: radial streaks that grow with vehicle speed
+// depthSampler: linear scene depth, used to keep the player's car sharp
+
+varying vec2 vUV;
+uniform sampler2D textureSampler;
+uniform sampler2D depthSampler;
+uniform float speed; // Player speed as a fraction of max speed (0-1)
+uniform float strength;
+uniform float sharpDepth; // Nothing closer than this is blurred
+
+const int SAMPLES = 8;
+
+void main() {
+    vec4 sceneColor = texture2D(textureSampler, vUV);
+    float depth = texture2D(depthSampler, vUV).r;
+    float amount = speed * strength * smoothstep(sharpDepth, sharpDepth * 2.0, depth);
+
+    // Streak away from the screen center, like the world rushing past
+    vec2 direction = (vUV - 0.5) * amount;
+    vec3 color = sceneColor.rgb;
+    for (int i = 1; i < SAMPLES; i++) {
+        color += texture2D(textureSampler, vUV - direction * float(i) / float(SAMPLES)).rgb;
+    }
+
+    gl_FragColor = vec4(color / float(SAMPLES), sceneColor.a);
+}
@@ -0,0 +1,12 @@
+// Vignette: darken and tint the screen edges
+
+varying vec2 vUV;
+uniform sampler2D textureSampler;
+uniform float strength;
+uniform vec3 tint; // Color the edges fade towards
+
+void main() {
+    vec4 sceneColor = texture2D(textureSampler, vUV);
+    float vignette = clamp(1.0 - pow(length(vUV - 0.5), 4.0) * strength, 0.0, 1.0);
+    gl_FragColor = vec4(mix(tint, sceneColor.rgb, vignette), sceneColor.a);
+}
@@ -1,203 +1,336 @@
-import {
-    Scene,
-    Vector3,
-    Quaternion,
-    VertexBuffer,
-    AbstractMesh,
-    SceneLoader,
-    TransformNode,
-} from '@babylonjs/core';
+import { Scene, Vector3, Quaternion } from '@babylonjs/core';
 import { VehicleConfig } from './VehicleConfig';
+import { Vehicle, SurfaceDescriptor } from './Vehicle';
+import { LaneGraph, PathSample } from './LaneGraph';
 
 interface AIVehicle {
-    rootNode: TransformNode;
-    distanceTraveled: number;
-    speed: number;
+    vehicle: Vehicle;
+    route: number[]; // Edge ids: the current edge followed by the branches already chosen
+    progress: number; // Distance along the route of the closest point to the car
+    cruiseSpeed: number;
+    stuckTime: number; // How long the car has been pushing without moving
+    reverseTime: number; // Remaining time backing out after getting stuck
+    pathName?: string; // Path the car keeps to at junctions, if any
+}
+
+/**
+ * Where an AI car enters the lane graph: the start of a named path,
+ * or a junction node (the first branch is picked like any other junction)
+ */
+export type AIPathStart = { path: string } | { nodeId: number };
+
+export interface AISpawnOptions {
+    lateralOffset?: number; // m right of the path to start at (e.g. a grid column)
+    stayOnPath?: boolean; // Keep to the start path at junctions (e.g. a race car)
+}
+
+export interface AIPathFollowerOptions {
+    pathNames?: string[]; // Path meshes, instead of the ai_path_<n> naming
+    surface?: SurfaceDescriptor; // Level surface for the spawned cars
+}
+
+// Pure-pursuit driver tuning
+const LOOK_AHEAD_MIN = 4; // m
+const LOOK_AHEAD_TIME = 0.6; // s of travel added to the look-ahead distance
+const STEER_GAIN = 3;
+const THROTTLE_GAIN = 0.5;
+const MAX_LATERAL_ACCELERATION = 8; // m/s², sets cornering speed
+const HARD_BRAKE_SPEED_ERROR = 8; // m/s over target before using the handbrake
+const SEARCH_WINDOW = 20; // m around the last progress when tracking the car
+const RECOVERY_DISTANCE = 6; // m off the path before re-searching the whole path
+const RECOVERY_SPEED = 4; // m/s while turning back toward the path
+const FOLLOW_DISTANCE = 15; // m ahead to look for traffic
+const LANE_WIDTH = 2.5; // m lateral offset still considered "in front"
+const MIN_GAP = 4; // m to keep to the vehicle ahead
+const FOLLOW_SPEED_GAIN = 1.5; // target speed per metre of gap
+const STUCK_SPEED = 0.5; // m/s
+const STUCK_TIMEOUT = 1.5; // s
+const REVERSE_DURATION = 1.5; // s
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.max(min, Math.min(max, value));
 }
 
 export class AIPathFollower {
     private scene: Scene;
-    private waypoints: Vector3[] = [];
-    private cumulativeDistances: number[] = [];
-    private totalLength: number = 0;
+    private graph: LaneGraph;
+    private random: () => number;
     private aiVehicles: AIVehicle[] = [];
+    private obstacles: Vehicle[] = [];
+    private surface: SurfaceDescriptor | null;
 
-    constructor(scene: Scene) {
+    /**
+     * @param random - Source of randomness for branch choices at junctions
+     */
+    constructor(
+        scene: Scene,
+        random: () => number = Math.random,
+        options: AIPathFollowerOptions = {}
+    ) {
         this.scene = scene;
-        this.extractPath();
+        this.random = random;
+        this.surface = options.surface ?? null;
+        this.graph = LaneGraph.fromScene(scene, options.pathNames);
     }
 
-    private extractPath() {
-        const pathMesh = this.scene.getMeshByName('ai_path') as AbstractMesh;
-        if (!pathMesh) {
-            console.warn('AIPathFollower: no "ai_path" mesh found in scene');
-            return;
+    /**
+     * Spawn an AI-driven Vehicle on the path
+     * @param config - Vehicle config for the AI car
+     * @param cruiseSpeed - Speed the AI aims for on straights
+     * @param startOffset - Distance along the route to spawn at
+     * @param start - Path or junction to start from (defaults to the first path)
+     * @returns The spawned vehicle, or null when there's nowhere to start
+     */
+    async spawnAIVehicle(
+        config: VehicleConfig,
+        cruiseSpeed: number,
+        startOffset: number = 0,
+        start?: AIPathStart,
+        options: AISpawnOptions = {}
+    ): Promise<Vehicle | null> {
+        const startEdge =
+            start && 'nodeId' in start
+                ? this.graph.chooseNextEdge(start.nodeId, this.random)
+                : this.graph.getPathStartEdge(start?.path);
+        if (!startEdge) {
+            console.warn('AIPathFollower: no start edge for AI vehicle');
+            return null;
         }
 
-        const positions = pathMesh.getVerticesData(VertexBuffer.PositionKind);
-        if (!positions || positions.length < 6) {
-            console.warn('AIPathFollower: ai_path has insufficient vertices');
-            return;
-        }
+        const ai: AIVehicle = {
+            vehicle: new Vehicle(
+                this.scene,
+                config,
+                undefined,
+                '/world/vehicles/'
+            ),
+            route: [startEdge.id],
+            progress: Math.max(0, startOffset),
+            cruiseSpeed,
+            stuckTime: 0,
+            reverseTime: 0,
+            pathName: options.stayOnPath ? startEdge.pathName : undefined,
+        };
+        ai.vehicle.setSurface(this.surface);
+        ai.vehicle.enableLods(); // AI cars are often far off: drop detail there
+        this.advanceRoute(ai, 0);
 
-        // Extract vertices as Vector3, applying the mesh's world matrix
-        const worldMatrix = pathMesh.computeWorldMatrix(true);
-        const vertexCount = positions.length / 3;
-        for (let i = 0; i < vertexCount; i++) {
-            const local = new Vector3(
-                positions[i * 3],
-                positions[i * 3 + 1],
-                positions[i * 3 + 2]
-            );
-            const world = Vector3.TransformCoordinates(local, worldMatrix);
-            this.waypoints.push(world);
+        const sample = this.graph.sampleRoute(ai.route, ai.progress);
+        const right = Vector3.Cross(Vector3.Up(), sample.forward).normalize();
+        await ai.vehicle.create(undefined, {
+            position: sample.position.add(
+                right.scale(options.lateralOffset ?? 0)
+            ),
+            rotation: this.rotationFromTangent(sample.forward),
+        });
+
+        this.aiVehicles.push(ai);
+        return ai.vehicle;
+    }
+
+    /**
+     * Register a vehicle the AI cars should avoid running into (e.g. the player)
+     */
+    addObstacle(vehicle: Vehicle) {
+        this.obstacles.push(vehicle);
+    }
+
+    update(deltaTime: number) {
+        for (const ai of this.aiVehicles) {
+            this.driveVehicle(ai, deltaTime);
+            ai.vehicle.update(deltaTime);
         }
+    }
 
-        // Precompute cumulative distances
-        this.cumulativeDistances.push(0);
-        for (let i = 1; i < this.waypoints.length; i++) {
-            const segLen = Vector3.Distance(
-                this.waypoints[i - 1],
-                this.waypoints[i]
-            );
-            this.cumulativeDistances.push(
-                this.cumulativeDistances[i - 1] + segLen
+    /**
+     * Pure-pursuit driver: steer toward a look-ahead point on the spline and
+     * pick a target speed from the curvature ahead and the traffic in front.
+     */
+    private driveVehicle(ai: AIVehicle, deltaTime: number) {
+        const vehicle = ai.vehicle;
+        const position = vehicle.getPosition();
+        const speed = vehicle.getSpeed();
+
+        // Track progress along the route; search the whole graph once knocked far off it
+        const closest = this.graph.findClosestOnRoute(
+            ai.route,
+            position,
+            ai.progress + SEARCH_WINDOW
+        );
+        if (closest.distanceSq > RECOVERY_DISTANCE ** 2) {
+            const recovered = this.graph.findClosestOnGraph(
+                position,
+                ai.pathName
             );
+            ai.route = [recovered.edgeId];
+            ai.progress = recovered.distance;
+        } else {
+            ai.progress = closest.distance;
         }
-        this.totalLength =
-            this.cumulativeDistances[this.cumulativeDistances.length - 1];
 
-        // Hide the path mesh
-        pathMesh.setEnabled(false);
+        const rotation =
+            vehicle.getMesh().rotationQuaternion || Quaternion.Identity();
+        const forward = Vector3.Forward().applyRotationQuaternion(rotation);
+        const right = Vector3.Right().applyRotationQuaternion(rotation);
 
-        // Log first few waypoints for debugging height/position
-        for (let i = 0; i < Math.min(5, this.waypoints.length); i++) {
-            const w = this.waypoints[i];
-            console.log(`  waypoint[${i}]: (${w.x.toFixed(2)}, ${w.y.toFixed(2)}, ${w.z.toFixed(2)})`);
-        }
-        console.log(
-            `AIPathFollower: extracted ${this.waypoints.length} waypoints, total path length: ${this.totalLength.toFixed(2)}`
+        // Steer toward the look-ahead point
+        const lookAhead = LOOK_AHEAD_MIN + Math.abs(speed) * LOOK_AHEAD_TIME;
+        const brakingDistance = lookAhead + Math.abs(speed);
+        this.advanceRoute(ai, brakingDistance);
+        const target = this.sample(ai, lookAhead).position;
+        const toTarget = target.subtract(position);
+        const headingError = Math.atan2(
+            Vector3.Dot(toTarget, right),
+            Vector3.Dot(toTarget, forward)
+        );
+        // Pure pursuit: the arc through the target gives the yaw rate we want.
+        // The vehicle's steer angle is its yaw rate (positive turns right),
+        // and positive steer input turns it left.
+        const desiredYawRate = (speed * 2 * Math.sin(headingError)) / lookAhead;
+        let steer = clamp(
+            (vehicle.getSteerAngle() - desiredYawRate) * STEER_GAIN,
+            -1,
+            1
         );
-    }
 
-    async spawnAIVehicle(config: VehicleConfig, speed: number, startOffset: number = 0) {
-        if (this.waypoints.length < 2) return;
+        // Slow down for the curvature between here and the braking horizon
+        const tangentNow = this.sample(ai, 0).forward;
+        const tangentAhead = this.sample(ai, brakingDistance).forward;
+        const turnAngle = Math.acos(
+            clamp(Vector3.Dot(tangentNow, tangentAhead), -1, 1)
+        );
+        const curvature = turnAngle / brakingDistance;
+        let targetSpeed = Math.min(
+            ai.cruiseSpeed,
+            vehicle.getMaxSpeed(),
+            Math.sqrt(MAX_LATERAL_ACCELERATION / Math.max(curvature, 1e-4))
+        );
 
-        // Load the model directly — bypass Vehicle class to avoid surface detection / height offset
-        const rootNode = new TransformNode(config.id, this.scene);
-        try {
-            const container = await SceneLoader.LoadAssetContainerAsync(
-                '/world/vehicles/',
-                config.modelFile,
-                this.scene
+        // Dead end ahead (an open path): come to a stop at its last vertex
+        const toRouteEnd = this.graph.getRouteLength(ai.route) - ai.progress;
+        const atDeadEnd = toRouteEnd < brakingDistance;
+        if (atDeadEnd) {
+            targetSpeed = Math.min(
+                targetSpeed,
+                Math.max(0, toRouteEnd) * FOLLOW_SPEED_GAIN
             );
-            container.addAllToScene();
-            for (const mesh of container.meshes) {
-                mesh.parent = rootNode;
-            }
-            if (container.meshes.length > 0) {
-                container.meshes[0].rotation.y = config.model.rotationY;
-                container.meshes[0].rotation.z = config.model.rotationZ;
-                const scale = config.model.scale;
-                for (const mesh of container.meshes) {
-                    mesh.scaling.scaleInPlace(scale);
-                }
-            }
-        } catch (error) {
-            console.error(`Failed to load AI vehicle model: ${config.modelFile}`, error);
-            return;
         }
 
-        const ai: AIVehicle = {
-            rootNode,
-            distanceTraveled: startOffset % this.totalLength,
-            speed,
-        };
-        this.aiVehicles.push(ai);
+        // Pointing away from the path (after a spin): crawl around
+        if (Math.abs(headingError) > Math.PI / 2) {
+            targetSpeed = Math.min(targetSpeed, RECOVERY_SPEED);
+        }
 
-        // Position immediately
-        this.positionVehicle(ai);
-    }
+        // Keep a gap to any vehicle directly ahead
+        for (const other of this.getOtherVehicles(vehicle)) {
+            const offset = other.getPosition().subtract(position);
+            const ahead = Vector3.Dot(offset, forward);
+            const lateral = Math.abs(Vector3.Dot(offset, right));
+            if (ahead > 0 && ahead < FOLLOW_DISTANCE && lateral < LANE_WIDTH) {
+                targetSpeed = Math.min(
+                    targetSpeed,
+                    Math.max(0, ahead - MIN_GAP) * FOLLOW_SPEED_GAIN
+                );
+            }
+        }
 
-    update(deltaTime: number) {
-        for (const ai of this.aiVehicles) {
-            ai.distanceTraveled += ai.speed * deltaTime;
-            // Loop
-            if (ai.distanceTraveled >= this.totalLength) {
-                ai.distanceTraveled -= this.totalLength;
+        const speedError = targetSpeed - speed;
+        let accelerate = clamp(speedError * THROTTLE_GAIN, -1, 1);
+        const handbrake = speedError < -HARD_BRAKE_SPEED_ERROR;
+
+        // Stuck against something while trying to drive: back out for a bit
+        if (ai.reverseTime > 0) {
+            ai.reverseTime -= deltaTime;
+            accelerate = -1;
+            steer = -steer;
+        } else if (
+            accelerate > 0 &&
+            !atDeadEnd &&
+            Math.abs(speed) < STUCK_SPEED
+        ) {
+            ai.stuckTime += deltaTime;
+            if (ai.stuckTime > STUCK_TIMEOUT) {
+                ai.stuckTime = 0;
+                ai.reverseTime = REVERSE_DURATION;
             }
-            this.positionVehicle(ai);
+        } else {
+            ai.stuckTime = 0;
         }
+
+        vehicle.setInput(accelerate, steer, handbrake);
     }
 
-    private getWaypoint(index: number): Vector3 {
-        return this.waypoints[index % this.waypoints.length];
+    private getOtherVehicles(self: Vehicle): Vehicle[] {
+        const others = this.aiVehicles
+            .map((ai) => ai.vehicle)
+            .filter((vehicle) => vehicle !== self);
+        return others.concat(this.obstacles);
     }
 
-    private positionVehicle(ai: AIVehicle) {
-        const d = ai.distanceTraveled;
-        const n = this.waypoints.length;
-
-        // Find the segment we're on via binary search
-        let lo = 0;
-        let hi = this.cumulativeDistances.length - 1;
-        while (lo < hi - 1) {
-            const mid = (lo + hi) >> 1;
-            if (this.cumulativeDistances[mid] <= d) {
-                lo = mid;
-            } else {
-                hi = mid;
-            }
+    /**
+     * Drop edges the car has finished and pick branches at upcoming junctions
+     * so the route extends at least lookAhead past the car
+     */
+    private advanceRoute(ai: AIVehicle, lookAhead: number) {
+        let routeLength = this.graph.getRouteLength(ai.route);
+        while (routeLength < ai.progress + lookAhead) {
+            const last = this.graph.getEdge(ai.route[ai.route.length - 1]);
+            const next = this.graph.chooseNextEdge(
+                last.to,
+                this.random,
+                ai.pathName
+            );
+            if (!next) break;
+            ai.route.push(next.id);
+            routeLength += next.length;
         }
 
-        const i1 = lo;
-        const i2 = (i1 + 1) % n;
-        const i0 = (i1 - 1 + n) % n;
-        const i3 = (i1 + 2) % n;
-        const segLength =
-            this.cumulativeDistances[Math.min(i1 + 1, this.cumulativeDistances.length - 1)] -
-            this.cumulativeDistances[i1];
-        const t =
-            segLength > 0
-                ? (d - this.cumulativeDistances[i1]) / segLength
-                : 0;
-
-        // Catmull-Rom spline through 4 points: curve goes from P1 to P2 as t: 0→1
-        const p0 = this.getWaypoint(i0);
-        const p1 = this.getWaypoint(i1);
-        const p2 = this.getWaypoint(i2);
-        const p3 = this.getWaypoint(i3);
-
-        const t2 = t * t;
-        const t3 = t2 * t;
-
-        // P(t) = 0.5 * ((2*P1) + (-P0+P2)*t + (2*P0-5*P1+4*P2-P3)*t² + (-P0+3*P1-3*P2+P3)*t³)
-        const position = p1.scale(2)
-            .add(p2.subtract(p0).scale(t))
-            .add(p0.scale(2).subtract(p1.scale(5)).add(p2.scale(4)).subtract(p3).scale(t2))
-            .add(p0.scale(-1).add(p1.scale(3)).subtract(p2.scale(3)).add(p3).scale(t3))
-            .scale(0.5);
-
-        // Tangent: P'(t) = 0.5 * ((-P0+P2) + 2*(2*P0-5*P1+4*P2-P3)*t + 3*(-P0+3*P1-3*P2+P3)*t²)
-        const forward = p2.subtract(p0)
-            .add(p0.scale(2).subtract(p1.scale(5)).add(p2.scale(4)).subtract(p3).scale(2 * t))
-            .add(p0.scale(-1).add(p1.scale(3)).subtract(p2.scale(3)).add(p3).scale(3 * t2))
-            .scale(0.5)
-            .normalize();
-
-        // Yaw (left/right) and pitch (up/down) from the tangent vector
+        while (
+            ai.route.length > 1 &&
+            ai.progress > this.graph.getEdge(ai.route[0]).length
+        ) {
+            ai.progress -= this.graph.getEdge(ai.route[0]).length;
+            ai.route.shift();
+        }
+    }
+
+    /**
+     * Sample the route at a distance ahead of the car's progress
+     */
+    private sample(ai: AIVehicle, ahead: number): PathSample {
+        return this.graph.sampleRoute(ai.route, ai.progress + ahead);
+    }
+
+    /**
+     * Orientation facing along a path tangent: yaw (left/right) and pitch (up/down)
+     */
+    private rotationFromTangent(forward: Vector3): Quaternion {
         const yaw = Math.atan2(forward.x, forward.z);
         const pitch = -Math.asin(Math.max(-1, Math.min(1, forward.y)));
-
-        ai.rootNode.position = position;
-        ai.rootNode.rotationQuaternion = Quaternion.RotationYawPitchRoll(yaw, pitch, 0);
+        return Quaternion.RotationYawPitchRoll(yaw, pitch, 0);
     }
 
     isReady(): boolean {
-        return this.waypoints.length >= 2;
+        return !this.graph.isEmpty();
+    }
+
+    /**
+     * Length of a named path (defaults to the first one)
+     */
+    getTotalLength(pathName?: string): number {
+        return this.graph.getPathLength(pathName);
+    }
+
+    getLaneGraph(): LaneGraph {
+        return this.graph;
     }
 
-    getTotalLength(): number {
-        return this.totalLength;
+    /**
+     * The AI cars, or only those keeping to one path
+     */
+    getVehicles(pathName?: string): Vehicle[] {
+        return this.aiVehicles
+            .filter((ai) => pathName === undefined || ai.pathName === pathName)
+            .map((ai) => ai.vehicle);
     }
 }
@@ -0,0 +1,462 @@
+import {
+    Scene,
+    Vector3,
+    Quaternion,
+    FreeCamera,
+    TransformNode,
+} from '@babylonjs/core';
+import { Vehicle } from './Vehicle';
+
+/**
+ * Where the camera is, what it looks at and which way is up
+ */
+export interface CameraPose {
+    position: Vector3;
+    target: Vector3;
+    up: Vector3;
+}
+
+/**
+ * A camera behaviour. Rigs work in the followed vehicle's own frame, so they
+ * keep working on the planet surface where "up" changes with position.
+ */
+export interface CameraRig {
+    readonly name: string;
+    /**
+     * Whether the rig can be used in this scene (e.g. it needs anchors)
+     */
+    isAvailable(): boolean;
+    /**
+     * Called when the rig becomes active, with the current camera pose
+     */
+    activate(pose: CameraPose): void;
+    /**
+     * Called when another rig takes over
+     */
+    deactivate?(): void;
+    update(deltaTime: number, vehicle: Vehicle): CameraPose;
+    /**
+     * Remove anything the rig hooked into the page
+     */
+    dispose?(): void;
+}
+
+export const DEFAULT_CAMERA_OFFSETS = {
+    distance: 13,
+    height: 3.5,
+    lookHeight: 2,
+    cockpitOffset: [0, 1.2, 0.4] as [number, number, number],
+};
+
+const RIG_BLEND_DURATION = 0.6; // s
+
+/**
+ * Position and axes of a vehicle in world space
+ */
+function getVehicleFrame(vehicle: Vehicle) {
+    const mesh = vehicle.getMesh();
+    const rotation = mesh.absoluteRotationQuaternion ?? Quaternion.Identity();
+    const up = new Vector3();
+    const forward = new Vector3();
+    Vector3.Up().rotateByQuaternionToRef(rotation, up);
+    Vector3.Forward().rotateByQuaternionToRef(rotation, forward);
+    return { position: mesh.getAbsolutePosition().clone(), up, forward };
+}
+
+function getCameraOffsets(vehicle: Vehicle) {
+    return { ...DEFAULT_CAMERA_OFFSETS, ...vehicle.getConfig().camera };
+}
+
+/**
+ * Third-person camera trailing behind the vehicle. It tightens its follow as
+ * the vehicle speeds up and drifts lazily when parked.
+ */
+export class ChaseCameraRig implements CameraRig {
+    readonly name = 'chase';
+    private position: Vector3 | null = null;
+
+    isAvailable(): boolean {
+        return true;
+    }
+
+    activate(pose: CameraPose) {
+        this.position = pose.position.clone();
+    }
+
+    update(deltaTime: number, vehicle: Vehicle): CameraPose {
+        const frame = getVehicleFrame(vehicle);
+        const offsets = getCameraOffsets(vehicle);
+        const desired = frame.position
+            .add(frame.forward.scale(-offsets.distance))
+            .add(frame.up.scale(offsets.height));
+
+        // Per-frame lerp tuned at 60 fps, made frame-rate independent
+        const smoothFactor = Math.min(1, Math.abs(vehicle.getSpeed()) / 3);
+        const lerpSpeed = 0.001 + smoothFactor * 0.08;
+        const blend = 1 - Math.pow(1 - lerpSpeed, deltaTime * 60);
+        this.position = this.position
+            ? Vector3.Lerp(this.position, desired, blend)
+            : desired;
+
+        return {
+            position: this.position.clone(),
+            target: frame.position.add(frame.up.scale(offsets.lookHeight)),
+            up: frame.up,
+        };
+    }
+}
+
+/**
+ * First-person camera fixed to the vehicle at the configured cockpit offset
+ */
+export class CockpitCameraRig implements CameraRig {
+    readonly name = 'cockpit';
+
+    isAvailable(): boolean {
+        return true;
+    }
+
+    activate() {}
+
+    update(_deltaTime: number, vehicle: Vehicle): CameraPose {
+        const mesh = vehicle.getMesh();
+        const frame = getVehicleFrame(vehicle);
+        const offset = Vector3.FromArray(
+            getCameraOffsets(vehicle).cockpitOffset
+        );
+        const position = Vector3.TransformCoordinates(
+            offset,
+            mesh.computeWorldMatrix(true)
+        );
+        return {
+            position,
+            target: position.add(frame.forward.scale(10)),
+            up: frame.up,
+        };
+    }
+}
+
+/**
+ * Free camera circling the vehicle for inspecting models.
+ * Drag on the canvas to orbit, scroll to zoom.
+ */
+export class OrbitCameraRig implements CameraRig {
+    readonly name = 'orbit';
+    private yaw: number = Math.PI; // Start behind the vehicle
+    private pitch: number = 0.35;
+    private radius: number = 10;
+    private dragging: boolean = false;
+    private active: boolean = false;
+    private canvas: HTMLCanvasElement | null = null;
+
+    constructor(canvas?: HTMLCanvasElement | null) {
+        if (canvas) this.attachControls(canvas);
+    }
+
+    private attachControls(canvas: HTMLCanvasElement) {
+        this.canvas = canvas;
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    }
+
+    private onPointerDown = () => {
+        this.dragging = this.active;
+    };
+
+    private onPointerUp = () => {
+        this.dragging = false;
+    };
+
+    private onPointerMove = (event: PointerEvent) => {
+        if (!this.dragging) return;
+        this.rotate(event.movementX * 0.008, event.movementY * 0.008);
+    };
+
+    private onWheel = (event: WheelEvent) => {
+        if (!this.active) return;
+        event.preventDefault();
+        this.zoom(Math.exp(event.deltaY * 0.001));
+    };
+
+    dispose() {
+        window.removeEventListener('pointerup', this.onPointerUp);
+        const canvas = this.canvas;
+        if (!canvas) return;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        canvas.removeEventListener('pointermove', this.onPointerMove);
+        canvas.removeEventListener('wheel', this.onWheel);
+        this.canvas = null;
+    }
+
+    rotate(deltaYaw: number, deltaPitch: number) {
+        this.yaw += deltaYaw;
+        this.pitch = Math.max(-0.2, Math.min(1.4, this.pitch + deltaPitch));
+    }
+
+    zoom(factor: number) {
+        this.radius = Math.max(2, Math.min(60, this.radius * factor));
+    }
+
+    isAvailable(): boolean {
+        return true;
+    }
+
+    activate() {
+        this.active = true;
+    }
+
+    deactivate() {
+        this.active = false;
+        this.dragging = false;
+    }
+
+    update(_deltaTime: number, vehicle: Vehicle): CameraPose {
+        const frame = getVehicleFrame(vehicle);
+        const right = Vector3.Cross(frame.up, frame.forward).normalize();
+
+        // Spherical coordinates in the vehicle's frame
+        const horizontal = frame.forward
+            .scale(Math.cos(this.yaw))
+            .add(right.scale(Math.sin(this.yaw)));
+        const direction = horizontal
+            .scale(Math.cos(this.pitch))
+            .add(frame.up.scale(Math.sin(this.pitch)));
+
+        return {
+            position: frame.position.add(direction.scale(this.radius)),
+            target: frame.position.clone(),
+            up: frame.up,
+        };
+    }
+}
+
+/**
+ * Trackside camera that cuts between camera_anchor* nodes in the scene,
+ * always filming from the anchor nearest to the vehicle
+ */
+export class CinematicCameraRig implements CameraRig {
+    readonly name = 'cinematic';
+    private anchors: TransformNode[];
+    private currentAnchor: TransformNode | null = null;
+    private shotTime: number = 0;
+    private minShotDuration: number;
+
+    /**
+     * @param minShotDuration - Seconds to hold a shot before cutting
+     */
+    constructor(scene: Scene, minShotDuration: number = 2) {
+        this.minShotDuration = minShotDuration;
+        const nodes: TransformNode[] = [
+            ...scene.transformNodes,
+            ...scene.meshes,
+        ];
+        this.anchors = nodes
+            .filter((node) => /^camera_anchor/.test(node.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (this.anchors.length > 0) {
+            console.log(
+                `CinematicCameraRig: ${this.anchors.length} camera anchors`
+            );
+        }
+    }
+
+    isAvailable(): boolean {
+        return this.anchors.length > 0;
+    }
+
+    activate() {
+        this.currentAnchor = null;
+        this.shotTime = 0;
+    }
+
+    getCurrentAnchor(): TransformNode | null {
+        return this.currentAnchor;
+    }
+
+    update(deltaTime: number, vehicle: Vehicle): CameraPose {
+        const frame = getVehicleFrame(vehicle);
+        this.shotTime += deltaTime;
+
+        const nearest = this.findNearestAnchor(frame.position);
+        if (
+            !this.currentAnchor ||
+            (nearest !== this.currentAnchor &&
+                this.shotTime >= this.minShotDuration)
+        ) {
+            this.currentAnchor = nearest;
+            this.shotTime = 0;
+        }
+
+        return {
+            position: this.currentAnchor!.getAbsolutePosition().clone(),
+            target: frame.position,
+            up: frame.up,
+        };
+    }
+
+    private findNearestAnchor(position: Vector3): TransformNode {
+        let nearest = this.anchors[0];
+        let nearestDistance = Infinity;
+        for (const anchor of this.anchors) {
+            const distance = Vector3.DistanceSquared(
+                anchor.getAbsolutePosition(),
+                position
+            );
+            if (distance < nearestDistance) {
+                nearest = anchor;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+}
+
+/**
+ * CameraSystem drives a camera with one of several rigs and blends smoothly
+ * when switching between them
+ */
+export class CameraSystem {
+    private camera: FreeCamera;
+    private rigs: CameraRig[];
+    private activeRig: CameraRig;
+    private vehicle: Vehicle | null = null;
+    private blendFrom: CameraPose | null = null;
+    private blendTime: number = 0;
+    private cycleKey: string;
+    private onKeyDown = (event: KeyboardEvent) => {
+        if (event.code === this.cycleKey) {
+            this.nextRig();
+        }
+    };
+
+    /**
+     * @param rigs - Available rigs; the first one starts active
+     * @param cycleKey - KeyboardEvent.code that switches to the next rig
+     */
+    constructor(
+        camera: FreeCamera,
+        rigs: CameraRig[],
+        cycleKey: string = 'KeyC'
+    ) {
+        this.camera = camera;
+        this.rigs = rigs;
+        this.activeRig = rigs[0];
+        this.activeRig.activate(this.getCurrentPose());
+        this.cycleKey = cycleKey;
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    /**
+     * Default rig set: chase, cockpit, orbit and (with anchors) cinematic
+     * @param canvas - Canvas that drives the orbit rig, if any
+     */
+    static createDefault(
+        camera: FreeCamera,
+        canvas?: HTMLCanvasElement | null,
+        cycleKey?: string
+    ): CameraSystem {
+        return new CameraSystem(
+            camera,
+            [
+                new ChaseCameraRig(),
+                new CockpitCameraRig(),
+                new OrbitCameraRig(canvas),
+                new CinematicCameraRig(camera.getScene()),
+            ],
+            cycleKey
+        );
+    }
+
+    setVehicle(vehicle: Vehicle | null) {
+        this.vehicle = vehicle;
+    }
+
+    getRig(name: string): CameraRig | undefined {
+        return this.rigs.find((rig) => rig.name === name);
+    }
+
+    getRigName(): string {
+        return this.activeRig.name;
+    }
+
+    /**
+     * Switch rig, blending from the current view
+     */
+    setRig(name: string) {
+        const rig = this.getRig(name);
+        if (!rig) {
+            throw new Error(`Unknown camera rig: ${name}`);
+        }
+        if (rig === this.activeRig || !rig.isAvailable()) return;
+
+        this.activeRig.deactivate?.();
+        const pose = this.getCurrentPose();
+        this.blendFrom = pose;
+        this.blendTime = 0;
+        this.activeRig = rig;
+        rig.activate(pose);
+        console.log(`CameraSystem: switched to ${name} camera`);
+    }
+
+    /**
+     * Switch to the next available rig
+     */
+    nextRig() {
+        const index = this.rigs.indexOf(this.activeRig);
+        for (let i = 1; i < this.rigs.length; i++) {
+            const rig = this.rigs[(index + i) % this.rigs.length];
+            if (rig.isAvailable()) {
+                this.setRig(rig.name);
+                return;
+            }
+        }
+    }
+
+    private getCurrentPose(): CameraPose {
+        return {
+            position: this.camera.position.clone(),
+            target: this.camera.getTarget().clone(),
+            up: this.camera.upVector.clone(),
+        };
+    }
+
+    update(deltaTime: number) {
+        if (!this.vehicle) return;
+
+        let pose = this.activeRig.update(deltaTime, this.vehicle);
+        if (this.blendFrom) {
+            this.blendTime += deltaTime;
+            const t = Math.min(1, this.blendTime / RIG_BLEND_DURATION);
+            pose = blendPoses(this.blendFrom, pose, t * t * (3 - 2 * t));
+            if (t >= 1) this.blendFrom = null;
+        }
+
+        this.camera.position = pose.position;
+        this.camera.upVector = pose.up;
+        this.camera.setTarget(pose.target);
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        for (const rig of this.rigs) rig.dispose?.();
+    }
+}
+
+/**
+ * Interpolate between two poses, keeping up a unit vector
+ */
+export function blendPoses(
+    from: CameraPose,
+    to: CameraPose,
+    t: number
+): CameraPose {
+    const up = Vector3.Lerp(from.up, to.up, t);
+    return {
+        position: Vector3.Lerp(from.position, to.position, t),
+        target: Vector3.Lerp(from.target, to.target, t),
+        // Opposite ups (e.g. cutting across the planet) lerp through zero
+        up: up.lengthSquared() > 1e-6 ? up.normalize() : to.up.clone(),
+    };
+}
@@ -7,6 +7,7 @@ export interface PhysicsBody {
     velocity: Vector3;
     mass: number;
     position: Vector3;
+    restitution?: number; // Per-body bounciness, overrides the configured default
 }
 
 /**
@@ -100,7 +101,11 @@ export class CollisionPhysics {
         const isApproaching = velocityAlongNormal > 0;
 
         // Calculate impulse magnitude using coefficient of restitution
-        const e = this.restitution;
+        // (the average of both bodies' values when they provide one)
+        const e =
+            ((body1.restitution ?? this.restitution) +
+                (body2.restitution ?? this.restitution)) /
+            2;
         const j = (-(1 + e) * velocityAlongNormal) / (1 / m1 + 1 / m2);
 
         // Apply impulse to both bodies
@@ -0,0 +1,357 @@
+import {
+    Scene,
+    Vector3,
+    Matrix,
+    TransformNode,
+    AbstractMesh,
+} from '@babylonjs/core';
+import { Vehicle } from './Vehicle';
+import { CollisionPhysics, PhysicsBody } from './CollisionPhysics';
+
+/**
+ * Oriented bounding box in world space
+ */
+export interface OrientedBox {
+    center: Vector3;
+    axes: [Vector3, Vector3, Vector3]; // Unit axes (local X, Y, Z in world space)
+    halfSizes: [number, number, number]; // Half extents along each axis
+}
+
+/**
+ * Contact between two boxes. Normal points from box A to box B.
+ */
+export interface Contact {
+    normal: Vector3;
+    depth: number;
+}
+
+interface LocalBox {
+    center: Vector3;
+    halfSize: Vector3;
+}
+
+// Penetration depth above which bodies are considered stuck inside each other
+const INTERPENETRATION_DEPTH = 0.5;
+
+/**
+ * Build a world-space oriented box from a local-space box and a world matrix.
+ * Scaling in the world matrix is folded into the half sizes.
+ */
+export function createOrientedBox(
+    localCenter: Vector3,
+    localHalfSize: Vector3,
+    worldMatrix: Matrix
+): OrientedBox {
+    const localAxes = [Vector3.Right(), Vector3.Up(), Vector3.Forward()];
+    const localHalf = [localHalfSize.x, localHalfSize.y, localHalfSize.z];
+
+    const axes: Vector3[] = [];
+    const halfSizes: number[] = [];
+    for (let i = 0; i < 3; i++) {
+        const axis = Vector3.TransformNormal(localAxes[i], worldMatrix);
+        const scale = axis.length();
+        axes.push(scale > 0 ? axis.scale(1 / scale) : localAxes[i]);
+        halfSizes.push(localHalf[i] * scale);
+    }
+
+    return {
+        center: Vector3.TransformCoordinates(localCenter, worldMatrix),
+        axes: axes as [Vector3, Vector3, Vector3],
+        halfSizes: halfSizes as [number, number, number],
+    };
+}
+
+/**
+ * Separating axis test between two oriented boxes.
+ * Returns the axis of minimum penetration, or null if the boxes don't overlap.
+ */
+export function intersectOrientedBoxes(
+    a: OrientedBox,
+    b: OrientedBox
+): Contact | null {
+    const delta = b.center.subtract(a.center);
+
+    // 3 face axes of A, 3 face axes of B, 9 edge-edge cross products
+    const candidates: Vector3[] = [...a.axes, ...b.axes];
+    for (const axisA of a.axes) {
+        for (const axisB of b.axes) {
+            candidates.push(Vector3.Cross(axisA, axisB));
+        }
+    }
+
+    let bestDepth = Infinity;
+    let bestAxis: Vector3 | null = null;
+
+    for (const candidate of candidates) {
+        const length = candidate.length();
+        // Parallel edges produce a degenerate cross product — already covered by face axes
+        if (length < 1e-6) continue;
+        const axis = candidate.scale(1 / length);
+
+        const radiusA = projectRadius(a, axis);
+        const radiusB = projectRadius(b, axis);
+        const distance = Vector3.Dot(delta, axis);
+        const overlap = radiusA + radiusB - Math.abs(distance);
+
+        if (overlap <= 0) {
+            return null;
+        }
+
+        if (overlap < bestDepth) {
+            bestDepth = overlap;
+            bestAxis = distance < 0 ? axis.scale(-1) : axis;
+        }
+    }
+
+    if (!bestAxis) return null;
+
+    return { normal: bestAxis, depth: bestDepth };
+}
+
+function projectRadius(box: OrientedBox, axis: Vector3): number {
+    return (
+        Math.abs(Vector3.Dot(box.axes[0], axis)) * box.halfSizes[0] +
+        Math.abs(Vector3.Dot(box.axes[1], axis)) * box.halfSizes[1] +
+        Math.abs(Vector3.Dot(box.axes[2], axis)) * box.halfSizes[2]
+    );
+}
+
+function boundingRadius(box: OrientedBox): number {
+    return Math.hypot(box.halfSizes[0], box.halfSizes[1], box.halfSizes[2]);
+}
+
+/**
+ * CollisionSystem detects contacts each frame between vehicles (player and
+ * AI cars) and static scene meshes, and feeds them into CollisionPhysics.
+ *
+ * Static colliders are meshes in the scene whose name starts with "collider"
+ * or that carry a `collider: true` glTF extra.
+ */
+export class CollisionSystem {
+    private physics: CollisionPhysics;
+    private vehicles: Vehicle[] = [];
+    private staticBoxes: OrientedBox[] = [];
+    private localBoxCache: Map<TransformNode, LocalBox | null> = new Map();
+
+    constructor(physics: CollisionPhysics = new CollisionPhysics()) {
+        this.physics = physics;
+    }
+
+    /**
+     * Collect tagged static collider meshes from the scene
+     */
+    addStaticCollidersFromScene(scene: Scene) {
+        let count = 0;
+        for (const mesh of scene.meshes) {
+            if (!this.isStaticCollider(mesh)) continue;
+            this.addStaticMesh(mesh);
+            count++;
+        }
+        console.log(`CollisionSystem: registered ${count} static colliders`);
+    }
+
+    addStaticMesh(mesh: AbstractMesh) {
+        const boundingBox = mesh.getBoundingInfo().boundingBox;
+        this.staticBoxes.push(
+            createOrientedBox(
+                boundingBox.center,
+                boundingBox.extendSize,
+                mesh.computeWorldMatrix(true)
+            )
+        );
+    }
+
+    addVehicle(vehicle: Vehicle) {
+        this.vehicles.push(vehicle);
+    }
+
+    removeVehicle(vehicle: Vehicle) {
+        this.vehicles = this.vehicles.filter((other) => other !== vehicle);
+        this.localBoxCache.delete(vehicle.getMesh());
+    }
+
+    /**
+     * Detect and resolve all contacts for this frame
+     */
+    update() {
+        const vehicleBoxes = this.vehicles.map((vehicle) =>
+            this.getNodeBox(vehicle.getMesh())
+        );
+
+        for (let i = 0; i < this.vehicles.length; i++) {
+            const boxA = vehicleBoxes[i];
+            if (!boxA) continue;
+
+            // Vehicle vs vehicle
+            for (let j = i + 1; j < this.vehicles.length; j++) {
+                const boxB = vehicleBoxes[j];
+                const contact = boxB && this.testBoxes(boxA, boxB);
+                if (contact) {
+                    this.resolveVehicleContact(
+                        this.vehicles[i],
+                        this.vehicles[j],
+                        contact
+                    );
+                }
+            }
+
+            // Vehicle vs static scenery
+            for (const staticBox of this.staticBoxes) {
+                const contact = this.testBoxes(boxA, staticBox);
+                if (contact) {
+                    this.resolveStaticContact(this.vehicles[i], contact);
+                }
+            }
+        }
+    }
+
+    private isStaticCollider(mesh: AbstractMesh): boolean {
+        if (mesh.getTotalVertices() === 0) return false;
+        if (mesh.name.startsWith('collider')) return true;
+        return mesh.metadata?.gltf?.extras?.collider === true;
+    }
+
+    private testBoxes(a: OrientedBox, b: OrientedBox): Contact | null {
+        // Cheap bounding sphere rejection before the full separating axis test
+        const maxDistance = boundingRadius(a) + boundingRadius(b);
+        if (Vector3.DistanceSquared(a.center, b.center) > maxDistance ** 2) {
+            return null;
+        }
+        return intersectOrientedBoxes(a, b);
+    }
+
+    /**
+     * Get the world-space box of a node hierarchy (e.g. a loaded GLB).
+     * The local-space extents are computed once and cached.
+     */
+    private getNodeBox(node: TransformNode): OrientedBox | null {
+        if (!this.localBoxCache.has(node)) {
+            this.localBoxCache.set(node, this.computeLocalBox(node));
+        }
+        const localBox = this.localBoxCache.get(node);
+        if (!localBox) return null;
+
+        return createOrientedBox(
+            localBox.center,
+            localBox.halfSize,
+            node.computeWorldMatrix(true)
+        );
+    }
+
+    private computeLocalBox(node: TransformNode): LocalBox | null {
+        const inverseWorld = node.computeWorldMatrix(true).clone().invert();
+        const min = new Vector3(Infinity, Infinity, Infinity);
+        const max = new Vector3(-Infinity, -Infinity, -Infinity);
+        let found = false;
+
+        // A bare mesh (the server's stand-in body) is its own box
+        const meshes = node.getChildMeshes(false);
+        if (node instanceof AbstractMesh) meshes.push(node);
+        for (const mesh of meshes) {
+            // Skip empty glTF "__root__" nodes
+            if (mesh.getTotalVertices() === 0) continue;
+            mesh.computeWorldMatrix(true);
+            for (const corner of mesh.getBoundingInfo().boundingBox
+                .vectorsWorld) {
+                const local = Vector3.TransformCoordinates(
+                    corner,
+                    inverseWorld
+                );
+                min.minimizeInPlace(local);
+                max.maximizeInPlace(local);
+            }
+            found = true;
+        }
+
+        if (!found) return null;
+
+        return {
+            center: min.add(max).scale(0.5),
+            halfSize: max.subtract(min).scale(0.5),
+        };
+    }
+
+    /**
+     * Project the contact normal onto the vehicle's driving plane so collisions
+     * never push a vehicle into or off the surface (works on the planet too)
+     */
+    private toDrivingPlane(vehicle: Vehicle, normal: Vector3): Vector3 | null {
+        const up = Vector3.TransformNormal(
+            Vector3.Up(),
+            vehicle.getMesh().computeWorldMatrix(true)
+        ).normalize();
+        const tangent = normal.subtract(up.scale(Vector3.Dot(normal, up)));
+        const length = tangent.length();
+        if (length < 0.1) return null;
+        return tangent.scale(1 / length);
+    }
+
+    private toPhysicsBody(vehicle: Vehicle): PhysicsBody {
+        return {
+            velocity: vehicle.getVelocity(),
+            mass: vehicle.getMass(),
+            position: vehicle.getPosition(),
+            restitution: vehicle.getRestitution(),
+        };
+    }
+
+    /**
+     * Replace the vehicle's momentum so its velocity becomes newVelocity
+     */
+    private setVehicleVelocity(vehicle: Vehicle, newVelocity: Vector3) {
+        const targetMomentum = this.physics.velocityToMomentum(
+            newVelocity,
+            vehicle.getMass()
+        );
+        vehicle.applyCollisionImpulse(
+            targetMomentum.subtract(vehicle.getMomentum())
+        );
+    }
+
+    private pushVehicle(vehicle: Vehicle, offset: Vector3) {
+        vehicle.setPosition(vehicle.getPosition().add(offset));
+    }
+
+    private resolveVehicleContact(a: Vehicle, b: Vehicle, contact: Contact) {
+        const normal = this.toDrivingPlane(a, contact.normal);
+        if (!normal) return;
+
+        const result = this.physics.calculateDynamicCollision(
+            this.toPhysicsBody(a),
+            this.toPhysicsBody(b),
+            normal
+        );
+        if (result.shouldSeparate) {
+            this.setVehicleVelocity(a, result.body1NewVelocity);
+            this.setVehicleVelocity(b, result.body2NewVelocity);
+        }
+
+        const separation = this.physics.calculateSeparation(
+            a.getMass(),
+            b.getMass(),
+            contact.depth,
+            contact.depth > INTERPENETRATION_DEPTH
+        );
+        this.pushVehicle(a, normal.scale(-separation.body1Separation));
+        this.pushVehicle(b, normal.scale(separation.body2Separation));
+    }
+
+    private resolveStaticContact(vehicle: Vehicle, contact: Contact) {
+        const normal = this.toDrivingPlane(vehicle, contact.normal);
+        if (!normal) return;
+
+        const body = this.toPhysicsBody(vehicle);
+        if (Vector3.Dot(body.velocity, normal) > 0) {
+            // Moving into the obstacle: bounce off with damped momentum
+            const reflectedMomentum = this.physics.calculateStaticCollision(
+                body,
+                normal
+            );
+            vehicle.applyCollisionImpulse(
+                reflectedMomentum.subtract(vehicle.getMomentum())
+            );
+        }
+
+        this.pushVehicle(vehicle, normal.scale(-contact.depth));
+    }
+}
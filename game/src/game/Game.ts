@@ -11,240 +11,1032 @@ import '@babylonjs/loaders/glTF';
 import { Vehicle } from './Vehicle';
 import { InputManager } from './InputManager';
 import { VehicleConfigLoader } from './VehicleConfig';
-import { PostProcessShader } from './PostProcessShader';
+import { PostProcessPipeline } from './PostProcessPipeline';
 import { AIPathFollower } from './AIPathFollower';
+import { CollisionSystem } from './CollisionSystem';
+import {
+    RaceManager,
+    RaceTrack,
+    EntrantStatus,
+    formatRaceTime,
+    getGridSlot,
+} from './RaceManager';
+import { Simulation, RenderInterpolator } from './Simulation';
+import { ReplayRecorder, ReplayFile, deserializeState } from './Replay';
+import { GhostCar } from './GhostCar';
+import { TuningPanel } from './TuningPanel';
+import { CameraSystem } from './CameraSystem';
+import { Hud } from './Hud';
+import {
+    MAX_LOCAL_PLAYERS,
+    SPLIT_SCREEN_CAMERA_KEYS,
+    getSplitScreenViewports,
+    getPlayerInputOptions,
+    createViewportOverlay,
+} from './SplitScreen';
+import {
+    NetworkClient,
+    ClientPrediction,
+    ServerClock,
+    SnapshotInterpolator,
+} from './NetworkClient';
+import { NetCar, NetSnapshot } from './NetProtocol';
+import { onAssetChanged, showHotReloadError } from './HotReload';
+import {
+    LevelDescriptor,
+    LevelLoader,
+    DEFAULT_LEVEL_ID,
+    LIGHTING_PRESETS,
+    LightingPreset,
+    getLevelSpawn,
+    getLightingPreset,
+    toColor3,
+} from './Level';
+
+/**
+ * An AI opponent: which vehicle it drives and how fast it cruises
+ */
+export interface AIRosterEntry {
+    vehicleId: string;
+    cruiseSpeed: number;
+}
+
+/**
+ * What to race with, as picked in the garage
+ */
+export interface GameSetup {
+    playerVehicleId: string;
+    aiRoster: AIRosterEntry[];
+    levelId?: string; // Defaults to DEFAULT_LEVEL_ID
+    guestVehicleIds?: string[]; // Players 2-4 in split screen
+    server?: string; // ws:// URL of an authority server to race on instead
+}
+
+export const DEFAULT_AI_CRUISE_SPEED = 12;
+
+export const DEFAULT_GAME_SETUP: GameSetup = {
+    playerVehicleId: 'main_car',
+    aiRoster: [1, 2, 3].map(() => ({
+        vehicleId: 'blue_car',
+        cruiseSpeed: DEFAULT_AI_CRUISE_SPEED,
+    })),
+};
+
+/**
+ * A local player's car, controls and view. In split screen every player has
+ * their own viewport camera, camera rigs, post-processing chain and HUD.
+ */
+interface LocalPlayer {
+    vehicle: Vehicle;
+    input: InputManager;
+    camera: FreeCamera;
+    cameraSystem: CameraSystem;
+    postProcessPipeline: PostProcessPipeline | null;
+    hud: Hud;
+    hudOverlay: HTMLElement | null; // Split screen only
+}
+
+/**
+ * Another player's car in a networked race, drawn from server snapshots
+ */
+interface RemoteCar {
+    vehicle: Vehicle | null; // Null while the model loads
+    interpolator: SnapshotInterpolator;
+}
+
+/**
+ * Client side of a networked race: the connection, player one's predicted
+ * car and the remote cars
+ */
+interface NetworkSession {
+    client: NetworkClient;
+    slot: number; // Start grid slot the server gave player one
+    connected: boolean; // False once the server has dropped us
+    prediction: ClientPrediction | null;
+    clock: ServerClock;
+    snapshots: NetSnapshot[]; // Received since the last simulation step
+    remoteCars: Map<string, RemoteCar>; // Player id -> car
+}
 
 export class Game {
     private engine: Engine;
+    private canvas: HTMLCanvasElement;
     private scene: Scene;
-    private camera!: FreeCamera;
-    private vehicle: Vehicle | null = null;
-    private inputManager: InputManager;
-    private postProcessShader: PostProcessShader | null = null;
+    private ambientLight!: HemisphericLight;
+    private keyLight!: PointLight;
+    private setup: GameSetup = DEFAULT_GAME_SETUP;
+    private level: LevelDescriptor | null = null;
+    private players: LocalPlayer[] = [];
+    private inputManagers: InputManager[] = [];
+    private vehicle: Vehicle | null = null; // Player one: replays, ghost and tuning follow this car
     private aiPathFollower: AIPathFollower | null = null;
+    private collisionSystem: CollisionSystem = new CollisionSystem();
+    private raceManager: RaceManager | null = null;
+    private simulation: Simulation;
+    private renderInterpolator: RenderInterpolator = new RenderInterpolator();
+    private sessionRecorder: ReplayRecorder | null = null;
+    private lapRecorder: ReplayRecorder | null = null;
+    private playerLapsCompleted: number = -1; // -1 until player one is over the start line
+    private bestGhostLapTime: number = Infinity;
+    private ghostCar: GhostCar | null = null;
+    private tuningPanel: TuningPanel | null = null;
+    private configVehicles: Map<string, Vehicle[]> = new Map(); // Vehicle config id -> vehicles using it
     private elapsedTime: number = 0;
+    private hotReloadEnabled: boolean = false;
+    private network: NetworkSession | null = null;
 
-    constructor(_canvas: HTMLCanvasElement, engine: Engine) {
+    constructor(canvas: HTMLCanvasElement, engine: Engine) {
+        this.canvas = canvas;
         this.engine = engine;
         this.scene = new Scene(engine);
-        this.inputManager = new InputManager(_canvas);
+        this.simulation = new Simulation((deltaTime) => {
+            this.stepSimulation(deltaTime);
+            this.renderInterpolator.capture();
+        });
         this.setupScene();
+
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            this.engine.resize();
+        });
     }
 
     private setupScene() {
-        // Set background color
-        this.scene.clearColor.copyFromFloats(0.1, 0.1, 0.1, 1.0);
-
         // Add ambient light
-        const ambientLight = new HemisphericLight(
+        this.ambientLight = new HemisphericLight(
             'ambientLight',
             new Vector3(1, 1, 1),
             this.scene
         );
-        ambientLight.intensity = 0.7;
 
         // Add directional light
-        const dirLight = new PointLight(
+        this.keyLight = new PointLight(
             'dirLight',
             new Vector3(5, 10, 5),
             this.scene
         );
-        dirLight.intensity = 0.8;
-        dirLight.range = 100;
-
-        // Add follow camera
-        this.camera = new FreeCamera(
-            'followCamera',
-            new Vector3(0, 10, -15),
-            this.scene
-        );
+        this.keyLight.range = 100;
+        this.applyLighting(LIGHTING_PRESETS.day);
 
         console.log('Scene setup complete');
     }
 
+    private applyLighting(preset: LightingPreset) {
+        const [r, g, b] = preset.clearColor;
+        this.scene.clearColor.copyFromFloats(r, g, b, 1.0);
+        this.ambientLight.intensity = preset.ambientIntensity;
+        this.ambientLight.groundColor = toColor3(preset.ambientGroundColor);
+        this.keyLight.intensity = preset.keyIntensity;
+        this.keyLight.diffuse = toColor3(preset.keyColor);
+    }
+
     /**
-     * Initialize post-processing shader from a file
-     * @param shaderFilePath - Path to the shader file (e.g., '/shaders/postprocess.glsl')
-     * @param uniforms - Optional uniforms (e.g., { time: 0 })
+     * Initialize a post-processing chain from a pipeline config for every
+     * player's viewport
+     * @param configPath - Path to the pipeline JSON (e.g., '/shaders/pipeline.json')
      */
-    async initializePostProcessShader(
-        shaderFilePath: string,
-        uniforms?: { [key: string]: any }
-    ) {
+    async initializePostProcessPipeline(configPath: string) {
         try {
-            this.postProcessShader = new PostProcessShader();
-            const fragmentShaderCode =
-                await this.postProcessShader.loadShaderFromFile(
-                    shaderFilePath
+            for (const player of this.players) {
+                player.postProcessPipeline?.dispose();
+                player.postProcessPipeline = new PostProcessPipeline(
+                    player.camera,
+                    this.engine
                 );
-            this.postProcessShader.createPostProcess(
-                this.camera,
-                this.engine,
-                fragmentShaderCode,
-                uniforms
-            );
-            console.log('✓ Post-processing shader initialized');
+                await player.postProcessPipeline.loadFromFile(configPath);
+            }
+            console.log('✓ Post-processing pipeline initialized');
         } catch (error) {
-            console.error('✗ Failed to initialize post-processing shader:', error);
+            console.error(
+                '✗ Failed to initialize post-processing pipeline:',
+                error
+            );
             throw error;
         }
     }
 
     /**
-     * Get the post-processing shader instance
+     * Get a player's post-processing pipeline, e.g. to toggle passes
      */
-    getPostProcessShader(): PostProcessShader | null {
-        return this.postProcessShader;
+    getPostProcessPipeline(
+        playerIndex: number = 0
+    ): PostProcessPipeline | null {
+        return this.players[playerIndex]?.postProcessPipeline ?? null;
     }
 
-    private updateFollowingCamera() {
-        if (!this.vehicle) return;
-
-        const activeMesh = this.vehicle.getMesh();
-        const activePosition = activeMesh.getAbsolutePosition();
-        const activeRotation = activeMesh.absoluteRotationQuaternion;
-
-        const localUp = new Vector3(0, 1, 0);
-        const localForward = new Vector3(0, 0, 1);
-
-        const vehicleUp = new Vector3();
-        const forward = new Vector3();
+    /**
+     * Load the first level and spawn the players and AI cars
+     * @param setup - Player vehicles, AI roster and level (e.g. from the garage)
+     */
+    async initialize(setup: GameSetup = DEFAULT_GAME_SETUP) {
+        const playerCount = 1 + (setup.guestVehicleIds?.length ?? 0);
+        if (playerCount > MAX_LOCAL_PLAYERS) {
+            console.error(
+                `Game: at most ${MAX_LOCAL_PLAYERS} local players are supported`
+            );
+            return false;
+        }
+        if (setup.server && playerCount > 1) {
+            console.error("Game: split screen can't join a network race");
+            return false;
+        }
+        this.setup = setup;
 
-        localUp.rotateByQuaternionToRef(activeRotation, vehicleUp);
-        localForward.rotateByQuaternionToRef(activeRotation, forward);
+        // Input outlives levels, so it's set up once per session
+        this.inputManagers = [];
+        for (let i = 0; i < playerCount; i++) {
+            this.inputManagers.push(
+                new InputManager(
+                    this.canvas,
+                    getPlayerInputOptions(i, playerCount)
+                )
+            );
+        }
 
-        const up = vehicleUp;
-        const backward = forward.scale(-1);
+        if (setup.server) {
+            // The server decides the level
+            const levelId = await this.connect(setup.server);
+            return levelId !== null && this.loadLevel(levelId);
+        }
+        return this.loadLevel(setup.levelId ?? DEFAULT_LEVEL_ID);
+    }
 
-        const cameraDistance = 13;
-        const cameraHeight = 3.5;
-        const cameraPosition = activePosition
-            .add(backward.normalize().scale(cameraDistance))
-            .add(up.scale(cameraHeight));
+    /**
+     * Join an authority server's race with the player's vehicle
+     * @returns The server's level, or null if joining failed
+     */
+    private async connect(url: string): Promise<string | null> {
+        const client = new NetworkClient(url);
+        try {
+            const welcome = await client.connect(this.setup.playerVehicleId);
+            if (welcome.simulationRate !== this.simulation.rate) {
+                throw new Error(
+                    `Server simulates at ${welcome.simulationRate} Hz, the game at ${this.simulation.rate} Hz`
+                );
+            }
+            const network: NetworkSession = {
+                client,
+                slot: welcome.slot,
+                connected: true,
+                prediction: null,
+                clock: new ServerClock(welcome.simulationRate),
+                snapshots: [],
+                remoteCars: new Map(),
+            };
+            client.onSnapshot = (snapshot) => network.snapshots.push(snapshot);
+            client.onDisconnect = () => {
+                network.connected = false;
+            };
+            this.network = network;
+            return welcome.levelId;
+        } catch (error) {
+            console.error('Game: failed to join network race:', error);
+            client.close();
+            return null;
+        }
+    }
 
-        const speed = this.vehicle.getSpeed();
-        const smoothFactor = Math.min(1, Math.abs(speed) / 3);
-        const lerpSpeed = 0.001 + smoothFactor * 0.08;
+    isNetworked(): boolean {
+        return this.network !== null;
+    }
 
-        this.camera.position = Vector3.Lerp(
-            this.camera.position,
-            cameraPosition,
-            lerpSpeed
-        );
+    /**
+     * Dispose the current level and load another with the same cars
+     * @returns Whether the new level loaded
+     */
+    async switchLevel(levelId: string): Promise<boolean> {
+        if (this.network) {
+            console.error("Game: the server picks a network race's level");
+            return false;
+        }
+        console.log(`Switching to level ${levelId}...`);
+        this.unloadLevel();
+        return this.loadLevel(levelId);
+    }
 
-        const lookAtTarget = activePosition.add(up.scale(2));
-        this.camera.upVector = up.clone();
-        this.camera.setTarget(lookAtTarget);
+    getLevel(): LevelDescriptor | null {
+        return this.level;
     }
 
-    async initialize() {
+    private async loadLevel(levelId: string) {
+        const setup = this.setup;
         try {
-            // Load the main scene from world/scene.glb
-            console.log('Loading scene.glb...');
+            const level = await LevelLoader.loadLevel(levelId);
+            this.level = level;
+            this.applyLighting(getLightingPreset(level));
+
+            // Load the level's world GLB
+            console.log(`Loading level ${level.name} (${level.scene})...`);
+            const split = level.scene.lastIndexOf('/') + 1;
             const sceneContainer = await SceneLoader.LoadAssetContainerAsync(
-                '/world/',
-                'scene.glb',
+                level.scene.slice(0, split),
+                level.scene.slice(split),
                 this.scene
             );
             sceneContainer.addAllToScene();
 
-            // Vehicle.ts will auto-detect the surface type:
+            // Without a surface in the level, Vehicle.ts auto-detects it:
             // - If scene contains a "Planet" mesh → sphere physics
             // - If scene contains a "Ground" mesh → flat ground physics
             console.log('Scene loaded successfully');
 
-            // Load vehicle config
-            console.log('Loading vehicle config...');
-            const vehicleConfig =
-                await VehicleConfigLoader.loadVehicleConfig('main_car');
-
-            // Create vehicle
-            console.log('Creating vehicle...');
-            this.vehicle = new Vehicle(
-                this.scene,
-                vehicleConfig,
-                undefined,
-                '/world/vehicles/'
-            );
-            await this.vehicle.create();
+            // One car per local player, side by side on the start grid
+            const vehicleIds = [
+                setup.playerVehicleId,
+                ...(setup.guestVehicleIds ?? []),
+            ];
+            for (const [i, vehicleId] of vehicleIds.entries()) {
+                await this.createPlayer(level, vehicleId, i, vehicleIds.length);
+            }
+            this.vehicle = this.players[0].vehicle;
+            if (this.network) {
+                this.network.prediction = new ClientPrediction(
+                    this.vehicle,
+                    this.simulation.fixedDeltaTime
+                );
+            }
 
-            console.log('Vehicle created successfully');
+            // Live handling editor, toggled with the backquote key
+            this.tuningPanel = new TuningPanel(this.vehicle);
 
-            // Initialize AI path follower
-            const aiCount = 3;
-            const aiSpeed = 12;
-            this.aiPathFollower = new AIPathFollower(this.scene);
+            // Register collision bodies: player vehicles and tagged scenery
+            for (const player of this.players) {
+                this.collisionSystem.addVehicle(player.vehicle);
+            }
+            this.collisionSystem.addStaticCollidersFromScene(this.scene);
+
+            // Initialize AI path follower (AI cars only race locally)
+            const aiCount = this.network ? 0 : setup.aiRoster.length;
+            this.aiPathFollower = new AIPathFollower(this.scene, Math.random, {
+                pathNames: level.aiPaths,
+                surface: level.surface,
+            });
             if (this.aiPathFollower.isReady()) {
-                const spacing = this.aiPathFollower.getTotalLength() / aiCount;
+                // Share the AI cars out over the authored paths. Those on the
+                // race path (the level's first) line up on the grid behind the start
+                // line and keep to it; the rest are traffic, evenly spaced.
+                const pathNames = this.aiPathFollower
+                    .getLaneGraph()
+                    .getPathNames();
+                let gridSlot = this.players.length;
                 for (let i = 0; i < aiCount; i++) {
-                    const aiConfig = await VehicleConfigLoader.loadVehicleConfig('blue_car');
+                    const entry = setup.aiRoster[i];
+                    // Copy the cached config so each car keeps its own name and id
+                    const aiConfig = {
+                        ...(await VehicleConfigLoader.loadVehicleConfig(
+                            entry.vehicleId
+                        )),
+                    };
                     aiConfig.name = `AI Car ${i + 1}`;
                     aiConfig.id = `ai_car_${i + 1}`;
-                    await this.aiPathFollower.spawnAIVehicle(aiConfig, aiSpeed, i * spacing);
+                    const path = pathNames[i % pathNames.length];
+                    const pathLength = this.aiPathFollower.getTotalLength(path);
+                    let aiVehicle: Vehicle | null;
+                    if (path === pathNames[0]) {
+                        const { behind, lateral } = getGridSlot(gridSlot++);
+                        aiVehicle = await this.aiPathFollower.spawnAIVehicle(
+                            aiConfig,
+                            entry.cruiseSpeed,
+                            pathLength - behind,
+                            { path },
+                            { lateralOffset: lateral, stayOnPath: true }
+                        );
+                    } else {
+                        const carsOnPath = Math.ceil(
+                            (aiCount - (i % pathNames.length)) /
+                                pathNames.length
+                        );
+                        const slot = Math.floor(i / pathNames.length);
+                        aiVehicle = await this.aiPathFollower.spawnAIVehicle(
+                            aiConfig,
+                            entry.cruiseSpeed,
+                            (slot * pathLength) / carsOnPath,
+                            { path }
+                        );
+                    }
+                    if (aiVehicle) {
+                        this.collisionSystem.addVehicle(aiVehicle);
+                        const sharing =
+                            this.configVehicles.get(entry.vehicleId) ?? [];
+                        this.configVehicles.set(entry.vehicleId, [
+                            ...sharing,
+                            aiVehicle,
+                        ]);
+                    }
                 }
+                for (const player of this.players) {
+                    this.aiPathFollower.addObstacle(player.vehicle);
+                }
+            }
+
+            this.initializeRace();
+            this.initializeMinimaps();
+            if (level.postProcess) {
+                await this.initializePostProcessPipeline(level.postProcess);
             }
+            this.enableHotReload();
 
             // Start the game loop
             this.startGameLoop();
             return true;
         } catch (error) {
-            console.error('Failed to initialize game:', error);
+            console.error(`Failed to load level ${levelId}:`, error);
             return false;
         }
     }
 
-    private startGameLoop() {
-        this.engine.runRenderLoop(() => {
-            const deltaTime = this.engine.getDeltaTime() / 1000; // Convert to seconds
-            this.elapsedTime += deltaTime;
+    /**
+     * Stop the game loop and dispose everything that belongs to the level,
+     * leaving a fresh empty scene
+     */
+    private unloadLevel() {
+        this.engine.stopRenderLoop(this.renderLoop);
+
+        for (const player of this.players) {
+            player.cameraSystem.dispose();
+            player.postProcessPipeline?.dispose();
+            player.hud.dispose();
+            player.hudOverlay?.remove();
+        }
+        this.players = [];
+        this.network?.remoteCars.clear();
+        this.tuningPanel?.dispose();
+        this.tuningPanel = null;
+        this.ghostCar?.dispose();
+        this.ghostCar = null;
+
+        // Disposing the scene takes the world, vehicles, lights and cameras
+        this.scene.dispose();
+        this.vehicle = null;
+        this.aiPathFollower = null;
+        this.collisionSystem = new CollisionSystem();
+        this.renderInterpolator = new RenderInterpolator();
+        this.configVehicles.clear();
+        this.level = null;
+
+        this.raceManager = null;
+        this.sessionRecorder = null;
+        this.lapRecorder = null;
+        this.playerLapsCompleted = -1;
+        this.bestGhostLapTime = Infinity;
 
-            if (this.vehicle) {
-                // Get input
-                const input = this.inputManager.getInput();
+        this.scene = new Scene(this.engine);
+        this.setupScene();
+    }
+
+    /**
+     * Swap in edited shaders and vehicle configs without reloading the page
+     * (Vite dev server only)
+     */
+    private enableHotReload() {
+        if (this.hotReloadEnabled) return;
+        this.hotReloadEnabled = true;
+        onAssetChanged(async (path) => {
+            try {
+                const handled = path.startsWith('/vehicles/')
+                    ? await this.reloadVehicleConfig(path)
+                    : await this.reloadPostProcessAsset(path);
+                if (!handled) return;
+                showHotReloadError(null);
+                console.log(`✓ Hot reloaded ${path}`);
+            } catch (error) {
+                showHotReloadError(
+                    `Hot reload failed: ${path}\n${(error as Error).message}`
+                );
+                console.error(`✗ Hot reload failed for ${path}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Pass an edited shader or pipeline config to every player's pipeline
+     * @returns Whether any pipeline uses the file
+     */
+    private async reloadPostProcessAsset(path: string): Promise<boolean> {
+        let handled = false;
+        for (const player of this.players) {
+            if (await player.postProcessPipeline?.reloadAsset(path)) {
+                handled = true;
+            }
+        }
+        return handled;
+    }
 
-                // Set vehicle input
-                this.vehicle.setInput(
+    /**
+     * Re-apply an edited vehicle config to every live vehicle using it
+     * @returns Whether any vehicle uses the config
+     */
+    private async reloadVehicleConfig(path: string): Promise<boolean> {
+        const vehicleId = path
+            .replace(/^\/vehicles\//, '')
+            .replace(/\.json$/, '');
+        const vehicles = this.configVehicles.get(vehicleId);
+        if (!vehicles) return false;
+
+        const config = await VehicleConfigLoader.reloadVehicleConfig(vehicleId);
+        for (const vehicle of vehicles) {
+            vehicle.applyConfig(config);
+        }
+        this.tuningPanel?.refresh();
+        return true;
+    }
+
+    /**
+     * Set up race mode on the checkpoints or AI path, with the players and the
+     * AI cars keeping to the race path (traffic on other paths doesn't race)
+     */
+    private initializeRace(laps: number = 3) {
+        if (this.players.length === 0) return;
+
+        const track = RaceTrack.fromScene(
+            this.scene,
+            this.aiPathFollower?.getLaneGraph()
+        );
+        if (!track) return;
+
+        this.raceManager = new RaceManager(track, { laps });
+        for (const { vehicle } of this.players) {
+            this.raceManager.addEntrant(
+                vehicle.getConfig().id,
+                vehicle.getName(),
+                vehicle,
+                true
+            );
+        }
+        const follower = this.aiPathFollower;
+        // The level's first listed path, or the lowest numbered ai_path_<n>
+        const racePath = follower?.getLaneGraph().getPathNames()[0];
+        const racers =
+            follower && racePath ? follower.getVehicles(racePath) : [];
+        for (const aiVehicle of racers) {
+            this.raceManager.addEntrant(
+                aiVehicle.getConfig().id,
+                aiVehicle.getName(),
+                aiVehicle
+            );
+        }
+        this.raceManager.start();
+    }
+
+    /**
+     * Create a player's car, camera in their viewport and HUD
+     */
+    private async createPlayer(
+        level: LevelDescriptor,
+        vehicleId: string,
+        index: number,
+        playerCount: number
+    ) {
+        console.log(`Creating vehicle for player ${index + 1}...`);
+        const config = await VehicleConfigLoader.loadVehicleConfig(vehicleId);
+        // Copy the cached config so each player's car has its own race id
+        const vehicle = new Vehicle(
+            this.scene,
+            playerCount > 1
+                ? {
+                      ...config,
+                      id: `player_${index + 1}`,
+                      name: `Player ${index + 1}`,
+                  }
+                : config,
+            undefined,
+            '/world/vehicles/'
+        );
+        vehicle.setSurface(level.surface ?? null);
+        // A network race's car starts where the server put it
+        const slot = this.network?.slot ?? index;
+        await vehicle.create(undefined, getLevelSpawn(level, slot));
+        const sharing = this.configVehicles.get(vehicleId) ?? [];
+        this.configVehicles.set(vehicleId, [...sharing, vehicle]);
+
+        const viewport = getSplitScreenViewports(playerCount)[index];
+        const camera = new FreeCamera(
+            `followCamera_${index + 1}`,
+            new Vector3(0, 10, -15),
+            this.scene
+        );
+        camera.viewport = viewport;
+        this.scene.activeCameras = [
+            ...(this.scene.activeCameras ?? []),
+            camera,
+        ];
+
+        // Camera rigs (cinematic anchors come from the level, so after loading)
+        const cameraSystem = CameraSystem.createDefault(
+            camera,
+            index === 0 ? this.canvas : null,
+            playerCount > 1 ? SPLIT_SCREEN_CAMERA_KEYS[index] : undefined
+        );
+        cameraSystem.setVehicle(vehicle);
+
+        const hudOverlay =
+            playerCount > 1 ? createViewportOverlay(viewport) : null;
+        this.players.push({
+            vehicle,
+            input: this.inputManagers[index],
+            camera,
+            cameraSystem,
+            postProcessPipeline: null,
+            hud: new Hud(hudOverlay ?? undefined),
+            hudOverlay,
+        });
+    }
+
+    /**
+     * Show the AI paths on each player's minimap, with every car as a dot
+     */
+    private initializeMinimaps() {
+        const laneGraph = this.aiPathFollower?.getLaneGraph();
+        const routes = laneGraph
+            ? laneGraph
+                  .getPathNames()
+                  .map((name) => laneGraph.getPathPoints(name))
+            : [];
+        this.updateHudVehicles();
+        for (const player of this.players) {
+            player.hud.setRoutes(routes);
+        }
+    }
+
+    /**
+     * Show every other car as an opponent on each player's minimap
+     */
+    private updateHudVehicles() {
+        const allVehicles = this.getAllVehicles();
+        for (const player of this.players) {
+            player.hud.setVehicles(
+                player.vehicle,
+                allVehicles.filter((vehicle) => vehicle !== player.vehicle)
+            );
+        }
+    }
+
+    private getRaceStatus(vehicle: Vehicle): EntrantStatus | null {
+        return this.raceManager?.getStatus(vehicle) ?? null;
+    }
+
+    /**
+     * Show each player's lap, position and times in their HUD slots
+     */
+    private updateRaceInfo() {
+        if (this.network?.connected === false) {
+            for (const { hud } of this.players) {
+                hud.setSlot('message', 'DISCONNECTED');
+            }
+            return;
+        }
+        if (!this.raceManager) return;
+        const entrants = this.raceManager.getStandings().length;
+
+        for (const { vehicle, hud } of this.players) {
+            const status = this.getRaceStatus(vehicle);
+            if (!status) continue;
+
+            if (status.finished) {
+                hud.setSlot('lap', 'Finished');
+                hud.setSlot('timer', formatRaceTime(status.finishTime ?? 0));
+            } else {
+                hud.setSlot(
+                    'lap',
+                    `Lap ${status.lap}/${this.raceManager.getLaps()}`
+                );
+                hud.setSlot('timer', formatRaceTime(status.currentLapTime));
+            }
+            hud.setSlot('position', `P${status.position}/${entrants}`);
+
+            const message: string[] = [];
+            if (status.bestLapTime !== null) {
+                message.push(`Best ${formatRaceTime(status.bestLapTime)}`);
+            }
+            if (status.wrongWay) {
+                message.push('WRONG WAY');
+            }
+            hud.setSlot('message', message.join(' · '));
+        }
+    }
+
+    /**
+     * One fixed simulation step: input, vehicles, AI, collisions and race state
+     */
+    private stepSimulation(deltaTime: number) {
+        if (this.network) {
+            this.applySnapshots(this.network);
+        }
+
+        for (const player of this.players) {
+            // Get input
+            const input = player.input.getInput();
+
+            // Set vehicle input (and keep it for the server to confirm)
+            if (this.network?.connected === false) {
+                // Disconnected: the car brakes to a stop where it is
+                player.vehicle.setInput(0, 0, true);
+            } else if (
+                this.network?.prediction &&
+                player.vehicle === this.vehicle
+            ) {
+                this.network.prediction.applyInput(input);
+            } else {
+                player.vehicle.setInput(
                     input.accelerate,
                     input.steer,
                     input.handbrake
                 );
+            }
+            if (player.vehicle === this.vehicle) {
+                this.sessionRecorder?.record(input);
+                this.lapRecorder?.record(input);
+            }
+
+            // Update vehicle
+            player.vehicle.update(deltaTime);
+        }
+
+        // Update AI path follower
+        if (this.aiPathFollower) {
+            this.aiPathFollower.update(deltaTime);
+        }
+
+        // Move remote cars along their server states
+        if (this.network) {
+            this.updateRemoteCars(this.network);
+        }
+
+        // Detect and resolve collisions
+        this.collisionSystem.update();
 
-                // Update vehicle
-                this.vehicle.update(deltaTime);
+        // Replay the ghost car
+        this.ghostCar?.update(deltaTime);
+
+        // Update race progress
+        if (this.raceManager) {
+            this.raceManager.update(deltaTime);
+            this.updateGhostLap();
+        }
+    }
+
+    /**
+     * Reconcile the predicted car with the server and queue remote car states
+     */
+    private applySnapshots(network: NetworkSession) {
+        const playerId = network.client.getPlayerId();
+        for (const snapshot of network.snapshots) {
+            network.clock.observe(snapshot.tick);
+            for (const car of snapshot.cars) {
+                const state = deserializeState(car.state);
+                if (car.id === playerId) {
+                    network.prediction?.reconcile(state, car.lastInputSeq);
+                    continue;
+                }
+                let remote = network.remoteCars.get(car.id);
+                if (!remote) {
+                    remote = this.addRemoteCar(network, car);
+                }
+                remote.interpolator.push(snapshot.tick, state);
             }
 
-            // Update AI path follower
-            if (this.aiPathFollower) {
-                this.aiPathFollower.update(deltaTime);
+            // Players missing from the snapshot have left
+            for (const id of network.remoteCars.keys()) {
+                if (!snapshot.cars.some((car) => car.id === id)) {
+                    this.removeRemoteCar(network, id);
+                }
             }
+        }
+        network.snapshots = [];
+    }
+
+    /**
+     * Start tracking another player's car; its model loads in the background
+     */
+    private addRemoteCar(network: NetworkSession, car: NetCar): RemoteCar {
+        const remote: RemoteCar = {
+            vehicle: null,
+            interpolator: new SnapshotInterpolator(this.simulation.rate),
+        };
+        network.remoteCars.set(car.id, remote);
+        const scene = this.scene;
 
-            // Update follow camera
-            this.updateFollowingCamera();
+        void (async () => {
+            try {
+                const config = await VehicleConfigLoader.loadVehicleConfig(
+                    car.vehicleId
+                );
+                const vehicle = new Vehicle(
+                    scene,
+                    { ...config, id: car.id, name: car.name },
+                    undefined,
+                    '/world/vehicles/'
+                );
+                vehicle.setSurface(this.level?.surface ?? null);
+                const state = deserializeState(car.state);
+                await vehicle.create(undefined, {
+                    position: state.position,
+                    rotation: state.rotation,
+                });
 
-            // Update post-processing shader time uniform
-            if (this.postProcessShader) {
-                this.postProcessShader.setUniform('time', this.elapsedTime);
+                // Gone, or the level changed, while the model loaded
+                if (network.remoteCars.get(car.id) !== remote) {
+                    vehicle.dispose();
+                    return;
+                }
+                remote.vehicle = vehicle;
+                this.renderInterpolator.track(vehicle.getMesh());
+                this.raceManager?.addEntrant(car.id, car.name, vehicle);
+                this.updateHudVehicles();
+                console.log(`Game: ${car.name} joined the race`);
+            } catch (error) {
+                console.error(`Game: failed to add ${car.name}:`, error);
             }
+        })();
+        return remote;
+    }
 
-            // Render scene
-            this.scene.render();
-        });
+    private removeRemoteCar(network: NetworkSession, id: string) {
+        const vehicle = network.remoteCars.get(id)?.vehicle;
+        network.remoteCars.delete(id);
+        if (!vehicle) return;
 
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            this.engine.resize();
-        });
+        console.log(`Game: ${vehicle.getName()} left the race`);
+        this.renderInterpolator.untrack(vehicle.getMesh());
+        this.raceManager?.removeEntrant(id);
+        vehicle.dispose();
+        this.updateHudVehicles();
+    }
+
+    /**
+     * Put remote cars where the server had them, a short delay ago
+     */
+    private updateRemoteCars(network: NetworkSession) {
+        network.clock.step();
+        const tick = network.clock.getRenderTick();
+        if (tick === null) return;
+
+        for (const remote of network.remoteCars.values()) {
+            const state = remote.interpolator.sample(tick);
+            if (remote.vehicle && state) {
+                remote.vehicle.setState(state);
+            }
+        }
+    }
+
+    /**
+     * Record each of player one's laps; a new best lap becomes the ghost car
+     */
+    private updateGhostLap() {
+        if (!this.vehicle) return;
+        const status = this.getRaceStatus(this.vehicle);
+        if (!status) return;
+        // Keyed on completed laps: the displayed lap stops counting at the last one
+        const lapsCompleted = status.lap > 0 ? status.lapsCompleted : -1;
+        if (lapsCompleted === this.playerLapsCompleted) return;
+        this.playerLapsCompleted = lapsCompleted;
+
+        const lapTime = status.lapTimes[status.lapTimes.length - 1];
+        if (this.lapRecorder && lapTime < this.bestGhostLapTime) {
+            this.bestGhostLapTime = lapTime;
+            this.playGhost(this.lapRecorder.toReplay()).catch((error) =>
+                console.error('Failed to show the ghost car:', error)
+            );
+        }
+
+        this.lapRecorder = status.finished
+            ? null
+            : new ReplayRecorder(
+                  this.vehicle.getConfig(),
+                  this.vehicle.getState(),
+                  this.simulation.rate
+              );
+    }
+
+    /**
+     * Show a translucent ghost car driving a replay alongside the player
+     */
+    async playGhost(replay: ReplayFile) {
+        const ghostCar = await GhostCar.create(
+            this.scene,
+            replay,
+            undefined,
+            this.level?.surface
+        );
+        if (this.ghostCar) {
+            this.renderInterpolator.untrack(
+                this.ghostCar.getVehicle().getMesh()
+            );
+            this.ghostCar.dispose();
+        }
+        this.ghostCar = ghostCar;
+        this.renderInterpolator.track(ghostCar.getVehicle().getMesh());
+    }
+
+    /**
+     * Replay of the player's inputs since the game started, for bug reports
+     * and regression tests
+     */
+    getSessionReplay(): ReplayFile | null {
+        return this.sessionRecorder?.toReplay() ?? null;
+    }
+
+    private startGameLoop() {
+        if (this.vehicle) {
+            this.sessionRecorder = new ReplayRecorder(
+                this.vehicle.getConfig(),
+                this.vehicle.getState(),
+                this.simulation.rate
+            );
+        }
+
+        // Smooth rendered vehicles between fixed steps
+        for (const vehicle of this.getAllVehicles()) {
+            this.renderInterpolator.track(vehicle.getMesh());
+        }
+
+        this.engine.runRenderLoop(this.renderLoop);
+    }
+
+    /**
+     * One rendered frame: fixed simulation steps, then camera, UI and render
+     */
+    private renderLoop = () => {
+        const deltaTime = this.engine.getDeltaTime() / 1000; // Convert to seconds
+        this.elapsedTime += deltaTime;
+
+        // Run fixed simulation steps for the time that passed
+        this.renderInterpolator.restore();
+        const alpha = this.simulation.advance(deltaTime);
+        this.renderInterpolator.interpolate(alpha);
+
+        // Send this frame's inputs in one message
+        if (this.network?.connected && this.network.prediction) {
+            this.network.client.sendInputs(
+                this.network.prediction.takeUnsent()
+            );
+        }
+
+        this.updateRaceInfo();
+        this.tuningPanel?.update();
+
+        for (const player of this.players) {
+            player.hud.update(deltaTime);
+
+            // Update the active camera rig
+            player.cameraSystem.update(deltaTime);
+
+            // Update post-processing uniforms
+            const pipeline = player.postProcessPipeline;
+            if (pipeline) {
+                pipeline.setUniform('time', this.elapsedTime);
+                pipeline.setUniform(
+                    'speed',
+                    Math.abs(player.vehicle.getSpeed()) /
+                        player.vehicle.getMaxSpeed()
+                );
+            }
+        }
+
+        // AI car detail levels, from where the cars are drawn this frame
+        for (const vehicle of this.aiPathFollower?.getVehicles() ?? []) {
+            vehicle.updateLod();
+        }
+
+        // Render scene
+        this.scene.render();
+    };
+
+    private getAllVehicles(): Vehicle[] {
+        const vehicles = this.players.map((player) => player.vehicle);
+        for (const remote of this.network?.remoteCars.values() ?? []) {
+            if (remote.vehicle) vehicles.push(remote.vehicle);
+        }
+        return vehicles.concat(this.aiPathFollower?.getVehicles() ?? []);
     }
 
     stop() {
         this.engine.stopRenderLoop();
+        this.network?.client.close();
+        this.network = null;
     }
 
     getScene(): Scene {
         return this.scene;
     }
 
+    getCameraSystem(playerIndex: number = 0): CameraSystem | null {
+        return this.players[playerIndex]?.cameraSystem ?? null;
+    }
+
+    getPlayerCount(): number {
+        return this.players.length;
+    }
+
     getVehicle(): Vehicle | null {
         return this.vehicle;
     }
+
+    getRaceManager(): RaceManager | null {
+        return this.raceManager;
+    }
+
+    getSimulation(): Simulation {
+        return this.simulation;
+    }
 }
@@ -0,0 +1,417 @@
+import {
+    Engine,
+    Scene,
+    ArcRotateCamera,
+    HemisphericLight,
+    DirectionalLight,
+    TransformNode,
+    SceneLoader,
+    Vector3,
+    Color4,
+    MeshBuilder,
+} from '@babylonjs/core';
+import '@babylonjs/loaders/glTF';
+import { VehicleConfig, DEFAULT_VEHICLE_PHYSICS } from './VehicleConfig';
+import { AIRosterEntry, GameSetup, DEFAULT_AI_CRUISE_SPEED } from './Game';
+import { MAX_LOCAL_PLAYERS } from './SplitScreen';
+
+interface GarageStat {
+    label: string;
+    value: (config: VehicleConfig) => number;
+    format: (value: number) => string;
+}
+
+/**
+ * Stats shown as bars, scaled against the best car in the manifest
+ */
+export const GARAGE_STATS: GarageStat[] = [
+    {
+        label: 'Top speed',
+        value: (config) => config.physics.maxSpeed,
+        format: (value) => `${Math.round(value * 3.6)} km/h`,
+    },
+    {
+        label: 'Acceleration',
+        value: (config) => config.physics.acceleration,
+        format: (value) => `${value.toFixed(1)} m/s²`,
+    },
+    {
+        label: 'Mass',
+        value: (config) => config.physics.mass ?? DEFAULT_VEHICLE_PHYSICS.mass,
+        format: (value) => `${Math.round(value)} kg`,
+    },
+    {
+        label: 'Grip',
+        value: (config) => config.physics.friction,
+        format: (value) => value.toFixed(2),
+    },
+    {
+        label: 'Steering',
+        value: (config) => config.physics.maxSteerAngle,
+        format: (value) => value.toFixed(2),
+    },
+    {
+        label: 'Braking',
+        value: (config) =>
+            config.physics.brakingForce ?? DEFAULT_VEHICLE_PHYSICS.brakingForce,
+        format: (value) => `${value.toFixed(0)} m/s²`,
+    },
+];
+
+export const MIXED_OPPONENTS = 'mixed';
+const MAX_OPPONENTS = 8;
+const TURNTABLE_SPEED = 0.5; // rad/s
+
+/**
+ * Build the AI roster for the garage's opponent settings
+ * @param choice - A vehicle id, or MIXED_OPPONENTS to cycle through all ids
+ */
+export function buildAIRoster(
+    vehicleIds: string[],
+    count: number,
+    choice: string,
+    cruiseSpeed: number = DEFAULT_AI_CRUISE_SPEED
+): AIRosterEntry[] {
+    if (vehicleIds.length === 0) return [];
+    const roster: AIRosterEntry[] = [];
+    for (let i = 0; i < count; i++) {
+        const vehicleId =
+            choice === MIXED_OPPONENTS
+                ? vehicleIds[i % vehicleIds.length]
+                : choice;
+        roster.push({ vehicleId, cruiseSpeed });
+    }
+    return roster;
+}
+
+/**
+ * Garage is the pre-race screen. It lists the vehicles in the manifest,
+ * spins the selected one on a turntable, compares handling stats and lets
+ * the player pick the AI opponents and how many players share the screen.
+ * Styles live in index.html (#garage).
+ */
+export class Garage {
+    private engine: Engine;
+    private scene: Scene;
+    private turntable: TransformNode;
+    private configs: VehicleConfig[];
+    private modelBasePath: string;
+    private previews: Map<string, TransformNode | null> = new Map();
+    private selectedId: string;
+    private previewRequest: number = 0;
+    private root: HTMLElement;
+    private list: HTMLElement;
+    private title: HTMLElement;
+    private previewStatus: HTMLElement;
+    private statRows: { fill: HTMLElement; value: HTMLElement }[] = [];
+    private opponentCount: HTMLInputElement;
+    private opponentChoice: HTMLSelectElement;
+    private playerCount: HTMLSelectElement;
+    private resolveSetup: ((setup: GameSetup) => void) | null = null;
+    private renderLoop = () => this.scene.render();
+
+    /**
+     * @param configs - Vehicles to offer, e.g. from loadAllVehicleConfigs()
+     * @param modelBasePath - Where the vehicles' model files live
+     */
+    constructor(
+        engine: Engine,
+        configs: VehicleConfig[],
+        modelBasePath: string = '/world/vehicles/',
+        container: HTMLElement = document.body
+    ) {
+        if (configs.length === 0) {
+            throw new Error('Garage needs at least one vehicle');
+        }
+        this.engine = engine;
+        this.configs = configs;
+        this.modelBasePath = modelBasePath;
+        this.selectedId = configs[0].id;
+
+        this.scene = new Scene(engine);
+        this.scene.clearColor = new Color4(0.08, 0.09, 0.11, 1);
+        const camera = new ArcRotateCamera(
+            'garageCamera',
+            -Math.PI / 2,
+            1.2,
+            9,
+            new Vector3(0, 0.8, 0),
+            this.scene
+        );
+        camera.lowerRadiusLimit = 4;
+        camera.upperRadiusLimit = 20;
+        new HemisphericLight('garageAmbient', Vector3.Up(), this.scene);
+        const key = new DirectionalLight(
+            'garageKey',
+            new Vector3(-1, -2, 1),
+            this.scene
+        );
+        key.intensity = 0.8;
+        MeshBuilder.CreateCylinder(
+            'garageFloor',
+            { diameter: 10, height: 0.1, tessellation: 64 },
+            this.scene
+        ).position.y = -0.05;
+
+        this.turntable = new TransformNode('turntable', this.scene);
+        this.scene.onBeforeRenderObservable.add(() => {
+            const deltaTime = this.engine.getDeltaTime() / 1000;
+            this.turntable.rotation.y += TURNTABLE_SPEED * deltaTime;
+        });
+
+        this.root = document.createElement('div');
+        this.root.id = 'garage';
+
+        this.list = document.createElement('div');
+        this.list.className = 'garage-list';
+        for (const config of configs) {
+            const button = document.createElement('button');
+            button.textContent = config.name;
+            button.dataset.vehicleId = config.id;
+            button.addEventListener('click', () => this.select(config.id));
+            this.list.appendChild(button);
+        }
+        this.root.appendChild(this.list);
+
+        const details = document.createElement('div');
+        details.className = 'garage-details';
+        this.title = document.createElement('h2');
+        details.appendChild(this.title);
+        this.previewStatus = document.createElement('div');
+        this.previewStatus.className = 'garage-preview-status';
+        details.appendChild(this.previewStatus);
+        for (const stat of GARAGE_STATS) {
+            details.appendChild(this.createStatRow(stat));
+        }
+        details.appendChild(this.createOpponentControls());
+        details.appendChild(this.createPlayerControls());
+
+        const raceButton = document.createElement('button');
+        raceButton.className = 'garage-race';
+        raceButton.textContent = 'Race';
+        raceButton.addEventListener('click', () => this.confirm());
+        details.appendChild(raceButton);
+
+        this.root.appendChild(details);
+        container.appendChild(this.root);
+
+        this.opponentCount = this.root.querySelector(
+            '.garage-opponent-count'
+        ) as HTMLInputElement;
+        this.opponentChoice = this.root.querySelector(
+            '.garage-opponent-choice'
+        ) as HTMLSelectElement;
+        this.playerCount = this.root.querySelector(
+            '.garage-player-count'
+        ) as HTMLSelectElement;
+    }
+
+    private createStatRow(stat: GarageStat): HTMLElement {
+        const row = document.createElement('div');
+        row.className = 'garage-stat';
+
+        const label = document.createElement('span');
+        label.textContent = stat.label;
+
+        const bar = document.createElement('div');
+        bar.className = 'garage-bar';
+        const fill = document.createElement('div');
+        bar.appendChild(fill);
+
+        const value = document.createElement('span');
+        value.className = 'garage-stat-value';
+
+        row.append(label, bar, value);
+        this.statRows.push({ fill, value });
+        return row;
+    }
+
+    private createOpponentControls(): HTMLElement {
+        const row = document.createElement('div');
+        row.className = 'garage-opponents';
+
+        const countLabel = document.createElement('label');
+        countLabel.textContent = 'Opponents ';
+        const count = document.createElement('input');
+        count.className = 'garage-opponent-count';
+        count.type = 'number';
+        count.min = '0';
+        count.max = String(MAX_OPPONENTS);
+        count.value = '3';
+        countLabel.appendChild(count);
+
+        const choiceLabel = document.createElement('label');
+        choiceLabel.textContent = 'driving ';
+        const choice = document.createElement('select');
+        choice.className = 'garage-opponent-choice';
+        choice.add(new Option('Mixed', MIXED_OPPONENTS));
+        for (const config of this.configs) {
+            choice.add(new Option(config.name, config.id));
+        }
+        choiceLabel.appendChild(choice);
+
+        row.append(countLabel, choiceLabel);
+        return row;
+    }
+
+    private createPlayerControls(): HTMLElement {
+        const row = document.createElement('div');
+        row.className = 'garage-players';
+
+        const label = document.createElement('label');
+        label.textContent = 'Players ';
+        const count = document.createElement('select');
+        count.className = 'garage-player-count';
+        for (let i = 1; i <= MAX_LOCAL_PLAYERS; i++) {
+            count.add(
+                new Option(i === 1 ? '1' : `${i} split screen`, String(i))
+            );
+        }
+        label.appendChild(count);
+
+        row.appendChild(label);
+        return row;
+    }
+
+    /**
+     * Show the garage and wait for the player to press Race
+     * @returns The chosen vehicle, split-screen players and AI roster
+     */
+    show(): Promise<GameSetup> {
+        this.root.style.display = '';
+        this.select(this.selectedId);
+        this.engine.runRenderLoop(this.renderLoop);
+        return new Promise((resolve) => {
+            this.resolveSetup = resolve;
+        });
+    }
+
+    getSelectedId(): string {
+        return this.selectedId;
+    }
+
+    /**
+     * Select a vehicle: update the list, the stats and the turntable
+     */
+    select(vehicleId: string) {
+        const config = this.getConfig(vehicleId);
+        this.selectedId = vehicleId;
+
+        for (const button of this.list.querySelectorAll('button')) {
+            button.classList.toggle(
+                'selected',
+                button.dataset.vehicleId === vehicleId
+            );
+        }
+        this.title.textContent = config.name;
+
+        GARAGE_STATS.forEach((stat, i) => {
+            const value = stat.value(config);
+            const best = Math.max(...this.configs.map(stat.value));
+            this.statRows[i].fill.style.width =
+                `${best > 0 ? (value / best) * 100 : 0}%`;
+            this.statRows[i].value.textContent = stat.format(value);
+        });
+
+        void this.showPreview(config);
+    }
+
+    /**
+     * Build the setup from the current selection and close the garage.
+     * Split-screen guests drive the selected vehicle too.
+     */
+    confirm(): GameSetup {
+        const count = Math.max(
+            0,
+            Math.min(
+                MAX_OPPONENTS,
+                Math.floor(Number(this.opponentCount.value))
+            )
+        );
+        const setup: GameSetup = {
+            playerVehicleId: this.selectedId,
+            aiRoster: buildAIRoster(
+                this.configs.map((config) => config.id),
+                Number.isFinite(count) ? count : 0,
+                this.opponentChoice.value
+            ),
+        };
+        const players = Number(this.playerCount.value);
+        if (players > 1) {
+            setup.guestVehicleIds = Array(players - 1).fill(this.selectedId);
+        }
+        this.root.style.display = 'none';
+        this.resolveSetup?.(setup);
+        this.resolveSetup = null;
+        return setup;
+    }
+
+    private getConfig(vehicleId: string): VehicleConfig {
+        const config = this.configs.find((c) => c.id === vehicleId);
+        if (!config) {
+            throw new Error(`Unknown vehicle: ${vehicleId}`);
+        }
+        return config;
+    }
+
+    /**
+     * Put the vehicle's model on the turntable, loading it on first use
+     */
+    private async showPreview(config: VehicleConfig) {
+        const request = ++this.previewRequest;
+        for (const preview of this.previews.values()) {
+            preview?.setEnabled(false);
+        }
+
+        if (!this.previews.has(config.id)) {
+            this.previewStatus.textContent = 'Loading...';
+            this.previews.set(config.id, await this.loadPreview(config));
+        }
+        // Another vehicle was selected while this one was loading
+        if (request !== this.previewRequest) return;
+
+        const preview = this.previews.get(config.id);
+        preview?.setEnabled(true);
+        this.previewStatus.textContent = preview ? '' : 'No preview';
+    }
+
+    private async loadPreview(
+        config: VehicleConfig
+    ): Promise<TransformNode | null> {
+        try {
+            const container = await SceneLoader.LoadAssetContainerAsync(
+                this.modelBasePath,
+                config.modelFile,
+                this.scene
+            );
+            const root = new TransformNode(`preview_${config.id}`, this.scene);
+            root.parent = this.turntable;
+            container.addAllToScene();
+
+            // Same model corrections as Vehicle.create
+            const meshes = container.meshes;
+            for (const mesh of meshes) {
+                mesh.parent = root;
+                mesh.scaling.scaleInPlace(config.model.scale);
+            }
+            if (meshes.length > 0) {
+                meshes[0].rotation.y = config.model.rotationY;
+                meshes[0].rotation.z = config.model.rotationZ;
+            }
+            return root;
+        } catch (error) {
+            console.error(`Garage: failed to load ${config.modelFile}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Stop rendering the garage and remove its scene and DOM
+     */
+    dispose() {
+        this.engine.stopRenderLoop(this.renderLoop);
+        this.scene.dispose();
+        this.root.remove();
+        this.resolveSetup = null;
+    }
+}
@@ -0,0 +1,74 @@
+import { Scene } from '@babylonjs/core';
+import { Vehicle, SurfaceDescriptor } from './Vehicle';
+import { ReplayFile, ReplayPlayer, getReplayInitialState } from './Replay';
+
+const GHOST_VISIBILITY = 0.35;
+
+/**
+ * GhostCar re-drives a recorded replay with its own translucent Vehicle.
+ * It has no collisions, so it follows the recorded run exactly as long as the
+ * original run wasn't bumped by anything either.
+ */
+export class GhostCar {
+    private vehicle: Vehicle;
+    private player: ReplayPlayer;
+
+    private constructor(vehicle: Vehicle, replay: ReplayFile) {
+        this.vehicle = vehicle;
+        this.player = new ReplayPlayer(replay);
+    }
+
+    static async create(
+        scene: Scene,
+        replay: ReplayFile,
+        modelBasePath: string = '/world/vehicles/',
+        surface: SurfaceDescriptor | null = null
+    ): Promise<GhostCar> {
+        const initialState = getReplayInitialState(replay);
+        const vehicle = new Vehicle(
+            scene,
+            { ...replay.vehicleConfig, id: `ghost_${replay.vehicleConfig.id}` },
+            undefined,
+            modelBasePath
+        );
+        vehicle.setSurface(surface);
+        await vehicle.create(undefined, {
+            position: initialState.position,
+            rotation: initialState.rotation,
+        });
+        vehicle.setState(initialState);
+
+        for (const mesh of vehicle.getMesh().getChildMeshes()) {
+            mesh.visibility = GHOST_VISIBILITY;
+            mesh.isPickable = false;
+        }
+
+        return new GhostCar(vehicle, replay);
+    }
+
+    /**
+     * Advance one simulation tick with the next recorded input.
+     * The ghost hides itself when the replay runs out.
+     */
+    update(deltaTime: number) {
+        const input = this.player.next();
+        if (!input) {
+            this.vehicle.setVisible(false);
+            return;
+        }
+        this.vehicle.setInput(input.accelerate, input.steer, input.handbrake);
+        this.vehicle.update(deltaTime);
+    }
+
+    isFinished(): boolean {
+        return this.player.isFinished();
+    }
+
+    getVehicle(): Vehicle {
+        return this.vehicle;
+    }
+
+    dispose() {
+        this.vehicle.dispose();
+    }
+}
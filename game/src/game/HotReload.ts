@@ -0,0 +1,48 @@
+/**
+ * Dev-mode bridge to the hot-reload-assets plugin in vite.config.ts, which
+ * reports edits to files under public/shaders and public/vehicles.
+ * Does nothing in production builds, where import.meta.hot is undefined.
+ */
+
+export const ASSET_CHANGED_EVENT = 'game:asset-changed';
+
+/**
+ * Call handler with the URL path (e.g. '/shaders/bloom.glsl') of each
+ * edited asset
+ * @returns Whether hot reload is available
+ */
+export function onAssetChanged(handler: (path: string) => void): boolean {
+    if (!import.meta.hot) return false;
+
+    import.meta.hot.on(ASSET_CHANGED_EVENT, (data: { path: string }) => {
+        handler(data.path);
+    });
+    return true;
+}
+
+/**
+ * Add a timestamp query in dev so re-fetching an edited file skips the
+ * browser cache
+ */
+export function cacheBust(url: string): string {
+    if (!import.meta.hot) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`;
+}
+
+/**
+ * Show a hot-reload error over the game, or clear it with null
+ */
+export function showHotReloadError(message: string | null) {
+    let errorEl = document.getElementById('hotReloadError');
+    if (!message) {
+        errorEl?.remove();
+        return;
+    }
+
+    if (!errorEl) {
+        errorEl = document.createElement('pre');
+        errorEl.id = 'hotReloadError';
+        document.body.appendChild(errorEl);
+    }
+    errorEl.textContent = message;
+}
@@ -0,0 +1,338 @@
+import { Vector3, Quaternion } from '@babylonjs/core';
+import { Vehicle } from './Vehicle';
+
+/**
+ * Text slots for race data; Game fills them from the RaceManager
+ */
+export type HudSlot = 'lap' | 'position' | 'timer' | 'message';
+
+const HUD_SLOTS: HudSlot[] = ['lap', 'position', 'timer', 'message'];
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const MINIMAP_SIZE = 160; // px
+const MINIMAP_PADDING = 10; // px
+const MINIMAP_INTERVAL = 1 / 20; // s between minimap redraws
+
+/**
+ * Compass heading of a vehicle in degrees clockwise from north, measured in
+ * the plane the vehicle drives on (so it also works on a planet)
+ * @returns Heading in [0, 360), or null when north is straight up or down
+ */
+export function computeHeading(
+    forward: Vector3,
+    up: Vector3,
+    north: Vector3
+): number | null {
+    const tangentNorth = north.subtract(up.scale(Vector3.Dot(north, up)));
+    if (tangentNorth.lengthSquared() < 1e-6) return null;
+    tangentNorth.normalize();
+
+    const east = Vector3.Dot(Vector3.Cross(tangentNorth, forward), up);
+    const degrees =
+        (Math.atan2(east, Vector3.Dot(tangentNorth, forward)) * 180) / Math.PI;
+    return (degrees + 360) % 360;
+}
+
+/**
+ * Nearest of the eight compass points, e.g. 'NE'
+ */
+export function compassPoint(heading: number): string {
+    return COMPASS_POINTS[Math.round(heading / 45) % COMPASS_POINTS.length];
+}
+
+/**
+ * Maps world positions onto the minimap: projects them onto the plane with
+ * the given normal and fits the routes' bounds into the map, north up
+ */
+export class MinimapProjection {
+    private origin: Vector3;
+    private right: Vector3;
+    private down: Vector3;
+    private scale: number;
+    private offsetX: number;
+    private offsetY: number;
+
+    constructor(
+        points: Vector3[],
+        normal: Vector3 = Vector3.Up(),
+        size: number = MINIMAP_SIZE,
+        padding: number = MINIMAP_PADDING
+    ) {
+        this.origin = points[0]?.clone() ?? Vector3.Zero();
+
+        // North is +Z, unless the map looks along Z (then it's +Y)
+        const north =
+            Math.abs(normal.z) > 0.9 ? Vector3.Up() : Vector3.Forward();
+        const up = north.subtract(normal.scale(Vector3.Dot(north, normal)));
+        up.normalize();
+        this.down = up.negate();
+        this.right = Vector3.Cross(normal, up).normalize();
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        for (const point of points) {
+            const [x, y] = this.toPlane(point);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        const extent = Math.max(maxX - minX, maxY - minY, 1e-3);
+        this.scale = points.length > 0 ? (size - 2 * padding) / extent : 1;
+        this.offsetX =
+            points.length > 0
+                ? (size - (maxX + minX) * this.scale) / 2
+                : size / 2;
+        this.offsetY =
+            points.length > 0
+                ? (size - (maxY + minY) * this.scale) / 2
+                : size / 2;
+    }
+
+    private toPlane(point: Vector3): [number, number] {
+        const local = point.subtract(this.origin);
+        return [Vector3.Dot(local, this.right), Vector3.Dot(local, this.down)];
+    }
+
+    /**
+     * Pixel position of a world position on the map
+     */
+    project(point: Vector3): { x: number; y: number } {
+        const [x, y] = this.toPlane(point);
+        return {
+            x: x * this.scale + this.offsetX,
+            y: y * this.scale + this.offsetY,
+        };
+    }
+}
+
+function getVehicleUp(vehicle: Vehicle): Vector3 {
+    const rotation =
+        vehicle.getMesh().rotationQuaternion ?? Quaternion.Identity();
+    const up = new Vector3();
+    Vector3.Up().rotateByQuaternionToRef(rotation, up);
+    return up;
+}
+
+/**
+ * Hud is the in-game overlay: speedometer, compass, minimap and race slots.
+ * It only writes to the DOM when a displayed value changes and redraws the
+ * minimap dots at a fixed low rate over a cached route image.
+ * Styles live in index.html (.hud).
+ */
+export class Hud {
+    private root: HTMLElement;
+    private slots: Map<HudSlot, HTMLElement> = new Map();
+    private shownText: Map<HTMLElement, string> = new Map();
+    private speedValue: HTMLElement;
+    private speedBar: HTMLElement;
+    private compassNeedle: HTMLElement;
+    private compassLabel: HTMLElement;
+    private minimap: HTMLCanvasElement;
+    private minimapRoutes: HTMLCanvasElement | null = null;
+    private projection: MinimapProjection | null = null;
+    private minimapTime: number = 0;
+    private player: Vehicle | null = null;
+    private opponents: Vehicle[] = [];
+
+    constructor(container: HTMLElement = document.body) {
+        this.root = document.createElement('div');
+        this.root.className = 'hud';
+
+        const race = document.createElement('div');
+        race.className = 'hud-race';
+        for (const slot of HUD_SLOTS) {
+            const slotEl = document.createElement('span');
+            slotEl.className = `hud-${slot}`;
+            race.appendChild(slotEl);
+            this.slots.set(slot, slotEl);
+        }
+        this.root.appendChild(race);
+
+        const compass = document.createElement('div');
+        compass.className = 'hud-compass';
+        this.compassNeedle = document.createElement('div');
+        this.compassNeedle.className = 'hud-compass-needle';
+        this.compassLabel = document.createElement('span');
+        this.compassLabel.className = 'hud-compass-label';
+        compass.append(this.compassNeedle, this.compassLabel);
+        this.root.appendChild(compass);
+
+        this.minimap = document.createElement('canvas');
+        this.minimap.className = 'hud-minimap';
+        this.minimap.width = MINIMAP_SIZE;
+        this.minimap.height = MINIMAP_SIZE;
+        this.minimap.style.display = 'none';
+        this.root.appendChild(this.minimap);
+
+        const speed = document.createElement('div');
+        speed.className = 'hud-speed';
+        this.speedValue = document.createElement('span');
+        this.speedValue.className = 'hud-speed-value';
+        const unit = document.createElement('span');
+        unit.className = 'hud-speed-unit';
+        unit.textContent = 'km/h';
+        const bar = document.createElement('div');
+        bar.className = 'hud-speed-bar';
+        this.speedBar = document.createElement('div');
+        bar.appendChild(this.speedBar);
+        speed.append(this.speedValue, unit, bar);
+        this.root.appendChild(speed);
+
+        container.appendChild(this.root);
+    }
+
+    /**
+     * Follow the player's vehicle; opponents are drawn on the minimap
+     */
+    setVehicles(player: Vehicle | null, opponents: Vehicle[] = []) {
+        this.player = player;
+        this.opponents = opponents;
+    }
+
+    /**
+     * Draw these routes (e.g. the AI paths) on the minimap. The map plane is
+     * the ground, or the planet's surface under the routes.
+     */
+    setRoutes(routes: Vector3[][]) {
+        const points = routes.flat();
+        if (points.length < 2) {
+            this.projection = null;
+            this.minimap.style.display = 'none';
+            return;
+        }
+
+        let normal = Vector3.Up();
+        if (this.player?.getSurfaceType() === 'planet') {
+            const centroid = points
+                .reduce((sum, point) => sum.addInPlace(point), Vector3.Zero())
+                .scaleInPlace(1 / points.length);
+            const outward = centroid.subtract(this.player.getPlanetCenter());
+            if (outward.lengthSquared() > 1e-6) normal = outward.normalize();
+        }
+        this.projection = new MinimapProjection(points, normal);
+        this.minimap.style.display = '';
+
+        // Routes don't move, so they're drawn once and blitted under the dots
+        this.minimapRoutes = document.createElement('canvas');
+        this.minimapRoutes.width = MINIMAP_SIZE;
+        this.minimapRoutes.height = MINIMAP_SIZE;
+        const context = this.minimapRoutes.getContext('2d');
+        if (!context) return;
+        context.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        context.lineWidth = 3;
+        context.lineJoin = 'round';
+        for (const route of routes) {
+            context.beginPath();
+            route.forEach((point, i) => {
+                const { x, y } = this.projection!.project(point);
+                if (i === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            });
+            context.closePath();
+            context.stroke();
+        }
+        this.minimapTime = MINIMAP_INTERVAL; // Draw on the next update
+    }
+
+    setSlot(slot: HudSlot, text: string) {
+        this.setText(this.slots.get(slot)!, text);
+    }
+
+    getSlot(slot: HudSlot): string {
+        return this.slots.get(slot)!.textContent ?? '';
+    }
+
+    private setText(element: HTMLElement, text: string) {
+        if (this.shownText.get(element) === text) return;
+        this.shownText.set(element, text);
+        element.textContent = text;
+    }
+
+    /**
+     * Refresh the readouts; call once per rendered frame
+     */
+    update(deltaTime: number) {
+        if (!this.player) return;
+
+        const speed = Math.abs(this.player.getSpeed());
+        this.setText(this.speedValue, String(Math.round(speed * 3.6)));
+        const fill = `${Math.round(Math.min(1, speed / this.player.getMaxSpeed()) * 100)}%`;
+        if (this.speedBar.style.width !== fill) {
+            this.speedBar.style.width = fill;
+        }
+
+        this.updateCompass();
+
+        this.minimapTime += deltaTime;
+        if (this.minimapTime >= MINIMAP_INTERVAL) {
+            this.minimapTime = 0;
+            this.drawMinimap();
+        }
+    }
+
+    private updateCompass() {
+        const player = this.player!;
+        // On a planet north is its pole axis, elsewhere +Z
+        const north =
+            player.getSurfaceType() === 'planet'
+                ? Vector3.Up()
+                : Vector3.Forward();
+        const heading = computeHeading(
+            player.getDirection(),
+            getVehicleUp(player),
+            north
+        );
+        if (heading === null) {
+            this.setText(this.compassLabel, '—');
+            return;
+        }
+
+        const degrees = Math.round(heading) % 360;
+        this.setText(
+            this.compassLabel,
+            `${compassPoint(heading)} ${String(degrees).padStart(3, '0')}°`
+        );
+        // The needle points north, so it turns against the heading
+        const transform = `rotate(${-degrees}deg)`;
+        if (this.compassNeedle.style.transform !== transform) {
+            this.compassNeedle.style.transform = transform;
+        }
+    }
+
+    private drawMinimap() {
+        if (!this.projection || !this.minimapRoutes) return;
+        const context = this.minimap.getContext('2d');
+        if (!context) return;
+
+        context.clearRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
+        context.drawImage(this.minimapRoutes, 0, 0);
+        for (const opponent of this.opponents) {
+            this.drawDot(context, opponent.getPosition(), 3, '#ffb74d');
+        }
+        if (this.player) {
+            this.drawDot(context, this.player.getPosition(), 5, '#4fc3f7');
+        }
+    }
+
+    private drawDot(
+        context: CanvasRenderingContext2D,
+        position: Vector3,
+        radius: number,
+        color: string
+    ) {
+        const { x, y } = this.projection!.project(position);
+        context.fillStyle = color;
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    dispose() {
+        this.root.remove();
+    }
+}
@@ -1,10 +1,169 @@
+import { TouchControls } from './TouchControls';
+
+/**
+ * Driving input in the shape Vehicle.setInput expects
+ */
+export interface VehicleInput {
+    accelerate: number;
+    steer: number;
+    handbrake: boolean;
+}
+
+export type InputAction =
+    | 'accelerate'
+    | 'reverse'
+    | 'steerLeft'
+    | 'steerRight'
+    | 'handbrake';
+
+/**
+ * Remappable bindings. Keyboard entries are lowercased KeyboardEvent.code
+ * values; gamepad entries are indices in the standard Gamepad API mapping.
+ */
+export interface InputBindings {
+    keyboard: Record<InputAction, string[]>;
+    gamepad: {
+        steerAxis: number;
+        throttleButton: number;
+        brakeButton: number;
+        handbrakeButton: number;
+    };
+}
+
+/**
+ * Shaping applied to analog inputs
+ */
+export interface AnalogSettings {
+    deadZone: number; // Fraction of travel ignored around center (0-1)
+    sensitivity: number; // Response curve exponent: 1 = linear, >1 = finer control near center
+}
+
+export interface InputManagerOptions {
+    gamepadIndex?: number; // Which connected gamepad drives this player
+    storageKey?: string; // localStorage key for persisted bindings
+    bindings?: InputBindings; // Initial bindings when nothing is persisted
+    touchControls?: boolean; // Show on-screen controls (defaults to touch devices)
+}
+
+export const DEFAULT_BINDINGS: InputBindings = {
+    keyboard: {
+        accelerate: ['keyw', 'arrowup'],
+        reverse: ['keys', 'arrowdown'],
+        steerLeft: ['keya', 'arrowleft'],
+        steerRight: ['keyd', 'arrowright'],
+        handbrake: ['space'],
+    },
+    gamepad: {
+        steerAxis: 0, // Left stick X
+        throttleButton: 7, // Right trigger
+        brakeButton: 6, // Left trigger
+        handbrakeButton: 0, // A / Cross
+    },
+};
+
+/**
+ * Keyboard layouts for split screen, one per player. Gamepads are assigned
+ * by player index, so every player keeps the same gamepad mapping.
+ */
+export const SPLIT_SCREEN_BINDINGS: InputBindings[] = [
+    {
+        keyboard: {
+            accelerate: ['keyw'],
+            reverse: ['keys'],
+            steerLeft: ['keya'],
+            steerRight: ['keyd'],
+            handbrake: ['space'],
+        },
+        gamepad: DEFAULT_BINDINGS.gamepad,
+    },
+    {
+        keyboard: {
+            accelerate: ['arrowup'],
+            reverse: ['arrowdown'],
+            steerLeft: ['arrowleft'],
+            steerRight: ['arrowright'],
+            handbrake: ['shiftright'],
+        },
+        gamepad: DEFAULT_BINDINGS.gamepad,
+    },
+    {
+        keyboard: {
+            accelerate: ['keyi'],
+            reverse: ['keyk'],
+            steerLeft: ['keyj'],
+            steerRight: ['keyl'],
+            handbrake: ['keyh'],
+        },
+        gamepad: DEFAULT_BINDINGS.gamepad,
+    },
+    {
+        keyboard: {
+            accelerate: ['numpad8'],
+            reverse: ['numpad5'],
+            steerLeft: ['numpad4'],
+            steerRight: ['numpad6'],
+            handbrake: ['numpad0'],
+        },
+        gamepad: DEFAULT_BINDINGS.gamepad,
+    },
+];
+
+export const DEFAULT_ANALOG_SETTINGS: AnalogSettings = {
+    deadZone: 0.12,
+    sensitivity: 1.5,
+};
+
+const DEFAULT_STORAGE_KEY = 'inputBindings';
+
+function cloneBindings(bindings: InputBindings): InputBindings {
+    return JSON.parse(JSON.stringify(bindings));
+}
+
+/**
+ * Apply dead zone and sensitivity curve to an analog value in [-1, 1]
+ */
+export function shapeAnalog(value: number, settings: AnalogSettings): number {
+    const magnitude = Math.abs(value);
+    if (magnitude <= settings.deadZone) return 0;
+
+    // Rescale so output starts at 0 at the edge of the dead zone
+    const scaled = Math.min(
+        1,
+        (magnitude - settings.deadZone) / (1 - settings.deadZone)
+    );
+    return Math.sign(value) * Math.pow(scaled, settings.sensitivity);
+}
+
+/**
+ * Pick whichever source is pushing hardest on an axis
+ */
+function strongest(values: number[]): number {
+    return values.reduce(
+        (best, value) => (Math.abs(value) > Math.abs(best) ? value : best),
+        0
+    );
+}
+
 export class InputManager {
     private canvas: HTMLCanvasElement;
     private keys: { [key: string]: boolean } = {};
+    private bindings: InputBindings;
+    private analogSettings: AnalogSettings = { ...DEFAULT_ANALOG_SETTINGS };
+    private gamepadIndex: number;
+    private storageKey: string;
+    private touchControls: TouchControls | null = null;
 
-    constructor(canvas: HTMLCanvasElement) {
+    constructor(canvas: HTMLCanvasElement, options: InputManagerOptions = {}) {
         this.canvas = canvas;
+        this.gamepadIndex = options.gamepadIndex ?? 0;
+        this.storageKey = options.storageKey ?? DEFAULT_STORAGE_KEY;
+        this.bindings = cloneBindings(options.bindings ?? DEFAULT_BINDINGS);
+        this.loadBindings();
         this.setupEventListeners();
+
+        if (options.touchControls ?? TouchControls.isSupported()) {
+            this.touchControls = new TouchControls();
+        }
     }
 
     private setupEventListeners() {
@@ -34,34 +193,143 @@ export class InputManager {
         this.canvas.tabIndex = 1;
     }
 
-    getInput() {
+    private isActionPressed(action: InputAction): boolean {
+        return this.bindings.keyboard[action].some((code) => this.keys[code]);
+    }
+
+    private getKeyboardInput(): VehicleInput {
         let accelerate = 0;
         let steer = 0;
-        let handbrake = false;
 
         // Normal vehicle controls
-        if (this.keys['keyw'] || this.keys['arrowup']) {
+        if (this.isActionPressed('accelerate')) {
             accelerate = 1;
         }
-        if (this.keys['keys'] || this.keys['arrowdown']) {
+        if (this.isActionPressed('reverse')) {
             accelerate = -1;
         }
 
-        if (this.keys['keya'] || this.keys['arrowleft']) {
+        if (this.isActionPressed('steerLeft')) {
             steer = 1;
         }
-        if (this.keys['keyd'] || this.keys['arrowright']) {
+        if (this.isActionPressed('steerRight')) {
             steer = -1;
         }
 
-        if (this.keys['space']) {
-            handbrake = true;
-        }
-
         return {
             accelerate,
             steer,
-            handbrake,
+            handbrake: this.isActionPressed('handbrake'),
         };
     }
+
+    private getGamepadInput(): VehicleInput | null {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return null;
+        }
+        const gamepad = navigator.getGamepads()[this.gamepadIndex];
+        if (!gamepad) return null;
+
+        const mapping = this.bindings.gamepad;
+        const axis = gamepad.axes[mapping.steerAxis] ?? 0;
+        const throttle = gamepad.buttons[mapping.throttleButton]?.value ?? 0;
+        const brake = gamepad.buttons[mapping.brakeButton]?.value ?? 0;
+
+        return {
+            // Stick left is negative, steering left is positive
+            steer: -shapeAnalog(axis, this.analogSettings),
+            accelerate:
+                shapeAnalog(throttle, this.analogSettings) -
+                shapeAnalog(brake, this.analogSettings),
+            handbrake: !!gamepad.buttons[mapping.handbrakeButton]?.pressed,
+        };
+    }
+
+    getInput(): VehicleInput {
+        const sources = [this.getKeyboardInput()];
+        const gamepadInput = this.getGamepadInput();
+        if (gamepadInput) sources.push(gamepadInput);
+        if (this.touchControls) sources.push(this.touchControls.getInput());
+
+        return {
+            accelerate: strongest(sources.map((input) => input.accelerate)),
+            steer: strongest(sources.map((input) => input.steer)),
+            handbrake: sources.some((input) => input.handbrake),
+        };
+    }
+
+    getBindings(): InputBindings {
+        return cloneBindings(this.bindings);
+    }
+
+    /**
+     * Rebind a keyboard action and persist the change
+     * @param codes - KeyboardEvent.code values, e.g. ['KeyI', 'Numpad8']
+     */
+    bindKeys(action: InputAction, codes: string[]) {
+        this.bindings.keyboard[action] = codes.map((code) =>
+            code.toLowerCase()
+        );
+        this.saveBindings();
+    }
+
+    /**
+     * Rebind gamepad controls and persist the change
+     */
+    bindGamepad(mapping: Partial<InputBindings['gamepad']>) {
+        this.bindings.gamepad = { ...this.bindings.gamepad, ...mapping };
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = cloneBindings(DEFAULT_BINDINGS);
+        this.saveBindings();
+    }
+
+    getAnalogSettings(): AnalogSettings {
+        return { ...this.analogSettings };
+    }
+
+    setAnalogSettings(settings: Partial<AnalogSettings>) {
+        this.analogSettings = { ...this.analogSettings, ...settings };
+        this.saveBindings();
+    }
+
+    private loadBindings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (!stored) return;
+            const parsed = JSON.parse(stored);
+            this.bindings = {
+                keyboard: {
+                    ...this.bindings.keyboard,
+                    ...parsed.bindings?.keyboard,
+                },
+                gamepad: {
+                    ...this.bindings.gamepad,
+                    ...parsed.bindings?.gamepad,
+                },
+            };
+            this.analogSettings = {
+                ...this.analogSettings,
+                ...parsed.analogSettings,
+            };
+        } catch (error) {
+            console.warn('Failed to load input bindings:', error);
+        }
+    }
+
+    private saveBindings() {
+        try {
+            localStorage.setItem(
+                this.storageKey,
+                JSON.stringify({
+                    bindings: this.bindings,
+                    analogSettings: this.analogSettings,
+                })
+            );
+        } catch (error) {
+            console.warn('Failed to save input bindings:', error);
+        }
+    }
 }
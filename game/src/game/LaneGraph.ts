@@ -0,0 +1,537 @@
+import { Scene, Vector3, VertexBuffer, AbstractMesh } from '@babylonjs/core';
+
+/**
+ * A junction or path end. Paths meet where they share a vertex.
+ */
+export interface LaneNode {
+    id: number;
+    position: Vector3;
+    outgoing: number[]; // Edge ids leaving this node
+}
+
+/**
+ * A directed stretch of path between two nodes, following the authored vertex order
+ */
+export interface LaneEdge {
+    id: number;
+    pathName: string;
+    from: number;
+    to: number;
+    waypoints: Vector3[];
+    cumulativeDistances: number[];
+    length: number;
+    weight: number; // Relative chance of being picked at a junction
+}
+
+export interface PathSample {
+    position: Vector3;
+    forward: Vector3;
+}
+
+/**
+ * Input polyline for building a graph (one per authored path mesh)
+ */
+export interface LanePath {
+    name: string;
+    points: Vector3[];
+    weight?: number;
+    closed?: boolean; // The last point joins back to the first
+}
+
+// Vertices closer than this are treated as the same junction
+const JUNCTION_EPSILON = 0.01;
+
+// Path mesh names: "ai_path", "ai_path_1", ... (not their "ai_path_primitive0" sub-meshes)
+const PATH_NAME = /^ai_path(_\d+)?$/;
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Catmull-Rom spline through 4 points: curve goes from P1 to P2 as t: 0→1
+ */
+function catmullRom(
+    p0: Vector3,
+    p1: Vector3,
+    p2: Vector3,
+    p3: Vector3,
+    t: number
+): PathSample {
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    const a = p2.subtract(p0);
+    const b = p0.scale(2).subtract(p1.scale(5)).add(p2.scale(4)).subtract(p3);
+    const c = p0.scale(-1).add(p1.scale(3)).subtract(p2.scale(3)).add(p3);
+
+    // P(t) = 0.5 * ((2*P1) + (-P0+P2)*t + (2*P0-5*P1+4*P2-P3)*t² + (-P0+3*P1-3*P2+P3)*t³)
+    const position = p1
+        .scale(2)
+        .add(a.scale(t))
+        .add(b.scale(t2))
+        .add(c.scale(t3))
+        .scale(0.5);
+
+    // Tangent: P'(t) = 0.5 * ((-P0+P2) + 2*(2*P0-5*P1+4*P2-P3)*t + 3*(-P0+3*P1-3*P2+P3)*t²)
+    const forward = a
+        .add(b.scale(2 * t))
+        .add(c.scale(3 * t2))
+        .scale(0.5)
+        .normalize();
+
+    return { position, forward };
+}
+
+/**
+ * LaneGraph turns the authored AI path meshes into a directed graph.
+ *
+ * Every mesh named "ai_path" or "ai_path_<n>" is a polyline whose vertex order
+ * is the driving direction. Vertices shared between paths (or within one path)
+ * become junction nodes. A path is a closed circuit when its last vertex repeats
+ * its first, its mesh has an edge from the last vertex to the first, or it has a
+ * `closed: true` glTF extra. A path end that joins nothing is a dead end: AI
+ * cars stop there.
+ */
+export class LaneGraph {
+    private nodes: LaneNode[] = [];
+    private edges: LaneEdge[] = [];
+    private paths: Map<string, LanePath> = new Map();
+
+    /**
+     * Build the graph from all ai_path meshes in the scene (and hide them)
+     * @param pathNames - Use these meshes instead of the ai_path_<n> naming
+     */
+    static fromScene(scene: Scene, pathNames?: string[]): LaneGraph {
+        const paths: LanePath[] = [];
+        const isPath = (name: string) =>
+            pathNames ? pathNames.includes(name) : PATH_NAME.test(name);
+
+        for (const mesh of scene.meshes) {
+            if (!isPath(mesh.name)) {
+                continue;
+            }
+            const points = LaneGraph.extractPoints(mesh);
+            if (points.length < 2) {
+                console.warn(
+                    `LaneGraph: ${mesh.name} has insufficient vertices`
+                );
+                continue;
+            }
+            const extras = mesh.metadata?.gltf?.extras;
+            paths.push({
+                name: mesh.name,
+                points,
+                weight: extras?.weight,
+                closed:
+                    extras?.closed === true ||
+                    LaneGraph.hasClosingEdge(mesh, points.length),
+            });
+
+            // Hide the path mesh
+            mesh.setEnabled(false);
+        }
+
+        // Scene order is whatever the exporter wrote, so order paths as the
+        // level lists them, else by number: the first is the race route
+        const order = (name: string) =>
+            pathNames
+                ? pathNames.indexOf(name)
+                : Number(name.slice('ai_path_'.length) || 0);
+        paths.sort((a, b) => order(a.name) - order(b.name));
+
+        if (paths.length === 0) {
+            console.warn(
+                `LaneGraph: no ${pathNames ? pathNames.join(', ') : '"ai_path"'} meshes found in scene`
+            );
+        }
+
+        return LaneGraph.fromPaths(paths);
+    }
+
+    static fromPaths(paths: LanePath[]): LaneGraph {
+        const graph = new LaneGraph();
+        graph.build(paths);
+        return graph;
+    }
+
+    private static extractPoints(mesh: AbstractMesh): Vector3[] {
+        const positions = mesh.getVerticesData(VertexBuffer.PositionKind);
+        if (!positions) return [];
+
+        // Extract vertices as Vector3, applying the mesh's world matrix
+        const worldMatrix = mesh.computeWorldMatrix(true);
+        const points: Vector3[] = [];
+        for (let i = 0; i < positions.length / 3; i++) {
+            const local = new Vector3(
+                positions[i * 3],
+                positions[i * 3 + 1],
+                positions[i * 3 + 2]
+            );
+            points.push(Vector3.TransformCoordinates(local, worldMatrix));
+        }
+        return points;
+    }
+
+    /**
+     * Whether a line mesh has an edge from its last vertex back to its first
+     * (how a cyclic curve exports)
+     */
+    private static hasClosingEdge(mesh: AbstractMesh, count: number): boolean {
+        const indices = mesh.getIndices();
+        if (!indices || count < 3) return false;
+        for (let i = 0; i + 1 < indices.length; i += 2) {
+            const a = indices[i];
+            const b = indices[i + 1];
+            if ((a === count - 1 && b === 0) || (a === 0 && b === count - 1)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private build(paths: LanePath[]) {
+        const keyOf = (p: Vector3) =>
+            [p.x, p.y, p.z]
+                .map((v) => Math.round(v / JUNCTION_EPSILON))
+                .join(',');
+
+        // A vertex is a node if it ends a path or appears more than once
+        const useCount = new Map<string, number>();
+        const pointsOf = (path: LanePath) => {
+            const { points } = path;
+            const repeatsStart =
+                keyOf(points[points.length - 1]) === keyOf(points[0]);
+            return path.closed && !repeatsStart
+                ? [...points, points[0]]
+                : points;
+        };
+        for (const path of paths) {
+            for (const point of pointsOf(path)) {
+                const key = keyOf(point);
+                useCount.set(key, (useCount.get(key) ?? 0) + 1);
+            }
+        }
+
+        const nodeByKey = new Map<string, LaneNode>();
+        const getNode = (point: Vector3) => {
+            const key = keyOf(point);
+            let node = nodeByKey.get(key);
+            if (!node) {
+                node = {
+                    id: this.nodes.length,
+                    position: point.clone(),
+                    outgoing: [],
+                };
+                this.nodes.push(node);
+                nodeByKey.set(key, node);
+            }
+            return node;
+        };
+
+        const pathEnds: { path: LanePath; last: LaneNode }[] = [];
+
+        for (const path of paths) {
+            this.paths.set(path.name, path);
+            const points = pointsOf(path);
+            const first = getNode(points[0]);
+            let from = first;
+            let section: Vector3[] = [points[0]];
+
+            for (let i = 1; i < points.length; i++) {
+                section.push(points[i]);
+                const isEnd = i === points.length - 1;
+                if (isEnd || (useCount.get(keyOf(points[i])) ?? 0) > 1) {
+                    const to = getNode(points[i]);
+                    this.addEdge(path, from, to, section);
+                    from = to;
+                    section = [points[i]];
+                }
+            }
+
+            pathEnds.push({ path, last: from });
+        }
+
+        // Ends that join nothing stay dead ends rather than getting made-up geometry
+        for (const { path, last } of pathEnds) {
+            if (last.outgoing.length === 0) {
+                console.warn(
+                    `LaneGraph: ${path.name} ends without joining a path; AI cars stop there`
+                );
+            }
+        }
+
+        console.log(
+            `LaneGraph: ${paths.length} paths, ${this.nodes.length} nodes, ${this.edges.length} edges`
+        );
+    }
+
+    private addEdge(
+        path: LanePath,
+        from: LaneNode,
+        to: LaneNode,
+        waypoints: Vector3[]
+    ) {
+        const cumulativeDistances = [0];
+        for (let i = 1; i < waypoints.length; i++) {
+            cumulativeDistances.push(
+                cumulativeDistances[i - 1] +
+                    Vector3.Distance(waypoints[i - 1], waypoints[i])
+            );
+        }
+
+        const edge: LaneEdge = {
+            id: this.edges.length,
+            pathName: path.name,
+            from: from.id,
+            to: to.id,
+            waypoints: waypoints.map((p) => p.clone()),
+            cumulativeDistances,
+            length: cumulativeDistances[cumulativeDistances.length - 1],
+            weight: path.weight ?? 1,
+        };
+        this.edges.push(edge);
+        from.outgoing.push(edge.id);
+    }
+
+    isEmpty(): boolean {
+        return this.edges.length === 0;
+    }
+
+    getNodes(): LaneNode[] {
+        return this.nodes;
+    }
+
+    getEdges(): LaneEdge[] {
+        return this.edges;
+    }
+
+    getEdge(id: number): LaneEdge {
+        return this.edges[id];
+    }
+
+    getNode(id: number): LaneNode | undefined {
+        return this.nodes[id];
+    }
+
+    /**
+     * Path names in the level's order (see fromScene); the first is the race route
+     */
+    getPathNames(): string[] {
+        return [...this.paths.keys()];
+    }
+
+    /**
+     * Authored vertices of a path (defaults to the first one), in driving order
+     */
+    getPathPoints(pathName?: string): Vector3[] {
+        const name = pathName ?? this.getPathNames()[0];
+        return (this.paths.get(name)?.points ?? []).map((p) => p.clone());
+    }
+
+    /**
+     * Total length of an authored path (defaults to the first one)
+     */
+    getPathLength(pathName?: string): number {
+        const name = pathName ?? this.getPathNames()[0];
+        return this.edges
+            .filter((edge) => edge.pathName === name)
+            .reduce((total, edge) => total + edge.length, 0);
+    }
+
+    /**
+     * First edge of a named path (defaults to the first path)
+     */
+    getPathStartEdge(pathName?: string): LaneEdge | null {
+        const name = pathName ?? this.getPathNames()[0];
+        const path = this.paths.get(name);
+        if (!path) return null;
+        const start = this.findNodeAt(path.points[0]);
+        if (!start) return null;
+        const edgeId = start.outgoing.find(
+            (id) => this.edges[id].pathName === name
+        );
+        return edgeId === undefined ? null : this.edges[edgeId];
+    }
+
+    private findNodeAt(position: Vector3): LaneNode | undefined {
+        return this.nodes.find(
+            (node) =>
+                Vector3.DistanceSquared(node.position, position) <
+                JUNCTION_EPSILON ** 2
+        );
+    }
+
+    /**
+     * Pick an outgoing edge at a junction by weighted random choice
+     * @param pathName - Stay on this path where it continues from the junction
+     */
+    chooseNextEdge(
+        nodeId: number,
+        random: () => number = Math.random,
+        pathName?: string
+    ): LaneEdge | null {
+        let outgoing = this.nodes[nodeId]?.outgoing ?? [];
+        if (outgoing.length === 0) return null;
+        const onPath = outgoing.filter(
+            (id) => this.edges[id].pathName === pathName
+        );
+        if (onPath.length > 0) outgoing = onPath;
+
+        const totalWeight = outgoing.reduce(
+            (total, id) => total + this.edges[id].weight,
+            0
+        );
+        let pick = random() * totalWeight;
+        for (const id of outgoing) {
+            pick -= this.edges[id].weight;
+            if (pick <= 0) return this.edges[id];
+        }
+        return this.edges[outgoing[outgoing.length - 1]];
+    }
+
+    /**
+     * Sample the spline along a route (a chain of edge ids) at a distance from
+     * the start of its first edge. Neighbouring edges in the route keep the
+     * curve smooth across junctions.
+     */
+    sampleRoute(route: number[], distance: number): PathSample {
+        let remaining = Math.max(0, distance);
+        let index = 0;
+        while (
+            index < route.length - 1 &&
+            remaining > this.edges[route[index]].length
+        ) {
+            remaining -= this.edges[route[index]].length;
+            index++;
+        }
+
+        const edge = this.edges[route[index]];
+        const previous = index > 0 ? this.edges[route[index - 1]] : null;
+        const next =
+            index < route.length - 1 ? this.edges[route[index + 1]] : null;
+        const d = Math.min(remaining, edge.length);
+        const points = edge.waypoints;
+
+        // Find the segment we're on via binary search
+        let lo = 0;
+        let hi = edge.cumulativeDistances.length - 1;
+        while (lo < hi - 1) {
+            const mid = (lo + hi) >> 1;
+            if (edge.cumulativeDistances[mid] <= d) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+
+        const segLength =
+            edge.cumulativeDistances[lo + 1] - edge.cumulativeDistances[lo];
+        const t =
+            segLength > 0 ? (d - edge.cumulativeDistances[lo]) / segLength : 0;
+
+        const p1 = points[lo];
+        const p2 = points[lo + 1];
+        // Neighbours come from the adjacent edges in the route; at the ends of
+        // the route the segment is extended straight
+        let p0 = p1.scale(2).subtract(p2);
+        if (lo > 0) {
+            p0 = points[lo - 1];
+        } else if (previous) {
+            p0 = previous.waypoints[previous.waypoints.length - 2];
+        }
+        let p3 = p2.scale(2).subtract(p1);
+        if (lo + 2 < points.length) {
+            p3 = points[lo + 2];
+        } else if (next) {
+            p3 = next.waypoints[1];
+        }
+
+        return catmullRom(p0, p1, p2, p3, t);
+    }
+
+    getRouteLength(route: number[]): number {
+        return route.reduce((total, id) => total + this.edges[id].length, 0);
+    }
+
+    /**
+     * Closest point to position on a route, searching up to maxDistance along it
+     */
+    findClosestOnRoute(
+        route: number[],
+        position: Vector3,
+        maxDistance: number = Infinity
+    ): { distance: number; distanceSq: number } {
+        let best = { distance: 0, distanceSq: Infinity };
+        let base = 0;
+
+        for (const id of route) {
+            if (base > maxDistance) break;
+            const closest = this.findClosestOnEdge(this.edges[id], position);
+            if (closest.distanceSq < best.distanceSq) {
+                best = {
+                    distance: base + closest.distance,
+                    distanceSq: closest.distanceSq,
+                };
+            }
+            base += this.edges[id].length;
+        }
+
+        return best;
+    }
+
+    /**
+     * Closest point to position anywhere in the graph, or on one path of it
+     */
+    findClosestOnGraph(
+        position: Vector3,
+        pathName?: string
+    ): {
+        edgeId: number;
+        distance: number;
+    } {
+        const onPath = this.edges.filter((edge) => edge.pathName === pathName);
+        let best = { edgeId: 0, distance: 0, distanceSq: Infinity };
+        for (const edge of onPath.length > 0 ? onPath : this.edges) {
+            const closest = this.findClosestOnEdge(edge, position);
+            if (closest.distanceSq < best.distanceSq) {
+                best = { edgeId: edge.id, ...closest };
+            }
+        }
+        return { edgeId: best.edgeId, distance: best.distance };
+    }
+
+    private findClosestOnEdge(
+        edge: LaneEdge,
+        position: Vector3
+    ): { distance: number; distanceSq: number } {
+        let best = { distance: 0, distanceSq: Infinity };
+
+        for (let i = 0; i < edge.waypoints.length - 1; i++) {
+            const a = edge.waypoints[i];
+            const segment = edge.waypoints[i + 1].subtract(a);
+            const lengthSq = segment.lengthSquared();
+            const t =
+                lengthSq > 0
+                    ? clamp(
+                          Vector3.Dot(position.subtract(a), segment) / lengthSq,
+                          0,
+                          1
+                      )
+                    : 0;
+            const distanceSq = Vector3.DistanceSquared(
+                position,
+                a.add(segment.scale(t))
+            );
+            if (distanceSq < best.distanceSq) {
+                best = {
+                    distance:
+                        edge.cumulativeDistances[i] + t * Math.sqrt(lengthSq),
+                    distanceSq,
+                };
+            }
+        }
+
+        return best;
+    }
+}
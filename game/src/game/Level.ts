@@ -0,0 +1,244 @@
+import { Vector3, Quaternion, Color3 } from '@babylonjs/core';
+import { SpawnTransform, SurfaceDescriptor, SurfaceType } from './Vehicle';
+import { cacheBust } from './HotReload';
+
+/**
+ * Light and background settings a level can pick by name
+ */
+export interface LightingPreset {
+    clearColor: [number, number, number];
+    ambientIntensity: number;
+    ambientGroundColor: [number, number, number];
+    keyIntensity: number;
+    keyColor: [number, number, number];
+}
+
+export const LIGHTING_PRESETS: { [name: string]: LightingPreset } = {
+    day: {
+        clearColor: [0.1, 0.1, 0.1],
+        ambientIntensity: 0.7,
+        ambientGroundColor: [0, 0, 0],
+        keyIntensity: 0.8,
+        keyColor: [1, 1, 1],
+    },
+    dusk: {
+        clearColor: [0.32, 0.18, 0.22],
+        ambientIntensity: 0.45,
+        ambientGroundColor: [0.12, 0.05, 0.1],
+        keyIntensity: 0.9,
+        keyColor: [1, 0.6, 0.35],
+    },
+    night: {
+        clearColor: [0.01, 0.02, 0.05],
+        ambientIntensity: 0.15,
+        ambientGroundColor: [0, 0, 0.03],
+        keyIntensity: 0.6,
+        keyColor: [0.6, 0.7, 1],
+    },
+};
+
+/**
+ * A level: which world to load and how to play it. Optional fields fall
+ * back to the scene conventions (Planet/Ground/drivable* meshes, ai_path_<n>).
+ */
+export interface LevelDescriptor {
+    id: string;
+    name: string;
+    scene: string; // URL of the world GLB
+    spawn?: {
+        position: [number, number, number];
+        heading?: number; // Radians around the up axis, 0 faces +Z
+    };
+    surface?: SurfaceDescriptor; // Auto-detected from mesh names when missing
+    aiPaths?: string[]; // Path mesh names, defaults to ai_path_<n>
+    lighting?: string; // Name in LIGHTING_PRESETS, defaults to day
+    postProcess?: string; // URL of the post-process pipeline config
+}
+
+export const DEFAULT_LEVEL_ID = 'default';
+
+const SURFACE_TYPES: SurfaceType[] = ['planet', 'ground', 'terrain'];
+
+function isNumberArray(value: unknown, length: number): boolean {
+    return (
+        Array.isArray(value) &&
+        value.length === length &&
+        value.every((item) => typeof item === 'number')
+    );
+}
+
+function isStringArray(value: unknown): boolean {
+    return (
+        Array.isArray(value) &&
+        value.every((item) => typeof item === 'string' && item !== '')
+    );
+}
+
+/**
+ * List every problem with a raw level descriptor
+ */
+export function getLevelErrors(raw: unknown): string[] {
+    if (!raw || typeof raw !== 'object') {
+        return ['level must be an object'];
+    }
+    const level = raw as Record<string, unknown>;
+    const errors: string[] = [];
+
+    for (const field of ['id', 'name', 'scene']) {
+        if (typeof level[field] !== 'string' || level[field] === '') {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    }
+
+    if (level.spawn !== undefined) {
+        const spawn = level.spawn as Record<string, unknown>;
+        if (!isNumberArray(spawn?.position, 3)) {
+            errors.push('spawn.position must be an array of 3 numbers');
+        }
+        if (spawn?.heading !== undefined && typeof spawn.heading !== 'number') {
+            errors.push('spawn.heading must be a number');
+        }
+    }
+
+    if (level.surface !== undefined) {
+        const surface = level.surface as Record<string, unknown>;
+        if (!SURFACE_TYPES.includes(surface?.type as SurfaceType)) {
+            errors.push(
+                `surface.type must be one of ${SURFACE_TYPES.join(', ')}`
+            );
+        }
+        if (surface?.meshes !== undefined && !isStringArray(surface.meshes)) {
+            errors.push('surface.meshes must be an array of mesh names');
+        }
+    }
+
+    if (level.aiPaths !== undefined && !isStringArray(level.aiPaths)) {
+        errors.push('aiPaths must be an array of mesh names');
+    }
+
+    if (
+        level.lighting !== undefined &&
+        !(
+            typeof level.lighting === 'string' &&
+            level.lighting in LIGHTING_PRESETS
+        )
+    ) {
+        errors.push(
+            `lighting must be one of ${Object.keys(LIGHTING_PRESETS).join(', ')}`
+        );
+    }
+
+    if (
+        level.postProcess !== undefined &&
+        (typeof level.postProcess !== 'string' || level.postProcess === '')
+    ) {
+        errors.push('postProcess must be a pipeline config URL');
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a raw level descriptor
+ * @throws Error listing every problem found
+ */
+export function parseLevelDescriptor(
+    raw: unknown,
+    source: string = 'level'
+): LevelDescriptor {
+    const errors = getLevelErrors(raw);
+    if (errors.length > 0) {
+        throw new Error(`Invalid level ${source}:\n  ${errors.join('\n  ')}`);
+    }
+    return raw as LevelDescriptor;
+}
+
+const GRID_SPACING = 4; // m between local players' cars on the start grid
+
+/**
+ * Where a player starts, or undefined to keep the model's own position.
+ * Split-screen players line up side by side, alternating right and left.
+ * @param slot - Grid slot, 0 for player one
+ */
+export function getLevelSpawn(
+    level: LevelDescriptor,
+    slot: number = 0
+): SpawnTransform | undefined {
+    if (!level.spawn) return undefined;
+    const rotation = Quaternion.RotationAxis(
+        Vector3.Up(),
+        level.spawn.heading ?? 0
+    );
+    const right = new Vector3();
+    Vector3.Right().rotateByQuaternionToRef(rotation, right);
+    const side = slot % 2 === 1 ? 1 : -1;
+    const offset = Math.ceil(slot / 2) * GRID_SPACING * side;
+    return {
+        position: Vector3.FromArray(level.spawn.position).addInPlace(
+            right.scaleInPlace(offset)
+        ),
+        rotation,
+    };
+}
+
+export function getLightingPreset(level: LevelDescriptor): LightingPreset {
+    return LIGHTING_PRESETS[level.lighting ?? 'day'];
+}
+
+export function toColor3(rgb: [number, number, number]): Color3 {
+    return new Color3(rgb[0], rgb[1], rgb[2]);
+}
+
+/**
+ * LevelLoader reads levels/manifest.json and the level descriptors it lists
+ */
+export class LevelLoader {
+    /**
+     * Load the ids of all levels, in menu order
+     */
+    static async loadManifest(
+        basePath: string = '/levels/'
+    ): Promise<string[]> {
+        const response = await fetch(cacheBust(`${basePath}manifest.json`));
+        if (!response.ok) {
+            throw new Error(
+                `Failed to load level manifest (${response.status})`
+            );
+        }
+
+        const manifest = await response.json();
+        if (!isStringArray(manifest?.levels)) {
+            throw new Error(
+                'Invalid level manifest: levels must be an array of level ids'
+            );
+        }
+        return manifest.levels;
+    }
+
+    /**
+     * Load and validate a level descriptor
+     */
+    static async loadLevel(
+        levelId: string,
+        basePath: string = '/levels/'
+    ): Promise<LevelDescriptor> {
+        const path = `${basePath}${levelId}.json`;
+        const response = await fetch(cacheBust(path));
+        if (!response.ok) {
+            throw new Error(
+                `Failed to load level: ${path} (${response.status})`
+            );
+        }
+        return parseLevelDescriptor(await response.json(), path);
+    }
+
+    /**
+     * Load every level in the manifest, in manifest order
+     */
+    static async loadAllLevels(
+        basePath: string = '/levels/'
+    ): Promise<LevelDescriptor[]> {
+        const ids = await this.loadManifest(basePath);
+        return Promise.all(ids.map((id) => this.loadLevel(id, basePath)));
+    }
+}
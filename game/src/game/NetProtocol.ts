@@ -0,0 +1,208 @@
+import { VehicleInput } from './InputManager';
+import { SerializedState } from './Replay';
+
+/**
+ * Messages between the authority server (src/server) and game clients.
+ * Everything is JSON text over one WebSocket per client.
+ */
+export const NET_PROTOCOL_VERSION = 1;
+export const DEFAULT_SERVER_PORT = 8787;
+
+/**
+ * One simulation tick of a client's input. Sequence numbers start at 1 and
+ * let the client tell which inputs a snapshot already includes.
+ */
+export interface NetInput extends VehicleInput {
+    seq: number;
+}
+
+export type ClientMessage =
+    | { type: 'join'; version: number; vehicleId: string; name?: string }
+    | { type: 'input'; inputs: NetInput[] };
+
+/**
+ * A car in a server snapshot
+ */
+export interface NetCar {
+    id: string; // Player id
+    vehicleId: string; // Vehicle config id
+    name: string;
+    state: SerializedState;
+    lastInputSeq: number; // Last input the server applied, 0 for none yet
+}
+
+export interface NetWelcome {
+    type: 'welcome';
+    playerId: string;
+    levelId: string;
+    slot: number; // Start grid slot of the player's car
+    simulationRate: number;
+    tick: number;
+}
+
+export interface NetSnapshot {
+    type: 'snapshot';
+    tick: number;
+    cars: NetCar[];
+}
+
+export type ServerMessage =
+    | NetWelcome
+    | NetSnapshot
+    | { type: 'error'; message: string };
+
+function isFiniteNumber(value: unknown): value is number {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function parseInput(raw: unknown): NetInput {
+    const input = raw as Record<string, unknown>;
+    if (
+        !input ||
+        !Number.isInteger(input.seq) ||
+        (input.seq as number) < 1 ||
+        !isFiniteNumber(input.accelerate) ||
+        !isFiniteNumber(input.steer) ||
+        typeof input.handbrake !== 'boolean'
+    ) {
+        throw new Error(
+            'Invalid input: expected seq, accelerate, steer, handbrake'
+        );
+    }
+    // Clients can't drive harder than a full stick
+    return {
+        seq: input.seq as number,
+        accelerate: Math.max(-1, Math.min(1, input.accelerate)),
+        steer: Math.max(-1, Math.min(1, input.steer)),
+        handbrake: input.handbrake,
+    };
+}
+
+function isNumberArray(value: unknown, length: number): boolean {
+    return (
+        Array.isArray(value) &&
+        value.length === length &&
+        value.every(isFiniteNumber)
+    );
+}
+
+function parseCar(raw: unknown): NetCar {
+    const car = raw as Record<string, unknown>;
+    const state = car?.state as Record<string, unknown>;
+    if (
+        !car ||
+        typeof car.id !== 'string' ||
+        typeof car.vehicleId !== 'string' ||
+        typeof car.name !== 'string' ||
+        !Number.isInteger(car.lastInputSeq) ||
+        !state ||
+        !isNumberArray(state.position, 3) ||
+        !isNumberArray(state.rotation, 4) ||
+        !isNumberArray(state.momentum, 3) ||
+        !isFiniteNumber(state.speed) ||
+        !isFiniteNumber(state.steerAngle) ||
+        !isFiniteNumber(state.steerVelocity) ||
+        !isFiniteNumber(state.verticalSpeed) ||
+        (state.lateralSpeed !== undefined &&
+            !isFiniteNumber(state.lateralSpeed))
+    ) {
+        throw new Error(
+            'Invalid snapshot car: expected id, vehicleId, name, state, lastInputSeq'
+        );
+    }
+    return car as unknown as NetCar;
+}
+
+/**
+ * Parse and validate a message from a client. Server side, so nothing in it
+ * is trusted: input axes are clamped to [-1, 1].
+ * @throws Error describing the first problem found
+ */
+export function decodeClientMessage(data: string): ClientMessage {
+    let message: Record<string, unknown>;
+    try {
+        message = JSON.parse(data);
+    } catch {
+        throw new Error('Invalid message: not JSON');
+    }
+
+    switch (message?.type) {
+        case 'join':
+            if (message.version !== NET_PROTOCOL_VERSION) {
+                throw new Error(
+                    `Unsupported protocol version: ${message.version} (expected ${NET_PROTOCOL_VERSION})`
+                );
+            }
+            if (typeof message.vehicleId !== 'string' || !message.vehicleId) {
+                throw new Error('Invalid join: vehicleId must be a string');
+            }
+            return {
+                type: 'join',
+                version: message.version,
+                vehicleId: message.vehicleId,
+                name:
+                    typeof message.name === 'string'
+                        ? message.name.slice(0, 32)
+                        : undefined,
+            };
+        case 'input':
+            if (!Array.isArray(message.inputs)) {
+                throw new Error(
+                    'Invalid input message: inputs must be an array'
+                );
+            }
+            return { type: 'input', inputs: message.inputs.map(parseInput) };
+        default:
+            throw new Error(`Unknown message type: ${message?.type}`);
+    }
+}
+
+/**
+ * Parse and validate a message from the server, so a bad one can't reach
+ * the simulation
+ * @throws Error describing the first problem found
+ */
+export function decodeServerMessage(data: string): ServerMessage {
+    let message: Record<string, unknown>;
+    try {
+        message = JSON.parse(data);
+    } catch {
+        throw new Error('Invalid message: not JSON');
+    }
+
+    switch (message?.type) {
+        case 'welcome':
+            if (
+                typeof message.playerId !== 'string' ||
+                typeof message.levelId !== 'string' ||
+                !Number.isInteger(message.slot) ||
+                !isFiniteNumber(message.simulationRate) ||
+                !Number.isInteger(message.tick)
+            ) {
+                throw new Error(
+                    'Invalid welcome: expected playerId, levelId, slot, simulationRate, tick'
+                );
+            }
+            return message as unknown as NetWelcome;
+        case 'snapshot':
+            if (!Number.isInteger(message.tick)) {
+                throw new Error('Invalid snapshot: tick must be an integer');
+            }
+            if (!Array.isArray(message.cars)) {
+                throw new Error('Invalid snapshot: cars must be an array');
+            }
+            return {
+                type: 'snapshot',
+                tick: message.tick as number,
+                cars: message.cars.map(parseCar),
+            };
+        case 'error':
+            return { type: 'error', message: String(message.message) };
+        default:
+            throw new Error(`Unknown message type: ${message?.type}`);
+    }
+}
+
+export function encodeMessage(message: ClientMessage | ServerMessage): string {
+    return JSON.stringify(message);
+}
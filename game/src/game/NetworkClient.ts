@@ -0,0 +1,334 @@
+import { Vector3, Quaternion, Scalar } from '@babylonjs/core';
+import { Vehicle, VehicleState } from './Vehicle';
+import { VehicleInput } from './InputManager';
+import {
+    NET_PROTOCOL_VERSION,
+    NetInput,
+    NetSnapshot,
+    NetWelcome,
+    ServerMessage,
+    decodeServerMessage,
+    encodeMessage,
+} from './NetProtocol';
+
+const INTERPOLATION_DELAY = 0.1; // s remote cars are drawn behind the server
+const SNAPSHOT_HISTORY = 1; // s of remote snapshots kept
+const MAX_CLOCK_DRIFT = 0.25; // s before the server clock estimate is reset
+const CLOCK_CORRECTION = 0.1; // Fraction of the drift corrected per snapshot
+
+/**
+ * The part of the WebSocket API the client needs, so the browser's
+ * WebSocket and the ws package (headless clients) both fit
+ */
+export interface NetSocket {
+    readonly readyState: number;
+    send(data: string): void;
+    close(): void;
+    addEventListener(
+        type: 'message',
+        listener: (event: { data: unknown }) => void
+    ): void;
+    addEventListener(
+        type: 'open' | 'close' | 'error',
+        listener: (event: unknown) => void
+    ): void;
+}
+
+const SOCKET_OPEN = 1;
+
+/**
+ * NetworkClient connects to an authority server, joins the race and passes
+ * snapshots on. It doesn't touch vehicles: see ClientPrediction and
+ * SnapshotInterpolator.
+ */
+export class NetworkClient {
+    private url: string;
+    private createSocket: (url: string) => NetSocket;
+    private socket: NetSocket | null = null;
+    private welcome: NetWelcome | null = null;
+
+    /** Called for every snapshot from the server */
+    onSnapshot: ((snapshot: NetSnapshot) => void) | null = null;
+    /** Called when the connection drops after joining */
+    onDisconnect: (() => void) | null = null;
+
+    /**
+     * @param url - Server address, e.g. ws://192.168.1.20:8787
+     * @param createSocket - Socket factory, e.g. the ws package in Node
+     */
+    constructor(
+        url: string,
+        createSocket: (url: string) => NetSocket = (url) => new WebSocket(url)
+    ) {
+        this.url = url;
+        this.createSocket = createSocket;
+    }
+
+    /**
+     * Connect and join the race with a car
+     * @returns The server's welcome: player id, level and simulation rate
+     */
+    connect(vehicleId: string, name?: string): Promise<NetWelcome> {
+        const socket = this.createSocket(this.url);
+        this.socket = socket;
+
+        return new Promise((resolve, reject) => {
+            socket.addEventListener('open', () => {
+                socket.send(
+                    encodeMessage({
+                        type: 'join',
+                        version: NET_PROTOCOL_VERSION,
+                        vehicleId,
+                        name,
+                    })
+                );
+            });
+            socket.addEventListener('message', (event) => {
+                let message: ServerMessage;
+                try {
+                    message = decodeServerMessage(String(event.data));
+                } catch (error) {
+                    console.error('NetworkClient: ✗ bad message:', error);
+                    if (!this.welcome) reject(error);
+                    return;
+                }
+                if (message.type === 'welcome') {
+                    this.welcome = message;
+                    console.log(
+                        `NetworkClient: ✓ joined ${this.url} as ${message.playerId}`
+                    );
+                    resolve(message);
+                } else if (message.type === 'snapshot') {
+                    this.onSnapshot?.(message);
+                } else {
+                    console.error(`NetworkClient: ✗ ${message.message}`);
+                    if (!this.welcome) reject(new Error(message.message));
+                }
+            });
+            socket.addEventListener('error', () => {
+                if (!this.welcome) {
+                    reject(new Error(`Failed to connect to ${this.url}`));
+                }
+            });
+            socket.addEventListener('close', () => {
+                if (this.socket !== socket) return; // Closed by us
+                if (this.welcome) {
+                    console.warn('NetworkClient: disconnected');
+                    this.onDisconnect?.();
+                } else {
+                    reject(new Error(`Connection to ${this.url} closed`));
+                }
+                this.socket = null;
+            });
+        });
+    }
+
+    /**
+     * Send inputs the server hasn't seen yet, oldest first
+     */
+    sendInputs(inputs: NetInput[]) {
+        if (inputs.length === 0 || !this.isConnected()) return;
+        this.socket!.send(encodeMessage({ type: 'input', inputs }));
+    }
+
+    isConnected(): boolean {
+        return this.socket?.readyState === SOCKET_OPEN && !!this.welcome;
+    }
+
+    getPlayerId(): string | null {
+        return this.welcome?.playerId ?? null;
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+    }
+}
+
+/**
+ * ClientPrediction runs the local car ahead of the server on the player's
+ * own inputs, then rewinds to each authoritative state and replays the
+ * inputs the server hasn't applied yet.
+ */
+export class ClientPrediction {
+    private vehicle: Vehicle;
+    private fixedDeltaTime: number;
+    private pending: NetInput[] = []; // Sent, not yet in a snapshot
+    private unsent: NetInput[] = [];
+    private nextSeq: number = 1;
+
+    constructor(vehicle: Vehicle, fixedDeltaTime: number) {
+        this.vehicle = vehicle;
+        this.fixedDeltaTime = fixedDeltaTime;
+    }
+
+    /**
+     * Number this tick's input, queue it for the server and drive the car
+     * with it. The caller then steps the vehicle as usual.
+     */
+    applyInput(input: VehicleInput): NetInput {
+        const netInput = { ...input, seq: this.nextSeq++ };
+        this.pending.push(netInput);
+        this.unsent.push(netInput);
+        this.vehicle.setInput(input.accelerate, input.steer, input.handbrake);
+        return netInput;
+    }
+
+    /**
+     * Inputs to send since the last call
+     */
+    takeUnsent(): NetInput[] {
+        const inputs = this.unsent;
+        this.unsent = [];
+        return inputs;
+    }
+
+    /**
+     * Rewind to the server's state of the car and replay newer inputs
+     * @param lastInputSeq - Last input the server applied to that state
+     * @returns How far the prediction was off, in meters
+     */
+    reconcile(serverState: VehicleState, lastInputSeq: number): number {
+        this.pending = this.pending.filter((input) => input.seq > lastInputSeq);
+        const predicted = this.vehicle.getPosition().clone();
+
+        this.vehicle.setState(serverState);
+        for (const input of this.pending) {
+            this.vehicle.setInput(
+                input.accelerate,
+                input.steer,
+                input.handbrake
+            );
+            this.vehicle.update(this.fixedDeltaTime);
+        }
+        return Vector3.Distance(predicted, this.vehicle.getPosition());
+    }
+
+    getPendingCount(): number {
+        return this.pending.length;
+    }
+}
+
+/**
+ * ServerClock estimates the server's current tick between snapshots, so
+ * remote cars can be drawn a fixed delay behind it
+ */
+export class ServerClock {
+    private tick: number | null = null;
+    private maxDrift: number;
+    private delay: number;
+
+    constructor(simulationRate: number) {
+        this.maxDrift = MAX_CLOCK_DRIFT * simulationRate;
+        this.delay = INTERPOLATION_DELAY * simulationRate;
+    }
+
+    /**
+     * Pull the estimate towards a snapshot's tick
+     */
+    observe(serverTick: number) {
+        if (
+            this.tick === null ||
+            Math.abs(serverTick - this.tick) > this.maxDrift
+        ) {
+            this.tick = serverTick;
+        } else {
+            this.tick += (serverTick - this.tick) * CLOCK_CORRECTION;
+        }
+    }
+
+    /**
+     * Advance by one local simulation step
+     */
+    step() {
+        if (this.tick !== null) this.tick++;
+    }
+
+    getTick(): number | null {
+        return this.tick;
+    }
+
+    /**
+     * Tick remote cars are drawn at: a delay behind the server, which leaves
+     * a snapshot on either side to blend between
+     */
+    getRenderTick(): number | null {
+        return this.tick === null ? null : this.tick - this.delay;
+    }
+}
+
+/**
+ * SnapshotInterpolator keeps a remote car's recent server states and blends
+ * between the two around a given tick. It holds the newest state rather
+ * than extrapolate past it.
+ */
+export class SnapshotInterpolator {
+    private snapshots: { tick: number; state: VehicleState }[] = [];
+    private historyTicks: number;
+
+    constructor(simulationRate: number) {
+        this.historyTicks = SNAPSHOT_HISTORY * simulationRate;
+    }
+
+    push(tick: number, state: VehicleState) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && tick <= last.tick) return; // Late or duplicate
+        this.snapshots.push({ tick, state });
+        while (this.snapshots[0].tick < tick - this.historyTicks) {
+            this.snapshots.shift();
+        }
+    }
+
+    sample(tick: number): VehicleState | null {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+        if (tick <= snapshots[0].tick) return snapshots[0].state;
+
+        for (let i = 1; i < snapshots.length; i++) {
+            const to = snapshots[i];
+            if (tick > to.tick) continue;
+            const from = snapshots[i - 1];
+            const t = (tick - from.tick) / (to.tick - from.tick);
+            return {
+                position: Vector3.Lerp(
+                    from.state.position,
+                    to.state.position,
+                    t
+                ),
+                rotation: Quaternion.Slerp(
+                    from.state.rotation,
+                    to.state.rotation,
+                    t
+                ),
+                speed: Scalar.Lerp(from.state.speed, to.state.speed, t),
+                steerAngle: Scalar.Lerp(
+                    from.state.steerAngle,
+                    to.state.steerAngle,
+                    t
+                ),
+                steerVelocity: Scalar.Lerp(
+                    from.state.steerVelocity,
+                    to.state.steerVelocity,
+                    t
+                ),
+                momentum: Vector3.Lerp(
+                    from.state.momentum,
+                    to.state.momentum,
+                    t
+                ),
+                verticalSpeed: Scalar.Lerp(
+                    from.state.verticalSpeed,
+                    to.state.verticalSpeed,
+                    t
+                ),
+                lateralSpeed: Scalar.Lerp(
+                    from.state.lateralSpeed,
+                    to.state.lateralSpeed,
+                    t
+                ),
+            };
+        }
+        return snapshots[snapshots.length - 1].state;
+    }
+}
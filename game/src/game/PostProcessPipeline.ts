@@ -0,0 +1,309 @@
+import { Camera, Engine, Texture, BaseTexture } from '@babylonjs/core';
+import { PostProcessShader, UniformValue } from './PostProcessShader';
+import { cacheBust } from './HotReload';
+
+export type UniformType =
+    | 'float'
+    | 'vec2'
+    | 'vec3'
+    | 'vec4'
+    | 'mat4'
+    | 'texture';
+
+/**
+ * A uniform declared in the pipeline config. Textures take a URL as value.
+ */
+export interface UniformConfig {
+    type: UniformType;
+    value: number | number[] | string;
+}
+
+export interface PostProcessPassConfig {
+    name: string;
+    shader: string; // URL of the fragment shader
+    enabled?: boolean; // Defaults to true
+    depth?: boolean; // Bind the scene depth buffer to `depthSampler`
+    uniforms?: { [name: string]: UniformConfig };
+}
+
+/**
+ * Ordered chain of passes; each pass reads the previous pass's output
+ * from `textureSampler`
+ */
+export interface PostProcessPipelineConfig {
+    passes: PostProcessPassConfig[];
+}
+
+interface PostProcessPass {
+    config: PostProcessPassConfig;
+    shader: PostProcessShader;
+    textures: BaseTexture[]; // Lookup textures the pass owns
+    enabled: boolean;
+}
+
+const VECTOR_SIZES: { [type: string]: number } = {
+    vec2: 2,
+    vec3: 3,
+    vec4: 4,
+    mat4: 16,
+};
+
+function isNumberArray(value: unknown, length: number): boolean {
+    return (
+        Array.isArray(value) &&
+        value.length === length &&
+        value.every((item) => typeof item === 'number')
+    );
+}
+
+/**
+ * Check a raw pipeline config, reporting problems with their JSON path
+ * @throws Error listing every problem found
+ */
+export function parsePostProcessConfig(
+    raw: unknown
+): PostProcessPipelineConfig {
+    const config = raw as PostProcessPipelineConfig;
+    if (!config || !Array.isArray(config.passes)) {
+        throw new Error('Invalid post-process config: passes must be an array');
+    }
+
+    const errors: string[] = [];
+    const names = new Set<string>();
+    config.passes.forEach((pass, i) => {
+        const path = `passes[${i}]`;
+        if (typeof pass.name !== 'string' || !pass.name) {
+            errors.push(`${path}.name must be a non-empty string`);
+        } else if (names.has(pass.name)) {
+            errors.push(`${path}.name "${pass.name}" is already used`);
+        }
+        names.add(pass.name);
+        if (typeof pass.shader !== 'string' || !pass.shader) {
+            errors.push(`${path}.shader must be a shader URL`);
+        }
+
+        for (const [name, uniform] of Object.entries(pass.uniforms ?? {})) {
+            const uniformPath = `${path}.uniforms.${name}`;
+            const size = VECTOR_SIZES[uniform.type];
+            if (uniform.type === 'float') {
+                if (typeof uniform.value !== 'number') {
+                    errors.push(`${uniformPath}.value must be a number`);
+                }
+            } else if (uniform.type === 'texture') {
+                if (typeof uniform.value !== 'string') {
+                    errors.push(`${uniformPath}.value must be a texture URL`);
+                }
+            } else if (size) {
+                if (!isNumberArray(uniform.value, size)) {
+                    errors.push(
+                        `${uniformPath}.value must be an array of ${size} numbers`
+                    );
+                }
+            } else {
+                errors.push(
+                    `${uniformPath}.type must be one of float, vec2, vec3, vec4, mat4, texture`
+                );
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(
+            `Invalid post-process config:\n  ${errors.join('\n  ')}`
+        );
+    }
+    return config;
+}
+
+/**
+ * PostProcessPipeline runs an ordered chain of post-processing passes
+ * declared in a JSON config. Passes can be toggled at runtime; disabled
+ * passes are detached from the camera so they cost nothing.
+ */
+export class PostProcessPipeline {
+    private camera: Camera;
+    private engine: Engine;
+    private passes: PostProcessPass[] = [];
+    private configPath: string | null = null;
+
+    constructor(camera: Camera, engine: Engine) {
+        this.camera = camera;
+        this.engine = engine;
+    }
+
+    /**
+     * Load a pipeline config and every shader it references
+     */
+    async loadFromFile(configPath: string) {
+        this.configPath = configPath;
+        const response = await fetch(cacheBust(configPath));
+        if (!response.ok) {
+            throw new Error(
+                `Failed to load post-process config: ${configPath} (${response.status})`
+            );
+        }
+        const config = parsePostProcessConfig(await response.json());
+
+        const loader = new PostProcessShader();
+        const sources: { [path: string]: string } = {};
+        for (const pass of config.passes) {
+            if (!(pass.shader in sources)) {
+                sources[pass.shader] = await loader.loadShaderFromFile(
+                    cacheBust(pass.shader)
+                );
+            }
+        }
+
+        this.build(config, sources);
+    }
+
+    /**
+     * Pick up an edited pipeline config or shader file (hot reload).
+     * Shaders are recompiled in place; a shader that fails to compile
+     * leaves the previous version running.
+     * @returns Whether the file is used by this pipeline
+     * @throws Error with the load or compile error
+     */
+    async reloadAsset(path: string): Promise<boolean> {
+        if (path === this.configPath) {
+            await this.loadFromFile(path);
+            return true;
+        }
+
+        const passes = this.passes.filter(
+            (pass) => pass.config.shader === path
+        );
+        if (passes.length === 0) return false;
+
+        const code = await new PostProcessShader().loadShaderFromFile(
+            cacheBust(path)
+        );
+        for (const pass of passes) {
+            await pass.shader.updateFragmentShader(code);
+        }
+        return true;
+    }
+
+    /**
+     * Create the passes from an already loaded config
+     * @param sources - Fragment shader code keyed by the passes' shader URLs
+     */
+    build(
+        config: PostProcessPipelineConfig,
+        sources: { [path: string]: string }
+    ) {
+        this.dispose();
+        const scene = this.camera.getScene();
+
+        for (const passConfig of config.passes) {
+            const uniforms: { [name: string]: UniformValue } = {};
+            const textures: { [name: string]: BaseTexture } = {};
+            for (const [name, uniform] of Object.entries(
+                passConfig.uniforms ?? {}
+            )) {
+                if (uniform.type === 'texture') {
+                    // Lookup textures are addressed by exact texel: no flip, no mips
+                    textures[name] = new Texture(
+                        uniform.value as string,
+                        scene,
+                        true,
+                        false
+                    );
+                } else {
+                    uniforms[name] = uniform.value as number | number[];
+                }
+            }
+
+            const shader = new PostProcessShader();
+            shader.createPostProcess(
+                this.camera,
+                this.engine,
+                sources[passConfig.shader],
+                uniforms,
+                {
+                    name: `postProcess_${passConfig.name}`,
+                    textures,
+                    depthTexture: passConfig.depth
+                        ? scene.enableDepthRenderer(this.camera).getDepthMap()
+                        : undefined,
+                }
+            );
+            this.passes.push({
+                config: passConfig,
+                shader,
+                textures: Object.values(textures),
+                enabled: passConfig.enabled ?? true,
+            });
+        }
+
+        this.attachEnabledPasses();
+        console.log(
+            `PostProcessPipeline: ${this.passes.length} passes (${this.getPassNames().join(', ')})`
+        );
+    }
+
+    /**
+     * Re-attach enabled passes to the camera in config order
+     */
+    private attachEnabledPasses() {
+        for (const pass of this.passes) {
+            const postProcess = pass.shader.getPostProcess();
+            if (postProcess) this.camera.detachPostProcess(postProcess);
+        }
+        for (const pass of this.passes) {
+            const postProcess = pass.shader.getPostProcess();
+            if (pass.enabled && postProcess) {
+                this.camera.attachPostProcess(postProcess);
+            }
+        }
+    }
+
+    setEnabled(passName: string, enabled: boolean) {
+        const pass = this.getPass(passName);
+        if (pass.enabled === enabled) return;
+        pass.enabled = enabled;
+        this.attachEnabledPasses();
+    }
+
+    isEnabled(passName: string): boolean {
+        return this.getPass(passName).enabled;
+    }
+
+    getPassNames(): string[] {
+        return this.passes.map((pass) => pass.config.name);
+    }
+
+    /**
+     * Set a uniform on every pass that declares it (e.g. time, speed)
+     */
+    setUniform(name: string, value: UniformValue) {
+        for (const pass of this.passes) {
+            if (pass.shader.hasUniform(name)) {
+                pass.shader.setUniform(name, value);
+            }
+        }
+    }
+
+    /**
+     * Set a uniform on a single pass
+     */
+    setPassUniform(passName: string, name: string, value: UniformValue) {
+        this.getPass(passName).shader.setUniform(name, value);
+    }
+
+    private getPass(passName: string): PostProcessPass {
+        const pass = this.passes.find((p) => p.config.name === passName);
+        if (!pass) {
+            throw new Error(`Unknown post-process pass: ${passName}`);
+        }
+        return pass;
+    }
+
+    dispose() {
+        for (const pass of this.passes) {
+            pass.shader.dispose();
+            for (const texture of pass.textures) texture.dispose();
+        }
+        this.passes = [];
+    }
+}
@@ -1,11 +1,31 @@
-import { Camera, PostProcess, Engine, Effect } from '@babylonjs/core';
+import {
+    Camera,
+    PostProcess,
+    Engine,
+    Effect,
+    Matrix,
+    BaseTexture,
+} from '@babylonjs/core';
 
-type UniformValue = number | [number, number];
+/**
+ * float, vec2/vec3/vec4 as arrays, and mat4 as a Matrix or 16-element array
+ */
+export type UniformValue = number | number[] | Matrix;
+
+export interface PostProcessOptions {
+    name?: string; // Shader name, must be unique per post process
+    textures?: { [sampler: string]: BaseTexture }; // Extra sampler2D inputs
+    depthTexture?: BaseTexture; // Bound to `depthSampler` when set
+}
 
 export class PostProcessShader {
     private postProcess: PostProcess | null = null;
     private uniforms: { [key: string]: UniformValue } = {};
+    private textures: { [key: string]: BaseTexture } = {};
     private engine: Engine | null = null;
+    private shaderName: string = '';
+    private activeFragmentName: string = '';
+    private shaderVersion: number = 0;
 
     /**
      * Load fragment shader code from a file
@@ -34,21 +54,28 @@ export class PostProcessShader {
         camera: Camera,
         engine: Engine,
         fragmentShaderCode: string,
-        uniforms?: { [key: string]: UniformValue }
+        uniforms?: { [key: string]: UniformValue },
+        options: PostProcessOptions = {}
     ) {
         this.engine = engine;
-        const shaderName = 'customPostProcess';
+        const shaderName = options.name ?? 'customPostProcess';
+        this.shaderName = shaderName;
+        this.activeFragmentName = shaderName;
 
         // Register fragment shader
-        Effect.ShadersStore[`${shaderName}FragmentShader`] =
-            fragmentShaderCode;
+        Effect.ShadersStore[`${shaderName}FragmentShader`] = fragmentShaderCode;
+
+        this.textures = { ...options.textures };
+        if (options.depthTexture) {
+            this.textures['depthSampler'] = options.depthTexture;
+        }
 
         // Create PostProcess
         this.postProcess = new PostProcess(
             shaderName,
             shaderName,
             Object.keys(uniforms || {}), // uniform names
-            [], // samplers
+            Object.keys(this.textures), // samplers
             1, // ratio
             camera
         );
@@ -73,15 +100,85 @@ export class PostProcessShader {
                 if (key === 'resolution') continue; // handled above
                 if (typeof value === 'number') {
                     effect.setFloat(key, value);
-                } else if (Array.isArray(value)) {
+                } else if (value instanceof Matrix) {
+                    effect.setMatrix(key, value);
+                } else if (value.length === 2) {
                     effect.setFloat2(key, value[0], value[1]);
+                } else if (value.length === 3) {
+                    effect.setFloat3(key, value[0], value[1], value[2]);
+                } else if (value.length === 4) {
+                    effect.setFloat4(
+                        key,
+                        value[0],
+                        value[1],
+                        value[2],
+                        value[3]
+                    );
+                } else if (value.length === 16) {
+                    effect.setMatrix(key, Matrix.FromArray(value));
                 }
             }
+
+            for (const [key, texture] of Object.entries(this.textures)) {
+                effect.setTexture(key, texture);
+            }
         };
 
         return this.postProcess;
     }
 
+    /**
+     * Recompile the post process with new fragment shader code. If the new
+     * code fails to compile, the previous shader is restored.
+     * @throws Error with the compile log when compilation fails
+     */
+    updateFragmentShader(fragmentShaderCode: string): Promise<void> {
+        const postProcess = this.postProcess;
+        if (!postProcess) {
+            return Promise.reject(new Error('Post process not created'));
+        }
+
+        // Each version gets its own name so the effect cache can't return the old one
+        const previousName = this.activeFragmentName;
+        this.shaderVersion++;
+        const name = `${this.shaderName}_v${this.shaderVersion}`;
+        Effect.ShadersStore[`${name}FragmentShader`] = fragmentShaderCode;
+
+        const update = (
+            fragmentName: string,
+            onCompiled: () => void,
+            onError: (errors: string) => void
+        ) =>
+            postProcess.updateEffect(
+                null,
+                Object.keys(this.uniforms),
+                Object.keys(this.textures),
+                null,
+                onCompiled,
+                (_effect, errors) => onError(errors),
+                undefined,
+                fragmentName
+            );
+
+        return new Promise((resolve, reject) => {
+            update(
+                name,
+                () => {
+                    this.activeFragmentName = name;
+                    resolve();
+                },
+                (errors) => {
+                    update(
+                        previousName,
+                        () => {},
+                        () => {}
+                    );
+                    reject(new Error(errors));
+                }
+            );
+        });
+    }
+
     /**
      * Update a uniform value
      */
@@ -89,6 +186,17 @@ export class PostProcessShader {
         this.uniforms[name] = value;
     }
 
+    hasUniform(name: string): boolean {
+        return name in this.uniforms;
+    }
+
+    /**
+     * Replace the texture bound to a sampler declared at creation
+     */
+    setTexture(name: string, texture: BaseTexture) {
+        this.textures[name] = texture;
+    }
+
     /**
      * Dispose of the post process
      */
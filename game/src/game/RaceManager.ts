@@ -0,0 +1,470 @@
+import { Scene, Vector3 } from '@babylonjs/core';
+import { LaneGraph } from './LaneGraph';
+
+/**
+ * Anything that can take part in a race (Vehicle satisfies this)
+ */
+export interface RaceCar {
+    getPosition(): Vector3;
+    getVelocity(): Vector3;
+}
+
+/**
+ * Live race state of one entrant
+ */
+export interface EntrantStatus {
+    id: string;
+    name: string;
+    isPlayer: boolean;
+    position: number; // 1-based race position
+    lap: number; // Current lap, 1-based (0 while still behind the start line)
+    lapsCompleted: number;
+    lapDistance: number; // Distance along the current lap
+    currentLapTime: number;
+    lapTimes: number[];
+    bestLapTime: number | null;
+    finished: boolean;
+    finishTime: number | null;
+    wrongWay: boolean;
+}
+
+/**
+ * Structured race results, safe to serialize or assert on
+ */
+export interface RaceResults {
+    laps: number;
+    trackLength: number;
+    elapsedTime: number;
+    finished: boolean; // Every entrant crossed the line on the final lap
+    bestLap: { entrantId: string; time: number } | null;
+    entrants: Omit<
+        EntrantStatus,
+        'lapDistance' | 'currentLapTime' | 'wrongWay'
+    >[];
+}
+
+export interface RaceOptions {
+    laps?: number;
+}
+
+interface Entrant {
+    id: string;
+    name: string;
+    car: RaceCar;
+    isPlayer: boolean;
+    lapDistance: number;
+    lapIndex: number; // Net forward line crossings; -1 while on the grid behind the line
+    highestLapIndex: number; // Recrossing the line after reversing doesn't count twice
+    lapStartTime: number;
+    lapTimes: number[];
+    finishTime: number | null;
+    wrongWayTime: number;
+}
+
+// Wrong-way detection
+const WRONG_WAY_MIN_SPEED = 2; // m/s
+const WRONG_WAY_DELAY = 1; // s driving backwards before it's flagged
+// How far from the last known progress to look for the car on the track
+const PROGRESS_SEARCH_WINDOW = 30; // m
+// Start grid: two staggered columns behind the line
+const GRID_STAGGER = 4; // m each slot starts behind the one before
+const GRID_COLUMN_OFFSET = 2; // m either side of the racing line
+
+/**
+ * Format seconds as m:ss.mmm for lap and race times
+ */
+export function formatRaceTime(seconds: number): string {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds - minutes * 60;
+    return `${minutes}:${rest.toFixed(3).padStart(6, '0')}`;
+}
+
+/**
+ * A start grid slot (0 is pole): how far behind the line it is along the
+ * track, and how far right of the racing line
+ */
+export function getGridSlot(slot: number): {
+    behind: number;
+    lateral: number;
+} {
+    return {
+        behind: (slot + 1) * GRID_STAGGER,
+        lateral: slot % 2 === 0 ? -GRID_COLUMN_OFFSET : GRID_COLUMN_OFFSET,
+    };
+}
+
+/**
+ * A closed loop the race is run on. The start/finish line is at the first point.
+ */
+export class RaceTrack {
+    private points: Vector3[];
+    private cumulativeDistances: number[] = [0];
+    private length: number;
+
+    constructor(points: Vector3[]) {
+        // Close the loop unless the last point already returns to the start
+        const closed = points[points.length - 1].equalsWithEpsilon(points[0])
+            ? points
+            : [...points, points[0]];
+        this.points = closed.map((p) => p.clone());
+
+        for (let i = 1; i < this.points.length; i++) {
+            this.cumulativeDistances.push(
+                this.cumulativeDistances[i - 1] +
+                    Vector3.Distance(this.points[i - 1], this.points[i])
+            );
+        }
+        this.length =
+            this.cumulativeDistances[this.cumulativeDistances.length - 1];
+    }
+
+    /**
+     * Build the track from checkpoint_N meshes (in N order) if the scene has
+     * any, otherwise from the first AI path
+     */
+    static fromScene(scene: Scene, laneGraph?: LaneGraph): RaceTrack | null {
+        const checkpoints = scene.meshes
+            .map((mesh) => ({
+                mesh,
+                match: /^checkpoint_(\d+)$/.exec(mesh.name),
+            }))
+            .filter((entry) => entry.match)
+            .sort((a, b) => Number(a.match![1]) - Number(b.match![1]));
+
+        if (checkpoints.length >= 2) {
+            console.log(
+                `RaceTrack: using ${checkpoints.length} checkpoint meshes`
+            );
+            return new RaceTrack(
+                checkpoints.map(({ mesh }) =>
+                    mesh.getBoundingInfo().boundingBox.centerWorld.clone()
+                )
+            );
+        }
+
+        const pathPoints = laneGraph?.getPathPoints() ?? [];
+        if (pathPoints.length >= 2) {
+            console.log('RaceTrack: using the AI path as the race course');
+            return new RaceTrack(pathPoints);
+        }
+
+        console.warn('RaceTrack: no checkpoints or AI path to race on');
+        return null;
+    }
+
+    getLength(): number {
+        return this.length;
+    }
+
+    /**
+     * Distance along the lap of the closest point to position.
+     * With aroundDistance, only the part of the loop within window of it is searched.
+     */
+    findDistance(
+        position: Vector3,
+        aroundDistance?: number,
+        window: number = Infinity
+    ): number {
+        let bestDistance = aroundDistance ?? 0;
+        let bestDistanceSq = Infinity;
+
+        for (let i = 0; i < this.points.length - 1; i++) {
+            const a = this.points[i];
+            const segment = this.points[i + 1].subtract(a);
+            const lengthSq = segment.lengthSquared();
+            const t =
+                lengthSq > 0
+                    ? Math.max(
+                          0,
+                          Math.min(
+                              1,
+                              Vector3.Dot(position.subtract(a), segment) /
+                                  lengthSq
+                          )
+                      )
+                    : 0;
+            const distance =
+                (this.cumulativeDistances[i] + t * Math.sqrt(lengthSq)) %
+                this.length;
+
+            if (
+                aroundDistance !== undefined &&
+                Math.abs(this.wrapDelta(distance - aroundDistance)) > window
+            ) {
+                continue;
+            }
+
+            const distanceSq = Vector3.DistanceSquared(
+                position,
+                a.add(segment.scale(t))
+            );
+            if (distanceSq < bestDistanceSq) {
+                bestDistanceSq = distanceSq;
+                bestDistance = distance;
+            }
+        }
+
+        return bestDistance;
+    }
+
+    /**
+     * Racing direction at a distance along the lap
+     */
+    getDirection(distance: number): Vector3 {
+        const d = ((distance % this.length) + this.length) % this.length;
+        let i = 0;
+        while (
+            i < this.cumulativeDistances.length - 2 &&
+            this.cumulativeDistances[i + 1] <= d
+        ) {
+            i++;
+        }
+        return this.points[i + 1].subtract(this.points[i]).normalize();
+    }
+
+    /**
+     * Shortest signed difference between two lap distances, across the line
+     */
+    wrapDelta(delta: number): number {
+        let wrapped = delta % this.length;
+        if (wrapped > this.length / 2) wrapped -= this.length;
+        if (wrapped < -this.length / 2) wrapped += this.length;
+        return wrapped;
+    }
+}
+
+/**
+ * RaceManager tracks every entrant's progress around a RaceTrack: laps,
+ * lap and best times, race positions and wrong-way driving.
+ */
+export class RaceManager {
+    private track: RaceTrack;
+    private laps: number;
+    private entrants: Entrant[] = [];
+    private elapsedTime: number = 0;
+    private running: boolean = false;
+    private resultsReported: boolean = false;
+
+    /** Called once when every entrant has finished */
+    onRaceFinished: ((results: RaceResults) => void) | null = null;
+
+    constructor(track: RaceTrack, options: RaceOptions = {}) {
+        this.track = track;
+        this.laps = options.laps ?? 3;
+    }
+
+    addEntrant(id: string, name: string, car: RaceCar, isPlayer = false) {
+        const lapDistance = this.track.findDistance(car.getPosition());
+        this.entrants.push({
+            id,
+            name,
+            car,
+            isPlayer,
+            lapDistance,
+            // Cars on the grid behind the line start their first lap when they cross it
+            lapIndex: lapDistance < this.track.getLength() / 2 ? 0 : -1,
+            highestLapIndex: 0,
+            lapStartTime: 0,
+            lapTimes: [],
+            finishTime: null,
+            wrongWayTime: 0,
+        });
+    }
+
+    /**
+     * Drop an entrant that left the race (e.g. a disconnected network player)
+     */
+    removeEntrant(id: string) {
+        this.entrants = this.entrants.filter((entrant) => entrant.id !== id);
+    }
+
+    start() {
+        this.elapsedTime = 0;
+        this.running = true;
+        this.resultsReported = false;
+        for (const entrant of this.entrants) {
+            entrant.lapStartTime = 0;
+        }
+    }
+
+    isRunning(): boolean {
+        return this.running;
+    }
+
+    update(deltaTime: number) {
+        if (!this.running) return;
+        this.elapsedTime += deltaTime;
+
+        for (const entrant of this.entrants) {
+            if (entrant.finishTime !== null) continue;
+            this.updateEntrant(entrant, deltaTime);
+        }
+
+        if (this.entrants.every((entrant) => entrant.finishTime !== null)) {
+            this.running = false;
+            if (!this.resultsReported) {
+                this.resultsReported = true;
+                const results = this.getResults();
+                console.log('Race finished:', results);
+                this.onRaceFinished?.(results);
+            }
+        }
+    }
+
+    private updateEntrant(entrant: Entrant, deltaTime: number) {
+        const previous = entrant.lapDistance;
+        const current = this.track.findDistance(
+            entrant.car.getPosition(),
+            previous,
+            PROGRESS_SEARCH_WINDOW
+        );
+        entrant.lapDistance = current;
+
+        // Crossed the start/finish line forwards or backwards
+        const rawDelta = current - previous;
+        const delta = this.track.wrapDelta(rawDelta);
+        if (delta > 0 && rawDelta < 0) {
+            this.crossLineForward(entrant);
+        } else if (delta < 0 && rawDelta > 0) {
+            entrant.lapIndex--;
+        }
+
+        // Wrong way: moving against the track direction for a while
+        const velocity = entrant.car.getVelocity();
+        const speed = velocity.length();
+        const along = Vector3.Dot(velocity, this.track.getDirection(current));
+        if (speed > WRONG_WAY_MIN_SPEED && along < -0.5 * speed) {
+            entrant.wrongWayTime += deltaTime;
+        } else {
+            entrant.wrongWayTime = 0;
+        }
+    }
+
+    private crossLineForward(entrant: Entrant) {
+        entrant.lapIndex++;
+        if (entrant.lapIndex <= entrant.highestLapIndex) {
+            // Leaving the grid, or back over a line already crossed
+            if (entrant.lapIndex === 0) {
+                entrant.lapStartTime = this.elapsedTime;
+            }
+            return;
+        }
+
+        entrant.highestLapIndex = entrant.lapIndex;
+        entrant.lapTimes.push(this.elapsedTime - entrant.lapStartTime);
+        entrant.lapStartTime = this.elapsedTime;
+
+        if (entrant.lapTimes.length >= this.laps) {
+            entrant.finishTime = this.elapsedTime;
+        }
+    }
+
+    private getTotalProgress(entrant: Entrant): number {
+        return entrant.lapIndex * this.track.getLength() + entrant.lapDistance;
+    }
+
+    /**
+     * Current standings, ordered by race position
+     */
+    getStandings(): EntrantStatus[] {
+        return this.getOrderedEntrants().map((entrant, index) =>
+            this.getEntrantStatus(entrant, index + 1)
+        );
+    }
+
+    /**
+     * Status of the entrant driving a car (ids needn't be unique, cars are)
+     */
+    getStatus(car: RaceCar): EntrantStatus | null {
+        const ordered = this.getOrderedEntrants();
+        const index = ordered.findIndex((entrant) => entrant.car === car);
+        return index < 0
+            ? null
+            : this.getEntrantStatus(ordered[index], index + 1);
+    }
+
+    private getOrderedEntrants(): Entrant[] {
+        return [...this.entrants].sort((a, b) => {
+            // Finishers first, in finishing order
+            if (a.finishTime !== null || b.finishTime !== null) {
+                return (a.finishTime ?? Infinity) - (b.finishTime ?? Infinity);
+            }
+            return this.getTotalProgress(b) - this.getTotalProgress(a);
+        });
+    }
+
+    private getEntrantStatus(
+        entrant: Entrant,
+        position: number
+    ): EntrantStatus {
+        const bestLapTime =
+            entrant.lapTimes.length > 0 ? Math.min(...entrant.lapTimes) : null;
+        return {
+            id: entrant.id,
+            name: entrant.name,
+            isPlayer: entrant.isPlayer,
+            position,
+            lap:
+                entrant.lapIndex < 0
+                    ? 0
+                    : Math.min(entrant.lapIndex + 1, this.laps),
+            lapsCompleted: entrant.lapTimes.length,
+            lapDistance: entrant.lapDistance,
+            currentLapTime:
+                entrant.finishTime === null
+                    ? this.elapsedTime - entrant.lapStartTime
+                    : 0,
+            lapTimes: [...entrant.lapTimes],
+            bestLapTime,
+            finished: entrant.finishTime !== null,
+            finishTime: entrant.finishTime,
+            wrongWay: entrant.wrongWayTime > WRONG_WAY_DELAY,
+        };
+    }
+
+    getPlayerStatus(): EntrantStatus | null {
+        return this.getStandings().find((status) => status.isPlayer) ?? null;
+    }
+
+    getResults(): RaceResults {
+        const standings = this.getStandings();
+
+        let bestLap: RaceResults['bestLap'] = null;
+        for (const status of standings) {
+            if (
+                status.bestLapTime !== null &&
+                (!bestLap || status.bestLapTime < bestLap.time)
+            ) {
+                bestLap = { entrantId: status.id, time: status.bestLapTime };
+            }
+        }
+
+        return {
+            laps: this.laps,
+            trackLength: this.track.getLength(),
+            elapsedTime: this.elapsedTime,
+            finished: standings.every((status) => status.finished),
+            bestLap,
+            entrants: standings.map((status) => ({
+                id: status.id,
+                name: status.name,
+                isPlayer: status.isPlayer,
+                position: status.position,
+                lap: status.lap,
+                lapsCompleted: status.lapsCompleted,
+                lapTimes: status.lapTimes,
+                bestLapTime: status.bestLapTime,
+                finished: status.finished,
+                finishTime: status.finishTime,
+            })),
+        };
+    }
+
+    getLaps(): number {
+        return this.laps;
+    }
+
+    getElapsedTime(): number {
+        return this.elapsedTime;
+    }
+}
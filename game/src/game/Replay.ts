@@ -0,0 +1,194 @@
+import { Vector3, Quaternion } from '@babylonjs/core';
+import { VehicleConfig } from './VehicleConfig';
+import { VehicleState } from './Vehicle';
+import { VehicleInput } from './InputManager';
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * Run of identical inputs: [tick count, accelerate, steer, handbrake (0/1)]
+ */
+type InputRun = [number, number, number, number];
+
+/**
+ * Serialized vehicle state (plain arrays so it round-trips through JSON)
+ */
+export interface SerializedState {
+    position: [number, number, number];
+    rotation: [number, number, number, number];
+    speed: number;
+    steerAngle: number;
+    steerVelocity: number;
+    momentum: [number, number, number];
+    verticalSpeed: number;
+    lateralSpeed?: number; // Missing in replays from before the tire model
+}
+
+/**
+ * Replay file: everything needed to re-simulate a vehicle's run tick by tick
+ */
+export interface ReplayFile {
+    version: number;
+    simulationRate: number; // Fixed steps per second the inputs were recorded at
+    vehicleConfig: VehicleConfig;
+    initialState: SerializedState;
+    tickCount: number;
+    inputs: InputRun[]; // Run-length encoded per-tick inputs
+}
+
+export function serializeState(state: VehicleState): SerializedState {
+    return {
+        position: state.position.asArray() as [number, number, number],
+        rotation: state.rotation.asArray() as [number, number, number, number],
+        speed: state.speed,
+        steerAngle: state.steerAngle,
+        steerVelocity: state.steerVelocity,
+        momentum: state.momentum.asArray() as [number, number, number],
+        verticalSpeed: state.verticalSpeed,
+        lateralSpeed: state.lateralSpeed,
+    };
+}
+
+export function deserializeState(state: SerializedState): VehicleState {
+    return {
+        position: Vector3.FromArray(state.position),
+        rotation: Quaternion.FromArray(state.rotation),
+        speed: state.speed,
+        steerAngle: state.steerAngle,
+        steerVelocity: state.steerVelocity,
+        momentum: Vector3.FromArray(state.momentum),
+        verticalSpeed: state.verticalSpeed,
+        lateralSpeed: state.lateralSpeed ?? 0,
+    };
+}
+
+/**
+ * Turn a replay's initial state back into a VehicleState
+ */
+export function getReplayInitialState(replay: ReplayFile): VehicleState {
+    return deserializeState(replay.initialState);
+}
+
+/**
+ * Parse and sanity-check a replay file
+ */
+export function parseReplay(json: string): ReplayFile {
+    const replay = JSON.parse(json) as ReplayFile;
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(
+            `Unsupported replay version: ${replay.version} (expected ${REPLAY_VERSION})`
+        );
+    }
+    if (!Array.isArray(replay.inputs) || !replay.initialState) {
+        throw new Error('Invalid replay file: missing inputs or initial state');
+    }
+    return replay;
+}
+
+/**
+ * ReplayRecorder captures one input per simulation tick, starting from a
+ * vehicle state snapshot
+ */
+export class ReplayRecorder {
+    private vehicleConfig: VehicleConfig;
+    private initialState: SerializedState;
+    private simulationRate: number;
+    private inputs: InputRun[] = [];
+    private tickCount: number = 0;
+
+    constructor(
+        vehicleConfig: VehicleConfig,
+        initialState: VehicleState,
+        simulationRate: number
+    ) {
+        this.vehicleConfig = vehicleConfig;
+        this.initialState = serializeState(initialState);
+        this.simulationRate = simulationRate;
+    }
+
+    /**
+     * Record the input applied on the current tick
+     */
+    record(input: VehicleInput) {
+        const handbrake = input.handbrake ? 1 : 0;
+        const last = this.inputs[this.inputs.length - 1];
+        if (
+            last &&
+            last[1] === input.accelerate &&
+            last[2] === input.steer &&
+            last[3] === handbrake
+        ) {
+            last[0]++;
+        } else {
+            this.inputs.push([1, input.accelerate, input.steer, handbrake]);
+        }
+        this.tickCount++;
+    }
+
+    getTickCount(): number {
+        return this.tickCount;
+    }
+
+    toReplay(): ReplayFile {
+        return {
+            version: REPLAY_VERSION,
+            simulationRate: this.simulationRate,
+            vehicleConfig: this.vehicleConfig,
+            initialState: this.initialState,
+            tickCount: this.tickCount,
+            inputs: this.inputs.map((run) => [...run] as InputRun),
+        };
+    }
+
+    serialize(): string {
+        return JSON.stringify(this.toReplay());
+    }
+}
+
+/**
+ * ReplayPlayer hands back the recorded inputs one tick at a time
+ */
+export class ReplayPlayer {
+    private replay: ReplayFile;
+    private runIndex: number = 0;
+    private tickInRun: number = 0;
+    private tick: number = 0;
+
+    constructor(replay: ReplayFile) {
+        this.replay = replay;
+    }
+
+    /**
+     * Input for the next tick, or null once the replay has ended
+     */
+    next(): VehicleInput | null {
+        const run = this.replay.inputs[this.runIndex];
+        if (!run) return null;
+
+        const input = {
+            accelerate: run[1],
+            steer: run[2],
+            handbrake: run[3] === 1,
+        };
+
+        this.tick++;
+        this.tickInRun++;
+        if (this.tickInRun >= run[0]) {
+            this.runIndex++;
+            this.tickInRun = 0;
+        }
+        return input;
+    }
+
+    isFinished(): boolean {
+        return this.runIndex >= this.replay.inputs.length;
+    }
+
+    getTick(): number {
+        return this.tick;
+    }
+
+    getReplay(): ReplayFile {
+        return this.replay;
+    }
+}
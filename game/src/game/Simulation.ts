@@ -0,0 +1,179 @@
+import {
+    Scene,
+    NullEngine,
+    Vector3,
+    Quaternion,
+    TransformNode,
+} from '@babylonjs/core';
+
+export const DEFAULT_SIMULATION_RATE = 120; // Hz
+
+export interface SimulationOptions {
+    rate?: number; // Fixed steps per second
+    maxStepsPerFrame?: number; // Cap on catch-up steps after a hitch
+}
+
+interface TrackedTransform {
+    node: TransformNode;
+    previousPosition: Vector3;
+    previousRotation: Quaternion;
+    currentPosition: Vector3;
+    currentRotation: Quaternion;
+}
+
+/**
+ * Create a scene backed by a NullEngine, for running the simulation
+ * without a canvas or WebGL (tests, tools, servers)
+ */
+export function createHeadlessScene(): Scene {
+    return new Scene(new NullEngine());
+}
+
+/**
+ * Simulation advances game logic in fixed time steps, independent of the frame rate.
+ *
+ * Each rendered frame adds its real delta time to an accumulator and runs as many
+ * fixed steps as fit. The leftover fraction of a step is returned as an
+ * interpolation factor for smoothing the rendered transforms.
+ * Calling step() directly runs the simulation headless, one tick at a time.
+ */
+export class Simulation {
+    readonly rate: number;
+    readonly fixedDeltaTime: number;
+    private maxStepsPerFrame: number;
+    private stepCallback: (deltaTime: number, tick: number) => void;
+    private accumulator: number = 0;
+    private tick: number = 0;
+
+    constructor(
+        stepCallback: (deltaTime: number, tick: number) => void,
+        options: SimulationOptions = {}
+    ) {
+        this.stepCallback = stepCallback;
+        this.rate = options.rate ?? DEFAULT_SIMULATION_RATE;
+        this.fixedDeltaTime = 1 / this.rate;
+        this.maxStepsPerFrame = options.maxStepsPerFrame ?? 8;
+    }
+
+    /**
+     * Run a single fixed step
+     */
+    step() {
+        this.stepCallback(this.fixedDeltaTime, this.tick);
+        this.tick++;
+    }
+
+    /**
+     * Run fixed steps until the given number of ticks has elapsed
+     */
+    runTicks(count: number) {
+        for (let i = 0; i < count; i++) {
+            this.step();
+        }
+    }
+
+    /**
+     * Advance by a variable frame time, running as many fixed steps as fit.
+     * @returns Interpolation factor (0-1) between the last two steps
+     */
+    advance(frameDeltaTime: number): number {
+        this.accumulator += frameDeltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedDeltaTime) {
+            if (steps >= this.maxStepsPerFrame) {
+                // Too far behind (tab in background, long hitch): drop the backlog
+                this.accumulator = 0;
+                break;
+            }
+            this.step();
+            this.accumulator -= this.fixedDeltaTime;
+            steps++;
+        }
+
+        return this.accumulator / this.fixedDeltaTime;
+    }
+
+    getTick(): number {
+        return this.tick;
+    }
+
+    /**
+     * Simulated time in seconds
+     */
+    getTime(): number {
+        return this.tick * this.fixedDeltaTime;
+    }
+}
+
+/**
+ * RenderInterpolator smooths rendered transforms between fixed simulation steps.
+ *
+ * Simulated objects keep their state on their TransformNodes, so the node is put
+ * back to its simulated transform before stepping, the transform is captured after
+ * every step, and the node is blended between the last two captures for rendering.
+ */
+export class RenderInterpolator {
+    private tracked: TrackedTransform[] = [];
+
+    track(node: TransformNode) {
+        if (!node.rotationQuaternion) {
+            node.rotationQuaternion = Quaternion.Identity();
+        }
+        const position = node.position.clone();
+        const rotation = node.rotationQuaternion.clone();
+        this.tracked.push({
+            node,
+            previousPosition: position.clone(),
+            previousRotation: rotation.clone(),
+            currentPosition: position,
+            currentRotation: rotation,
+        });
+    }
+
+    untrack(node: TransformNode) {
+        this.tracked = this.tracked.filter((entry) => entry.node !== node);
+    }
+
+    /**
+     * Put every node back to its simulated transform before stepping
+     */
+    restore() {
+        for (const entry of this.tracked) {
+            entry.node.position = entry.currentPosition.clone();
+            entry.node.rotationQuaternion = entry.currentRotation.clone();
+        }
+    }
+
+    /**
+     * Record the simulated transforms after a step
+     */
+    capture() {
+        for (const entry of this.tracked) {
+            entry.previousPosition.copyFrom(entry.currentPosition);
+            entry.previousRotation.copyFrom(entry.currentRotation);
+            entry.currentPosition.copyFrom(entry.node.position);
+            entry.currentRotation.copyFrom(
+                entry.node.rotationQuaternion ?? Quaternion.Identity()
+            );
+        }
+    }
+
+    /**
+     * Blend nodes between the last two steps for rendering
+     */
+    interpolate(alpha: number) {
+        for (const entry of this.tracked) {
+            entry.node.position = Vector3.Lerp(
+                entry.previousPosition,
+                entry.currentPosition,
+                alpha
+            );
+            entry.node.rotationQuaternion = Quaternion.Slerp(
+                entry.previousRotation,
+                entry.currentRotation,
+                alpha
+            );
+        }
+    }
+}
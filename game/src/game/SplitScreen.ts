@@ -0,0 +1,75 @@
+import { Viewport } from '@babylonjs/core';
+import { InputManagerOptions, SPLIT_SCREEN_BINDINGS } from './InputManager';
+
+export const MAX_LOCAL_PLAYERS = SPLIT_SCREEN_BINDINGS.length;
+
+/**
+ * KeyboardEvent.code that cycles each split-screen player's camera rig
+ */
+export const SPLIT_SCREEN_CAMERA_KEYS = ['KeyC', 'Period', 'KeyN', 'NumpadAdd'];
+
+/**
+ * Screen areas for each local player, in Babylon's viewport space (origin
+ * bottom-left). Two players stack top and bottom; three put player one
+ * across the top; four get a quarter each.
+ */
+export function getSplitScreenViewports(playerCount: number): Viewport[] {
+    switch (playerCount) {
+        case 1:
+            return [new Viewport(0, 0, 1, 1)];
+        case 2:
+            return [new Viewport(0, 0.5, 1, 0.5), new Viewport(0, 0, 1, 0.5)];
+        case 3:
+            return [
+                new Viewport(0, 0.5, 1, 0.5),
+                new Viewport(0, 0, 0.5, 0.5),
+                new Viewport(0.5, 0, 0.5, 0.5),
+            ];
+        case 4:
+            return [
+                new Viewport(0, 0.5, 0.5, 0.5),
+                new Viewport(0.5, 0.5, 0.5, 0.5),
+                new Viewport(0, 0, 0.5, 0.5),
+                new Viewport(0.5, 0, 0.5, 0.5),
+            ];
+        default:
+            throw new Error(
+                `Split screen supports 1 to ${MAX_LOCAL_PLAYERS} players, got ${playerCount}`
+            );
+    }
+}
+
+/**
+ * Input for one player. A single player keeps the default bindings (both
+ * WASD and arrows) and touch controls; with more players each gets their
+ * own keys, their own gamepad and their own saved bindings.
+ */
+export function getPlayerInputOptions(
+    playerIndex: number,
+    playerCount: number
+): InputManagerOptions {
+    if (playerCount === 1) return {};
+    return {
+        gamepadIndex: playerIndex,
+        storageKey: `inputBindings_player${playerIndex + 1}`,
+        bindings: SPLIT_SCREEN_BINDINGS[playerIndex],
+        touchControls: false,
+    };
+}
+
+/**
+ * An overlay element covering a viewport, for that player's HUD
+ */
+export function createViewportOverlay(
+    viewport: Viewport,
+    container: HTMLElement = document.body
+): HTMLElement {
+    const overlay = document.createElement('div');
+    overlay.className = 'viewport-overlay';
+    overlay.style.left = `${viewport.x * 100}%`;
+    overlay.style.top = `${(1 - viewport.y - viewport.height) * 100}%`;
+    overlay.style.width = `${viewport.width * 100}%`;
+    overlay.style.height = `${viewport.height * 100}%`;
+    container.appendChild(overlay);
+    return overlay;
+}
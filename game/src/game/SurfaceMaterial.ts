@@ -0,0 +1,111 @@
+import { Node } from '@babylonjs/core';
+
+/**
+ * How a patch of road drives
+ */
+export interface SurfaceMaterial {
+    name: string;
+    grip: number; // Scales engine, brake and steering traction (1 = asphalt)
+    rollingResistance: number; // Fraction of speed lost per second
+    speedMultiplier: number; // Scales the vehicle's top speed
+    boost: number; // Forward push while on the surface, m/s²
+}
+
+export const SURFACE_MATERIALS: { [name: string]: SurfaceMaterial } = {
+    asphalt: {
+        name: 'asphalt',
+        grip: 1,
+        rollingResistance: 0,
+        speedMultiplier: 1,
+        boost: 0,
+    },
+    dirt: {
+        name: 'dirt',
+        grip: 0.7,
+        rollingResistance: 0.3,
+        speedMultiplier: 0.7,
+        boost: 0,
+    },
+    ice: {
+        name: 'ice',
+        grip: 0.15,
+        rollingResistance: 0,
+        speedMultiplier: 1,
+        boost: 0,
+    },
+    boost: {
+        name: 'boost',
+        grip: 1,
+        rollingResistance: 0,
+        speedMultiplier: 1.5,
+        boost: 30,
+    },
+};
+
+export const DEFAULT_SURFACE_MATERIAL = SURFACE_MATERIALS.asphalt;
+
+const TUNABLE_FIELDS = [
+    'grip',
+    'rollingResistance',
+    'speedMultiplier',
+    'boost',
+] as const;
+
+/**
+ * Material named by a node's own glTF extras or name, without its parents
+ */
+function getOwnSurfaceMaterial(
+    node: Node,
+    anyWord: boolean
+): SurfaceMaterial | null {
+    // glTF extras: { "surface": "ice", "grip": 0.1 } — a preset, tweaks or both
+    const extras = node.metadata?.gltf?.extras;
+    if (extras && typeof extras === 'object') {
+        const preset =
+            typeof extras.surface === 'string'
+                ? SURFACE_MATERIALS[extras.surface.toLowerCase()]
+                : undefined;
+        const tweaked = TUNABLE_FIELDS.filter(
+            (field) =>
+                typeof extras[field] === 'number' &&
+                Number.isFinite(extras[field])
+        );
+        if (preset || tweaked.length > 0) {
+            const material = { ...(preset ?? DEFAULT_SURFACE_MATERIAL) };
+            for (const field of tweaked) {
+                material[field] = extras[field];
+            }
+            return material;
+        }
+    }
+
+    // Name convention: "surface_boost_pad", or on a surface mesh any word of
+    // the name, e.g. "drivable_ice_lake"
+    const words = node.name.toLowerCase().split(/[^a-z]+/);
+    const named = anyWord ? words : words[0] === 'surface' ? [words[1]] : [];
+    for (const word of named) {
+        if (word in SURFACE_MATERIALS) {
+            return SURFACE_MATERIALS[word];
+        }
+    }
+    return null;
+}
+
+/**
+ * The surface material of a mesh, from glTF extras or its name. Meshes
+ * inherit their parents' material, so a whole node can be tagged at once.
+ * @param anyWord - Take the material from any word of a name, not only a
+ * "surface_" prefix. Only for meshes already driven on, so props named
+ * after a material ("boost_sign") never become road.
+ * @returns The material, or null if neither the mesh nor a parent is tagged
+ */
+export function getSurfaceMaterial(
+    node: Node,
+    anyWord: boolean = false
+): SurfaceMaterial | null {
+    for (let current: Node | null = node; current; current = current.parent) {
+        const material = getOwnSurfaceMaterial(current, anyWord);
+        if (material) return material;
+    }
+    return null;
+}
@@ -0,0 +1,102 @@
+import { VehicleInput } from './InputManager';
+
+// Horizontal drag (px) on the steering pad that gives full lock
+const STEER_RADIUS = 60;
+
+/**
+ * TouchControls adds an on-screen steering pad and pedal buttons for mobile.
+ * Dragging across the pad steers proportionally; the pedals are digital.
+ * Styles live in index.html (#touchControls).
+ */
+export class TouchControls {
+    private root: HTMLElement;
+    private steer: number = 0;
+    private throttle: boolean = false;
+    private brake: boolean = false;
+    private handbrake: boolean = false;
+    private steerPointerId: number | null = null;
+    private steerOriginX: number = 0;
+
+    constructor(container: HTMLElement = document.body) {
+        this.root = document.createElement('div');
+        this.root.id = 'touchControls';
+
+        const steerPad = document.createElement('div');
+        steerPad.className = 'touch-steer';
+        steerPad.textContent = '◀ ▶';
+        this.setupSteerPad(steerPad);
+
+        const pedals = document.createElement('div');
+        pedals.className = 'touch-pedals';
+        pedals.append(
+            this.createButton('GAS', (down) => (this.throttle = down)),
+            this.createButton('BRAKE', (down) => (this.brake = down)),
+            this.createButton('DRIFT', (down) => (this.handbrake = down))
+        );
+
+        this.root.append(steerPad, pedals);
+        container.appendChild(this.root);
+    }
+
+    /**
+     * Whether the device has a touch screen
+     */
+    static isSupported(): boolean {
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+
+    private setupSteerPad(pad: HTMLElement) {
+        pad.addEventListener('pointerdown', (event) => {
+            this.steerPointerId = event.pointerId;
+            this.steerOriginX = event.clientX;
+            pad.setPointerCapture(event.pointerId);
+        });
+
+        pad.addEventListener('pointermove', (event) => {
+            if (event.pointerId !== this.steerPointerId) return;
+            const offset = (event.clientX - this.steerOriginX) / STEER_RADIUS;
+            // Dragging left steers left (positive)
+            this.steer = Math.max(-1, Math.min(1, -offset));
+        });
+
+        const release = (event: PointerEvent) => {
+            if (event.pointerId !== this.steerPointerId) return;
+            this.steerPointerId = null;
+            this.steer = 0;
+        };
+        pad.addEventListener('pointerup', release);
+        pad.addEventListener('pointercancel', release);
+    }
+
+    private createButton(
+        label: string,
+        onChange: (down: boolean) => void
+    ): HTMLElement {
+        const button = document.createElement('div');
+        button.className = 'touch-button';
+        button.textContent = label;
+        button.addEventListener('pointerdown', (event) => {
+            button.setPointerCapture(event.pointerId);
+            onChange(true);
+        });
+        button.addEventListener('pointerup', () => onChange(false));
+        button.addEventListener('pointercancel', () => onChange(false));
+        return button;
+    }
+
+    getInput(): VehicleInput {
+        let accelerate = 0;
+        if (this.throttle) accelerate = 1;
+        if (this.brake) accelerate = -1;
+
+        return {
+            accelerate,
+            steer: this.steer,
+            handbrake: this.handbrake,
+        };
+    }
+
+    dispose() {
+        this.root.remove();
+    }
+}
@@ -0,0 +1,261 @@
+import { Vehicle, VehicleTuning } from './Vehicle';
+import { VEHICLE_CONFIG_VERSION } from './VehicleConfig';
+
+interface TuningParameter {
+    key: keyof VehicleTuning;
+    label: string;
+    min: number;
+    max: number;
+    step: number;
+}
+
+export const TUNING_PARAMETERS: TuningParameter[] = [
+    { key: 'maxSpeed', label: 'Max speed', min: 5, max: 80, step: 0.5 },
+    { key: 'acceleration', label: 'Acceleration', min: 1, max: 60, step: 0.5 },
+    { key: 'friction', label: 'Friction', min: 0.1, max: 1, step: 0.01 },
+    {
+        key: 'maxSteerAngle',
+        label: 'Max steer angle',
+        min: 0.2,
+        max: 5,
+        step: 0.05,
+    },
+    { key: 'mass', label: 'Mass (kg)', min: 200, max: 5000, step: 50 },
+    {
+        key: 'brakingForce',
+        label: 'Braking force',
+        min: 0,
+        max: 100,
+        step: 1,
+    },
+    {
+        key: 'steerVelocityDamping',
+        label: 'Steer velocity damping',
+        min: 0,
+        max: 1,
+        step: 0.01,
+    },
+    {
+        key: 'steerAngleDamping',
+        label: 'Steer angle damping',
+        min: 0,
+        max: 1,
+        step: 0.01,
+    },
+    {
+        key: 'reverseSpeedRatio',
+        label: 'Reverse speed ratio',
+        min: 0,
+        max: 1,
+        step: 0.05,
+    },
+    { key: 'restitution', label: 'Restitution', min: 0, max: 1, step: 0.05 },
+];
+
+const GRAPH_SAMPLES = 240; // About 4 seconds at 60 fps
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 80;
+
+/**
+ * TuningPanel is a debug overlay for editing a vehicle's handling live.
+ * It plots speed and steer angle and exports the tuned config as JSON.
+ * Styles live in index.html (#tuningPanel).
+ */
+export class TuningPanel {
+    private vehicle: Vehicle;
+    private root: HTMLElement;
+    private graph: HTMLCanvasElement;
+    private rows: Map<
+        keyof VehicleTuning,
+        { input: HTMLInputElement; display: HTMLElement }
+    > = new Map();
+    private speedSamples: number[] = [];
+    private steerSamples: number[] = [];
+    private toggleKey: string;
+    private onKeyDown = (event: KeyboardEvent) => {
+        if (event.code === this.toggleKey) {
+            this.toggle();
+        }
+    };
+
+    /**
+     * @param toggleKey - KeyboardEvent.code that shows and hides the panel
+     */
+    constructor(
+        vehicle: Vehicle,
+        toggleKey: string = 'Backquote',
+        container: HTMLElement = document.body
+    ) {
+        this.vehicle = vehicle;
+        this.toggleKey = toggleKey;
+
+        this.root = document.createElement('div');
+        this.root.id = 'tuningPanel';
+        this.root.style.display = 'none';
+
+        const title = document.createElement('h3');
+        title.textContent = `Tuning: ${vehicle.getName()}`;
+        this.root.appendChild(title);
+
+        const tuning = vehicle.getTuning();
+        for (const parameter of TUNING_PARAMETERS) {
+            this.root.appendChild(
+                this.createRow(parameter, tuning[parameter.key])
+            );
+        }
+
+        this.graph = document.createElement('canvas');
+        this.graph.width = GRAPH_WIDTH;
+        this.graph.height = GRAPH_HEIGHT;
+        this.root.appendChild(this.graph);
+
+        const legend = document.createElement('div');
+        legend.className = 'tuning-legend';
+        legend.innerHTML =
+            '<span class="speed">■ speed</span> <span class="steer">■ steer angle</span>';
+        this.root.appendChild(legend);
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export JSON';
+        exportButton.addEventListener('click', () => this.download());
+        this.root.appendChild(exportButton);
+
+        container.appendChild(this.root);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    private createRow(parameter: TuningParameter, value: number): HTMLElement {
+        const row = document.createElement('label');
+        row.className = 'tuning-row';
+
+        const name = document.createElement('span');
+        name.textContent = parameter.label;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = String(parameter.min);
+        input.max = String(parameter.max);
+        input.step = String(parameter.step);
+        input.value = String(value);
+
+        const display = document.createElement('span');
+        display.className = 'tuning-value';
+        display.textContent = String(value);
+
+        input.addEventListener('input', () => {
+            const newValue = parseFloat(input.value);
+            display.textContent = String(newValue);
+            this.vehicle.setTuning({ [parameter.key]: newValue });
+        });
+
+        this.rows.set(parameter.key, { input, display });
+        row.append(name, input, display);
+        return row;
+    }
+
+    /**
+     * Sync the sliders with the vehicle after its tuning changed elsewhere
+     */
+    refresh() {
+        const tuning = this.vehicle.getTuning();
+        for (const [key, row] of this.rows) {
+            row.input.value = String(tuning[key]);
+            row.display.textContent = String(tuning[key]);
+        }
+    }
+
+    toggle() {
+        this.setVisible(!this.isVisible());
+    }
+
+    setVisible(visible: boolean) {
+        this.root.style.display = visible ? 'block' : 'none';
+    }
+
+    isVisible(): boolean {
+        return this.root.style.display !== 'none';
+    }
+
+    /**
+     * Record a graph sample; call once per rendered frame
+     */
+    update() {
+        this.speedSamples.push(this.vehicle.getSpeed());
+        this.steerSamples.push(this.vehicle.getSteerAngle());
+        if (this.speedSamples.length > GRAPH_SAMPLES) {
+            this.speedSamples.shift();
+            this.steerSamples.shift();
+        }
+
+        if (this.isVisible()) {
+            this.drawGraph();
+        }
+    }
+
+    private drawGraph() {
+        const context = this.graph.getContext('2d');
+        if (!context) return;
+
+        context.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+        const tuning = this.vehicle.getTuning();
+        this.plot(context, this.speedSamples, tuning.maxSpeed, '#4fc3f7');
+        this.plot(context, this.steerSamples, tuning.maxSteerAngle, '#ffb74d');
+    }
+
+    /**
+     * Draw samples as a line, scaled so +-range fills the graph height
+     */
+    private plot(
+        context: CanvasRenderingContext2D,
+        samples: number[],
+        range: number,
+        color: string
+    ) {
+        const xStep = GRAPH_WIDTH / GRAPH_SAMPLES;
+        const middle = GRAPH_HEIGHT / 2;
+        context.strokeStyle = color;
+        context.beginPath();
+        samples.forEach((sample, i) => {
+            const y = middle - (sample / range) * middle;
+            if (i === 0) {
+                context.moveTo(0, y);
+            } else {
+                context.lineTo(i * xStep, y);
+            }
+        });
+        context.stroke();
+    }
+
+    /**
+     * Vehicle config with the tuned values, in the public/vehicles/*.json format
+     */
+    getExportJson(): string {
+        const config = this.vehicle.getConfig();
+        return JSON.stringify(
+            {
+                ...config,
+                version: VEHICLE_CONFIG_VERSION,
+                physics: { ...config.physics, ...this.vehicle.getTuning() },
+            },
+            null,
+            2
+        );
+    }
+
+    private download() {
+        const blob = new Blob([this.getExportJson() + '\n'], {
+            type: 'application/json',
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.vehicle.getConfig().id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        this.root.remove();
+    }
+}
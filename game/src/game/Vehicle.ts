@@ -5,13 +5,81 @@ import {
     Quaternion,
     SceneLoader,
     AbstractMesh,
+    AssetContainer,
+    Ray,
 } from '@babylonjs/core';
 import '@babylonjs/loaders/glTF';
-import { VehicleConfig } from './VehicleConfig';
+import {
+    VehicleConfig,
+    DEFAULT_VEHICLE_PHYSICS,
+    DEFAULT_TIRE_MODEL,
+} from './VehicleConfig';
 import { CollisionPhysics } from './CollisionPhysics';
+import {
+    SurfaceMaterial,
+    DEFAULT_SURFACE_MATERIAL,
+    getSurfaceMaterial,
+} from './SurfaceMaterial';
 
 // Surface types the vehicle can drive on
-type SurfaceType = 'planet' | 'ground';
+export type SurfaceType = 'planet' | 'ground' | 'terrain';
+
+/**
+ * Explicit surface for a level, instead of detecting it from mesh names.
+ * meshes names the planet or ground mesh, or the drivable terrain meshes.
+ */
+export interface SurfaceDescriptor {
+    type: SurfaceType;
+    meshes?: string[];
+}
+
+/**
+ * Complete dynamic state of a vehicle, enough to resume the simulation exactly
+ */
+export interface VehicleState {
+    position: Vector3;
+    rotation: Quaternion;
+    speed: number;
+    steerAngle: number;
+    steerVelocity: number;
+    momentum: Vector3;
+    verticalSpeed: number;
+    lateralSpeed: number; // Sideways slide, 0 without the tire model on full grip
+}
+
+/**
+ * Handling parameters that can be changed while the vehicle is running
+ */
+export type VehicleTuning = Required<
+    Omit<VehicleConfig['physics'], 'heightOffset'>
+>;
+
+/**
+ * Initial placement for a newly loaded vehicle
+ */
+export interface SpawnTransform {
+    position: Vector3;
+    rotation?: Quaternion;
+}
+
+// Terrain mode raycast settings
+const TERRAIN_PROBE_HEIGHT = 1; // Ray starts this far above the wheels: surfaces higher up (a deck overhead) are driven under
+const TERRAIN_PROBE_DEPTH = 50; // How far below the vehicle we look for ground
+const TERRAIN_SNAP_DISTANCE = 0.5; // Drops smaller than this are followed, larger ones become a fall
+const TERRAIN_FALL_LIMIT = 100; // Falling this far below the last ground puts the car back there
+const GRAVITY = 9.81;
+const OVERSPEED_DECAY = 8; // m/s² shed above top speed (after a boost pad, onto dirt)
+const MAX_REAR_LOAD = 0.9; // Weight transfer never takes all the load off an axle
+const MAX_OVERSTEER = 2.5; // Most a loose rear can multiply the steering yaw rate
+const SLIDE_GRIP = 40; // m/s² sideways grip at grip 1 for cars without the tire model
+const LOD_HYSTERESIS = 0.1; // Fraction inside a switch distance before stepping back to more detail
+
+type TireModel = typeof DEFAULT_TIRE_MODEL;
+
+interface LodLevel {
+    distance: number; // Shown from this far from the nearest camera
+    meshes: AbstractMesh[];
+}
 
 export class Vehicle {
     private scene: Scene;
@@ -21,10 +89,13 @@ export class Vehicle {
     private speed: number = 0;
     private velocity: Vector3 = Vector3.Zero(); // Controlled driving velocity
     private momentum: Vector3 = Vector3.Zero(); // Collision momentum (global coords)
-    private mass: number = 1000; // kg - default mass for vehicles
+    private mass: number;
     private maxSpeed: number;
     private acceleration: number;
     private friction: number;
+    private brakingForce: number;
+    private reverseSpeedRatio: number;
+    private restitution: number;
     private steerAngle: number = 0;
     private maxSteerAngle: number;
 
@@ -32,22 +103,39 @@ export class Vehicle {
     private inputSteer: number = 0;
     private inputHandbrake: boolean = false;
     private steerVelocity: number = 0; // Rate of change of steering angle
-    private steerVelocityDamping: number = 0.1; // How fast steering velocity decays
-    private steerAngleDamping: number = 0.02; // How fast steering angle returns to center
+    private steerVelocityDamping: number; // How fast steering velocity decays
+    private steerAngleDamping: number; // How fast steering angle returns to center
+
+    // Tire model (null = the car always travels where it points)
+    private tires: TireModel | null;
+    private lateralSpeed: number = 0; // Sideways velocity in the car's frame, + is right
+    private yawRate: number = 0; // Heading change per second: steerAngle, unless the tires limit it
 
     // Surface geometry — auto-detected from scene meshes
     private surfaceType: SurfaceType = 'ground';
+    private surface: SurfaceDescriptor | null = null; // Set by the level, else auto-detected
     // Planet mode fields
     private planetRadius: number = 0;
     private planetCenter: Vector3 = Vector3.Zero();
     // Ground mode fields
     private groundHeight: number = 0;
+    // Terrain mode fields
+    private drivableMeshes: AbstractMesh[] = [];
+    private verticalSpeed: number = 0; // Falling speed when airborne over terrain
+    private lastGround: Required<SpawnTransform> | null = null; // Where a car that falls off the world is put back
+    // Surface materials (grip, rolling resistance, top speed) sampled under the vehicle
+    private materialMeshes: Map<AbstractMesh, SurfaceMaterial> = new Map();
+    private surfaceMaterial: SurfaceMaterial = DEFAULT_SURFACE_MATERIAL;
 
     private heightOffset: number;
     private config: VehicleConfig;
     private overrideScale?: number;
     private collisionPhysics: CollisionPhysics;
     private modelBasePath: string;
+    // Detail levels, the full model first; empty unless enableLods() was called
+    private lodsEnabled: boolean = false;
+    private lodLevels: LodLevel[] = [];
+    private lodLevel: number = 0;
 
     constructor(
         scene: Scene,
@@ -67,14 +155,41 @@ export class Vehicle {
         this.friction = config.physics.friction;
         this.maxSteerAngle = config.physics.maxSteerAngle;
         this.heightOffset = config.physics.heightOffset;
-        this.mass = config.physics.mass ?? 1000; // Default 1000kg if not specified
+        this.mass = config.physics.mass ?? DEFAULT_VEHICLE_PHYSICS.mass;
+        this.brakingForce =
+            config.physics.brakingForce ?? DEFAULT_VEHICLE_PHYSICS.brakingForce;
+        this.steerVelocityDamping =
+            config.physics.steerVelocityDamping ??
+            DEFAULT_VEHICLE_PHYSICS.steerVelocityDamping;
+        this.steerAngleDamping =
+            config.physics.steerAngleDamping ??
+            DEFAULT_VEHICLE_PHYSICS.steerAngleDamping;
+        this.reverseSpeedRatio =
+            config.physics.reverseSpeedRatio ??
+            DEFAULT_VEHICLE_PHYSICS.reverseSpeedRatio;
+        this.restitution =
+            config.physics.restitution ?? DEFAULT_VEHICLE_PHYSICS.restitution;
+        this.tires = config.tires
+            ? { ...DEFAULT_TIRE_MODEL, ...config.tires }
+            : null;
     }
 
-    async create(existingMesh?: AbstractMesh) {
+    /**
+     * Load (or adopt) the vehicle model and place it on the surface.
+     * @param existingMesh - Use a mesh already in the scene instead of loading the model
+     * @param spawn - Where to place a newly loaded model before snapping it to the surface
+     */
+    async create(existingMesh?: AbstractMesh, spawn?: SpawnTransform) {
         if (existingMesh) {
             await this.useExistingMesh(existingMesh);
         } else {
             await this.loadVehicleModel();
+            if (spawn) {
+                this.rootNode.position = spawn.position.clone();
+                if (spawn.rotation) {
+                    this.rootNode.rotationQuaternion = spawn.rotation.clone();
+                }
+            }
         }
 
         this.detectSurface();
@@ -131,29 +246,14 @@ export class Vehicle {
             // Create a parent transform node to hold the rotated model
             this.rootNode = new TransformNode(this.config.id, this.scene);
 
-            // Add all meshes from the container to the scene
-            container.addAllToScene();
-
-            // Parent all loaded meshes to our transform node
-            const meshes = container.meshes;
+            const meshes = this.addModel(container);
             if (meshes.length > 0) {
-                for (const mesh of meshes) {
-                    mesh.parent = this.rootNode;
-                }
-
-                // Apply rotation corrections to model orientation
-                meshes[0].rotation.y = this.config.model.rotationY;
-                meshes[0].rotation.z = this.config.model.rotationZ;
-
-                // Apply scale from config or override
-                const scale = this.overrideScale ?? this.config.model.scale;
-                for (const mesh of meshes) {
-                    mesh.scaling.scaleInPlace(scale);
-                }
-
                 console.log(
-                    `Loaded ${this.config.name} from ${this.config.modelFile} (scale: ${scale})`
+                    `Loaded ${this.config.name} from ${this.config.modelFile} (scale: ${this.overrideScale ?? this.config.model.scale})`
                 );
+                if (this.lodsEnabled) {
+                    await this.loadLods(meshes);
+                }
             } else {
                 console.error(`No meshes found in ${this.config.modelFile}`);
             }
@@ -163,19 +263,193 @@ export class Vehicle {
         }
     }
 
+    /**
+     * Add a loaded model to the scene under the root node, turned and scaled
+     * as the config says
+     */
+    private addModel(container: AssetContainer): AbstractMesh[] {
+        // Add all meshes from the container to the scene
+        container.addAllToScene();
+
+        // Parent all loaded meshes to our transform node
+        const meshes = container.meshes;
+        if (meshes.length > 0) {
+            for (const mesh of meshes) {
+                mesh.parent = this.rootNode;
+            }
+
+            // Apply rotation corrections to model orientation
+            meshes[0].rotation.y = this.config.model.rotationY;
+            meshes[0].rotation.z = this.config.model.rotationZ;
+
+            // Apply scale from config or override
+            const scale = this.overrideScale ?? this.config.model.scale;
+            for (const mesh of meshes) {
+                mesh.scaling.scaleInPlace(scale);
+            }
+        }
+        return meshes;
+    }
+
+    /**
+     * Load the config's LOD chain, hidden until updateLod() picks a level.
+     * A level that fails to load is skipped: the one before covers its range.
+     */
+    private async loadLods(fullDetail: AbstractMesh[]) {
+        this.lodLevels = [{ distance: 0, meshes: fullDetail }];
+        this.lodLevel = 0;
+        for (const lod of this.config.model.lods ?? []) {
+            try {
+                const container = await SceneLoader.LoadAssetContainerAsync(
+                    this.modelBasePath,
+                    lod.file,
+                    this.scene
+                );
+                const meshes = this.addModel(container);
+                for (const mesh of meshes) {
+                    mesh.setEnabled(false);
+                }
+                this.lodLevels.push({ distance: lod.distance, meshes });
+            } catch (error) {
+                console.error(`Failed to load LOD ${lod.file}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Load config.model.lods along with the model, for updateLod() to switch
+     * between. Call before create().
+     */
+    enableLods() {
+        this.lodsEnabled = true;
+    }
+
+    /**
+     * Show the detail level for the distance to the nearest camera. A level
+     * steps back to more detail only LOD_HYSTERESIS inside its switch
+     * distance, so a car sitting at the boundary doesn't flicker. Measured
+     * from the car as drawn, so call it once per frame after interpolation.
+     * @param viewers - Camera positions, the scene's active cameras by default
+     */
+    updateLod(viewers: Vector3[] = this.getCameraPositions()) {
+        if (this.lodLevels.length < 2 || viewers.length === 0) return;
+
+        const distance = Math.min(
+            ...viewers.map((viewer) =>
+                Vector3.Distance(viewer, this.rootNode.position)
+            )
+        );
+        const levels = this.lodLevels;
+        let level = this.lodLevel;
+        while (
+            level + 1 < levels.length &&
+            distance >= levels[level + 1].distance
+        ) {
+            level++;
+        }
+        while (
+            level > 0 &&
+            distance < levels[level].distance * (1 - LOD_HYSTERESIS)
+        ) {
+            level--;
+        }
+
+        if (level !== this.lodLevel) {
+            for (const mesh of levels[this.lodLevel].meshes) {
+                mesh.setEnabled(false);
+            }
+            for (const mesh of levels[level].meshes) {
+                mesh.setEnabled(true);
+            }
+            this.lodLevel = level;
+        }
+    }
+
+    /**
+     * Index of the detail level on show: 0 is the full model
+     */
+    getLodLevel(): number {
+        return this.lodLevel;
+    }
+
+    private getCameraPositions(): Vector3[] {
+        const cameras = this.scene.activeCameras?.length
+            ? this.scene.activeCameras
+            : this.scene.activeCamera
+              ? [this.scene.activeCamera]
+              : [];
+        return cameras.map((camera) => camera.globalPosition);
+    }
+
+    /**
+     * Use the level's surface instead of detecting it. Call before create().
+     */
+    setSurface(surface: SurfaceDescriptor | null) {
+        this.surface = surface;
+    }
+
     /**
      * Auto-detect the surface type from scene meshes.
      * If a "Planet" mesh exists, use sphere physics.
+     * If drivable meshes exist (name starts with "drivable" or `drivable: true`
+     * glTF extra), raycast against them (plus "Ground") to follow the terrain.
      * If a "Ground" mesh exists, use flat ground physics.
-     * Defaults to ground mode if neither is found.
+     * Defaults to ground mode if none is found.
      */
-    private detectSurface() {
+    private findSurface(): { type: SurfaceType; meshes: AbstractMesh[] } {
         const planetMesh = this.scene.getMeshByName('Planet');
         const groundMesh = this.scene.getMeshByName('Ground');
+        const drivableMeshes = this.scene.meshes.filter(
+            (mesh) =>
+                mesh.name.startsWith('drivable') ||
+                mesh.metadata?.gltf?.extras?.drivable === true
+        );
 
         if (planetMesh) {
-            this.surfaceType = 'planet';
-            this.planetCenter = planetMesh.position.clone();
+            return { type: 'planet', meshes: [planetMesh] };
+        } else if (drivableMeshes.length > 0) {
+            return {
+                type: 'terrain',
+                meshes: groundMesh
+                    ? [...drivableMeshes, groundMesh]
+                    : drivableMeshes,
+            };
+        }
+        return { type: 'ground', meshes: groundMesh ? [groundMesh] : [] };
+    }
+
+    /**
+     * Look up the meshes named by the level's surface descriptor
+     */
+    private resolveSurface(surface: SurfaceDescriptor): {
+        type: SurfaceType;
+        meshes: AbstractMesh[];
+    } {
+        const defaultNames: { [type in SurfaceType]: string[] } = {
+            planet: ['Planet'],
+            ground: ['Ground'],
+            terrain: [],
+        };
+        const meshes: AbstractMesh[] = [];
+        for (const name of surface.meshes ?? defaultNames[surface.type]) {
+            const mesh = this.scene.getMeshByName(name);
+            if (mesh) {
+                meshes.push(mesh);
+            } else {
+                console.warn(`Vehicle: surface mesh "${name}" not found`);
+            }
+        }
+        return { type: surface.type, meshes };
+    }
+
+    private detectSurface() {
+        const { type, meshes } = this.surface
+            ? this.resolveSurface(this.surface)
+            : this.findSurface();
+        this.surfaceType = type;
+
+        if (type === 'planet') {
+            this.planetCenter = meshes[0]?.position.clone() ?? Vector3.Zero();
 
             // Calculate radius from initial vehicle position to planet center
             this.position = this.rootNode.position.clone();
@@ -187,21 +461,81 @@ export class Vehicle {
             console.log(
                 `Detected planet surface — center: ${this.planetCenter}, radius: ${this.planetRadius}`
             );
+        } else if (type === 'terrain') {
+            this.drivableMeshes = meshes;
+
+            console.log(
+                `Detected terrain surface — ${this.drivableMeshes.length} drivable meshes`
+            );
+        } else if (meshes.length > 0) {
+            this.groundHeight = meshes[0].position.y;
+            console.log(
+                `Detected flat ground surface — height: ${this.groundHeight}`
+            );
         } else {
-            this.surfaceType = 'ground';
+            this.groundHeight = 0;
+            console.log(
+                'No Planet or Ground mesh found, defaulting to flat ground at y=0'
+            );
+        }
 
-            if (groundMesh) {
-                this.groundHeight = groundMesh.position.y;
-                console.log(
-                    `Detected flat ground surface — height: ${this.groundHeight}`
-                );
-            } else {
-                this.groundHeight = 0;
-                console.log(
-                    'No Planet or Ground mesh found, defaulting to flat ground at y=0'
-                );
+        this.collectMaterialMeshes(meshes);
+    }
+
+    /**
+     * Find the meshes the vehicle samples its surface material from: the
+     * surface meshes, named or tagged with one and asphalt otherwise, plus
+     * other meshes explicitly tagged (glTF extras or a "surface_" name).
+     * Without tagged meshes nothing is sampled.
+     */
+    private collectMaterialMeshes(surfaceMeshes: AbstractMesh[]) {
+        this.materialMeshes.clear();
+        for (const mesh of this.scene.meshes) {
+            if (mesh.isDescendantOf(this.rootNode) || mesh === this.rootNode) {
+                continue;
+            }
+            const material = getSurfaceMaterial(
+                mesh,
+                surfaceMeshes.includes(mesh)
+            );
+            if (material) this.materialMeshes.set(mesh, material);
+        }
+        if (this.materialMeshes.size === 0) return;
+
+        for (const mesh of surfaceMeshes) {
+            if (!this.materialMeshes.has(mesh)) {
+                this.materialMeshes.set(mesh, DEFAULT_SURFACE_MATERIAL);
             }
         }
+        console.log(
+            `Vehicle: ${this.materialMeshes.size} surface material meshes`
+        );
+    }
+
+    /**
+     * Material of the topmost sampled surface below the vehicle
+     */
+    private sampleSurfaceMaterial(): SurfaceMaterial {
+        if (this.materialMeshes.size === 0) return DEFAULT_SURFACE_MATERIAL;
+
+        const rotation =
+            this.rootNode.rotationQuaternion || Quaternion.Identity();
+        const up = new Vector3();
+        Vector3.Up().rotateByQuaternionToRef(rotation, up);
+        const ray = new Ray(
+            this.position.add(
+                up.scale(TERRAIN_PROBE_HEIGHT - this.heightOffset)
+            ),
+            up.negate(),
+            TERRAIN_PROBE_HEIGHT + TERRAIN_PROBE_DEPTH
+        );
+        const pick = this.scene.pickWithRay(ray, (mesh) =>
+            this.materialMeshes.has(mesh)
+        );
+        return (
+            (pick?.pickedMesh && this.materialMeshes.get(pick.pickedMesh)) ||
+            DEFAULT_SURFACE_MATERIAL
+        );
     }
 
     private positionOnGround() {
@@ -214,12 +548,25 @@ export class Vehicle {
             this.position = this.planetCenter.add(
                 direction.scale(targetDistance)
             );
+        } else if (this.surfaceType === 'terrain') {
+            // Drop onto the highest drivable surface below the spawn point
+            const spawn = this.rootNode.position;
+            const hit = this.raycastTerrain(
+                new Vector3(spawn.x, spawn.y + 1000, spawn.z),
+                1000 + TERRAIN_PROBE_DEPTH
+            );
+            const surfaceHeight = hit ? hit.point.y : spawn.y;
+            this.position = new Vector3(
+                spawn.x,
+                surfaceHeight + this.heightOffset,
+                spawn.z
+            );
         } else {
             // Position on flat ground
             this.position = new Vector3(
-                0,
+                this.rootNode.position.x,
                 this.groundHeight + this.heightOffset,
-                0
+                this.rootNode.position.z
             );
         }
 
@@ -229,22 +576,31 @@ export class Vehicle {
         if (!this.rootNode.rotationQuaternion) {
             this.rootNode.rotationQuaternion = Quaternion.Identity();
         }
+        this.lastGround = {
+            position: this.position.clone(),
+            rotation: this.rootNode.rotationQuaternion.clone(),
+        };
 
         console.log('Vehicle positioned at:', this.position);
     }
 
     update(deltaTime: number) {
+        this.surfaceMaterial = this.sampleSurfaceMaterial();
         this.updateMovement(deltaTime);
         this.updatePosition(deltaTime);
     }
 
     private updateMovement(deltaTime: number) {
+        // Grip scales every force the tires pass to the road
+        const { grip, rollingResistance, speedMultiplier, boost } =
+            this.surfaceMaterial;
+        const startSpeed = this.speed;
+
         // Apply handbrake if engaged
         if (this.inputHandbrake) {
-            // Progressive deceleration — stronger braking force
-            const brakingForce = 30; // Higher value for faster stopping
+            // Progressive deceleration
             const speedSign = Math.sign(this.speed);
-            const brakingAmount = brakingForce * deltaTime;
+            const brakingAmount = this.brakingForce * grip * deltaTime;
 
             // Reduce speed progressively, but don't overshoot zero
             if (Math.abs(this.speed) <= brakingAmount) {
@@ -253,13 +609,28 @@ export class Vehicle {
                 this.speed -= speedSign * brakingAmount;
             }
         } else {
-            // Normal acceleration
-            this.speed += this.inputAccelerate * this.acceleration * deltaTime;
+            // Normal acceleration, plus the push of a boost pad
+            const previousSpeed = this.speed;
+            this.speed +=
+                this.inputAccelerate * this.acceleration * grip * deltaTime +
+                boost * deltaTime;
+
+            // The engine can't pass the surface's top speed; a car already
+            // above it (off a boost pad, onto dirt) slows down gradually
+            const topSpeed = this.maxSpeed * speedMultiplier;
+            const overspeedDecay = OVERSPEED_DECAY * deltaTime;
             this.speed = Math.max(
-                -this.maxSpeed * 0.5,
-                Math.min(this.maxSpeed, this.speed)
+                -Math.max(
+                    topSpeed * this.reverseSpeedRatio,
+                    -previousSpeed - overspeedDecay
+                ),
+                Math.min(
+                    Math.max(topSpeed, previousSpeed - overspeedDecay),
+                    this.speed
+                )
             );
             this.speed *= Math.pow(this.friction, deltaTime);
+            this.speed *= Math.pow(1 - rollingResistance, deltaTime);
         }
 
         // Update steering with second derivative (steering velocity + damping)
@@ -270,8 +641,11 @@ export class Vehicle {
             this.steerVelocity = 0;
             this.steerAngle = 0;
         } else {
-            // Input affects steering velocity (rate of angle change)
-            this.steerVelocity -= this.inputSteer * this.maxSteerAngle * deltaTime;
+            // Input affects steering velocity (rate of angle change). Without
+            // the tire model, low grip shows as a slide instead.
+            const steerGrip = this.tires ? grip : 1;
+            this.steerVelocity -=
+                this.inputSteer * this.maxSteerAngle * deltaTime * steerGrip;
 
             // Clamp steering velocity to reasonable range
             const maxSteerVelocity = this.maxSteerAngle * 3;
@@ -302,11 +676,122 @@ export class Vehicle {
                 deltaTime
             );
         }
+
+        if (this.tires && this.surfaceType !== 'planet') {
+            this.updateTireSlip(
+                deltaTime,
+                (this.speed - startSpeed) / deltaTime
+            );
+        } else if (grip < 1 && this.surfaceType !== 'planet') {
+            this.updateSurfaceSlide(deltaTime, grip);
+        } else {
+            // Back on full grip a slide left over from ice straightens out
+            this.reduceSlide(SLIDE_GRIP * grip, deltaTime);
+            this.yawRate = this.steerAngle;
+        }
+    }
+
+    /**
+     * Lateral tire model. The car can only turn as hard as its tires grip;
+     * turning swings the heading away from where the car is travelling and
+     * the tires pull the velocity back in line, in proportion to the slip
+     * angle. Braking moves load (and grip) onto the front axle, throttle onto
+     * the rear, and the handbrake locks the rear wheels. A rear with less grip
+     * than the front lets the tail swing out faster than the velocity can
+     * follow, which is what starts a drift.
+     * @param longitudinalAccel - Change in forward speed this tick (m/s²)
+     */
+    private updateTireSlip(deltaTime: number, longitudinalAccel: number) {
+        const {
+            lateralGrip,
+            corneringStiffness,
+            weightTransfer,
+            handbrakeGrip,
+        } = this.tires!;
+        const surfaceGrip = lateralGrip * this.surfaceMaterial.grip;
+
+        // Share of the weight on the rear axle (0.5 when coasting)
+        const rearLoad = Math.max(
+            1 - MAX_REAR_LOAD,
+            Math.min(
+                MAX_REAR_LOAD,
+                0.5 + (weightTransfer * longitudinalAccel) / GRAVITY
+            )
+        );
+        const frontGrip = surfaceGrip * 2 * (1 - rearLoad);
+        const rearGrip =
+            surfaceGrip *
+            2 *
+            rearLoad *
+            (this.inputHandbrake ? handbrakeGrip : 1);
+        const peakAccel = (frontGrip + rearGrip) / 2;
+        const oversteer = Math.max(
+            1,
+            Math.min(MAX_OVERSTEER, frontGrip / Math.max(rearGrip, 1e-6))
+        );
+
+        // Yaw is limited by what the tires can hold at this speed
+        const travelSpeed = Math.max(
+            1,
+            Math.hypot(this.speed, this.lateralSpeed)
+        );
+        const maxYawRate = (peakAccel * oversteer) / travelSpeed;
+        this.yawRate = Math.max(
+            -maxYawRate,
+            Math.min(maxYawRate, this.steerAngle * oversteer)
+        );
+
+        this.yawUnderVelocity(deltaTime);
+
+        // Tires push back against the slide, never past straight
+        const slipAngle = Math.atan2(this.lateralSpeed, Math.abs(this.speed));
+        this.reduceSlide(
+            Math.min(corneringStiffness * Math.abs(slipAngle), peakAccel),
+            deltaTime
+        );
+    }
+
+    /**
+     * Sliding for cars without the tire model, on surfaces with less grip
+     * than asphalt: the car turns as steered, but its velocity only follows
+     * as fast as the surface grips, so it slides wide on ice.
+     */
+    private updateSurfaceSlide(deltaTime: number, grip: number) {
+        this.yawRate = this.steerAngle;
+        this.yawUnderVelocity(deltaTime);
+        this.reduceSlide(SLIDE_GRIP * grip, deltaTime);
+    }
+
+    /**
+     * Yawing this tick turns the car's frame under its velocity, leaving
+     * part of it as sideways speed
+     */
+    private yawUnderVelocity(deltaTime: number) {
+        const yaw = this.yawRate * deltaTime;
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        const forwardSpeed = this.speed * cos + this.lateralSpeed * sin;
+        this.lateralSpeed = this.lateralSpeed * cos - this.speed * sin;
+        this.speed = forwardSpeed;
+    }
+
+    /**
+     * Pull the velocity back in line with the car, never past straight
+     * @param lateralAccel - Sideways acceleration the tires manage (m/s²)
+     */
+    private reduceSlide(lateralAccel: number, deltaTime: number) {
+        const correction = Math.min(
+            lateralAccel * deltaTime,
+            Math.abs(this.lateralSpeed)
+        );
+        this.lateralSpeed -= Math.sign(this.lateralSpeed) * correction;
     }
 
     private updatePosition(deltaTime: number) {
         if (this.surfaceType === 'planet') {
             this.updatePositionPlanet(deltaTime);
+        } else if (this.surfaceType === 'terrain') {
+            this.updatePositionTerrain(deltaTime);
         } else {
             this.updatePositionGround(deltaTime);
         }
@@ -328,8 +813,10 @@ export class Vehicle {
         const forward = new Vector3();
         localForward.rotateByQuaternionToRef(currentRotation, forward);
 
-        // Calculate driving velocity from player controls
-        const drivingVelocity = forward.scale(this.speed);
+        // Calculate driving velocity from player controls, plus any slide
+        const drivingVelocity = forward
+            .scale(this.speed)
+            .add(this.getRight(currentRotation).scale(this.lateralSpeed));
 
         // Convert momentum (kg·m/s) to velocity (m/s) by dividing by mass
         const momentumVelocity = this.collisionPhysics.momentumToVelocity(
@@ -355,7 +842,7 @@ export class Vehicle {
         // Apply steering — rotate around world Y axis
         const steeringRotation = Quaternion.RotationAxis(
             Vector3.Up(),
-            this.steerAngle * deltaTime
+            this.yawRate * deltaTime
         );
         const newRotation = steeringRotation.multiply(currentRotation);
 
@@ -385,8 +872,10 @@ export class Vehicle {
         const forward = new Vector3();
         localForward.rotateByQuaternionToRef(currentRotation, forward);
 
-        // Calculate driving velocity from player controls
-        const drivingVelocity = forward.scale(this.speed);
+        // Calculate driving velocity from player controls, plus any slide
+        const drivingVelocity = forward
+            .scale(this.speed)
+            .add(this.getRight(currentRotation).scale(this.lateralSpeed));
 
         // Convert momentum (kg·m/s) to velocity (m/s) by dividing by mass
         const momentumVelocity = this.collisionPhysics.momentumToVelocity(
@@ -418,7 +907,7 @@ export class Vehicle {
 
         const steeringRotation = Quaternion.RotationAxis(
             worldUp,
-            this.steerAngle * deltaTime
+            this.yawRate * deltaTime
         );
         const newRotation = steeringRotation.multiply(currentRotation);
 
@@ -475,9 +964,151 @@ export class Vehicle {
         this.rootNode.position = this.position;
     }
 
+    /**
+     * Terrain movement: vehicle moves along its forward vector, then a ray cast
+     * straight down finds the drivable surface below. The vehicle sits at the hit
+     * height and its up vector follows the hit normal (hills, ramps, bridges).
+     * When the surface drops away faster than the snap distance, the vehicle falls;
+     * one that falls past every drivable mesh is put back where it last drove.
+     */
+    private updatePositionTerrain(deltaTime: number) {
+        // Update momentum friction
+        this.updateMomentum(deltaTime);
+
+        const currentRotation =
+            this.rootNode.rotationQuaternion || Quaternion.Identity();
+
+        // Get current forward direction (local Z axis rotated by current orientation)
+        const localForward = new Vector3(0, 0, 1);
+        const forward = new Vector3();
+        localForward.rotateByQuaternionToRef(currentRotation, forward);
+
+        // Calculate driving velocity from player controls, plus any slide
+        const drivingVelocity = forward
+            .scale(this.speed)
+            .add(this.getRight(currentRotation).scale(this.lateralSpeed));
+
+        // Convert momentum (kg·m/s) to velocity (m/s) by dividing by mass
+        const momentumVelocity = this.collisionPhysics.momentumToVelocity(
+            this.momentum,
+            this.mass
+        );
+
+        // Total velocity = driving + momentum velocity
+        this.velocity = drivingVelocity.add(momentumVelocity);
+
+        const isAirborne = this.verticalSpeed !== 0;
+        if (this.velocity.length() < 0.1 && !isAirborne) {
+            this.velocity = Vector3.Zero();
+            return;
+        }
+
+        // Move along the velocity; the raycast below decides the height
+        this.position.addInPlace(this.velocity.scale(deltaTime));
+
+        // Apply steering around the vehicle's local up vector
+        const localUp = new Vector3(0, 1, 0);
+        const worldUp = new Vector3();
+        localUp.rotateByQuaternionToRef(currentRotation, worldUp);
+        const steeringRotation = Quaternion.RotationAxis(
+            worldUp,
+            this.yawRate * deltaTime
+        );
+        let newRotation = steeringRotation.multiply(currentRotation);
+
+        const hit = this.raycastTerrain(
+            this.position.add(
+                new Vector3(0, TERRAIN_PROBE_HEIGHT - this.heightOffset, 0)
+            ),
+            TERRAIN_PROBE_HEIGHT + TERRAIN_PROBE_DEPTH
+        );
+
+        if (hit) {
+            const targetHeight = hit.point.y + this.heightOffset;
+            const drop = this.position.y - targetHeight;
+
+            if (drop > TERRAIN_SNAP_DISTANCE) {
+                // Surface fell away (end of a ramp, edge of a bridge) — fall
+                this.verticalSpeed -= GRAVITY * deltaTime;
+                this.position.y = Math.max(
+                    targetHeight,
+                    this.position.y + this.verticalSpeed * deltaTime
+                );
+            } else {
+                // On the ground: snap to surface and follow its slope
+                this.verticalSpeed = 0;
+                this.position.y = targetHeight;
+                newRotation = this.createAlignmentRotation(
+                    newRotation,
+                    hit.normal
+                );
+                this.lastGround = {
+                    position: this.position.clone(),
+                    rotation: newRotation.clone(),
+                };
+            }
+        } else if (
+            this.lastGround &&
+            this.position.y < this.lastGround.position.y - TERRAIN_FALL_LIMIT
+        ) {
+            // Fell off the world — put the car back where it last drove
+            this.respawnAtLastGround();
+            return;
+        } else {
+            // Nothing below within probe range — keep falling
+            this.verticalSpeed -= GRAVITY * deltaTime;
+            this.position.y += this.verticalSpeed * deltaTime;
+        }
+
+        this.rootNode.rotationQuaternion = newRotation;
+        this.rootNode.position = this.position;
+    }
+
+    /**
+     * Stop the car where it was last on the ground
+     */
+    private respawnAtLastGround() {
+        if (!this.lastGround) return;
+        this.position = this.lastGround.position.clone();
+        this.rootNode.position = this.position;
+        this.rootNode.rotationQuaternion = this.lastGround.rotation.clone();
+        this.speed = 0;
+        this.lateralSpeed = 0;
+        this.verticalSpeed = 0;
+        this.momentum = Vector3.Zero();
+        this.velocity = Vector3.Zero();
+    }
+
+    /**
+     * Cast a ray straight down from origin against the drivable meshes.
+     * Returns the nearest upward-facing hit point and its world-space surface
+     * normal, or null on a miss.
+     */
+    private raycastTerrain(
+        origin: Vector3,
+        length: number
+    ): { point: Vector3; normal: Vector3 } | null {
+        const ray = new Ray(origin, new Vector3(0, -1, 0), length);
+        const picks = this.scene.multiPickWithRay(ray, (mesh) =>
+            this.drivableMeshes.includes(mesh)
+        );
+        if (!picks) return null;
+        picks.sort((a, b) => a.distance - b.distance);
+
+        for (const pick of picks) {
+            if (!pick.hit || !pick.pickedPoint) continue;
+            const normal = pick.getNormal(true, true) ?? Vector3.Up();
+            // Faces pointing down (e.g. underside of a bridge) are not drivable
+            if (normal.y <= 0) continue;
+            return { point: pick.pickedPoint, normal: normal.normalize() };
+        }
+        return null;
+    }
+
     /**
      * Calculate rotation that aligns the vehicle's up vector with the given surface normal.
-     * Used by planet mode to keep the vehicle oriented to the sphere surface.
+     * Used by planet mode to keep the vehicle oriented to the sphere surface,
+     * and by terrain mode to follow the slope under the vehicle.
      */
     private createAlignmentRotation(
         currentRotation: Quaternion,
@@ -512,8 +1143,48 @@ export class Vehicle {
         this.inputHandbrake = handbrake;
     }
 
+    /**
+     * Snapshot the dynamic state (for replays and ghost cars)
+     */
+    getState(): VehicleState {
+        return {
+            position: this.position.clone(),
+            rotation: (
+                this.rootNode.rotationQuaternion || Quaternion.Identity()
+            ).clone(),
+            speed: this.speed,
+            steerAngle: this.steerAngle,
+            steerVelocity: this.steerVelocity,
+            momentum: this.momentum.clone(),
+            verticalSpeed: this.verticalSpeed,
+            lateralSpeed: this.lateralSpeed,
+        };
+    }
+
+    /**
+     * Restore a state captured with getState()
+     */
+    setState(state: VehicleState) {
+        this.position = state.position.clone();
+        this.rootNode.position = this.position;
+        this.rootNode.rotationQuaternion = state.rotation.clone();
+        this.speed = state.speed;
+        this.steerAngle = state.steerAngle;
+        this.steerVelocity = state.steerVelocity;
+        this.momentum = state.momentum.clone();
+        this.verticalSpeed = state.verticalSpeed;
+        this.lateralSpeed = state.lateralSpeed;
+        if (state.verticalSpeed === 0) {
+            this.lastGround = {
+                position: this.position.clone(),
+                rotation: state.rotation.clone(),
+            };
+        }
+    }
+
     stopMovement() {
         this.speed = 0;
+        this.lateralSpeed = 0;
     }
 
     getMesh(): TransformNode {
@@ -524,6 +1195,14 @@ export class Vehicle {
         return this.speed;
     }
 
+    getMaxSpeed(): number {
+        return this.maxSpeed;
+    }
+
+    getSteerAngle(): number {
+        return this.steerAngle;
+    }
+
     getPlanetCenter(): Vector3 {
         return this.planetCenter;
     }
@@ -541,6 +1220,25 @@ export class Vehicle {
         this.rootNode.position = position.clone();
     }
 
+    /**
+     * World-space right vector for a rotation (local +X)
+     */
+    private getRight(rotation: Quaternion): Vector3 {
+        const right = new Vector3();
+        new Vector3(1, 0, 0).rotateByQuaternionToRef(rotation, right);
+        return right;
+    }
+
+    /**
+     * Angle between where the car points and where it travels (radians,
+     * positive when sliding to the right). Without the tire model, 0 unless
+     * the surface has less grip than asphalt.
+     */
+    getSlipAngle(): number {
+        if (this.lateralSpeed === 0) return 0;
+        return Math.atan2(this.lateralSpeed, Math.abs(this.speed));
+    }
+
     getDirection(): Vector3 {
         const currentRotation =
             this.rootNode.rotationQuaternion || Quaternion.Identity();
@@ -554,10 +1252,76 @@ export class Vehicle {
         this.rootNode.setEnabled(visible);
     }
 
+    dispose() {
+        this.rootNode.dispose();
+    }
+
     getConfig(): VehicleConfig {
         return this.config;
     }
 
+    getTuning(): VehicleTuning {
+        return {
+            maxSpeed: this.maxSpeed,
+            acceleration: this.acceleration,
+            friction: this.friction,
+            maxSteerAngle: this.maxSteerAngle,
+            mass: this.mass,
+            brakingForce: this.brakingForce,
+            steerVelocityDamping: this.steerVelocityDamping,
+            steerAngleDamping: this.steerAngleDamping,
+            reverseSpeedRatio: this.reverseSpeedRatio,
+            restitution: this.restitution,
+        };
+    }
+
+    /**
+     * Re-apply the handling from an updated config (hot reload).
+     * The vehicle keeps its model, id and name.
+     */
+    applyConfig(config: VehicleConfig) {
+        const physics = { ...DEFAULT_VEHICLE_PHYSICS, ...config.physics };
+        this.setTuning({
+            maxSpeed: physics.maxSpeed,
+            acceleration: physics.acceleration,
+            friction: physics.friction,
+            maxSteerAngle: physics.maxSteerAngle,
+            mass: physics.mass,
+            brakingForce: physics.brakingForce,
+            steerVelocityDamping: physics.steerVelocityDamping,
+            steerAngleDamping: physics.steerAngleDamping,
+            reverseSpeedRatio: physics.reverseSpeedRatio,
+            restitution: physics.restitution,
+        });
+        this.tires = config.tires
+            ? { ...DEFAULT_TIRE_MODEL, ...config.tires }
+            : null;
+        this.config = { ...this.config, tires: config.tires };
+    }
+
+    /**
+     * Change handling parameters live. The config is replaced rather than
+     * mutated, since loaded configs are shared through the loader cache.
+     */
+    setTuning(tuning: Partial<VehicleTuning>) {
+        const next = { ...this.getTuning(), ...tuning };
+        this.maxSpeed = next.maxSpeed;
+        this.acceleration = next.acceleration;
+        this.friction = next.friction;
+        this.maxSteerAngle = next.maxSteerAngle;
+        this.mass = next.mass;
+        this.brakingForce = next.brakingForce;
+        this.steerVelocityDamping = next.steerVelocityDamping;
+        this.steerAngleDamping = next.steerAngleDamping;
+        this.reverseSpeedRatio = next.reverseSpeedRatio;
+        this.restitution = next.restitution;
+
+        this.config = {
+            ...this.config,
+            physics: { ...this.config.physics, ...next },
+        };
+    }
+
     getName(): string {
         return this.config.name;
     }
@@ -583,6 +1347,13 @@ export class Vehicle {
         return this.mass;
     }
 
+    /**
+     * Bounciness of this vehicle in vehicle-to-vehicle collisions (0-1)
+     */
+    getRestitution(): number {
+        return this.restitution;
+    }
+
     /**
      * Get current momentum in world space
      */
@@ -609,10 +1380,6 @@ export class Vehicle {
 
         // Stop driving — collision takes over control
         this.speed = 0;
-
-        console.log(
-            `Vehicle collision: momentum now (${this.momentum.x.toFixed(2)}, ${this.momentum.y.toFixed(2)}, ${this.momentum.z.toFixed(2)}) | magnitude: ${this.momentum.length().toFixed(2)}`
-        );
     }
 
     /**
@@ -625,6 +1392,13 @@ export class Vehicle {
         );
     }
 
+    /**
+     * Material of the surface under the vehicle on the last update
+     */
+    getSurfaceMaterial(): SurfaceMaterial {
+        return this.surfaceMaterial;
+    }
+
     getSurfaceType(): SurfaceType {
         return this.surfaceType;
     }
@@ -1,4 +1,9 @@
+import { cacheBust } from './HotReload';
+
+export const VEHICLE_CONFIG_VERSION = 2;
+
 export interface VehicleConfig {
+    version?: number; // Schema version, missing means 1
     id: string;
     name: string;
     modelFile: string;
@@ -9,11 +14,290 @@ export interface VehicleConfig {
         maxSteerAngle: number;
         heightOffset: number;
         mass?: number; // kg - mass of the vehicle for momentum calculations
+        brakingForce?: number; // Handbrake deceleration (m/s²)
+        steerVelocityDamping?: number; // Fraction of steering velocity kept per second
+        steerAngleDamping?: number; // Fraction of steering angle kept per second (self-centering)
+        reverseSpeedRatio?: number; // Top reverse speed as a fraction of maxSpeed
+        restitution?: number; // Bounciness in vehicle collisions (0-1)
     };
     model: {
         scale: number;
         rotationY: number;
         rotationZ: number;
+        // Lower-detail models, each shown from `distance` m away. Only AI cars use them.
+        lods?: { file: string; distance: number }[];
+    };
+    camera?: {
+        distance?: number; // Chase cam distance behind the vehicle
+        height?: number; // Chase cam height above the vehicle
+        lookHeight?: number; // Height above the vehicle the chase cam aims at
+        cockpitOffset?: [number, number, number]; // Cockpit cam position in vehicle space
+    };
+    // Lateral tire model: the car can slide and drift. Leave out for grip driving.
+    tires?: {
+        lateralGrip?: number; // Peak sideways acceleration the tires can hold (m/s²)
+        corneringStiffness?: number; // Sideways acceleration per radian of slip angle (m/s²)
+        weightTransfer?: number; // How far braking and throttle shift grip between the axles
+        handbrakeGrip?: number; // Fraction of rear grip left with the handbrake on
+    };
+}
+
+/**
+ * Defaults for optional physics fields (the values Vehicle used to hardcode)
+ */
+export const DEFAULT_VEHICLE_PHYSICS = {
+    mass: 1000,
+    brakingForce: 30,
+    steerVelocityDamping: 0.1,
+    steerAngleDamping: 0.02,
+    reverseSpeedRatio: 0.5,
+    restitution: 0.3,
+};
+
+/**
+ * Defaults for the fields of the optional tires section
+ */
+export const DEFAULT_TIRE_MODEL = {
+    lateralGrip: 30,
+    corneringStiffness: 400,
+    weightTransfer: 0.15,
+    handbrakeGrip: 0.2,
+};
+
+/**
+ * Thrown when a vehicle config fails validation; lists every problem found
+ */
+export class VehicleConfigError extends Error {
+    readonly errors: string[];
+
+    constructor(source: string, errors: string[]) {
+        super(`Invalid vehicle config ${source}:\n  ${errors.join('\n  ')}`);
+        this.name = 'VehicleConfigError';
+        this.errors = errors;
+    }
+}
+
+type Check = (value: unknown) => boolean;
+
+const isNumber: Check = (value) =>
+    typeof value === 'number' && Number.isFinite(value);
+const isPositive: Check = (value) => isNumber(value) && (value as number) > 0;
+const isNonNegative: Check = (value) =>
+    isNumber(value) && (value as number) >= 0;
+const isFraction: Check = (value) =>
+    isNumber(value) && (value as number) >= 0 && (value as number) <= 1;
+const isString: Check = (value) => typeof value === 'string' && value !== '';
+const isVector3: Check = (value) =>
+    Array.isArray(value) && value.length === 3 && value.every(isNumber);
+const isLodChain: Check = (value) =>
+    Array.isArray(value) &&
+    value.every(
+        (level, i) =>
+            typeof level === 'object' &&
+            level !== null &&
+            isString(level.file) &&
+            isPositive(level.distance) &&
+            (i === 0 || level.distance > value[i - 1].distance)
+    );
+
+interface FieldRule {
+    check: Check;
+    expected: string;
+    optional?: boolean;
+}
+
+const SCHEMA: Record<string, Record<string, FieldRule>> = {
+    '': {
+        id: { check: isString, expected: 'a non-empty string' },
+        name: { check: isString, expected: 'a non-empty string' },
+        modelFile: { check: isString, expected: 'a non-empty string' },
+    },
+    physics: {
+        maxSpeed: { check: isPositive, expected: 'a positive number' },
+        acceleration: { check: isPositive, expected: 'a positive number' },
+        friction: { check: isFraction, expected: 'a number between 0 and 1' },
+        maxSteerAngle: { check: isPositive, expected: 'a positive number' },
+        heightOffset: { check: isNumber, expected: 'a number' },
+        mass: {
+            check: isPositive,
+            expected: 'a positive number',
+            optional: true,
+        },
+        brakingForce: {
+            check: isNonNegative,
+            expected: 'a non-negative number',
+            optional: true,
+        },
+        steerVelocityDamping: {
+            check: isFraction,
+            expected: 'a number between 0 and 1',
+            optional: true,
+        },
+        steerAngleDamping: {
+            check: isFraction,
+            expected: 'a number between 0 and 1',
+            optional: true,
+        },
+        reverseSpeedRatio: {
+            check: isFraction,
+            expected: 'a number between 0 and 1',
+            optional: true,
+        },
+        restitution: {
+            check: isFraction,
+            expected: 'a number between 0 and 1',
+            optional: true,
+        },
+    },
+    model: {
+        scale: { check: isPositive, expected: 'a positive number' },
+        rotationY: { check: isNumber, expected: 'a number' },
+        rotationZ: { check: isNumber, expected: 'a number' },
+        lods: {
+            check: isLodChain,
+            expected:
+                'an array of { file, distance } with increasing positive distances',
+            optional: true,
+        },
+    },
+    camera: {
+        distance: {
+            check: isPositive,
+            expected: 'a positive number',
+            optional: true,
+        },
+        height: { check: isNumber, expected: 'a number', optional: true },
+        lookHeight: { check: isNumber, expected: 'a number', optional: true },
+        cockpitOffset: {
+            check: isVector3,
+            expected: 'an array of 3 numbers',
+            optional: true,
+        },
+    },
+    tires: {
+        lateralGrip: {
+            check: isPositive,
+            expected: 'a positive number',
+            optional: true,
+        },
+        corneringStiffness: {
+            check: isPositive,
+            expected: 'a positive number',
+            optional: true,
+        },
+        weightTransfer: {
+            check: isNonNegative,
+            expected: 'a non-negative number',
+            optional: true,
+        },
+        handbrakeGrip: {
+            check: isFraction,
+            expected: 'a number between 0 and 1',
+            optional: true,
+        },
+    },
+};
+
+// Sections that may be left out entirely
+const OPTIONAL_SECTIONS = new Set(['camera', 'tires']);
+
+type RawConfig = Record<string, unknown>;
+
+/**
+ * Migrations from each schema version to the next, keyed by source version
+ */
+const MIGRATIONS: Record<number, (config: RawConfig) => RawConfig> = {
+    // v1 -> v2: handling parameters moved out of Vehicle into the config
+    1: (config) => ({
+        ...config,
+        physics: {
+            ...DEFAULT_VEHICLE_PHYSICS,
+            ...(config.physics as RawConfig),
+        },
+    }),
+};
+
+/**
+ * Upgrade a raw config object to the current schema version
+ */
+export function migrateVehicleConfig(raw: unknown): unknown {
+    if (typeof raw !== 'object' || raw === null) return raw;
+
+    let config = raw as RawConfig;
+    let version = (config.version as number) ?? 1;
+    while (version < VEHICLE_CONFIG_VERSION && MIGRATIONS[version]) {
+        config = MIGRATIONS[version](config);
+        version++;
+        config.version = version;
+    }
+    return config;
+}
+
+/**
+ * List every schema problem in a raw config, as "path must be ..." messages
+ */
+export function getVehicleConfigErrors(raw: unknown): string[] {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        return ['config must be an object'];
+    }
+
+    const errors: string[] = [];
+    const config = raw as RawConfig;
+    const version = config.version ?? 1;
+    if (!isNumber(version) || (version as number) > VEHICLE_CONFIG_VERSION) {
+        errors.push(
+            `version must be a number no greater than ${VEHICLE_CONFIG_VERSION}`
+        );
+    }
+
+    for (const [section, fields] of Object.entries(SCHEMA)) {
+        let target = config;
+        if (section) {
+            const value = config[section];
+            if (value === undefined && OPTIONAL_SECTIONS.has(section)) {
+                continue;
+            }
+            if (typeof value !== 'object' || value === null) {
+                errors.push(`${section} must be an object`);
+                continue;
+            }
+            target = value as RawConfig;
+        }
+
+        for (const [field, rule] of Object.entries(fields)) {
+            const path = section ? `${section}.${field}` : field;
+            const value = target[field];
+            if (value === undefined && rule.optional) continue;
+            if (!rule.check(value)) {
+                errors.push(`${path} must be ${rule.expected}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Migrate, validate and fill defaults for a raw config object
+ * @param source - Where the config came from, for error messages
+ * @throws VehicleConfigError listing every problem found
+ */
+export function parseVehicleConfig(
+    raw: unknown,
+    source: string = 'config'
+): VehicleConfig {
+    const migrated = migrateVehicleConfig(raw);
+    const errors = getVehicleConfigErrors(migrated);
+    if (errors.length > 0) {
+        throw new VehicleConfigError(source, errors);
+    }
+
+    const config = migrated as VehicleConfig;
+    return {
+        ...config,
+        version: VEHICLE_CONFIG_VERSION,
+        physics: { ...DEFAULT_VEHICLE_PHYSICS, ...config.physics },
+        model: { ...config.model },
     };
 }
 
@@ -31,14 +315,14 @@ export class VehicleConfigLoader {
         }
 
         try {
-            const response = await fetch(`${basePath}${vehicleId}.json`);
+            const response = await fetch(cacheBust(cacheKey));
             if (!response.ok) {
                 throw new Error(
                     `Failed to load vehicle config: ${vehicleId} (${response.status})`
                 );
             }
 
-            const config = await response.json();
+            const config = parseVehicleConfig(await response.json(), cacheKey);
             this.configCache.set(cacheKey, config);
             return config;
         } catch (error) {
@@ -49,4 +333,54 @@ export class VehicleConfigLoader {
             throw error;
         }
     }
+
+    /**
+     * Load the ids of every vehicle listed in the manifest
+     */
+    static async loadVehicleManifest(
+        basePath: string = '/vehicles/'
+    ): Promise<string[]> {
+        const response = await fetch(cacheBust(`${basePath}manifest.json`));
+        if (!response.ok) {
+            throw new Error(
+                `Failed to load vehicle manifest (${response.status})`
+            );
+        }
+
+        const manifest = await response.json();
+        if (
+            !Array.isArray(manifest?.vehicles) ||
+            !manifest.vehicles.every(
+                (id: unknown) => typeof id === 'string' && id !== ''
+            )
+        ) {
+            throw new Error(
+                'Invalid vehicle manifest: vehicles must be an array of vehicle ids'
+            );
+        }
+        return manifest.vehicles;
+    }
+
+    /**
+     * Load the configs of every vehicle in the manifest, in manifest order
+     */
+    static async loadAllVehicleConfigs(
+        basePath: string = '/vehicles/'
+    ): Promise<VehicleConfig[]> {
+        const ids = await this.loadVehicleManifest(basePath);
+        return Promise.all(
+            ids.map((id) => this.loadVehicleConfig(id, basePath))
+        );
+    }
+
+    /**
+     * Drop the cached config and fetch it again (hot reload)
+     */
+    static async reloadVehicleConfig(
+        vehicleId: string,
+        basePath: string = '/vehicles/'
+    ): Promise<VehicleConfig> {
+        this.configCache.delete(`${basePath}${vehicleId}.json`);
+        return this.loadVehicleConfig(vehicleId, basePath);
+    }
 }
@@ -1,5 +1,34 @@
 import { Engine } from '@babylonjs/core';
 import { Game } from './game/Game';
+import { Garage } from './game/Garage';
+import { VehicleConfigLoader } from './game/VehicleConfig';
+import { LevelLoader, LevelDescriptor } from './game/Level';
+
+/**
+ * Drop-down for switching levels mid-session (only with more than one level)
+ */
+function createLevelPicker(
+    game: Game,
+    levels: LevelDescriptor[],
+    statusEl: HTMLElement
+) {
+    if (levels.length < 2) return;
+
+    const select = document.createElement('select');
+    select.id = 'levelSelect';
+    for (const level of levels) {
+        select.add(new Option(level.name, level.id));
+    }
+    select.value = game.getLevel()?.id ?? levels[0].id;
+    select.addEventListener('change', async () => {
+        select.disabled = true;
+        statusEl.textContent = 'Loading...';
+        const success = await game.switchLevel(select.value);
+        statusEl.textContent = success ? '' : '✗ Failed to load level';
+        select.disabled = false;
+    });
+    document.getElementById('ui')?.appendChild(select);
+}
 
 async function main() {
     const canvas = document.getElementById('renderCanvas') as HTMLCanvasElement;
@@ -17,19 +46,33 @@ async function main() {
         // Create Babylon.js engine
         const engine = new Engine(canvas, true);
 
-        // Create and initialize game
+        // Pick a car and opponents in the garage
+        const configs = await VehicleConfigLoader.loadAllVehicleConfigs();
+        const levels = await LevelLoader.loadAllLevels();
+        const garage = new Garage(engine, configs);
+        statusEl.textContent = '';
+        const setup = await garage.show();
+        garage.dispose();
+        statusEl.textContent = 'Loading...';
+
+        // Create and initialize game. With ?server=ws://host:port the race
+        // runs on an authority server (npm run server) instead
+        const server =
+            new URLSearchParams(window.location.search).get('server') ??
+            undefined;
         const game = new Game(canvas, engine);
-        const success = await game.initialize();
+        const success = await game.initialize({
+            ...setup,
+            levelId: levels[0]?.id,
+            server,
+        });
 
         if (success) {
-            // Initialize post-processing shader
-            await game.initializePostProcessShader('/shaders/postprocess.glsl', {
-                time: 0,
-                resolution: [1, 1],
-            });
-
             statusEl.textContent = '';
             controlsEl.style.display = 'block';
+            if (!server) {
+                createLevelPicker(game, levels, statusEl);
+            }
         } else {
             statusEl.textContent = '✗ Failed to load game';
         }
@@ -0,0 +1,346 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import { Scene, MeshBuilder, SceneLoader } from '@babylonjs/core';
+import '@babylonjs/loaders/glTF';
+import { Vehicle } from '../game/Vehicle';
+import { VehicleConfig } from '../game/VehicleConfig';
+import { LevelDescriptor, getLevelSpawn } from '../game/Level';
+import { CollisionSystem } from '../game/CollisionSystem';
+import { Simulation, createHeadlessScene } from '../game/Simulation';
+import { serializeState } from '../game/Replay';
+import {
+    DEFAULT_SERVER_PORT,
+    NetInput,
+    ServerMessage,
+    decodeClientMessage,
+    encodeMessage,
+} from '../game/NetProtocol';
+
+export interface AuthorityServerOptions {
+    port?: number; // 0 picks a free port
+    level: LevelDescriptor;
+    world?: ArrayBufferView; // The level's world GLB, read from level.scene
+    vehicleConfigs: VehicleConfig[];
+    snapshotRate?: number; // Snapshots per second
+    maxPlayers?: number;
+}
+
+interface ServerPlayer {
+    id: string;
+    vehicleId: string;
+    name: string;
+    slot: number; // Start grid slot
+    socket: WebSocket;
+    vehicle: Vehicle;
+    inputs: NetInput[]; // Received, not yet applied
+    lastInput: NetInput | null;
+}
+
+const DEFAULT_SNAPSHOT_RATE = 20; // Hz
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_QUEUED_INPUTS = 30; // Older inputs are dropped so lag can't pile up
+const SERVER_TICK_INTERVAL = 1000 / 60; // ms between simulation catch-ups
+// The server has no car models, so every car collides as a box this size (m)
+const CAR_COLLISION_BOX = { width: 2, height: 1.4, depth: 4.4 };
+
+/**
+ * AuthorityServer owns the race: it runs every player's Vehicle in a
+ * headless scene at the fixed simulation rate, applies one client input per
+ * car per tick and broadcasts snapshots the clients reconcile against.
+ *
+ * The level's world GLB is loaded into that scene so cars drive on its
+ * surface and hit its colliders. Without one, only flat ground levels can
+ * be raced: cars drive at y = 0 and only collide with each other.
+ */
+export class AuthorityServer {
+    private options: Required<Omit<AuthorityServerOptions, 'world'>>;
+    private world: ArrayBufferView | null;
+    private scene: Scene;
+    private simulation: Simulation;
+    private collisionSystem: CollisionSystem = new CollisionSystem();
+    private configs: Map<string, VehicleConfig>;
+    private players: ServerPlayer[] = [];
+    private joining: Set<WebSocket> = new Set(); // Sockets whose car is being set up
+    private server: WebSocketServer | null = null;
+    private timer: ReturnType<typeof setInterval> | null = null;
+    private lastTime: number = 0;
+    private nextPlayerNumber: number = 1;
+
+    constructor(options: AuthorityServerOptions) {
+        this.options = {
+            port: DEFAULT_SERVER_PORT,
+            snapshotRate: DEFAULT_SNAPSHOT_RATE,
+            maxPlayers: DEFAULT_MAX_PLAYERS,
+            ...options,
+        };
+        this.world = options.world ?? null;
+        this.configs = new Map(
+            options.vehicleConfigs.map((config) => [config.id, config])
+        );
+        this.scene = createHeadlessScene();
+        const surfaceType = options.level.surface?.type ?? 'ground';
+        if (!this.world && surfaceType !== 'ground') {
+            throw new Error(
+                `AuthorityServer: ${options.level.name} needs its world to race on ${surfaceType}`
+            );
+        }
+        this.simulation = new Simulation((deltaTime, tick) =>
+            this.step(deltaTime, tick)
+        );
+    }
+
+    /**
+     * Load the level's world, then listen for clients and start the
+     * simulation clock
+     * @returns The port the server listens on
+     */
+    async start(): Promise<number> {
+        if (this.world) await this.loadWorld(this.world);
+        return new Promise((resolve, reject) => {
+            const server = new WebSocketServer({ port: this.options.port });
+            server.on('connection', (socket) => this.onConnection(socket));
+            server.once('error', reject);
+            server.once('listening', () => {
+                this.server = server;
+                this.lastTime = performance.now();
+                this.timer = setInterval(
+                    () => this.advance(),
+                    SERVER_TICK_INTERVAL
+                );
+                const address = server.address();
+                const port =
+                    typeof address === 'object' && address
+                        ? address.port
+                        : this.options.port;
+                console.log(
+                    `AuthorityServer: ✓ ${this.options.level.name} on port ${port}`
+                );
+                resolve(port);
+            });
+        });
+    }
+
+    /**
+     * Add the world's meshes to the scene and register its colliders
+     */
+    private async loadWorld(world: ArrayBufferView) {
+        const container = await SceneLoader.LoadAssetContainerAsync(
+            '',
+            world,
+            this.scene,
+            undefined,
+            '.glb'
+        );
+        container.addAllToScene();
+        this.collisionSystem.addStaticCollidersFromScene(this.scene);
+    }
+
+    /**
+     * Disconnect everyone and stop the simulation
+     */
+    stop(): Promise<void> {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        for (const player of [...this.players]) {
+            player.socket.terminate();
+            this.removePlayer(player);
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise((resolve) => {
+            if (server) {
+                server.close(() => resolve());
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    private advance() {
+        const now = performance.now();
+        this.simulation.advance((now - this.lastTime) / 1000);
+        this.lastTime = now;
+    }
+
+    private onConnection(socket: WebSocket) {
+        const reportError = (error: Error) =>
+            this.send(socket, { type: 'error', message: error.message });
+
+        socket.on('message', (data) => {
+            try {
+                const message = decodeClientMessage(String(data));
+                const player = this.players.find((p) => p.socket === socket);
+                if (message.type === 'join') {
+                    // One car per socket, however many joins it sends
+                    if (!player && !this.joining.has(socket)) {
+                        this.joining.add(socket);
+                        this.addPlayer(socket, message.vehicleId, message.name)
+                            .catch(reportError)
+                            .finally(() => this.joining.delete(socket));
+                    }
+                } else if (player) {
+                    player.inputs.push(...message.inputs);
+                    if (player.inputs.length > MAX_QUEUED_INPUTS) {
+                        player.inputs.splice(
+                            0,
+                            player.inputs.length - MAX_QUEUED_INPUTS
+                        );
+                    }
+                }
+            } catch (error) {
+                reportError(error as Error);
+            }
+        });
+        socket.on('close', () => {
+            const player = this.players.find((p) => p.socket === socket);
+            if (player) this.removePlayer(player);
+        });
+        // A protocol error (e.g. an unmasked frame) drops only this client
+        socket.on('error', (error) => {
+            console.warn(`AuthorityServer: dropping client: ${error.message}`);
+            socket.terminate();
+            const player = this.players.find((p) => p.socket === socket);
+            if (player) this.removePlayer(player);
+        });
+    }
+
+    private async addPlayer(
+        socket: WebSocket,
+        vehicleId: string,
+        name?: string
+    ) {
+        const config = this.configs.get(vehicleId);
+        if (!config) {
+            throw new Error(`Unknown vehicle: ${vehicleId}`);
+        }
+        if (this.players.length >= this.options.maxPlayers) {
+            throw new Error('Server is full');
+        }
+
+        const id = `player_${this.nextPlayerNumber++}`;
+        const slot = this.getFreeSlot();
+        const vehicle = new Vehicle(this.scene, { ...config, id });
+        vehicle.setSurface(
+            this.world
+                ? (this.options.level.surface ?? null)
+                : { type: 'ground', meshes: [] } // Flat at y = 0
+        );
+
+        // Stand-in body for collisions, placed on the start grid
+        const body = MeshBuilder.CreateBox(id, CAR_COLLISION_BOX, this.scene);
+        const spawn = getLevelSpawn(this.options.level, slot);
+        if (spawn) {
+            body.position.copyFrom(spawn.position);
+            body.rotationQuaternion = spawn.rotation?.clone() ?? null;
+        }
+        await vehicle.create(body);
+        if (socket.readyState !== WebSocket.OPEN) {
+            vehicle.dispose(); // Left while the car was being set up
+            return;
+        }
+        this.collisionSystem.addVehicle(vehicle);
+
+        const player: ServerPlayer = {
+            id,
+            vehicleId,
+            name: name || `Player ${slot + 1}`,
+            slot,
+            socket,
+            vehicle,
+            inputs: [],
+            lastInput: null,
+        };
+        this.players.push(player);
+        console.log(
+            `AuthorityServer: ${player.name} joined as ${id} driving ${vehicleId}`
+        );
+
+        this.send(socket, {
+            type: 'welcome',
+            playerId: id,
+            levelId: this.options.level.id,
+            slot,
+            simulationRate: this.simulation.rate,
+            tick: this.simulation.getTick(),
+        });
+    }
+
+    private getFreeSlot(): number {
+        let slot = 0;
+        while (this.players.some((player) => player.slot === slot)) slot++;
+        return slot;
+    }
+
+    private removePlayer(player: ServerPlayer) {
+        this.players = this.players.filter((other) => other !== player);
+        this.collisionSystem.removeVehicle(player.vehicle);
+        player.vehicle.dispose();
+        console.log(`AuthorityServer: ${player.name} left`);
+    }
+
+    /**
+     * One authoritative tick: a queued input per car, physics, collisions
+     */
+    private step(deltaTime: number, tick: number) {
+        for (const player of this.players) {
+            // Without a new input the car keeps its last one
+            const input = player.inputs.shift() ?? player.lastInput;
+            if (input) {
+                player.vehicle.setInput(
+                    input.accelerate,
+                    input.steer,
+                    input.handbrake
+                );
+                player.lastInput = input;
+            }
+            player.vehicle.update(deltaTime);
+        }
+        this.collisionSystem.update();
+
+        const ticksPerSnapshot = Math.max(
+            1,
+            Math.round(this.simulation.rate / this.options.snapshotRate)
+        );
+        if (tick % ticksPerSnapshot === 0) {
+            this.broadcastSnapshot(tick + 1);
+        }
+    }
+
+    private broadcastSnapshot(tick: number) {
+        const message = encodeMessage({
+            type: 'snapshot',
+            tick,
+            cars: this.players.map((player) => ({
+                id: player.id,
+                vehicleId: player.vehicleId,
+                name: player.name,
+                state: serializeState(player.vehicle.getState()),
+                lastInputSeq: player.lastInput?.seq ?? 0,
+            })),
+        });
+        for (const player of this.players) {
+            if (player.socket.readyState === WebSocket.OPEN) {
+                player.socket.send(message);
+            }
+        }
+    }
+
+    private send(socket: WebSocket, message: ServerMessage) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(encodeMessage(message));
+        }
+    }
+
+    getPlayerCount(): number {
+        return this.players.length;
+    }
+
+    /**
+     * A player's authoritative car, e.g. for headless tests
+     */
+    getVehicle(playerId: string): Vehicle | null {
+        return (
+            this.players.find((player) => player.id === playerId)?.vehicle ??
+            null
+        );
+    }
+}
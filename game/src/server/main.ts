@@ -0,0 +1,72 @@
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseVehicleConfig, VehicleConfig } from '../game/VehicleConfig';
+import {
+    DEFAULT_LEVEL_ID,
+    LevelDescriptor,
+    parseLevelDescriptor,
+} from '../game/Level';
+import { DEFAULT_SERVER_PORT } from '../game/NetProtocol';
+import { AuthorityServer } from './AuthorityServer';
+
+/**
+ * LAN race server: npm run server -- [--port 8787] [--level default]
+ * Players join with the game's ?server=ws://<host>:<port> URL parameter.
+ */
+
+const PUBLIC_DIR = fileURLToPath(new URL('../../public/', import.meta.url));
+
+async function readJson(path: string): Promise<unknown> {
+    return JSON.parse(await readFile(`${PUBLIC_DIR}${path}`, 'utf8'));
+}
+
+async function loadVehicleConfigs(): Promise<VehicleConfig[]> {
+    const manifest = (await readJson('vehicles/manifest.json')) as {
+        vehicles: string[];
+    };
+    return Promise.all(
+        manifest.vehicles.map(async (id) => {
+            const path = `vehicles/${id}.json`;
+            return parseVehicleConfig(await readJson(path), path);
+        })
+    );
+}
+
+async function loadLevel(levelId: string): Promise<LevelDescriptor> {
+    const path = `levels/${levelId}.json`;
+    return parseLevelDescriptor(await readJson(path), path);
+}
+
+/**
+ * The level's world GLB, served by the game from public/ at level.scene
+ */
+function loadWorld(level: LevelDescriptor): Promise<Buffer> {
+    return readFile(`${PUBLIC_DIR}${level.scene.replace(/^\//, '')}`);
+}
+
+function getArgument(name: string): string | undefined {
+    const index = process.argv.indexOf(`--${name}`);
+    return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+    const port = Number(getArgument('port') ?? DEFAULT_SERVER_PORT);
+    const level = await loadLevel(getArgument('level') ?? DEFAULT_LEVEL_ID);
+    const server = new AuthorityServer({
+        port,
+        level,
+        world: await loadWorld(level),
+        vehicleConfigs: await loadVehicleConfigs(),
+    });
+    await server.start();
+
+    process.on('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+    });
+}
+
+main().catch((error) => {
+    console.error('AuthorityServer: ✗', error);
+    process.exit(1);
+});
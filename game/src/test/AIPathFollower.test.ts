@@ -0,0 +1,126 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { NullEngine, Scene, Vector3, MeshBuilder } from '@babylonjs/core';
+import { AIPathFollower } from '../game/AIPathFollower';
+import { createTestConfig, silenceConsole } from './helpers';
+
+const aiConfig = createTestConfig({
+    id: 'ai_test',
+    name: 'AI Test',
+    physics: { mass: 1500 },
+});
+
+function createLoop(scene: Scene, radius: number, segments: number) {
+    const points: Vector3[] = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push(
+            new Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius)
+        );
+    }
+    MeshBuilder.CreateLines('ai_path', { points }, scene);
+}
+
+describe('AIPathFollower', () => {
+    let scene: Scene;
+
+    beforeEach(() => {
+        silenceConsole();
+        scene = new Scene(new NullEngine());
+    });
+
+    const radialOffset = (position: Vector3, radius: number) =>
+        Math.abs(Math.hypot(position.x, position.z) - radius);
+
+    it('should steer a Vehicle along the path', async () => {
+        createLoop(scene, 40, 64);
+        const follower = new AIPathFollower(scene);
+        await follower.spawnAIVehicle(aiConfig, 12, 0);
+        const vehicle = follower.getVehicles()[0];
+
+        let maxOffset = 0;
+        for (let i = 0; i < 60 * 20; i++) {
+            follower.update(1 / 60);
+            maxOffset = Math.max(
+                maxOffset,
+                radialOffset(vehicle.getPosition(), 40)
+            );
+        }
+
+        expect(vehicle.getSpeed()).toBeGreaterThan(10);
+        expect(maxOffset).toBeLessThan(1);
+    });
+
+    it('should slow down for tight curves', async () => {
+        createLoop(scene, 8, 32);
+        const follower = new AIPathFollower(scene);
+        await follower.spawnAIVehicle(aiConfig, 20, 0);
+        const vehicle = follower.getVehicles()[0];
+
+        for (let i = 0; i < 60 * 10; i++) {
+            follower.update(1 / 60);
+        }
+
+        // sqrt(8 m/s² * 8 m) = 8 m/s cornering speed
+        expect(vehicle.getSpeed()).toBeLessThan(10);
+        expect(radialOffset(vehicle.getPosition(), 8)).toBeLessThan(2);
+    });
+
+    it('should recover onto the path after being knocked off', async () => {
+        createLoop(scene, 40, 64);
+        const follower = new AIPathFollower(scene);
+        await follower.spawnAIVehicle(aiConfig, 12, 0);
+        const vehicle = follower.getVehicles()[0];
+
+        for (let i = 0; i < 60 * 3; i++) {
+            follower.update(1 / 60);
+        }
+        vehicle.setPosition(vehicle.getPosition().scale(1.3));
+
+        for (let i = 0; i < 60 * 10; i++) {
+            follower.update(1 / 60);
+        }
+
+        expect(radialOffset(vehicle.getPosition(), 40)).toBeLessThan(1);
+    });
+
+    it('should start a grid car beside the path and keep it to that path', async () => {
+        createLoop(scene, 40, 64);
+        const follower = new AIPathFollower(scene);
+        const racer = await follower.spawnAIVehicle(
+            aiConfig,
+            12,
+            0,
+            { path: 'ai_path' },
+            { lateralOffset: 2, stayOnPath: true }
+        );
+        const traffic = await follower.spawnAIVehicle(aiConfig, 12, 30);
+
+        // The loop runs anticlockwise seen from above, so right is outwards
+        expect(radialOffset(racer!.getPosition(), 40)).toBeCloseTo(2, 1);
+        expect(
+            Math.hypot(racer!.getPosition().x, racer!.getPosition().z)
+        ).toBeGreaterThan(40);
+        const racers = follower.getVehicles('ai_path');
+        expect(racers).toHaveLength(1);
+        expect(racers[0]).toBe(racer);
+        expect(follower.getVehicles()).toHaveLength(2);
+        expect(follower.getVehicles()[1]).toBe(traffic);
+    });
+
+    it('should stop at the end of an open path', async () => {
+        const points = [new Vector3(0, 0, 0), new Vector3(0, 0, 60)];
+        MeshBuilder.CreateLines('ai_path', { points }, scene);
+        const follower = new AIPathFollower(scene);
+        await follower.spawnAIVehicle(aiConfig, 12, 0);
+        const vehicle = follower.getVehicles()[0];
+
+        for (let i = 0; i < 60 * 12; i++) {
+            follower.update(1 / 60);
+        }
+
+        expect(Math.abs(vehicle.getSpeed())).toBeLessThan(0.5);
+        expect(vehicle.getPosition().z).toBeGreaterThan(50);
+        expect(vehicle.getPosition().z).toBeLessThan(62);
+    });
+});
@@ -0,0 +1,437 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { connect, Socket } from 'node:net';
+import WebSocket from 'ws';
+import { Vehicle } from '../game/Vehicle';
+import { parseLevelDescriptor } from '../game/Level';
+import { deserializeState } from '../game/Replay';
+import {
+    NET_PROTOCOL_VERSION,
+    NetSnapshot,
+    decodeServerMessage,
+    encodeMessage,
+} from '../game/NetProtocol';
+import { NetworkClient, ClientPrediction } from '../game/NetworkClient';
+import { AuthorityServer } from '../server/AuthorityServer';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const DT = 1 / 120;
+
+const testConfig = createTestConfig({ physics: { heightOffset: 0.5 } });
+
+const testLevel = parseLevelDescriptor({
+    id: 'test',
+    name: 'Test Track',
+    scene: '/world/test.glb',
+    spawn: { position: [0, 0, 0] },
+});
+
+interface WorldBox {
+    name: string;
+    center: [number, number, number];
+    size: [number, number, number];
+}
+
+// Unit cube faces as [normal, u, v] with u × v = normal
+const CUBE_FACES: [number, number, number][][] = [
+    [
+        [1, 0, 0],
+        [0, 1, 0],
+        [0, 0, 1],
+    ],
+    [
+        [-1, 0, 0],
+        [0, 0, 1],
+        [0, 1, 0],
+    ],
+    [
+        [0, 1, 0],
+        [0, 0, 1],
+        [1, 0, 0],
+    ],
+    [
+        [0, -1, 0],
+        [1, 0, 0],
+        [0, 0, 1],
+    ],
+    [
+        [0, 0, 1],
+        [1, 0, 0],
+        [0, 1, 0],
+    ],
+    [
+        [0, 0, -1],
+        [0, 1, 0],
+        [1, 0, 0],
+    ],
+];
+
+/**
+ * A world GLB of boxes, as an artist would export the level
+ */
+function createWorldGlb(boxes: WorldBox[]): Uint8Array {
+    const positions: number[] = [];
+    const normals: number[] = [];
+    const indices: number[] = [];
+    for (const [normal, u, v] of CUBE_FACES) {
+        const first = positions.length / 3;
+        for (const [su, sv] of [
+            [-1, -1],
+            [1, -1],
+            [1, 1],
+            [-1, 1],
+        ]) {
+            for (let axis = 0; axis < 3; axis++) {
+                positions.push(
+                    (normal[axis] + su * u[axis] + sv * v[axis]) / 2
+                );
+            }
+            normals.push(...normal);
+        }
+        indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+    }
+    const bin = Buffer.concat([
+        Buffer.from(new Float32Array(positions).buffer),
+        Buffer.from(new Float32Array(normals).buffer),
+        Buffer.from(new Uint16Array(indices).buffer),
+    ]);
+    const vertexBytes = positions.length * 4;
+    const json = Buffer.from(
+        JSON.stringify({
+            asset: { version: '2.0' },
+            scene: 0,
+            scenes: [{ nodes: boxes.map((_, i) => i) }],
+            nodes: boxes.map((box) => ({
+                name: box.name,
+                mesh: 0,
+                translation: box.center,
+                scale: box.size,
+            })),
+            meshes: [
+                {
+                    primitives: [
+                        {
+                            attributes: { POSITION: 0, NORMAL: 1 },
+                            indices: 2,
+                        },
+                    ],
+                },
+            ],
+            accessors: [
+                {
+                    bufferView: 0,
+                    componentType: 5126,
+                    count: positions.length / 3,
+                    type: 'VEC3',
+                    min: [-0.5, -0.5, -0.5],
+                    max: [0.5, 0.5, 0.5],
+                },
+                {
+                    bufferView: 1,
+                    componentType: 5126,
+                    count: normals.length / 3,
+                    type: 'VEC3',
+                },
+                {
+                    bufferView: 2,
+                    componentType: 5123,
+                    count: indices.length,
+                    type: 'SCALAR',
+                },
+            ],
+            bufferViews: [
+                { buffer: 0, byteOffset: 0, byteLength: vertexBytes },
+                {
+                    buffer: 0,
+                    byteOffset: vertexBytes,
+                    byteLength: vertexBytes,
+                },
+                {
+                    buffer: 0,
+                    byteOffset: vertexBytes * 2,
+                    byteLength: indices.length * 2,
+                },
+            ],
+            buffers: [{ byteLength: bin.length }],
+        })
+    );
+    const pad = (chunk: Buffer, fill: number) =>
+        Buffer.concat([
+            chunk,
+            Buffer.alloc((4 - (chunk.length % 4)) % 4, fill),
+        ]);
+    const chunks = [
+        [pad(json, 0x20), 0x4e4f534a], // JSON
+        [pad(bin, 0), 0x004e4942], // BIN
+    ] as const;
+    const header = Buffer.alloc(12);
+    header.writeUInt32LE(0x46546c67, 0); // glTF
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(
+        12 + chunks.reduce((sum, [data]) => sum + 8 + data.length, 0),
+        8
+    );
+    return Buffer.concat([
+        header,
+        ...chunks.flatMap(([data, type]) => {
+            const chunkHeader = Buffer.alloc(8);
+            chunkHeader.writeUInt32LE(data.length, 0);
+            chunkHeader.writeUInt32LE(type, 4);
+            return [chunkHeader, data];
+        }),
+    ]);
+}
+
+const JOIN_MESSAGE = encodeMessage({
+    type: 'join',
+    version: NET_PROTOCOL_VERSION,
+    vehicleId: 'test_car',
+});
+
+/**
+ * A WebSocket connection written by hand, to send frames no client would
+ */
+function openRawSocket(port: number): Promise<Socket> {
+    return new Promise((resolve, reject) => {
+        const socket = connect(port, 'localhost', () => {
+            socket.write(
+                [
+                    'GET / HTTP/1.1',
+                    'Host: localhost',
+                    'Upgrade: websocket',
+                    'Connection: Upgrade',
+                    'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+                    'Sec-WebSocket-Version: 13',
+                    '',
+                    '',
+                ].join('\r\n')
+            );
+        });
+        socket.once('data', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * A short text frame; clients must mask theirs (a zero mask keeps the text)
+ */
+function textFrame(text: string, masked: boolean): Buffer {
+    const payload = Buffer.from(text);
+    const header = masked
+        ? [0x81, 0x80 | payload.length, 0, 0, 0, 0]
+        : [0x81, payload.length];
+    return Buffer.concat([Buffer.from(header), payload]);
+}
+
+/**
+ * A game client without a browser: a headless predicted car that follows
+ * the server, as Game does in client mode
+ */
+interface HeadlessClient {
+    client: NetworkClient;
+    vehicle: Vehicle;
+    prediction: ClientPrediction;
+    snapshots: NetSnapshot[];
+}
+
+async function joinHeadless(port: number): Promise<HeadlessClient> {
+    const client = new NetworkClient(
+        `ws://localhost:${port}`,
+        (url) => new WebSocket(url)
+    );
+    const snapshots: NetSnapshot[] = [];
+    client.onSnapshot = (snapshot) => snapshots.push(snapshot);
+    await client.connect('test_car');
+
+    const vehicle = await createTestVehicle({
+        config: testConfig,
+        surface: { type: 'ground', meshes: [] },
+    });
+    return {
+        client,
+        vehicle,
+        prediction: new ClientPrediction(vehicle, DT),
+        snapshots,
+    };
+}
+
+/**
+ * Step a client for about `ms` of real time with a fixed input
+ */
+async function drive(player: HeadlessClient, ms: number, accelerate: number) {
+    const frames = Math.round(ms / 50);
+    for (let frame = 0; frame < frames; frame++) {
+        for (const snapshot of player.snapshots.splice(0)) {
+            const car = snapshot.cars.find(
+                (c) => c.id === player.client.getPlayerId()
+            );
+            if (car) {
+                player.prediction.reconcile(
+                    deserializeState(car.state),
+                    car.lastInputSeq
+                );
+            }
+        }
+        for (let tick = 0; tick < 6; tick++) {
+            player.prediction.applyInput({
+                accelerate,
+                steer: 0,
+                handbrake: false,
+            });
+            player.vehicle.update(DT);
+        }
+        player.client.sendInputs(player.prediction.takeUnsent());
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+}
+
+describe('AuthorityServer', () => {
+    let server: AuthorityServer;
+    let port: number;
+    const clients: NetworkClient[] = [];
+
+    beforeEach(async () => {
+        silenceConsole();
+        server = new AuthorityServer({
+            port: 0,
+            level: testLevel,
+            vehicleConfigs: [testConfig],
+        });
+        port = await server.start();
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) client.close();
+        await server.stop();
+        vi.restoreAllMocks();
+    });
+
+    async function join(): Promise<HeadlessClient> {
+        const player = await joinHeadless(port);
+        clients.push(player.client);
+        return player;
+    }
+
+    it('should give each player a car on the start grid', async () => {
+        const a = await join();
+        const b = await join();
+
+        expect(a.client.getPlayerId()).not.toBe(b.client.getPlayerId());
+        expect(server.getPlayerCount()).toBe(2);
+        const carA = server.getVehicle(a.client.getPlayerId()!)!;
+        const carB = server.getVehicle(b.client.getPlayerId()!)!;
+        expect(carA.getPosition().subtract(carB.getPosition()).length()).toBe(
+            4
+        );
+    });
+
+    it('should simulate client inputs and keep the prediction close', async () => {
+        const a = await join();
+        const b = await join();
+        await drive(a, 1000, 1);
+
+        const serverCar = server.getVehicle(a.client.getPlayerId()!)!;
+        expect(serverCar.getSpeed()).toBeGreaterThan(5);
+        expect(serverCar.getPosition().z).toBeGreaterThan(2);
+        // The prediction runs ahead by the inputs still in flight
+        expect(
+            a.vehicle.getPosition().subtract(serverCar.getPosition()).length()
+        ).toBeLessThan(3);
+
+        // The other player sees the car move
+        await vi.waitFor(() => {
+            const latest = b.snapshots[b.snapshots.length - 1];
+            const remote = latest?.cars.find(
+                (car) => car.id === a.client.getPlayerId()
+            );
+            expect(remote?.state.position[2]).toBeGreaterThan(2);
+        });
+    });
+
+    it('should reject unknown vehicles and drop players who leave', async () => {
+        const rejected = new NetworkClient(
+            `ws://localhost:${port}`,
+            (url) => new WebSocket(url)
+        );
+        clients.push(rejected);
+        await expect(rejected.connect('hovercraft')).rejects.toThrow(
+            /Unknown vehicle/
+        );
+
+        const a = await join();
+        expect(server.getPlayerCount()).toBe(1);
+        a.client.close();
+        await vi.waitFor(() => expect(server.getPlayerCount()).toBe(0));
+    });
+
+    it('should drop a client that breaks the protocol and keep serving', async () => {
+        const raw = await openRawSocket(port);
+        raw.write(textFrame(JOIN_MESSAGE, true));
+        await vi.waitFor(() => expect(server.getPlayerCount()).toBe(1));
+
+        raw.write(textFrame('{}', false));
+        await vi.waitFor(() => expect(server.getPlayerCount()).toBe(0));
+        raw.destroy();
+
+        await join();
+        expect(server.getPlayerCount()).toBe(1);
+    });
+
+    it('should give a socket one car however often it joins', async () => {
+        const socket = new WebSocket(`ws://localhost:${port}`);
+        const welcomes: string[] = [];
+        socket.on('message', (data) => {
+            const message = decodeServerMessage(String(data));
+            if (message.type === 'welcome') welcomes.push(message.playerId);
+        });
+        await new Promise((resolve) => socket.once('open', resolve));
+
+        socket.send(JOIN_MESSAGE);
+        socket.send(JOIN_MESSAGE);
+        await vi.waitFor(() => expect(welcomes).toHaveLength(1));
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        expect(welcomes).toHaveLength(1);
+        expect(server.getPlayerCount()).toBe(1);
+        socket.close();
+    });
+
+    it('should drive on the world surface and stop at its colliders', async () => {
+        await server.stop();
+        // A raised deck with a wall across it, 10 m ahead of the grid
+        server = new AuthorityServer({
+            port: 0,
+            level: parseLevelDescriptor({
+                ...testLevel,
+                spawn: { position: [0, 3, 0] },
+            }),
+            world: createWorldGlb([
+                {
+                    name: 'drivable_deck',
+                    center: [0, 1, 20],
+                    size: [20, 2, 60],
+                },
+                { name: 'collider_wall', center: [0, 3, 10], size: [20, 2, 1] },
+            ]),
+            vehicleConfigs: [testConfig],
+        });
+        port = await server.start();
+
+        const a = await join();
+        const serverCar = server.getVehicle(a.client.getPlayerId()!)!;
+        await drive(a, 1500, 1);
+        expect(serverCar.getPosition().y).toBeCloseTo(2.5);
+        expect(serverCar.getPosition().z).toBeGreaterThan(5);
+        expect(serverCar.getPosition().z).toBeLessThan(10);
+    });
+
+    it('should refuse levels it would have to flatten', () => {
+        expect(
+            () =>
+                new AuthorityServer({
+                    level: { ...testLevel, surface: { type: 'terrain' } },
+                    vehicleConfigs: [testConfig],
+                })
+        ).toThrow(/needs its world/);
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    FreeCamera,
+    Mesh,
+    Quaternion,
+    Scene,
+    TransformNode,
+    Vector3,
+} from '@babylonjs/core';
+import {
+    CameraSystem,
+    ChaseCameraRig,
+    CinematicCameraRig,
+    CockpitCameraRig,
+    OrbitCameraRig,
+} from '../game/CameraSystem';
+import { createHeadlessScene } from '../game/Simulation';
+import { Vehicle } from '../game/Vehicle';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const testConfig = createTestConfig({
+    camera: { distance: 8, height: 2, lookHeight: 1 },
+});
+
+async function createVehicle(scene: Scene): Promise<Vehicle> {
+    // Adopt an empty mesh rather than loading a model
+    return createTestVehicle({
+        config: testConfig,
+        scene,
+        mesh: new Mesh('test_car', scene),
+    });
+}
+
+/**
+ * Stand the vehicle on the side of a planet: up is +X, forward is +Z
+ */
+function placeOnPlanetSide(vehicle: Vehicle) {
+    const mesh = vehicle.getMesh();
+    mesh.position = new Vector3(100, 0, 0);
+    mesh.rotationQuaternion = Quaternion.RotationAxis(
+        Vector3.Forward(),
+        -Math.PI / 2
+    );
+    mesh.computeWorldMatrix(true);
+}
+
+describe('CameraSystem', () => {
+    let scene: Scene;
+    let camera: FreeCamera;
+    let vehicle: Vehicle;
+
+    beforeEach(async () => {
+        silenceConsole();
+        scene = createHeadlessScene();
+        camera = new FreeCamera('camera', new Vector3(0, 10, -15), scene);
+        vehicle = await createVehicle(scene);
+        placeOnPlanetSide(vehicle);
+    });
+
+    it('should chase from the configured offset in the vehicle frame', () => {
+        const rig = new ChaseCameraRig();
+        const pose = rig.update(1 / 60, vehicle);
+
+        // Behind along -Z and above along the planet's +X up
+        expect(pose.position.x).toBeCloseTo(102);
+        expect(pose.position.z).toBeCloseTo(-8);
+        expect(pose.up.x).toBeCloseTo(1);
+        expect(pose.target.x).toBeCloseTo(101);
+    });
+
+    it('should put the cockpit camera inside the vehicle looking forward', () => {
+        const pose = new CockpitCameraRig().update(1 / 60, vehicle);
+        expect(
+            Vector3.Distance(pose.position, new Vector3(101.2, 0, 0.4))
+        ).toBeLessThan(1e-3);
+        const look = pose.target.subtract(pose.position).normalize();
+        expect(look.z).toBeCloseTo(1);
+    });
+
+    it('should orbit around the vehicle at the zoomed radius', () => {
+        const rig = new OrbitCameraRig();
+        rig.zoom(0.5);
+        rig.rotate(Math.PI / 2, 0);
+        const pose = rig.update(1 / 60, vehicle);
+        expect(
+            Vector3.Distance(pose.position, vehicle.getMesh().position)
+        ).toBeCloseTo(5);
+        expect(pose.target.x).toBeCloseTo(100);
+    });
+
+    it('should stop listening to the canvas once disposed', () => {
+        const canvas = document.createElement('canvas');
+        const system = CameraSystem.createDefault(camera, canvas);
+        system.setVehicle(vehicle);
+        while (system.getRigName() !== 'orbit') system.nextRig();
+        const orbit = system.getRig('orbit') as OrbitCameraRig;
+        const rotate = vi.spyOn(orbit, 'rotate');
+        const zoom = vi.spyOn(orbit, 'zoom');
+        const drag = () => {
+            canvas.dispatchEvent(new MouseEvent('pointerdown'));
+            canvas.dispatchEvent(new MouseEvent('pointermove'));
+            canvas.dispatchEvent(new WheelEvent('wheel', { deltaY: 100 }));
+            window.dispatchEvent(new MouseEvent('pointerup'));
+        };
+        drag();
+        expect(rotate).toHaveBeenCalledTimes(1);
+        expect(zoom).toHaveBeenCalledTimes(1);
+
+        system.dispose();
+        drag();
+
+        expect(rotate).toHaveBeenCalledTimes(1);
+        expect(zoom).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cut to the nearest camera anchor after holding a shot', () => {
+        const near = new TransformNode('camera_anchor_1', scene);
+        near.position = new Vector3(110, 0, 0);
+        const far = new TransformNode('camera_anchor_2', scene);
+        far.position = new Vector3(100, 0, 80);
+
+        const rig = new CinematicCameraRig(scene, 1);
+        expect(rig.isAvailable()).toBe(true);
+        rig.update(0.1, vehicle);
+        expect(rig.getCurrentAnchor()).toBe(near);
+
+        // The car moves next to the far anchor: hold the shot, then cut
+        vehicle.getMesh().position = new Vector3(100, 0, 75);
+        vehicle.getMesh().computeWorldMatrix(true);
+        rig.update(0.5, vehicle);
+        expect(rig.getCurrentAnchor()).toBe(near);
+        const pose = rig.update(0.6, vehicle);
+        expect(rig.getCurrentAnchor()).toBe(far);
+        expect(pose.position.z).toBeCloseTo(80);
+    });
+
+    it('should blend between rigs and skip unavailable ones', () => {
+        const system = new CameraSystem(camera, [
+            new ChaseCameraRig(),
+            new CinematicCameraRig(scene),
+            new CockpitCameraRig(),
+        ]);
+        system.setVehicle(vehicle);
+        system.update(1 / 60);
+        const chasePosition = camera.position.clone();
+
+        // No anchors in the scene, so cinematic is skipped
+        system.nextRig();
+        expect(system.getRigName()).toBe('cockpit');
+
+        system.update(0.3);
+        const cockpitPosition = new Vector3(101.2, 0, 0.4);
+        const halfway = Vector3.Distance(camera.position, cockpitPosition);
+        expect(halfway).toBeGreaterThan(0.5);
+        expect(halfway).toBeLessThan(
+            Vector3.Distance(chasePosition, cockpitPosition)
+        );
+
+        system.update(0.5);
+        expect(Vector3.Distance(camera.position, cockpitPosition)).toBeLessThan(
+            1e-3
+        );
+        system.dispose();
+    });
+});
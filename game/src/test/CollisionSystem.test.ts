@@ -0,0 +1,185 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    Matrix,
+    MeshBuilder,
+    Quaternion,
+    Scene,
+    Vector3,
+} from '@babylonjs/core';
+import {
+    CollisionSystem,
+    createOrientedBox,
+    intersectOrientedBoxes,
+} from '../game/CollisionSystem';
+import { Vehicle } from '../game/Vehicle';
+import { createHeadlessScene } from '../game/Simulation';
+import { createTestVehicle, silenceConsole } from './helpers';
+
+const DT = 1 / 120;
+const CAR_SIZE = { width: 2, height: 1.4, depth: 4.4 };
+
+describe('CollisionSystem', () => {
+    const unitHalfSize = new Vector3(1, 1, 1);
+
+    const boxAt = (position: Vector3, yaw: number = 0) =>
+        createOrientedBox(
+            Vector3.Zero(),
+            unitHalfSize,
+            Matrix.Compose(
+                Vector3.One(),
+                Quaternion.RotationAxis(Vector3.Up(), yaw),
+                position
+            )
+        );
+
+    it('should detect overlapping boxes with the minimum penetration axis', () => {
+        const contact = intersectOrientedBoxes(
+            boxAt(new Vector3(0, 0, 0)),
+            boxAt(new Vector3(1.5, 0, 0))
+        );
+
+        expect(contact).not.toBeNull();
+        expect(contact!.depth).toBeCloseTo(0.5);
+        expect(contact!.normal.x).toBeCloseTo(1);
+        expect(contact!.normal.y).toBeCloseTo(0);
+        expect(contact!.normal.z).toBeCloseTo(0);
+    });
+
+    it('should orient the normal from box A to box B', () => {
+        const contact = intersectOrientedBoxes(
+            boxAt(new Vector3(0, 0, 0)),
+            boxAt(new Vector3(0, 0, -1.8))
+        );
+
+        expect(contact).not.toBeNull();
+        expect(contact!.normal.z).toBeCloseTo(-1);
+    });
+
+    it('should return null for separated boxes', () => {
+        const contact = intersectOrientedBoxes(
+            boxAt(new Vector3(0, 0, 0)),
+            boxAt(new Vector3(2.1, 0, 0))
+        );
+
+        expect(contact).toBeNull();
+    });
+
+    it('should account for rotation', () => {
+        // A box rotated 45° reaches sqrt(2) along X, so it overlaps at 2.3
+        const rotated = boxAt(new Vector3(2.3, 0, 0), Math.PI / 4);
+        expect(
+            intersectOrientedBoxes(boxAt(Vector3.Zero()), rotated)
+        ).not.toBeNull();
+
+        // ...but an axis-aligned box at the same distance does not
+        const aligned = boxAt(new Vector3(2.3, 0, 0));
+        expect(
+            intersectOrientedBoxes(boxAt(Vector3.Zero()), aligned)
+        ).toBeNull();
+    });
+
+    it('should fold world scaling into the half sizes', () => {
+        const box = createOrientedBox(
+            Vector3.Zero(),
+            unitHalfSize,
+            Matrix.Scaling(2, 1, 3)
+        );
+
+        expect(box.halfSizes[0]).toBeCloseTo(2);
+        expect(box.halfSizes[1]).toBeCloseTo(1);
+        expect(box.halfSizes[2]).toBeCloseTo(3);
+        expect(box.axes[0].length()).toBeCloseTo(1);
+    });
+});
+
+describe('CollisionSystem.update', () => {
+    let scene: Scene;
+    let collisions: CollisionSystem;
+
+    beforeEach(() => {
+        silenceConsole();
+        scene = createHeadlessScene();
+        MeshBuilder.CreateGround('Ground', { width: 400, height: 400 }, scene);
+        collisions = new CollisionSystem();
+    });
+
+    afterEach(() => {
+        scene.getEngine().dispose();
+        vi.restoreAllMocks();
+    });
+
+    /**
+     * A car with a box body at z, facing +z (or -z when `reversed`)
+     */
+    async function addCar(z: number, reversed: boolean = false) {
+        const body = MeshBuilder.CreateBox(`car_${z}`, CAR_SIZE, scene);
+        body.position.set(0, 0, z);
+        body.rotationQuaternion = Quaternion.RotationAxis(
+            Vector3.Up(),
+            reversed ? Math.PI : 0
+        );
+        const vehicle = await createTestVehicle({ scene, mesh: body });
+        collisions.addVehicle(vehicle);
+        return vehicle;
+    }
+
+    function run(vehicles: Vehicle[], seconds: number) {
+        for (let i = 0; i < seconds / DT; i++) {
+            for (const vehicle of vehicles) vehicle.update(DT);
+            collisions.update();
+        }
+    }
+
+    function gap(back: Vehicle, front: Vehicle): number {
+        return front.getPosition().z - back.getPosition().z - CAR_SIZE.depth;
+    }
+
+    it('should push a stopped car away from one driving into it', async () => {
+        const moving = await addCar(0);
+        const parked = await addCar(10);
+        moving.setState({ ...moving.getState(), speed: 15 });
+
+        run([moving, parked], 1);
+
+        expect(gap(moving, parked)).toBeGreaterThan(-0.05);
+        // The hit passed momentum on: the parked car now moves away
+        expect(parked.getMomentum().z).toBeGreaterThan(0);
+        expect(parked.getPosition().z).toBeGreaterThan(10);
+        expect(moving.getVelocity().z).toBeLessThan(15);
+    });
+
+    it('should separate and bounce cars in a head-on crash', async () => {
+        const a = await addCar(0);
+        const b = await addCar(10, true);
+        a.setState({ ...a.getState(), speed: 10 });
+        b.setState({ ...b.getState(), speed: 10 });
+
+        run([a, b], 1.5);
+
+        expect(gap(a, b)).toBeGreaterThan(-0.05);
+        // Equal cars, equal and opposite: both bounced back
+        expect(a.getMomentum().z).toBeLessThan(0);
+        expect(b.getMomentum().z).toBeGreaterThan(0);
+        expect(a.getMomentum().z).toBeCloseTo(-b.getMomentum().z, 1);
+    });
+
+    it('should stop a car at a wall', async () => {
+        const wall = MeshBuilder.CreateBox(
+            'collider_wall',
+            { width: 20, height: 3, depth: 1 },
+            scene
+        );
+        wall.position.set(0, 1, 15);
+        wall.computeWorldMatrix(true);
+        collisions.addStaticCollidersFromScene(scene);
+        const car = await addCar(0);
+
+        car.setInput(1, 0);
+        run([car], 4);
+
+        const front = car.getPosition().z + CAR_SIZE.depth / 2;
+        expect(front).toBeLessThan(14.5 + 0.05);
+        expect(front).toBeGreaterThan(12);
+    });
+});
@@ -0,0 +1,299 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    AssetContainer,
+    Engine,
+    MeshBuilder,
+    NullEngine,
+    SceneLoader,
+    Vector3,
+} from '@babylonjs/core';
+import { Game } from '../game/Game';
+import { Vehicle } from '../game/Vehicle';
+import { LIGHTING_PRESETS, getLevelSpawn } from '../game/Level';
+import { createTestConfig, silenceConsole } from './helpers';
+
+const SHIPPED_LEVELS = ['default', 'default_dusk'];
+
+/**
+ * Level descriptors and vehicle configs, as fetch would serve them. The
+ * shipped levels are read from public/, without their post-processing.
+ */
+function serve(url: string): unknown {
+    const id = url.match(/\/(\w+)\.json/)![1];
+    if (SHIPPED_LEVELS.includes(id)) {
+        const file = resolve(__dirname, `../../public/levels/${id}.json`);
+        const level = JSON.parse(readFileSync(file, 'utf8'));
+        return { ...level, postProcess: undefined };
+    }
+    if (id === 'canyon' || id === 'flat') {
+        return {
+            id,
+            name: id,
+            scene: `/world/${id}.glb`,
+            spawn: { position: [0, 0, 0] },
+        };
+    }
+    return createTestConfig({ id, modelFile: `${id}.glb` });
+}
+
+/**
+ * The server end of a network race: it welcomes the player to the canyon on
+ * grid slot 1, then only listens
+ */
+class FakeServerSocket {
+    static latest: FakeServerSocket | null = null;
+    readyState = 0;
+    sent: string[] = [];
+    private listeners = new Map<string, ((event: unknown) => void)[]>();
+
+    constructor() {
+        FakeServerSocket.latest = this;
+        setTimeout(() => {
+            this.readyState = 1;
+            this.emit('open');
+        });
+    }
+
+    send(data: string) {
+        this.sent.push(data);
+        if (JSON.parse(data).type !== 'join') return;
+        const welcome = {
+            type: 'welcome',
+            playerId: 'player_2',
+            levelId: 'canyon',
+            slot: 1,
+            simulationRate: 120,
+            tick: 0,
+        };
+        setTimeout(() =>
+            this.emit('message', { data: JSON.stringify(welcome) })
+        );
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+
+    addEventListener(type: string, listener: (event: unknown) => void) {
+        this.listeners.set(type, [
+            ...(this.listeners.get(type) ?? []),
+            listener,
+        ]);
+    }
+
+    emit(type: string, event: unknown = {}) {
+        for (const listener of this.listeners.get(type) ?? []) listener(event);
+    }
+}
+
+describe('Game levels', () => {
+    let engine: NullEngine;
+    let game: Game;
+
+    beforeEach(() => {
+        silenceConsole();
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(async (url: string) => ({
+                ok: true,
+                json: async () => serve(url),
+            }))
+        );
+        // Each world is a ground, a mesh named after it and a loop to race on;
+        // each car model is one mesh named after its file
+        vi.spyOn(SceneLoader, 'LoadAssetContainerAsync').mockImplementation(
+            async (_rootUrl, file, scene) => {
+                if (!scene) throw new Error('No scene to load into');
+                const container = new AssetContainer(scene);
+                const name = (file as string).replace('.glb', '');
+                if (['canyon', 'flat', 'scene'].includes(name)) {
+                    container.meshes.push(
+                        MeshBuilder.CreateGround(
+                            'Ground',
+                            { width: 200, height: 200 },
+                            scene
+                        ),
+                        MeshBuilder.CreateBox(name, {}, scene),
+                        MeshBuilder.CreateLines(
+                            'ai_path',
+                            {
+                                points: [0, 1, 2, 3, 0].map(
+                                    (i) =>
+                                        new Vector3(
+                                            Math.cos((i * Math.PI) / 2) * 40,
+                                            0,
+                                            Math.sin((i * Math.PI) / 2) * 40
+                                        )
+                                ),
+                            },
+                            scene
+                        )
+                    );
+                } else {
+                    container.meshes.push(
+                        MeshBuilder.CreateBox(name, {}, scene)
+                    );
+                }
+                return container;
+            }
+        );
+
+        engine = new NullEngine();
+        vi.spyOn(engine, 'runRenderLoop').mockImplementation(() => {});
+        game = new Game(document.createElement('canvas'), engine as Engine);
+    });
+
+    afterEach(() => {
+        game.stop();
+        engine.dispose();
+        document.body.innerHTML = '';
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('should leave nothing of the old level behind after switching', async () => {
+        const loaded = await game.initialize({
+            playerVehicleId: 'main_car',
+            aiRoster: [{ vehicleId: 'blue_car', cruiseSpeed: 12 }],
+            levelId: 'canyon',
+        });
+        expect(loaded).toBe(true);
+        const oldScene = game.getScene();
+        const oldCamera = oldScene.activeCameras![0];
+        expect(oldScene.getMeshByName('canyon')).not.toBeNull();
+        expect(game.getRaceManager()!.getStandings()).toHaveLength(2);
+
+        expect(await game.switchLevel('flat')).toBe(true);
+
+        const scene = game.getScene();
+        expect(game.getLevel()!.id).toBe('flat');
+        expect(scene).not.toBe(oldScene);
+        expect(oldScene.isDisposed).toBe(true);
+        expect(scene.getMeshByName('canyon')).toBeNull();
+        expect(scene.getMeshByName('flat')).not.toBeNull();
+        // One player's camera, HUD and tuning panel, not one per level loaded
+        expect(oldCamera.isDisposed()).toBe(true);
+        expect(scene.activeCameras).toHaveLength(1);
+        expect(document.querySelectorAll('.hud')).toHaveLength(1);
+        expect(document.querySelectorAll('#tuningPanel')).toHaveLength(1);
+        // The race starts over with the same cars
+        const standings = game.getRaceManager()!.getStandings();
+        expect(standings).toHaveLength(2);
+        expect(standings.every((status) => status.lapsCompleted === 0)).toBe(
+            true
+        );
+        expect(game.getVehicle()!.getMesh().getScene()).toBe(scene);
+    });
+
+    it('should reload the same world under new lights for a lighting variant', async () => {
+        await game.initialize({
+            playerVehicleId: 'main_car',
+            aiRoster: [],
+            levelId: 'default',
+        });
+        const oldScene = game.getScene();
+
+        expect(await game.switchLevel('default_dusk')).toBe(true);
+
+        const scene = game.getScene();
+        expect(game.getLevel()!.scene).toBe('/world/scene.glb');
+        expect(oldScene.isDisposed).toBe(true);
+        expect(scene.getMeshByName('scene')).not.toBeNull();
+        expect(scene.clearColor.asArray().slice(0, 3)).toEqual(
+            LIGHTING_PRESETS.dusk.clearColor
+        );
+    });
+
+    it('should pick AI car detail levels once per rendered frame', async () => {
+        await game.initialize({
+            playerVehicleId: 'main_car',
+            aiRoster: [{ vehicleId: 'blue_car', cruiseSpeed: 12 }],
+            levelId: 'canyon',
+        });
+        const renderFrame = vi.mocked(engine.runRenderLoop).mock.calls[0][0];
+        const updateLod = vi.spyOn(Vehicle.prototype, 'updateLod');
+        // Long enough for several fixed simulation steps
+        vi.spyOn(engine, 'getDeltaTime').mockReturnValue(50);
+
+        renderFrame();
+
+        expect(updateLod).toHaveBeenCalledTimes(1);
+        // The AI car, not the player's
+        expect(updateLod.mock.instances[0]).not.toBe(game.getVehicle());
+    });
+});
+
+describe('Game network race', () => {
+    let engine: NullEngine;
+    let game: Game;
+
+    beforeEach(() => {
+        silenceConsole();
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(async (url: string) => ({
+                ok: true,
+                json: async () => serve(url),
+            }))
+        );
+        vi.stubGlobal('WebSocket', FakeServerSocket);
+        vi.spyOn(SceneLoader, 'LoadAssetContainerAsync').mockImplementation(
+            async (_rootUrl, _file, scene) => {
+                if (!scene) throw new Error('No scene to load into');
+                const container = new AssetContainer(scene);
+                container.meshes.push(
+                    MeshBuilder.CreateGround(
+                        'Ground',
+                        { width: 200, height: 200 },
+                        scene
+                    )
+                );
+                return container;
+            }
+        );
+
+        engine = new NullEngine();
+        vi.spyOn(engine, 'runRenderLoop').mockImplementation(() => {});
+        game = new Game(document.createElement('canvas'), engine as Engine);
+    });
+
+    afterEach(() => {
+        game.stop();
+        engine.dispose();
+        document.body.innerHTML = '';
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('should start on the server grid slot and stop when dropped', async () => {
+        const loaded = await game.initialize({
+            playerVehicleId: 'main_car',
+            aiRoster: [],
+            server: 'ws://test',
+        });
+        expect(loaded).toBe(true);
+        const vehicle = game.getVehicle()!;
+        const spawn = getLevelSpawn(game.getLevel()!, 1)!;
+        expect(vehicle.getPosition().x).toBeCloseTo(spawn.position.x);
+        expect(spawn.position.x).not.toBeCloseTo(0);
+
+        const renderFrame = vi.mocked(engine.runRenderLoop).mock.calls[0][0];
+        vi.spyOn(engine, 'getDeltaTime').mockReturnValue(50);
+        const socket = FakeServerSocket.latest!;
+        renderFrame();
+        const sent = socket.sent.length;
+        expect(sent).toBeGreaterThan(1); // Join, then inputs
+
+        socket.emit('close');
+        vehicle.setState({ ...vehicle.getState(), speed: 10 });
+        for (let frame = 0; frame < 40; frame++) renderFrame();
+
+        expect(socket.sent).toHaveLength(sent);
+        expect(vehicle.getSpeed()).toBe(0);
+        expect(document.querySelector('.hud')!.textContent).toContain(
+            'DISCONNECTED'
+        );
+    });
+});
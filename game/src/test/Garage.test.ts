@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { NullEngine, SceneLoader } from '@babylonjs/core';
+import { Garage, buildAIRoster, MIXED_OPPONENTS } from '../game/Garage';
+import { parseVehicleConfig, VehicleConfig } from '../game/VehicleConfig';
+import { createTestConfig } from './helpers';
+
+function createConfig(id: string, maxSpeed: number): VehicleConfig {
+    return parseVehicleConfig(
+        createTestConfig({
+            id,
+            name: id.replace('_', ' '),
+            modelFile: `${id}.glb`,
+            physics: { maxSpeed },
+        })
+    );
+}
+
+describe('buildAIRoster', () => {
+    it('should cycle through every vehicle when mixed', () => {
+        const roster = buildAIRoster(['a', 'b'], 3, MIXED_OPPONENTS, 10);
+        expect(roster).toEqual([
+            { vehicleId: 'a', cruiseSpeed: 10 },
+            { vehicleId: 'b', cruiseSpeed: 10 },
+            { vehicleId: 'a', cruiseSpeed: 10 },
+        ]);
+    });
+
+    it('should use the chosen vehicle for every opponent', () => {
+        const roster = buildAIRoster(['a', 'b'], 2, 'b');
+        expect(roster.map((entry) => entry.vehicleId)).toEqual(['b', 'b']);
+    });
+});
+
+describe('Garage', () => {
+    let engine: NullEngine;
+    let garage: Garage;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(SceneLoader, 'LoadAssetContainerAsync').mockRejectedValue(
+            new Error('no models in tests')
+        );
+        engine = new NullEngine();
+        garage = new Garage(engine, [
+            createConfig('slow_car', 20),
+            createConfig('fast_car', 40),
+        ]);
+    });
+
+    afterEach(() => {
+        garage.dispose();
+        engine.dispose();
+        vi.restoreAllMocks();
+    });
+
+    function statWidths(): string[] {
+        return Array.from(
+            document.querySelectorAll<HTMLElement>('.garage-bar > div'),
+            (fill) => fill.style.width
+        );
+    }
+
+    it('should show stats relative to the best vehicle', () => {
+        void garage.show();
+        expect(statWidths()[0]).toBe('50%');
+
+        garage.select('fast_car');
+        expect(statWidths()[0]).toBe('100%');
+        expect(
+            document.querySelector('.garage-list button.selected')?.textContent
+        ).toBe('fast car');
+    });
+
+    it('should resolve the setup when Race is pressed', async () => {
+        const setup = garage.show();
+        document
+            .querySelector<HTMLButtonElement>(
+                '.garage-list button[data-vehicle-id="fast_car"]'
+            )!
+            .click();
+        const count = document.querySelector<HTMLInputElement>(
+            '.garage-opponent-count'
+        )!;
+        count.value = '2';
+        const choice = document.querySelector<HTMLSelectElement>(
+            '.garage-opponent-choice'
+        )!;
+        choice.value = 'slow_car';
+        document.querySelector<HTMLButtonElement>('.garage-race')!.click();
+
+        const result = await setup;
+        expect(result.playerVehicleId).toBe('fast_car');
+        expect(result.aiRoster.map((entry) => entry.vehicleId)).toEqual([
+            'slow_car',
+            'slow_car',
+        ]);
+    });
+
+    it('should give split-screen guests the selected vehicle', () => {
+        void garage.show();
+        garage.select('slow_car');
+        const players = document.querySelector<HTMLSelectElement>(
+            '.garage-player-count'
+        )!;
+        expect(garage.confirm().guestVehicleIds).toBeUndefined();
+
+        players.value = '3';
+        expect(garage.confirm().guestVehicleIds).toEqual([
+            'slow_car',
+            'slow_car',
+        ]);
+    });
+
+    it('should say so when a model has no preview', async () => {
+        void garage.show();
+        await vi.waitFor(() =>
+            expect(
+                document.querySelector('.garage-preview-status')?.textContent
+            ).toBe('No preview')
+        );
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Mesh, Vector3 } from '@babylonjs/core';
+import {
+    Hud,
+    MinimapProjection,
+    compassPoint,
+    computeHeading,
+} from '../game/Hud';
+import { createHeadlessScene } from '../game/Simulation';
+import { Vehicle } from '../game/Vehicle';
+import { createTestVehicle, silenceConsole } from './helpers';
+
+describe('computeHeading', () => {
+    it('should measure clockwise from north on flat ground', () => {
+        const up = Vector3.Up();
+        const north = Vector3.Forward();
+        expect(computeHeading(new Vector3(0, 0, 1), up, north)).toBeCloseTo(0);
+        expect(computeHeading(new Vector3(1, 0, 0), up, north)).toBeCloseTo(90);
+        expect(computeHeading(new Vector3(-1, 0, 0), up, north)).toBeCloseTo(
+            270
+        );
+    });
+
+    it('should use the pole on the side of a planet', () => {
+        // Standing on the +X side of a planet, facing the north pole (+Y)
+        const heading = computeHeading(
+            new Vector3(0, 1, 0),
+            new Vector3(1, 0, 0),
+            Vector3.Up()
+        );
+        expect(heading).toBeCloseTo(0);
+    });
+
+    it('should have no heading at the pole', () => {
+        expect(
+            computeHeading(Vector3.Forward(), Vector3.Up(), Vector3.Up())
+        ).toBeNull();
+    });
+
+    it('should name the nearest compass point', () => {
+        expect(compassPoint(0)).toBe('N');
+        expect(compassPoint(50)).toBe('NE');
+        expect(compassPoint(350)).toBe('N');
+    });
+});
+
+describe('MinimapProjection', () => {
+    it('should fit the route into the map with north up', () => {
+        const projection = new MinimapProjection(
+            [new Vector3(0, 0, 0), new Vector3(100, 0, 100)],
+            Vector3.Up(),
+            120,
+            10
+        );
+
+        const southWest = projection.project(new Vector3(0, 0, 0));
+        const northEast = projection.project(new Vector3(100, 0, 100));
+        expect(southWest.x).toBeCloseTo(10);
+        expect(southWest.y).toBeCloseTo(110);
+        expect(northEast.x).toBeCloseTo(110);
+        expect(northEast.y).toBeCloseTo(10);
+    });
+});
+
+describe('Hud', () => {
+    let hud: Hud;
+    let vehicle: Vehicle;
+
+    beforeEach(async () => {
+        silenceConsole();
+        const scene = createHeadlessScene();
+        vehicle = await createTestVehicle({
+            scene,
+            mesh: new Mesh('test_car', scene),
+        });
+        hud = new Hud();
+        hud.setVehicles(vehicle);
+    });
+
+    afterEach(() => {
+        hud.dispose();
+        vi.restoreAllMocks();
+    });
+
+    it('should show speed in km/h and the heading', () => {
+        vehicle.setState({ ...vehicle.getState(), speed: 10 });
+        hud.update(1 / 60);
+
+        expect(document.querySelector('.hud-speed-value')?.textContent).toBe(
+            '36'
+        );
+        expect(
+            document.querySelector<HTMLElement>('.hud-speed-bar > div')?.style
+                .width
+        ).toBe('40%');
+        expect(document.querySelector('.hud-compass-label')?.textContent).toBe(
+            'N 000°'
+        );
+    });
+
+    it('should only touch the DOM when a slot changes', () => {
+        hud.setSlot('lap', 'Lap 1/3');
+        expect(hud.getSlot('lap')).toBe('Lap 1/3');
+
+        const lap = document.querySelector('.hud-lap')!;
+        const setter = vi.spyOn(lap, 'textContent', 'set');
+        hud.setSlot('lap', 'Lap 1/3');
+        expect(setter).not.toHaveBeenCalled();
+    });
+
+    it('should show the minimap only when there is a route', () => {
+        // jsdom has no 2D canvas
+        vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(
+            null
+        );
+        const minimap = document.querySelector<HTMLElement>('.hud-minimap')!;
+        expect(minimap.style.display).toBe('none');
+
+        hud.setRoutes([[new Vector3(0, 0, 0), new Vector3(50, 0, 20)]]);
+        expect(minimap.style.display).toBe('');
+    });
+});
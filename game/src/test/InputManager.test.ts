@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { InputManager } from '../game/InputManager';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { InputManager, shapeAnalog } from '../game/InputManager';
 
 describe('InputManager', () => {
     let canvas: HTMLCanvasElement;
@@ -86,3 +86,61 @@ describe('InputManager', () => {
         expect(input.accelerate).toBe(-1);
     });
 });
+
+describe('InputManager bindings and analog input', () => {
+    let canvas: HTMLCanvasElement;
+
+    beforeEach(() => {
+        canvas = document.createElement('canvas');
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        vi.unstubAllGlobals();
+        window.dispatchEvent(new KeyboardEvent('keyup', { code: 'KeyI' }));
+    });
+
+    it('should persist remapped keys', () => {
+        const inputManager = new InputManager(canvas, {
+            storageKey: 'testBindings',
+        });
+        inputManager.bindKeys('accelerate', ['KeyI']);
+
+        const reloaded = new InputManager(canvas, {
+            storageKey: 'testBindings',
+        });
+        expect(reloaded.getBindings().keyboard.accelerate).toEqual(['keyi']);
+
+        window.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyI' }));
+        expect(reloaded.getInput().accelerate).toBe(1);
+    });
+
+    it('should read analog values from the gamepad', () => {
+        const buttons = Array.from({ length: 16 }, () => ({
+            pressed: false,
+            value: 0,
+        }));
+        buttons[7] = { pressed: true, value: 1 };
+        vi.stubGlobal('navigator', {
+            ...navigator,
+            getGamepads: () => [{ axes: [-1, 0], buttons }],
+        });
+
+        const inputManager = new InputManager(canvas, {
+            touchControls: false,
+        });
+        const input = inputManager.getInput();
+        expect(input.accelerate).toBeCloseTo(1);
+        // Stick fully left steers fully left
+        expect(input.steer).toBeCloseTo(1);
+        expect(input.handbrake).toBe(false);
+    });
+
+    it('should apply dead zone and sensitivity curve', () => {
+        const settings = { deadZone: 0.2, sensitivity: 2 };
+        expect(shapeAnalog(0.1, settings)).toBe(0);
+        expect(shapeAnalog(-0.2, settings)).toBe(0);
+        expect(shapeAnalog(0.6, settings)).toBeCloseTo(0.25);
+        expect(shapeAnalog(-1, settings)).toBeCloseTo(-1);
+    });
+});
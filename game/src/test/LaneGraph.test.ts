@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    Mesh,
+    MeshBuilder,
+    NullEngine,
+    Scene,
+    Vector3,
+    VertexData,
+} from '@babylonjs/core';
+import { LaneGraph } from '../game/LaneGraph';
+
+describe('LaneGraph', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should leave the end of an open path as a dead end', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const graph = LaneGraph.fromPaths([
+            {
+                name: 'ai_path',
+                points: [
+                    new Vector3(0, 0, 0),
+                    new Vector3(10, 0, 0),
+                    new Vector3(10, 0, 10),
+                ],
+            },
+        ]);
+
+        expect(graph.getNodes()).toHaveLength(2);
+        expect(graph.getEdges()).toHaveLength(1);
+        expect(graph.getPathLength('ai_path')).toBeCloseTo(20);
+
+        const start = graph.getPathStartEdge('ai_path')!;
+        expect(graph.chooseNextEdge(start.to)).toBeNull();
+        expect(warn).toHaveBeenCalledWith(
+            expect.stringContaining('ai_path ends without joining')
+        );
+    });
+
+    it('should join a closed path back to its start', () => {
+        const graph = LaneGraph.fromPaths([
+            {
+                name: 'ai_path',
+                points: [
+                    new Vector3(0, 0, 0),
+                    new Vector3(10, 0, 0),
+                    new Vector3(10, 0, 10),
+                ],
+                closed: true,
+            },
+        ]);
+
+        expect(graph.getNodes()).toHaveLength(1);
+        expect(graph.getEdges()).toHaveLength(1);
+        expect(graph.getPathLength('ai_path')).toBeCloseTo(
+            20 + Math.hypot(10, 10)
+        );
+
+        const start = graph.getPathStartEdge('ai_path')!;
+        expect(start.to).toBe(start.from);
+        expect(graph.chooseNextEdge(start.to)).toBe(start);
+    });
+
+    it('should only take ai_path and ai_path_<n> meshes from the scene', () => {
+        const scene = new Scene(new NullEngine());
+        const points = [new Vector3(0, 0, 0), new Vector3(0, 0, 10)];
+        for (const name of ['ai_path', 'ai_path_2', 'ai_path_primitive1']) {
+            MeshBuilder.CreateLines(name, { points }, scene);
+        }
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const graph = LaneGraph.fromScene(scene);
+
+        expect(graph.getPathNames()).toEqual(['ai_path', 'ai_path_2']);
+        scene.getEngine().dispose();
+    });
+
+    it('should order paths as the level lists them, else by number', () => {
+        const scene = new Scene(new NullEngine());
+        const points = [new Vector3(0, 0, 0), new Vector3(0, 0, 10)];
+        for (const name of ['ai_path_10', 'ai_path_2', 'ai_path']) {
+            MeshBuilder.CreateLines(name, { points }, scene);
+        }
+        for (const name of ['shortcut', 'main_loop']) {
+            MeshBuilder.CreateLines(name, { points }, scene);
+        }
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(LaneGraph.fromScene(scene).getPathNames()).toEqual([
+            'ai_path',
+            'ai_path_2',
+            'ai_path_10',
+        ]);
+        expect(
+            LaneGraph.fromScene(scene, ['main_loop', 'shortcut']).getPathNames()
+        ).toEqual(['main_loop', 'shortcut']);
+        scene.getEngine().dispose();
+    });
+
+    it('should close a path mesh with an edge from its last vertex to its first', () => {
+        const scene = new Scene(new NullEngine());
+        const mesh = new Mesh('ai_path', scene);
+        const vertexData = new VertexData();
+        vertexData.positions = [0, 0, 0, 10, 0, 0, 10, 0, 10];
+        vertexData.indices = [0, 1, 1, 2, 2, 0];
+        vertexData.applyToMesh(mesh);
+
+        const graph = LaneGraph.fromScene(scene);
+
+        const start = graph.getPathStartEdge()!;
+        expect(start.to).toBe(start.from);
+        expect(graph.getPathLength()).toBeCloseTo(20 + Math.hypot(10, 10));
+        scene.getEngine().dispose();
+    });
+
+    it('should split paths into edges at shared vertices', () => {
+        // Main loop with a shortcut that leaves at (10,0,0) and rejoins at (10,0,20)
+        const graph = LaneGraph.fromPaths([
+            {
+                name: 'ai_path_main',
+                points: [
+                    new Vector3(0, 0, 0),
+                    new Vector3(10, 0, 0),
+                    new Vector3(20, 0, 10),
+                    new Vector3(10, 0, 20),
+                    new Vector3(0, 0, 0),
+                ],
+            },
+            {
+                name: 'ai_path_shortcut',
+                points: [
+                    new Vector3(10, 0, 0),
+                    new Vector3(10, 0, 10),
+                    new Vector3(10, 0, 20),
+                ],
+            },
+        ]);
+
+        // Nodes: start, fork, merge
+        expect(graph.getNodes()).toHaveLength(3);
+        // Main: start→fork, fork→merge, merge→start; shortcut: fork→merge
+        expect(graph.getEdges()).toHaveLength(4);
+
+        const fork = graph.getNodes()[1];
+        expect(fork.position.equals(new Vector3(10, 0, 0))).toBe(true);
+        expect(fork.outgoing).toHaveLength(2);
+
+        // Cars keeping to the main path never take the shortcut
+        for (const roll of [0, 0.5, 0.99]) {
+            const next = graph.chooseNextEdge(
+                fork.id,
+                () => roll,
+                'ai_path_main'
+            );
+            expect(next!.pathName).toBe('ai_path_main');
+        }
+        const onShortcut = new Vector3(10, 0, 10);
+        expect(
+            graph.getEdge(graph.findClosestOnGraph(onShortcut).edgeId).pathName
+        ).toBe('ai_path_shortcut');
+        expect(
+            graph.getEdge(
+                graph.findClosestOnGraph(onShortcut, 'ai_path_main').edgeId
+            ).pathName
+        ).toBe('ai_path_main');
+    });
+
+    it('should pick branches by weight', () => {
+        const graph = LaneGraph.fromPaths([
+            {
+                name: 'ai_path_a',
+                points: [new Vector3(0, 0, 0), new Vector3(10, 0, 0)],
+                weight: 3,
+            },
+            {
+                name: 'ai_path_b',
+                points: [new Vector3(0, 0, 0), new Vector3(0, 0, 10)],
+                weight: 1,
+            },
+        ]);
+        const start = graph.getNodes()[0];
+
+        expect(graph.chooseNextEdge(start.id, () => 0.5)!.pathName).toBe(
+            'ai_path_a'
+        );
+        expect(graph.chooseNextEdge(start.id, () => 0.9)!.pathName).toBe(
+            'ai_path_b'
+        );
+    });
+
+    it('should sample positions continuously across a route', () => {
+        const graph = LaneGraph.fromPaths([
+            {
+                name: 'ai_path',
+                points: [
+                    new Vector3(0, 0, 0),
+                    new Vector3(10, 0, 0),
+                    new Vector3(20, 0, 0),
+                ],
+            },
+        ]);
+        const route = [graph.getPathStartEdge()!.id];
+
+        const sample = graph.sampleRoute(route, 15);
+        expect(sample.position.x).toBeCloseTo(15);
+        expect(sample.forward.x).toBeCloseTo(1);
+
+        const closest = graph.findClosestOnRoute(route, new Vector3(12, 0, 3));
+        expect(closest.distance).toBeCloseTo(12);
+        expect(closest.distanceSq).toBeCloseTo(9);
+    });
+});
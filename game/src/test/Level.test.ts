@@ -0,0 +1,148 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MeshBuilder, Vector3 } from '@babylonjs/core';
+import {
+    getLevelErrors,
+    getLevelSpawn,
+    parseLevelDescriptor,
+    LevelLoader,
+} from '../game/Level';
+import { LaneGraph } from '../game/LaneGraph';
+import { createHeadlessScene } from '../game/Simulation';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+function createRawLevel(): Record<string, unknown> {
+    return {
+        id: 'canyon',
+        name: 'Canyon',
+        scene: '/world/canyon.glb',
+        spawn: { position: [10, 0, -5], heading: Math.PI / 2 },
+        surface: { type: 'ground', meshes: ['CanyonFloor'] },
+        aiPaths: ['canyon_loop'],
+        lighting: 'dusk',
+        postProcess: '/shaders/pipeline.json',
+    };
+}
+
+describe('Level descriptor', () => {
+    it('should accept a complete level', () => {
+        expect(getLevelErrors(createRawLevel())).toEqual([]);
+    });
+
+    it('should accept a level with only the required fields', () => {
+        const raw = { id: 'flat', name: 'Flat', scene: '/world/flat.glb' };
+        expect(getLevelErrors(raw)).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+        const raw = {
+            ...createRawLevel(),
+            scene: '',
+            spawn: { position: [0, 0] },
+            surface: { type: 'water' },
+            lighting: 'noon',
+        };
+        expect(getLevelErrors(raw)).toEqual([
+            'scene must be a non-empty string',
+            'spawn.position must be an array of 3 numbers',
+            'surface.type must be one of planet, ground, terrain',
+            'lighting must be one of day, dusk, night',
+        ]);
+        expect(() => parseLevelDescriptor(raw, 'canyon.json')).toThrow(
+            /^Invalid level canyon\.json:/
+        );
+    });
+
+    it('should turn the spawn heading into a rotation about up', () => {
+        const spawn = getLevelSpawn(parseLevelDescriptor(createRawLevel()))!;
+        const forward = Vector3.Forward().applyRotationQuaternion(
+            spawn.rotation!
+        );
+
+        expect(spawn.position.equals(new Vector3(10, 0, -5))).toBe(true);
+        expect(forward.x).toBeCloseTo(1);
+        expect(forward.z).toBeCloseTo(0);
+    });
+
+    it('should line split-screen players up beside the spawn', () => {
+        const level = parseLevelDescriptor(createRawLevel());
+        // Facing +X, the car's right is -Z
+        const right = getLevelSpawn(level, 1)!.position;
+        const left = getLevelSpawn(level, 2)!.position;
+
+        expect(right.x).toBeCloseTo(10);
+        expect(right.z).toBeCloseTo(-9);
+        expect(left.z).toBeCloseTo(-1);
+        expect(getLevelSpawn(level, 3)!.position.z).toBeCloseTo(-13);
+    });
+});
+
+describe('LevelLoader', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should load every level in the manifest, in order', async () => {
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(async (url: string) => {
+                const id = url.match(/\/(\w+)\.json/)![1];
+                const body =
+                    id === 'manifest'
+                        ? { levels: ['canyon', 'flat'] }
+                        : { ...createRawLevel(), id };
+                return { ok: true, json: async () => body };
+            })
+        );
+
+        const levels = await LevelLoader.loadAllLevels('/test/');
+        expect(levels.map((level) => level.id)).toEqual(['canyon', 'flat']);
+    });
+});
+
+describe('Level scene conventions', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should drive on the surface mesh named by the level', async () => {
+        const scene = createHeadlessScene();
+        // A conventional Ground mesh the level should ignore
+        MeshBuilder.CreateGround('Ground', { width: 10, height: 10 }, scene);
+        const floor = MeshBuilder.CreateGround(
+            'CanyonFloor',
+            { width: 10, height: 10 },
+            scene
+        );
+        floor.position.y = -3;
+
+        const vehicle = await createTestVehicle({
+            config: createTestConfig({ physics: { heightOffset: 0.5 } }),
+            scene,
+            surface: { type: 'ground', meshes: ['CanyonFloor'] },
+            spawn: { position: new Vector3(4, 0, 2) },
+        });
+
+        expect(vehicle.getSurfaceType()).toBe('ground');
+        expect(vehicle.getPosition().y).toBeCloseTo(-2.5);
+        expect(vehicle.getPosition().x).toBeCloseTo(4);
+    });
+
+    it('should build the lane graph from the level path names', () => {
+        const scene = createHeadlessScene();
+        const points = [
+            new Vector3(0, 0, 0),
+            new Vector3(10, 0, 0),
+            new Vector3(10, 0, 10),
+        ];
+        MeshBuilder.CreateLines('ai_path', { points }, scene);
+        MeshBuilder.CreateLines('canyon_loop', { points }, scene);
+
+        const graph = LaneGraph.fromScene(scene, ['canyon_loop']);
+        expect(graph.getPathNames()).toEqual(['canyon_loop']);
+    });
+});
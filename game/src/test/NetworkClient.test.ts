@@ -0,0 +1,310 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Vector3, Quaternion } from '@babylonjs/core';
+import { Vehicle, VehicleState } from '../game/Vehicle';
+import { VehicleInput } from '../game/InputManager';
+import {
+    ClientPrediction,
+    NetSocket,
+    NetworkClient,
+    ServerClock,
+    SnapshotInterpolator,
+} from '../game/NetworkClient';
+import {
+    decodeClientMessage,
+    decodeServerMessage,
+    NET_PROTOCOL_VERSION,
+} from '../game/NetProtocol';
+import { serializeState } from '../game/Replay';
+import { createTestVehicle, silenceConsole } from './helpers';
+
+const DT = 1 / 120;
+
+function scriptedInput(tick: number): VehicleInput {
+    return { accelerate: 1, steer: tick < 60 ? 0 : 0.5, handbrake: false };
+}
+
+function stateAt(x: number, speed: number = 0): VehicleState {
+    return {
+        position: new Vector3(x, 0, 0),
+        rotation: Quaternion.Identity(),
+        speed,
+        steerAngle: 0,
+        steerVelocity: 0,
+        momentum: Vector3.Zero(),
+        verticalSpeed: 0,
+        lateralSpeed: 0,
+    };
+}
+
+/**
+ * A socket the test plays the server through
+ */
+class FakeSocket implements NetSocket {
+    readyState = 1;
+    sent: string[] = [];
+    private listeners = new Map<string, ((event: unknown) => void)[]>();
+
+    send(data: string) {
+        this.sent.push(data);
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+
+    addEventListener(type: string, listener: (event: never) => void) {
+        this.listeners.set(type, [
+            ...(this.listeners.get(type) ?? []),
+            listener as (event: unknown) => void,
+        ]);
+    }
+
+    emit(type: string, event: unknown = {}) {
+        for (const listener of this.listeners.get(type) ?? []) listener(event);
+    }
+}
+
+describe('NetworkClient', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    it('should fail to join on a message it cannot read', async () => {
+        const socket = new FakeSocket();
+        const client = new NetworkClient('ws://test', () => socket);
+        const joined = client.connect('test_car');
+        socket.emit('open');
+
+        socket.emit('message', { data: 'not json' });
+
+        await expect(joined).rejects.toThrow(/JSON/);
+    });
+
+    it('should skip bad messages once in the race', async () => {
+        const socket = new FakeSocket();
+        const client = new NetworkClient('ws://test', () => socket);
+        const onSnapshot = vi.fn();
+        client.onSnapshot = onSnapshot;
+        const joined = client.connect('test_car');
+        socket.emit('open');
+        socket.emit('message', {
+            data: JSON.stringify({
+                type: 'welcome',
+                playerId: 'player_1',
+                levelId: 'test',
+                slot: 0,
+                simulationRate: 120,
+                tick: 0,
+            }),
+        });
+        await joined;
+
+        socket.emit('message', { data: JSON.stringify({ type: 'teleport' }) });
+        socket.emit('message', {
+            data: JSON.stringify({ type: 'snapshot', tick: 1, cars: [] }),
+        });
+
+        expect(console.error).toHaveBeenCalledWith(
+            'NetworkClient: ✗ bad message:',
+            expect.any(Error)
+        );
+        expect(onSnapshot).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('ClientPrediction', () => {
+    let server: Vehicle;
+    let client: Vehicle;
+    let prediction: ClientPrediction;
+
+    beforeEach(async () => {
+        silenceConsole();
+        server = await createTestVehicle();
+        client = await createTestVehicle();
+        prediction = new ClientPrediction(client, DT);
+    });
+
+    /**
+     * Predict `ticks` inputs on the client; the server applies the first
+     * `acked` of them
+     */
+    function run(ticks: number, acked: number) {
+        for (let tick = 0; tick < ticks; tick++) {
+            const input = prediction.applyInput(scriptedInput(tick));
+            client.update(DT);
+            if (tick < acked) {
+                server.setInput(input.accelerate, input.steer, input.handbrake);
+                server.update(DT);
+            }
+        }
+    }
+
+    it('should keep a correct prediction where it was', () => {
+        run(120, 90);
+        expect(prediction.takeUnsent()).toHaveLength(120);
+
+        const predicted = client.getPosition().clone();
+        const error = prediction.reconcile(server.getState(), 90);
+
+        expect(error).toBeLessThan(1e-6);
+        expect(client.getPosition().equalsWithEpsilon(predicted, 1e-6)).toBe(
+            true
+        );
+        expect(prediction.getPendingCount()).toBe(30);
+        expect(prediction.takeUnsent()).toHaveLength(0);
+    });
+
+    it('should replay unconfirmed inputs on top of a corrected state', () => {
+        run(120, 90);
+        // Something on the server (e.g. a collision) moved the car
+        const corrected = server.getState();
+        corrected.position.x += 3;
+        const error = prediction.reconcile(corrected, 90);
+
+        server.setState(corrected);
+        for (let tick = 90; tick < 120; tick++) {
+            const input = scriptedInput(tick);
+            server.setInput(input.accelerate, input.steer, input.handbrake);
+            server.update(DT);
+        }
+
+        expect(error).toBeCloseTo(3, 1);
+        expect(
+            client.getPosition().equalsWithEpsilon(server.getPosition(), 1e-6)
+        ).toBe(true);
+    });
+});
+
+describe('SnapshotInterpolator', () => {
+    it('should blend between the snapshots around a tick', () => {
+        const interpolator = new SnapshotInterpolator(120);
+        interpolator.push(0, stateAt(0, 10));
+        interpolator.push(6, stateAt(6, 20));
+
+        const state = interpolator.sample(3)!;
+        expect(state.position.x).toBeCloseTo(3);
+        expect(state.speed).toBeCloseTo(15);
+    });
+
+    it('should hold the newest state instead of extrapolating', () => {
+        const interpolator = new SnapshotInterpolator(120);
+        expect(interpolator.sample(0)).toBeNull();
+
+        interpolator.push(6, stateAt(6));
+        interpolator.push(12, stateAt(12));
+        interpolator.push(9, stateAt(100)); // Arrived late, ignored
+
+        expect(interpolator.sample(20)!.position.x).toBe(12);
+        expect(interpolator.sample(0)!.position.x).toBe(6);
+        expect(interpolator.sample(9)!.position.x).toBeCloseTo(9);
+    });
+});
+
+describe('ServerClock', () => {
+    it('should run between snapshots and ease towards them', () => {
+        const clock = new ServerClock(120);
+        expect(clock.getRenderTick()).toBeNull();
+
+        clock.observe(100);
+        clock.step();
+        clock.step();
+        expect(clock.getTick()).toBe(102);
+        expect(clock.getRenderTick()).toBeCloseTo(90);
+
+        // A late snapshot only nudges the estimate
+        clock.observe(92);
+        expect(clock.getTick()).toBeCloseTo(101);
+
+        // A big jump resets it
+        clock.observe(500);
+        expect(clock.getTick()).toBe(500);
+    });
+});
+
+describe('decodeClientMessage', () => {
+    it('should clamp input axes', () => {
+        const message = decodeClientMessage(
+            JSON.stringify({
+                type: 'input',
+                inputs: [{ seq: 1, accelerate: 5, steer: -2, handbrake: true }],
+            })
+        );
+        expect(message).toEqual({
+            type: 'input',
+            inputs: [{ seq: 1, accelerate: 1, steer: -1, handbrake: true }],
+        });
+    });
+
+    it('should reject malformed snapshots from the server', () => {
+        const car = {
+            id: 'player_1',
+            vehicleId: 'test_car',
+            name: 'Player 1',
+            state: serializeState(stateAt(1, 2)),
+            lastInputSeq: 3,
+        };
+        const snapshot = (fields: object) =>
+            JSON.stringify({ type: 'snapshot', tick: 5, ...fields });
+
+        expect(() => decodeServerMessage(snapshot({}))).toThrow(
+            /cars must be an array/
+        );
+        expect(() => decodeServerMessage(snapshot({ cars: {} }))).toThrow(
+            /cars must be an array/
+        );
+        expect(() =>
+            decodeServerMessage(
+                snapshot({ cars: [{ ...car, state: undefined }] })
+            )
+        ).toThrow(/Invalid snapshot car/);
+        expect(() =>
+            decodeServerMessage(
+                snapshot({
+                    cars: [
+                        { ...car, state: { ...car.state, position: [0, 0] } },
+                    ],
+                })
+            )
+        ).toThrow(/Invalid snapshot car/);
+        expect(() =>
+            decodeServerMessage(
+                JSON.stringify({ type: 'welcome', playerId: 'player_1' })
+            )
+        ).toThrow(/Invalid welcome/);
+        expect(decodeServerMessage(snapshot({ cars: [car] }))).toEqual({
+            type: 'snapshot',
+            tick: 5,
+            cars: [car],
+        });
+    });
+
+    it('should reject malformed messages', () => {
+        expect(() => decodeClientMessage('not json')).toThrow(/not JSON/);
+        expect(() =>
+            decodeClientMessage(JSON.stringify({ type: 'teleport' }))
+        ).toThrow(/Unknown message type/);
+        expect(() =>
+            decodeClientMessage(
+                JSON.stringify({ type: 'join', version: 0, vehicleId: 'a' })
+            )
+        ).toThrow(/protocol version/);
+        expect(() =>
+            decodeClientMessage(
+                JSON.stringify({
+                    type: 'input',
+                    inputs: [{ seq: 0, accelerate: 0, steer: 0 }],
+                })
+            )
+        ).toThrow(/Invalid input/);
+        expect(
+            decodeClientMessage(
+                JSON.stringify({
+                    type: 'join',
+                    version: NET_PROTOCOL_VERSION,
+                    vehicleId: 'a',
+                })
+            ).type
+        ).toBe('join');
+    });
+});
@@ -0,0 +1,137 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { FreeCamera, Vector3, Engine } from '@babylonjs/core';
+import {
+    PostProcessPipeline,
+    PostProcessPipelineConfig,
+    parsePostProcessConfig,
+} from '../game/PostProcessPipeline';
+import { createHeadlessScene } from '../game/Simulation';
+
+const passthrough = `
+varying vec2 vUV;
+uniform sampler2D textureSampler;
+void main() { gl_FragColor = texture2D(textureSampler, vUV); }
+`;
+
+const testConfig: PostProcessPipelineConfig = {
+    passes: [
+        {
+            name: 'first',
+            shader: '/first.glsl',
+            uniforms: { time: { type: 'float', value: 0 } },
+        },
+        {
+            name: 'second',
+            shader: '/second.glsl',
+            enabled: false,
+            uniforms: { tint: { type: 'vec3', value: [1, 0, 0] } },
+        },
+        {
+            name: 'third',
+            shader: '/first.glsl',
+            uniforms: { time: { type: 'float', value: 0 } },
+        },
+    ],
+};
+
+describe('PostProcessPipeline', () => {
+    let camera: FreeCamera;
+    let pipeline: PostProcessPipeline;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const scene = createHeadlessScene();
+        camera = new FreeCamera('camera', Vector3.Zero(), scene);
+        pipeline = new PostProcessPipeline(camera, scene.getEngine() as Engine);
+        pipeline.build(testConfig, {
+            '/first.glsl': passthrough,
+            '/second.glsl': passthrough,
+        });
+    });
+
+    function attachedNames(): string[] {
+        return camera._postProcesses
+            .filter((postProcess) => postProcess)
+            .map((postProcess) => postProcess!.name);
+    }
+
+    it('should attach enabled passes in config order', () => {
+        expect(pipeline.getPassNames()).toEqual(['first', 'second', 'third']);
+        expect(attachedNames()).toEqual([
+            'postProcess_first',
+            'postProcess_third',
+        ]);
+    });
+
+    it('should toggle passes at runtime without changing the order', () => {
+        pipeline.setEnabled('second', true);
+        expect(attachedNames()).toEqual([
+            'postProcess_first',
+            'postProcess_second',
+            'postProcess_third',
+        ]);
+
+        pipeline.setEnabled('first', false);
+        expect(pipeline.isEnabled('first')).toBe(false);
+        expect(attachedNames()).toEqual([
+            'postProcess_second',
+            'postProcess_third',
+        ]);
+    });
+
+    it('should free lookup textures when rebuilt or disposed', () => {
+        const scene = camera.getScene();
+        const lutConfig: PostProcessPipelineConfig = {
+            passes: [
+                {
+                    name: 'grade',
+                    shader: '/first.glsl',
+                    uniforms: { lut: { type: 'texture', value: '/lut.png' } },
+                },
+            ],
+        };
+        const sources = { '/first.glsl': passthrough };
+        const before = scene.textures.length;
+
+        pipeline.build(lutConfig, sources);
+        pipeline.build(lutConfig, sources);
+        expect(scene.textures).toHaveLength(before + 1);
+
+        pipeline.dispose();
+        expect(scene.textures).toHaveLength(before);
+    });
+
+    it('should reject unknown pass names', () => {
+        expect(() => pipeline.setEnabled('missing', true)).toThrow(
+            'Unknown post-process pass: missing'
+        );
+    });
+
+    it('should report config problems with their path', () => {
+        expect(() =>
+            parsePostProcessConfig({
+                passes: [
+                    {
+                        name: 'grade',
+                        shader: '/grade.glsl',
+                        uniforms: {
+                            lut: { type: 'texture', value: 3 },
+                            matrix: { type: 'mat4', value: [1, 0, 0] },
+                            color: { type: 'rgb', value: [1, 1, 1] },
+                        },
+                    },
+                    { name: 'grade', shader: '' },
+                ],
+            })
+        ).toThrow(
+            [
+                'passes[0].uniforms.lut.value must be a texture URL',
+                'passes[0].uniforms.matrix.value must be an array of 16 numbers',
+                'passes[0].uniforms.color.type must be one of float, vec2, vec3, vec4, mat4, texture',
+                'passes[1].name "grade" is already used',
+                'passes[1].shader must be a shader URL',
+            ].join('\n  ')
+        );
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Vector3 } from '@babylonjs/core';
+import {
+    RaceManager,
+    RaceTrack,
+    RaceCar,
+    formatRaceTime,
+    getGridSlot,
+} from '../game/RaceManager';
+
+/**
+ * Scripted car that drives around a 100 m square at a fixed speed
+ */
+class ScriptedCar implements RaceCar {
+    distance: number;
+    speed: number;
+    private track: RaceTrack;
+
+    constructor(track: RaceTrack, distance: number, speed: number) {
+        this.track = track;
+        this.distance = distance;
+        this.speed = speed;
+    }
+
+    step(deltaTime: number) {
+        this.distance += this.speed * deltaTime;
+    }
+
+    getPosition(): Vector3 {
+        const d = ((this.distance % 400) + 400) % 400;
+        const side = Math.floor(d / 100);
+        const t = d - side * 100;
+        switch (side) {
+            case 0:
+                return new Vector3(t, 0, 0);
+            case 1:
+                return new Vector3(100, 0, t);
+            case 2:
+                return new Vector3(100 - t, 0, 100);
+            default:
+                return new Vector3(0, 0, 100 - t);
+        }
+    }
+
+    getVelocity(): Vector3 {
+        return this.track.getDirection(this.distance).scale(this.speed);
+    }
+}
+
+describe('RaceManager', () => {
+    let track: RaceTrack;
+
+    const run = (race: RaceManager, cars: ScriptedCar[], seconds: number) => {
+        const deltaTime = 1 / 60;
+        for (let i = 0; i < seconds * 60; i++) {
+            for (const car of cars) car.step(deltaTime);
+            race.update(deltaTime);
+        }
+    };
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        track = new RaceTrack([
+            new Vector3(0, 0, 0),
+            new Vector3(100, 0, 0),
+            new Vector3(100, 0, 100),
+            new Vector3(0, 0, 100),
+        ]);
+    });
+
+    it('should close the track loop', () => {
+        expect(track.getLength()).toBeCloseTo(400);
+        expect(track.findDistance(new Vector3(0, 0, 50))).toBeCloseTo(350);
+    });
+
+    it('should count laps and report structured results', () => {
+        const race = new RaceManager(track, { laps: 2 });
+        // Both start on the grid just behind the line
+        const player = new ScriptedCar(track, -5, 20);
+        const ai = new ScriptedCar(track, -10, 10);
+        race.addEntrant('player', 'Player', player, true);
+        race.addEntrant('ai_1', 'AI 1', ai);
+
+        let reported = null;
+        race.onRaceFinished = (results) => (reported = results);
+        race.start();
+
+        run(race, [player, ai], 30);
+        const midRace = race.getStandings();
+        expect(midRace[0].id).toBe('player');
+        expect(race.getPlayerStatus()!.lapsCompleted).toBe(1);
+        expect(race.getPlayerStatus()!.lapTimes[0]).toBeCloseTo(20, 0);
+
+        run(race, [player, ai], 60);
+        const results = race.getResults();
+
+        expect(results.finished).toBe(true);
+        expect(reported).toEqual(results);
+        expect(results.entrants.map((e) => e.id)).toEqual(['player', 'ai_1']);
+        expect(results.entrants[0].lapTimes).toHaveLength(2);
+        expect(results.entrants[1].finishTime).toBeCloseTo(81, 0);
+        expect(results.bestLap!.entrantId).toBe('player');
+        expect(results.bestLap!.time).toBeCloseTo(20, 0);
+    });
+
+    it('should detect wrong-way driving and not count reversing laps', () => {
+        const race = new RaceManager(track, { laps: 3 });
+        const car = new ScriptedCar(track, 5, -10);
+        race.addEntrant('player', 'Player', car, true);
+        race.start();
+
+        run(race, [car], 2);
+        const status = race.getPlayerStatus()!;
+        expect(status.wrongWay).toBe(true);
+        expect(status.lapsCompleted).toBe(0);
+
+        // Turn around and cross the line again: still no lap completed
+        car.speed = 10;
+        run(race, [car], 3);
+        expect(race.getPlayerStatus()!.lapsCompleted).toBe(0);
+        expect(race.getPlayerStatus()!.wrongWay).toBe(false);
+    });
+
+    it('should line the grid up behind the start line in race order', () => {
+        const slots = [0, 1, 2, 3].map(getGridSlot);
+        expect(slots.map((slot) => slot.lateral)).toEqual([-2, 2, -2, 2]);
+        for (let i = 1; i < slots.length; i++) {
+            expect(slots[i].behind).toBeGreaterThan(slots[i - 1].behind);
+        }
+
+        const race = new RaceManager(track, { laps: 1 });
+        const cars = slots.map(
+            (slot) => new ScriptedCar(track, -slot.behind, 10)
+        );
+        cars.forEach((car, i) => race.addEntrant(`ai_${i}`, `AI ${i}`, car));
+        race.start();
+
+        const grid = race.getStandings();
+        expect(grid.map((status) => status.id)).toEqual([
+            'ai_0',
+            'ai_1',
+            'ai_2',
+            'ai_3',
+        ]);
+        expect(grid.every((status) => status.lap === 0)).toBe(true);
+
+        run(race, cars, 2);
+        expect(race.getStandings().every((status) => status.lap === 1)).toBe(
+            true
+        );
+    });
+
+    it('should look up status by car when ids are shared', () => {
+        const race = new RaceManager(track, { laps: 3 });
+        const player = new ScriptedCar(track, 10, 20);
+        const ai = new ScriptedCar(track, 50, 10);
+        // An AI car using the player's vehicle config has the same id
+        race.addEntrant('blue_car', 'Player', player, true);
+        race.addEntrant('blue_car', 'AI 1', ai);
+        race.start();
+
+        expect(race.getStatus(player)!.name).toBe('Player');
+        expect(race.getStatus(player)!.position).toBe(2);
+        expect(race.getStatus(ai)!.name).toBe('AI 1');
+        expect(race.getStatus(new ScriptedCar(track, 0, 0))).toBeNull();
+    });
+
+    it('should format race times', () => {
+        expect(formatRaceTime(83.4567)).toBe('1:23.457');
+        expect(formatRaceTime(5)).toBe('0:05.000');
+    });
+});
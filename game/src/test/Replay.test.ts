@@ -0,0 +1,149 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Vector3, Quaternion } from '@babylonjs/core';
+import { Vehicle } from '../game/Vehicle';
+import { VehicleInput } from '../game/InputManager';
+import { Simulation, createHeadlessScene } from '../game/Simulation';
+import {
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    getReplayInitialState,
+} from '../game/Replay';
+import { GhostCar } from '../game/GhostCar';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const testConfig = createTestConfig({ physics: { mass: 1500 } });
+
+function scriptedInput(tick: number): VehicleInput {
+    if (tick < 200) return { accelerate: 1, steer: 0, handbrake: false };
+    if (tick < 500) return { accelerate: 1, steer: -1, handbrake: false };
+    if (tick < 550) return { accelerate: 0, steer: 0, handbrake: true };
+    return { accelerate: 0.5, steer: 0.25, handbrake: false };
+}
+
+async function createVehicle(): Promise<Vehicle> {
+    return createTestVehicle({
+        config: testConfig,
+        spawn: {
+            position: new Vector3(5, 0, -3),
+            rotation: Quaternion.RotationAxis(Vector3.Up(), 0.7),
+        },
+    });
+}
+
+describe('Replay', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    it('should run-length encode repeated inputs', () => {
+        const recorder = new ReplayRecorder(
+            testConfig,
+            {
+                position: Vector3.Zero(),
+                rotation: Quaternion.Identity(),
+                speed: 0,
+                steerAngle: 0,
+                steerVelocity: 0,
+                momentum: Vector3.Zero(),
+                verticalSpeed: 0,
+                lateralSpeed: 0,
+            },
+            120
+        );
+        for (let tick = 0; tick < 600; tick++) {
+            recorder.record(scriptedInput(tick));
+        }
+
+        const replay = recorder.toReplay();
+        expect(replay.tickCount).toBe(600);
+        expect(replay.inputs).toEqual([
+            [200, 1, 0, 0],
+            [300, 1, -1, 0],
+            [50, 0, 0, 1],
+            [50, 0.5, 0.25, 0],
+        ]);
+
+        const player = new ReplayPlayer(parseReplay(recorder.serialize()));
+        for (let tick = 0; tick < 600; tick++) {
+            expect(player.next()).toEqual(scriptedInput(tick));
+        }
+        expect(player.next()).toBeNull();
+        expect(player.isFinished()).toBe(true);
+    });
+
+    it('should reject replays from another version', () => {
+        expect(() => parseReplay('{"version": 99}')).toThrow(
+            'Unsupported replay version'
+        );
+    });
+
+    it('should reproduce the final position when played back', async () => {
+        // Record a run, starting mid-flight after some driving
+        const original = await createVehicle();
+        const warmup = new Simulation((deltaTime, tick) => {
+            const input = scriptedInput(tick);
+            original.setInput(input.accelerate, input.steer, input.handbrake);
+            original.update(deltaTime);
+        });
+        warmup.runTicks(150);
+
+        const recorder = new ReplayRecorder(
+            testConfig,
+            original.getState(),
+            warmup.rate
+        );
+        const recording = new Simulation((deltaTime, tick) => {
+            const input = scriptedInput(tick + 150);
+            recorder.record(input);
+            original.setInput(input.accelerate, input.steer, input.handbrake);
+            original.update(deltaTime);
+        });
+        recording.runTicks(600);
+
+        // Play it back from the serialized file on a fresh vehicle
+        const replay = parseReplay(recorder.serialize());
+        const copy = await createVehicle();
+        copy.setState(getReplayInitialState(replay));
+        const player = new ReplayPlayer(replay);
+        const playback = new Simulation(
+            (deltaTime) => {
+                const input = player.next()!;
+                copy.setInput(input.accelerate, input.steer, input.handbrake);
+                copy.update(deltaTime);
+            },
+            { rate: replay.simulationRate }
+        );
+        playback.runTicks(replay.tickCount);
+
+        expect(copy.getPosition().equals(original.getPosition())).toBe(true);
+        expect(copy.getSpeed()).toBe(original.getSpeed());
+    });
+
+    it('should drive a ghost car along the recorded run', async () => {
+        const original = await createVehicle();
+        const recorder = new ReplayRecorder(
+            testConfig,
+            original.getState(),
+            120
+        );
+        new Simulation((deltaTime, tick) => {
+            const input = scriptedInput(tick);
+            recorder.record(input);
+            original.setInput(input.accelerate, input.steer, input.handbrake);
+            original.update(deltaTime);
+        }).runTicks(600);
+
+        const ghost = await GhostCar.create(
+            createHeadlessScene(),
+            recorder.toReplay()
+        );
+        new Simulation((deltaTime) => ghost.update(deltaTime)).runTicks(600);
+
+        expect(ghost.isFinished()).toBe(true);
+        expect(
+            ghost.getVehicle().getPosition().equals(original.getPosition())
+        ).toBe(true);
+    });
+});
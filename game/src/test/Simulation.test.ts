@@ -0,0 +1,107 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Vector3 } from '@babylonjs/core';
+import { Simulation } from '../game/Simulation';
+import { Vehicle } from '../game/Vehicle';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const testConfig = createTestConfig({ physics: { mass: 1500 } });
+
+function createHeadlessVehicle(): Promise<Vehicle> {
+    return createTestVehicle({ config: testConfig });
+}
+
+/**
+ * Drive a lap of scripted input: accelerate, then steer left, then brake
+ */
+function scriptedInput(vehicle: Vehicle, tick: number) {
+    if (tick < 240) {
+        vehicle.setInput(1, 0);
+    } else if (tick < 600) {
+        vehicle.setInput(1, 1);
+    } else {
+        vehicle.setInput(0, 0, true);
+    }
+}
+
+describe('Simulation', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    it('should run fixed steps for the accumulated frame time', () => {
+        const step = vi.fn();
+        const simulation = new Simulation(step, { rate: 120 });
+
+        const alpha = simulation.advance(1 / 50);
+
+        // 20 ms holds two 8.33 ms steps with 3.33 ms left over
+        expect(step).toHaveBeenCalledTimes(2);
+        expect(step).toHaveBeenCalledWith(1 / 120, 0);
+        expect(alpha).toBeCloseTo(0.4);
+        expect(simulation.getTick()).toBe(2);
+    });
+
+    it('should drop the backlog after a long hitch', () => {
+        const step = vi.fn();
+        const simulation = new Simulation(step, {
+            rate: 120,
+            maxStepsPerFrame: 4,
+        });
+
+        const alpha = simulation.advance(1);
+
+        expect(step).toHaveBeenCalledTimes(4);
+        expect(alpha).toBe(0);
+    });
+
+    it('should give identical vehicle results regardless of frame rate', async () => {
+        const run = async (advance: (simulation: Simulation) => void) => {
+            const vehicle = await createHeadlessVehicle();
+            const simulation = new Simulation((deltaTime, tick) => {
+                scriptedInput(vehicle, tick);
+                vehicle.update(deltaTime);
+            });
+            advance(simulation);
+            return { vehicle, ticks: simulation.getTick() };
+        };
+        const runAtFrameRate = (frameRate: number) =>
+            run((simulation) => {
+                while (simulation.getTick() < 720) {
+                    simulation.advance(1 / frameRate);
+                }
+            });
+
+        for (const frameRate of [30, 144]) {
+            const rendered = await runAtFrameRate(frameRate);
+            // Frame sizes overshoot by a different number of ticks, so compare
+            // against a headless run of exactly the same tick count
+            const headless = await run((simulation) =>
+                simulation.runTicks(rendered.ticks)
+            );
+
+            expect(
+                rendered.vehicle
+                    .getPosition()
+                    .equals(headless.vehicle.getPosition())
+            ).toBe(true);
+        }
+    });
+
+    it('should reproduce vehicle dynamics exactly headless', async () => {
+        const finalPositions: Vector3[] = [];
+
+        for (let run = 0; run < 2; run++) {
+            const vehicle = await createHeadlessVehicle();
+            const simulation = new Simulation((deltaTime, tick) => {
+                scriptedInput(vehicle, tick);
+                vehicle.update(deltaTime);
+            });
+            simulation.runTicks(900);
+            finalPositions.push(vehicle.getPosition());
+        }
+
+        expect(finalPositions[0].equals(finalPositions[1])).toBe(true);
+        expect(finalPositions[0].length()).toBeGreaterThan(10);
+    });
+});
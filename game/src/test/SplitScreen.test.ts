@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { Viewport } from '@babylonjs/core';
+import {
+    MAX_LOCAL_PLAYERS,
+    getSplitScreenViewports,
+    getPlayerInputOptions,
+    createViewportOverlay,
+} from '../game/SplitScreen';
+import { SPLIT_SCREEN_BINDINGS } from '../game/InputManager';
+
+function area(viewport: Viewport): number {
+    return viewport.width * viewport.height;
+}
+
+describe('getSplitScreenViewports', () => {
+    it('should cover the whole screen for every player count', () => {
+        for (let count = 1; count <= MAX_LOCAL_PLAYERS; count++) {
+            const viewports = getSplitScreenViewports(count);
+            expect(viewports).toHaveLength(count);
+            const total = viewports.reduce((sum, v) => sum + area(v), 0);
+            expect(total).toBeCloseTo(1);
+        }
+    });
+
+    it('should put player one on top with two players', () => {
+        const [top, bottom] = getSplitScreenViewports(2);
+        expect(top.y).toBe(0.5);
+        expect(bottom.y).toBe(0);
+        expect(top.width).toBe(1);
+    });
+
+    it('should reject unsupported player counts', () => {
+        expect(() => getSplitScreenViewports(0)).toThrow();
+        expect(() => getSplitScreenViewports(MAX_LOCAL_PLAYERS + 1)).toThrow();
+    });
+});
+
+describe('getPlayerInputOptions', () => {
+    it('should keep the default input for a single player', () => {
+        expect(getPlayerInputOptions(0, 1)).toEqual({});
+    });
+
+    it('should give each player their own keys, gamepad and saved bindings', () => {
+        const options = getPlayerInputOptions(1, 2);
+        expect(options.gamepadIndex).toBe(1);
+        expect(options.storageKey).toBe('inputBindings_player2');
+        expect(options.bindings).toBe(SPLIT_SCREEN_BINDINGS[1]);
+        expect(options.touchControls).toBe(false);
+    });
+
+    it('should not share keyboard keys between players', () => {
+        const keys = SPLIT_SCREEN_BINDINGS.flatMap((bindings) =>
+            Object.values(bindings.keyboard).flat()
+        );
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+});
+
+describe('createViewportOverlay', () => {
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('should cover its viewport in CSS space', () => {
+        const [, bottomLeft] = getSplitScreenViewports(3);
+        const overlay = createViewportOverlay(bottomLeft);
+
+        expect(overlay.parentElement).toBe(document.body);
+        expect(overlay.style.left).toBe('0%');
+        expect(overlay.style.top).toBe('50%');
+        expect(overlay.style.width).toBe('50%');
+        expect(overlay.style.height).toBe('50%');
+    });
+});
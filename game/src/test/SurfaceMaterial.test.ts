@@ -0,0 +1,185 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MeshBuilder, Scene, TransformNode, Vector3 } from '@babylonjs/core';
+import { Vehicle } from '../game/Vehicle';
+import { createHeadlessScene } from '../game/Simulation';
+import { SURFACE_MATERIALS, getSurfaceMaterial } from '../game/SurfaceMaterial';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const DT = 1 / 120;
+
+const testConfig = createTestConfig({ physics: { heightOffset: 0.5 } });
+
+describe('getSurfaceMaterial', () => {
+    let scene: Scene;
+
+    beforeEach(() => {
+        scene = createHeadlessScene();
+    });
+
+    it('should read the material from a word in a surface mesh name', () => {
+        const ice = new TransformNode('drivable_ICE.lake', scene);
+        const pad = new TransformNode('Boost.Pad.003', scene);
+        const road = new TransformNode('drivable_road', scene);
+        const house = new TransformNode('icelandic_house', scene);
+
+        expect(getSurfaceMaterial(ice, true)?.name).toBe('ice');
+        expect(getSurfaceMaterial(pad, true)?.name).toBe('boost');
+        expect(getSurfaceMaterial(road, true)).toBeNull();
+        expect(getSurfaceMaterial(house, true)).toBeNull();
+    });
+
+    it('should only take other meshes tagged with a surface_ name', () => {
+        const pad = new TransformNode('Surface_Boost.003', scene);
+        const sign = new TransformNode('boost_sign', scene);
+        const lake = new TransformNode('drivable_ice_lake', scene);
+
+        expect(getSurfaceMaterial(pad)?.name).toBe('boost');
+        expect(getSurfaceMaterial(sign)).toBeNull();
+        expect(getSurfaceMaterial(lake)).toBeNull();
+    });
+
+    it('should prefer glTF extras and apply their tweaks', () => {
+        const mesh = new TransformNode('dirt_track', scene);
+        mesh.metadata = { gltf: { extras: { surface: 'ice', grip: 0.05 } } };
+
+        expect(getSurfaceMaterial(mesh)).toEqual({
+            ...SURFACE_MATERIALS.ice,
+            grip: 0.05,
+        });
+    });
+
+    it('should inherit the material of a parent node', () => {
+        const parent = new TransformNode('surface_dirt_section', scene);
+        const child = new TransformNode('Primitive_0', scene);
+        child.parent = parent;
+
+        expect(getSurfaceMaterial(child)?.name).toBe('dirt');
+    });
+});
+
+describe('Vehicle on surface materials', () => {
+    let scene: Scene;
+
+    beforeEach(() => {
+        silenceConsole();
+        scene = createHeadlessScene();
+        MeshBuilder.CreateGround('Ground', { width: 400, height: 400 }, scene);
+    });
+
+    /**
+     * A strip of surface from z = 0 to `length`, just above the ground
+     */
+    function addPatch(name: string, length: number = 400) {
+        const patch = MeshBuilder.CreateGround(
+            name,
+            { width: 20, height: length },
+            scene
+        );
+        patch.position.set(0, 0.01, length / 2);
+        patch.computeWorldMatrix(true);
+    }
+
+    function createVehicle(): Promise<Vehicle> {
+        return createTestVehicle({
+            config: testConfig,
+            scene,
+            spawn: { position: new Vector3(0, 0, 1) },
+        });
+    }
+
+    function drive(
+        vehicle: Vehicle,
+        seconds: number,
+        accelerate: number,
+        handbrake: boolean = false
+    ) {
+        vehicle.setInput(accelerate, 0, handbrake);
+        for (let i = 0; i < seconds / DT; i++) {
+            vehicle.update(DT);
+        }
+    }
+
+    it('should drive as before on untagged ground', async () => {
+        const vehicle = await createVehicle();
+        drive(vehicle, 0.1, 1);
+        expect(vehicle.getSurfaceMaterial().name).toBe('asphalt');
+    });
+
+    it('should not drive on props named after a material', async () => {
+        addPatch('ice_rink_sign');
+        const vehicle = await createVehicle();
+        drive(vehicle, 0.1, 1);
+        expect(vehicle.getSurfaceMaterial().name).toBe('asphalt');
+    });
+
+    it('should slow the car down on dirt', async () => {
+        const asphalt = await createVehicle();
+        drive(asphalt, 5, 1);
+
+        addPatch('surface_dirt_road');
+        const dirt = await createVehicle();
+        drive(dirt, 5, 1);
+
+        expect(dirt.getSurfaceMaterial().name).toBe('dirt');
+        expect(dirt.getSpeed()).toBeLessThan(asphalt.getSpeed() * 0.75);
+    });
+
+    it('should take longer to stop on ice', async () => {
+        const asphalt = await createVehicle();
+        asphalt.setState({ ...asphalt.getState(), speed: 20 });
+        drive(asphalt, 0.5, 0, true);
+
+        addPatch('surface_ice_sheet');
+        const ice = await createVehicle();
+        ice.setState({ ...ice.getState(), speed: 20 });
+        drive(ice, 0.5, 0, true);
+
+        expect(ice.getSurfaceMaterial().name).toBe('ice');
+        expect(ice.getSpeed()).toBeGreaterThan(asphalt.getSpeed() + 5);
+        expect(ice.getPosition().z).toBeGreaterThan(asphalt.getPosition().z);
+    });
+
+    it('should slide wide on ice without a tire model', async () => {
+        const asphalt = await createVehicle();
+        asphalt.setState({ ...asphalt.getState(), speed: 15 });
+        drive(asphalt, 1, 0.3);
+
+        addPatch('surface_ice_sheet');
+        const ice = await createVehicle();
+        ice.setState({ ...ice.getState(), speed: 15 });
+        drive(ice, 1, 0.3);
+        expect(ice.getSlipAngle()).toBe(0);
+
+        for (const vehicle of [asphalt, ice]) {
+            vehicle.setInput(0.3, 1);
+            for (let i = 0; i < 0.5 / DT; i++) vehicle.update(DT);
+        }
+
+        expect(asphalt.getSlipAngle()).toBe(0);
+        expect(Math.abs(ice.getSlipAngle())).toBeGreaterThan(0.05);
+        // Still travelling closer to where it started out than asphalt is
+        expect(Math.abs(ice.getVelocity().x)).toBeLessThan(
+            Math.abs(asphalt.getVelocity().x)
+        );
+    });
+
+    it('should push the car past its top speed on a boost pad', async () => {
+        addPatch('surface_boost_pad', 10);
+        const vehicle = await createVehicle();
+        vehicle.setState({ ...vehicle.getState(), speed: 25 });
+        vehicle.setInput(1, 0);
+
+        let topSpeed = 0;
+        while (vehicle.getPosition().z < 12) {
+            vehicle.update(DT);
+            topSpeed = Math.max(topSpeed, vehicle.getSpeed());
+        }
+        expect(topSpeed).toBeGreaterThan(25);
+
+        // Back on asphalt the extra speed bleeds off
+        drive(vehicle, 3, 1);
+        expect(vehicle.getSurfaceMaterial().name).toBe('asphalt');
+        expect(vehicle.getSpeed()).toBeLessThanOrEqual(25);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { NullEngine, Scene } from '@babylonjs/core';
+import { TuningPanel } from '../game/TuningPanel';
+import { Vehicle } from '../game/Vehicle';
+import { parseVehicleConfig } from '../game/VehicleConfig';
+import { createTestConfig } from './helpers';
+
+const testConfig = parseVehicleConfig(createTestConfig());
+
+describe('TuningPanel', () => {
+    let vehicle: Vehicle;
+    let panel: TuningPanel;
+
+    beforeEach(() => {
+        vehicle = new Vehicle(new Scene(new NullEngine()), testConfig);
+        panel = new TuningPanel(vehicle);
+    });
+
+    afterEach(() => {
+        panel.dispose();
+    });
+
+    it('should toggle visibility with the toggle key', () => {
+        expect(panel.isVisible()).toBe(false);
+        window.dispatchEvent(
+            new KeyboardEvent('keydown', { code: 'Backquote' })
+        );
+        expect(panel.isVisible()).toBe(true);
+    });
+
+    it('should apply slider changes to the running vehicle', () => {
+        const slider = document.querySelectorAll<HTMLInputElement>(
+            '#tuningPanel input[type="range"]'
+        )[0];
+        slider.value = '40';
+        slider.dispatchEvent(new Event('input'));
+
+        expect(vehicle.getTuning().maxSpeed).toBe(40);
+        expect(vehicle.getMaxSpeed()).toBe(40);
+        // The shared config object is left untouched
+        expect(testConfig.physics.maxSpeed).toBe(25);
+    });
+
+    it('should export tuned values as a loadable config', () => {
+        vehicle.setTuning({ brakingForce: 45, steerAngleDamping: 0.2 });
+
+        const exported = parseVehicleConfig(JSON.parse(panel.getExportJson()));
+        expect(exported.id).toBe('test_car');
+        expect(exported.physics.brakingForce).toBe(45);
+        expect(exported.physics.steerAngleDamping).toBe(0.2);
+        expect(exported.physics.maxSpeed).toBe(25);
+    });
+
+    it('should not draw while hidden', () => {
+        const getContext = vi.spyOn(HTMLCanvasElement.prototype, 'getContext');
+        panel.update();
+        expect(getContext).not.toHaveBeenCalled();
+        getContext.mockRestore();
+    });
+
+    it('should pick up a reloaded config', () => {
+        vehicle.applyConfig({
+            ...testConfig,
+            physics: { ...testConfig.physics, maxSpeed: 30, mass: 900 },
+        });
+        panel.refresh();
+
+        expect(vehicle.getTuning().mass).toBe(900);
+        const slider = document.querySelectorAll<HTMLInputElement>(
+            '#tuningPanel input[type="range"]'
+        )[0];
+        expect(slider.value).toBe('30');
+        // Reloading keeps the vehicle's own identity
+        expect(vehicle.getConfig().id).toBe('test_car');
+    });
+});
@@ -0,0 +1,148 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Vector3 } from '@babylonjs/core';
+import { Vehicle } from '../game/Vehicle';
+import { VehicleConfig } from '../game/VehicleConfig';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const DT = 1 / 120;
+
+const gripConfig = createTestConfig();
+
+const driftConfig: VehicleConfig = { ...gripConfig, tires: {} };
+
+function createVehicle(config: VehicleConfig): Promise<Vehicle> {
+    return createTestVehicle({
+        config,
+        surface: { type: 'ground', meshes: [] },
+    });
+}
+
+function drive(
+    vehicle: Vehicle,
+    seconds: number,
+    accelerate: number,
+    steer: number,
+    handbrake: boolean = false
+) {
+    vehicle.setInput(accelerate, steer, handbrake);
+    for (let i = 0; i < Math.round(seconds / DT); i++) {
+        vehicle.update(DT);
+    }
+}
+
+/**
+ * Angle between the car's heading and its velocity, from the outside
+ */
+function headingToVelocity(vehicle: Vehicle): number {
+    const velocity = vehicle.getVelocity().normalize();
+    return Math.acos(
+        Math.min(1, Vector3.Dot(vehicle.getDirection(), velocity))
+    );
+}
+
+describe('Vehicle tire model', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    describe('without a tires section', () => {
+        it('should always travel where it points', async () => {
+            const vehicle = await createVehicle(gripConfig);
+            drive(vehicle, 2, 1, 0);
+            drive(vehicle, 0.5, 1, 1);
+            drive(vehicle, 0.3, 0, 1, true);
+
+            expect(vehicle.getSlipAngle()).toBe(0);
+            expect(vehicle.getState().lateralSpeed).toBe(0);
+            expect(vehicle.getVelocity().length()).toBeCloseTo(
+                vehicle.getSpeed(),
+                6
+            );
+        });
+    });
+
+    describe('with a tires section', () => {
+        let vehicle: Vehicle;
+
+        beforeEach(async () => {
+            vehicle = await createVehicle(driftConfig);
+            drive(vehicle, 3, 1, 0);
+        });
+
+        it('should drive straight without slipping', () => {
+            expect(vehicle.getSpeed()).toBeGreaterThan(15);
+            expect(vehicle.getSlipAngle()).toBe(0);
+        });
+
+        it('should hold a gentle turn with a small slip angle', () => {
+            drive(vehicle, 1, 1, 0.2);
+
+            expect(vehicle.getSteerAngle()).not.toBe(0);
+            expect(Math.abs(vehicle.getSlipAngle())).toBeGreaterThan(0);
+            expect(Math.abs(vehicle.getSlipAngle())).toBeLessThan(0.1);
+        });
+
+        it('should not turn harder than the tires can grip', () => {
+            drive(vehicle, 2, 1, 1);
+
+            // Full lock at speed asks for more than the grip; the car
+            // runs wide instead of spinning
+            expect(Math.abs(vehicle.getSlipAngle())).toBeLessThan(0.1);
+            expect(vehicle.getSpeed()).toBeGreaterThan(20);
+        });
+
+        it('should drift when the handbrake locks the rear in a turn', async () => {
+            drive(vehicle, 0.5, 1, 1);
+            const gripping = await createVehicle(driftConfig);
+            gripping.setState(vehicle.getState());
+
+            drive(vehicle, 0.15, 0, 1, true);
+            drive(gripping, 0.15, 1, 1);
+
+            // Velocity and heading diverge: the car is drifting. (The
+            // velocity is from before the last tick's rotation.)
+            expect(Math.abs(vehicle.getSlipAngle())).toBeGreaterThan(0.3);
+            expect(headingToVelocity(vehicle)).toBeCloseTo(
+                Math.abs(vehicle.getSlipAngle()),
+                1
+            );
+            expect(Math.abs(gripping.getSlipAngle())).toBeLessThan(0.1);
+        });
+
+        it('should rotate faster with the rear unloaded', async () => {
+            drive(vehicle, 0.5, 1, 1);
+            const heading = vehicle.getDirection();
+            const coasting = await createVehicle(driftConfig);
+            coasting.setState(vehicle.getState());
+
+            drive(vehicle, 0.15, 0, 1, true);
+            drive(coasting, 0.15, 0, 1);
+
+            const turned = (v: Vehicle) =>
+                Math.acos(Math.min(1, Vector3.Dot(v.getDirection(), heading)));
+            expect(turned(vehicle)).toBeGreaterThan(turned(coasting) * 1.5);
+        });
+
+        it('should regain grip after the handbrake is released', () => {
+            drive(vehicle, 0.5, 1, 1);
+            drive(vehicle, 0.15, 0, 1, true);
+            drive(vehicle, 2, 1, 0);
+
+            expect(Math.abs(vehicle.getSlipAngle())).toBeLessThan(0.01);
+            expect(vehicle.getSpeed()).toBeGreaterThan(10);
+        });
+
+        it('should resume a slide exactly from a saved state', async () => {
+            drive(vehicle, 0.5, 1, 1);
+            drive(vehicle, 0.1, 0, 1, true);
+            const copy = await createVehicle(driftConfig);
+            copy.setState(vehicle.getState());
+            expect(copy.getSlipAngle()).toBe(vehicle.getSlipAngle());
+
+            drive(vehicle, 0.5, 1, -0.5);
+            drive(copy, 0.5, 1, -0.5);
+            expect(copy.getPosition()).toEqual(vehicle.getPosition());
+        });
+    });
+});
@@ -0,0 +1,134 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    AssetContainer,
+    Mesh,
+    NullEngine,
+    Scene,
+    SceneLoader,
+    Vector3,
+} from '@babylonjs/core';
+import { Vehicle } from '../game/Vehicle';
+import { createTestConfig, silenceConsole } from './helpers';
+
+const config = createTestConfig({
+    modelFile: 'test_car.glb',
+    model: {
+        lods: [
+            { file: 'test_car_lod1.glb', distance: 30 },
+            { file: 'test_car_lod2.glb', distance: 80 },
+        ],
+    },
+});
+
+/**
+ * Which model files have their meshes shown (the fake models' meshes are in
+ * scene.meshes twice: once when created, once from addAllToScene)
+ */
+function shownFiles(scene: Scene): string[] {
+    const shown = scene.meshes
+        .filter((mesh) => mesh.isEnabled(false))
+        .map((mesh) => mesh.name);
+    return [...new Set(shown)];
+}
+
+function viewerAt(distance: number): Vector3[] {
+    return [new Vector3(distance, 0, 0)];
+}
+
+describe('Vehicle LOD chain', () => {
+    let scene: Scene;
+
+    beforeEach(() => {
+        silenceConsole();
+        scene = new Scene(new NullEngine());
+        // Each "model" is one mesh named after its file
+        vi.spyOn(SceneLoader, 'LoadAssetContainerAsync').mockImplementation(
+            async (_rootUrl, file) => {
+                const container = new AssetContainer(scene);
+                container.meshes.push(new Mesh(file as string, scene));
+                return container;
+            }
+        );
+    });
+
+    afterEach(() => {
+        scene.getEngine().dispose();
+        vi.restoreAllMocks();
+    });
+
+    async function createVehicle(lods: boolean): Promise<Vehicle> {
+        const vehicle = new Vehicle(scene, config);
+        vehicle.setSurface({ type: 'ground', meshes: [] });
+        if (lods) vehicle.enableLods();
+        await vehicle.create();
+        return vehicle;
+    }
+
+    it('should not load the LOD chain unless enabled', async () => {
+        const vehicle = await createVehicle(false);
+        vehicle.updateLod(viewerAt(200));
+
+        expect(SceneLoader.LoadAssetContainerAsync).toHaveBeenCalledTimes(1);
+        expect(vehicle.getLodLevel()).toBe(0);
+        expect(shownFiles(scene)).toEqual(['test_car.glb']);
+    });
+
+    it('should show the full model up close', async () => {
+        const vehicle = await createVehicle(true);
+        vehicle.updateLod(viewerAt(10));
+
+        expect(vehicle.getLodLevel()).toBe(0);
+        expect(shownFiles(scene)).toEqual(['test_car.glb']);
+    });
+
+    it('should show the level for the distance', async () => {
+        const vehicle = await createVehicle(true);
+
+        vehicle.updateLod(viewerAt(50));
+        expect(shownFiles(scene)).toEqual(['test_car_lod1.glb']);
+
+        vehicle.updateLod(viewerAt(200));
+        expect(vehicle.getLodLevel()).toBe(2);
+        expect(shownFiles(scene)).toEqual(['test_car_lod2.glb']);
+    });
+
+    it('should use the nearest viewer', async () => {
+        const vehicle = await createVehicle(true);
+        vehicle.updateLod([new Vector3(200, 0, 0), new Vector3(0, 0, 5)]);
+
+        expect(vehicle.getLodLevel()).toBe(0);
+    });
+
+    it('should not flicker at a switch distance', async () => {
+        const vehicle = await createVehicle(true);
+        vehicle.updateLod(viewerAt(31));
+        expect(vehicle.getLodLevel()).toBe(1);
+
+        // Just inside the boundary keeps the level...
+        vehicle.updateLod(viewerAt(29));
+        expect(vehicle.getLodLevel()).toBe(1);
+
+        // ...until the viewer is clearly closer
+        vehicle.updateLod(viewerAt(20));
+        expect(vehicle.getLodLevel()).toBe(0);
+        expect(shownFiles(scene)).toEqual(['test_car.glb']);
+    });
+
+    it('should skip a level that fails to load', async () => {
+        vi.mocked(SceneLoader.LoadAssetContainerAsync).mockImplementation(
+            async (_rootUrl, file) => {
+                if (file === 'test_car_lod1.glb') throw new Error('missing');
+                const container = new AssetContainer(scene);
+                container.meshes.push(new Mesh(file as string, scene));
+                return container;
+            }
+        );
+        const vehicle = await createVehicle(true);
+
+        vehicle.updateLod(viewerAt(50));
+        expect(shownFiles(scene)).toEqual(['test_car.glb']);
+        vehicle.updateLod(viewerAt(200));
+        expect(shownFiles(scene)).toEqual(['test_car_lod2.glb']);
+    });
+});
@@ -0,0 +1,156 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MeshBuilder, Scene, Vector3 } from '@babylonjs/core';
+import { Vehicle } from '../game/Vehicle';
+import { createHeadlessScene } from '../game/Simulation';
+import { createTestConfig, createTestVehicle, silenceConsole } from './helpers';
+
+const DT = 1 / 120;
+
+const testConfig = createTestConfig({ physics: { heightOffset: 0.5 } });
+
+function drive(vehicle: Vehicle, seconds: number, accelerate: number) {
+    vehicle.setInput(accelerate, 0);
+    for (let i = 0; i < Math.round(seconds / DT); i++) {
+        vehicle.update(DT);
+    }
+}
+
+describe('Vehicle on terrain', () => {
+    let scene: Scene;
+    const surfaceMeshes = ['Ground'];
+
+    beforeEach(() => {
+        silenceConsole();
+        scene = createHeadlessScene();
+        MeshBuilder.CreateGround('Ground', { width: 400, height: 400 }, scene);
+        surfaceMeshes.splice(1);
+    });
+
+    afterEach(() => {
+        scene.getEngine().dispose();
+        vi.restoreAllMocks();
+    });
+
+    /**
+     * A 10 m wide drivable plane from z = `start` to `end`, rising from
+     * `startHeight` to `endHeight`
+     */
+    function addPlane(
+        name: string,
+        start: number,
+        end: number,
+        startHeight: number,
+        endHeight: number = startHeight
+    ) {
+        const length = Math.hypot(end - start, endHeight - startHeight);
+        const plane = MeshBuilder.CreateGround(
+            name,
+            { width: 10, height: length },
+            scene
+        );
+        plane.position.set(0, (startHeight + endHeight) / 2, (start + end) / 2);
+        plane.rotation.x = -Math.atan2(endHeight - startHeight, end - start);
+        plane.computeWorldMatrix(true);
+        surfaceMeshes.push(name);
+    }
+
+    /**
+     * A deck with an underside, from z = `start` to `end`
+     */
+    function addSlab(name: string, start: number, end: number, top: number) {
+        const slab = MeshBuilder.CreateBox(
+            name,
+            { width: 10, height: 0.8, depth: end - start },
+            scene
+        );
+        slab.position.set(0, top - 0.4, (start + end) / 2);
+        slab.computeWorldMatrix(true);
+        surfaceMeshes.push(name);
+    }
+
+    function createVehicle(position: Vector3): Promise<Vehicle> {
+        return createTestVehicle({
+            config: testConfig,
+            scene,
+            surface: { type: 'terrain', meshes: surfaceMeshes },
+            spawn: { position },
+        });
+    }
+
+    it('should climb a ramp, then fall off its end and land', async () => {
+        addPlane('drivable_ramp', 20, 40, 0, 5);
+        const vehicle = await createVehicle(new Vector3(0, 0, 5));
+        expect(vehicle.getPosition().y).toBeCloseTo(0.5);
+
+        let highest = 0;
+        let pitchedUp = false;
+        vehicle.setInput(1, 0);
+        for (let i = 0; i < 5 / DT; i++) {
+            vehicle.update(DT);
+            const position = vehicle.getPosition();
+            highest = Math.max(highest, position.y);
+            if (position.z > 25 && position.z < 35) {
+                pitchedUp ||= vehicle.getDirection().y > 0.2;
+            }
+        }
+
+        expect(highest).toBeGreaterThan(5);
+        expect(pitchedUp).toBe(true);
+        // Back on the ground past the end of the ramp
+        expect(vehicle.getPosition().z).toBeGreaterThan(40);
+        expect(vehicle.getPosition().y).toBeCloseTo(0.5);
+        expect(vehicle.getState().verticalSpeed).toBe(0);
+    });
+
+    it('should drive across a bridge deck from the spawn above it', async () => {
+        addPlane('drivable_deck', 10, 60, 6);
+        const vehicle = await createVehicle(new Vector3(0, 10, 15));
+        expect(vehicle.getPosition().y).toBeCloseTo(6.5);
+
+        drive(vehicle, 1.5, 1);
+
+        expect(vehicle.getPosition().z).toBeGreaterThan(20);
+        expect(vehicle.getPosition().y).toBeCloseTo(6.5);
+    });
+
+    it('should drive under a low deck instead of onto it', async () => {
+        addPlane('drivable_deck', 20, 60, 1.8);
+        const vehicle = await createVehicle(new Vector3(0, 0, 5));
+
+        for (let i = 0; i < 3 / DT; i++) {
+            vehicle.setInput(1, 0);
+            vehicle.update(DT);
+            expect(vehicle.getPosition().y).toBeCloseTo(0.5);
+        }
+        expect(vehicle.getPosition().z).toBeGreaterThan(30);
+    });
+
+    it('should not stand on the underside of a deck', async () => {
+        // The probe starts inside the slab and first meets its bottom face
+        addSlab('drivable_slab', 20, 60, 1.2);
+        const vehicle = await createVehicle(new Vector3(0, 0, 5));
+
+        drive(vehicle, 3, 1);
+
+        expect(vehicle.getPosition().z).toBeGreaterThan(30);
+        expect(vehicle.getPosition().y).toBeCloseTo(0.5);
+    });
+
+    it('should put a car that falls off the world back where it last drove', async () => {
+        scene.getMeshByName('Ground')!.dispose();
+        surfaceMeshes.splice(0);
+        addPlane('drivable_island', -10, 10, 0);
+        const vehicle = await createVehicle(new Vector3(0, 0, 0));
+
+        drive(vehicle, 2, 1);
+        expect(vehicle.getPosition().y).toBeLessThan(0);
+        drive(vehicle, 10, 0);
+
+        const position = vehicle.getPosition();
+        expect(position.y).toBeCloseTo(0.5);
+        expect(position.z).toBeGreaterThan(9);
+        expect(position.z).toBeLessThan(10.5);
+        expect(vehicle.getSpeed()).toBe(0);
+    });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+    parseVehicleConfig,
+    getVehicleConfigErrors,
+    migrateVehicleConfig,
+    VehicleConfigError,
+    VEHICLE_CONFIG_VERSION,
+    DEFAULT_VEHICLE_PHYSICS,
+    VehicleConfigLoader,
+} from '../game/VehicleConfig';
+import { createTestConfig } from './helpers';
+
+function createRawConfig() {
+    return {
+        version: 2,
+        ...createTestConfig({ modelFile: 'test_car.glb' }),
+    };
+}
+
+describe('VehicleConfig', () => {
+    it('should accept a valid config and fill defaults', () => {
+        const config = parseVehicleConfig(createRawConfig());
+        expect(config.physics.maxSpeed).toBe(25);
+        expect(config.physics.mass).toBe(DEFAULT_VEHICLE_PHYSICS.mass);
+        expect(config.physics.brakingForce).toBe(
+            DEFAULT_VEHICLE_PHYSICS.brakingForce
+        );
+        expect(config.physics.reverseSpeedRatio).toBe(0.5);
+    });
+
+    it('should report precise paths for invalid fields', () => {
+        const raw = createRawConfig() as Record<string, unknown>;
+        const physics = raw.physics as Record<string, unknown>;
+        physics.maxSpeed = 'fast';
+        physics.restitution = 2;
+        delete raw.name;
+
+        const errors = getVehicleConfigErrors(raw);
+        expect(errors).toContain('physics.maxSpeed must be a positive number');
+        expect(errors).toContain(
+            'physics.restitution must be a number between 0 and 1'
+        );
+        expect(errors).toContain('name must be a non-empty string');
+        expect(() => parseVehicleConfig(raw, 'test.json')).toThrow(
+            VehicleConfigError
+        );
+    });
+
+    it('should report missing sections', () => {
+        const raw = createRawConfig() as Record<string, unknown>;
+        delete raw.model;
+        expect(getVehicleConfigErrors(raw)).toEqual([
+            'model must be an object',
+        ]);
+    });
+
+    it('should validate the optional tires section', () => {
+        const raw = createRawConfig();
+        expect(getVehicleConfigErrors(raw)).toEqual([]);
+        expect(
+            getVehicleConfigErrors({ ...raw, tires: { lateralGrip: 20 } })
+        ).toEqual([]);
+        expect(
+            getVehicleConfigErrors({
+                ...raw,
+                tires: { handbrakeGrip: 2, lateralGrip: 0 },
+            })
+        ).toEqual([
+            'tires.lateralGrip must be a positive number',
+            'tires.handbrakeGrip must be a number between 0 and 1',
+        ]);
+    });
+
+    it('should validate the optional LOD chain', () => {
+        const raw = createRawConfig();
+        const withLods = (lods: unknown) => ({
+            ...raw,
+            model: { ...raw.model, lods },
+        });
+        expect(
+            getVehicleConfigErrors(
+                withLods([
+                    { file: 'test_car_lod1.glb', distance: 30 },
+                    { file: 'test_car_lod2.glb', distance: 80 },
+                ])
+            )
+        ).toEqual([]);
+
+        const expected = [
+            'model.lods must be an array of { file, distance } with increasing positive distances',
+        ];
+        expect(
+            getVehicleConfigErrors(
+                withLods([
+                    { file: 'test_car_lod1.glb', distance: 80 },
+                    { file: 'test_car_lod2.glb', distance: 30 },
+                ])
+            )
+        ).toEqual(expected);
+        expect(
+            getVehicleConfigErrors(withLods([{ file: '', distance: 30 }]))
+        ).toEqual(expected);
+        expect(getVehicleConfigErrors(withLods('lod1.glb'))).toEqual(expected);
+    });
+
+    it('should migrate unversioned configs to the current version', () => {
+        const raw = createRawConfig() as Record<string, unknown>;
+        delete raw.version;
+
+        const migrated = migrateVehicleConfig(raw) as Record<string, unknown>;
+        expect(migrated.version).toBe(VEHICLE_CONFIG_VERSION);
+        expect(
+            (migrated.physics as Record<string, unknown>).steerAngleDamping
+        ).toBe(DEFAULT_VEHICLE_PHYSICS.steerAngleDamping);
+    });
+
+    it('should reject configs from a newer schema', () => {
+        const raw = { ...createRawConfig(), version: 99 };
+        expect(getVehicleConfigErrors(raw)[0]).toMatch(/^version must be/);
+    });
+});
+
+describe('VehicleConfigLoader', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    function stubFetch(maxSpeed: number) {
+        const raw = createRawConfig();
+        raw.physics.maxSpeed = maxSpeed;
+        const fetchMock = vi.fn().mockResolvedValue({
+            ok: true,
+            json: async () => raw,
+        });
+        vi.stubGlobal('fetch', fetchMock);
+        return fetchMock;
+    }
+
+    it('should cache loaded configs until reloaded', async () => {
+        stubFetch(25);
+        const first = await VehicleConfigLoader.loadVehicleConfig(
+            'reload_car',
+            '/test/'
+        );
+        expect(first.physics.maxSpeed).toBe(25);
+
+        const fetchMock = stubFetch(40);
+        const cached = await VehicleConfigLoader.loadVehicleConfig(
+            'reload_car',
+            '/test/'
+        );
+        expect(cached.physics.maxSpeed).toBe(25);
+        expect(fetchMock).not.toHaveBeenCalled();
+
+        const reloaded = await VehicleConfigLoader.reloadVehicleConfig(
+            'reload_car',
+            '/test/'
+        );
+        expect(reloaded.physics.maxSpeed).toBe(40);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject invalid configs on reload', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.stubGlobal(
+            'fetch',
+            vi.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({ ...createRawConfig(), physics: {} }),
+            })
+        );
+
+        await expect(
+            VehicleConfigLoader.reloadVehicleConfig('broken_car', '/test/')
+        ).rejects.toThrow('physics.maxSpeed must be a positive number');
+    });
+
+    it('should load every vehicle in the manifest, in order', async () => {
+        vi.stubGlobal(
+            'fetch',
+            vi.fn(async (url: string) => {
+                const id = url.match(/\/(\w+)\.json/)![1];
+                const body =
+                    id === 'manifest'
+                        ? { vehicles: ['second_car', 'first_car'] }
+                        : { ...createRawConfig(), id };
+                return { ok: true, json: async () => body };
+            })
+        );
+
+        const configs =
+            await VehicleConfigLoader.loadAllVehicleConfigs('/manifest/');
+        expect(configs.map((config) => config.id)).toEqual([
+            'second_car',
+            'first_car',
+        ]);
+    });
+
+    it('should reject a manifest without a vehicle list', async () => {
+        vi.stubGlobal(
+            'fetch',
+            vi.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({ vehicles: 'main_car' }),
+            })
+        );
+
+        await expect(
+            VehicleConfigLoader.loadVehicleManifest('/test/')
+        ).rejects.toThrow('vehicles must be an array of vehicle ids');
+    });
+});
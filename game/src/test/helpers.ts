@@ -0,0 +1,70 @@
+import { vi } from 'vitest';
+import { AbstractMesh, Scene } from '@babylonjs/core';
+import { Vehicle, SpawnTransform, SurfaceDescriptor } from '../game/Vehicle';
+import { VehicleConfig } from '../game/VehicleConfig';
+import { createHeadlessScene } from '../game/Simulation';
+
+type TestConfigOverrides = Partial<Omit<VehicleConfig, 'physics' | 'model'>> & {
+    physics?: Partial<VehicleConfig['physics']>;
+    model?: Partial<VehicleConfig['model']>;
+};
+
+/**
+ * The stock test car. Its model file doesn't exist, so create() falls back
+ * to a placeholder box.
+ */
+export function createTestConfig(
+    overrides: TestConfigOverrides = {}
+): VehicleConfig {
+    const { physics, model, ...rest } = overrides;
+    return {
+        id: 'test_car',
+        name: 'Test Car',
+        modelFile: 'missing.glb',
+        ...rest,
+        physics: {
+            maxSpeed: 25,
+            acceleration: 15,
+            friction: 0.85,
+            maxSteerAngle: 2.0,
+            heightOffset: 0,
+            ...physics,
+        },
+        model: { scale: 1, rotationY: 0, rotationZ: 0, ...model },
+    };
+}
+
+export interface TestVehicleOptions {
+    config?: VehicleConfig;
+    scene?: Scene; // A new headless scene by default
+    surface?: SurfaceDescriptor | null; // Auto-detected from the scene by default
+    mesh?: AbstractMesh; // Adopted instead of loading a model
+    spawn?: SpawnTransform;
+}
+
+/**
+ * A created Vehicle without a browser
+ */
+export async function createTestVehicle(
+    options: TestVehicleOptions = {}
+): Promise<Vehicle> {
+    const vehicle = new Vehicle(
+        options.scene ?? createHeadlessScene(),
+        options.config ?? createTestConfig()
+    );
+    if (options.surface !== undefined) {
+        vehicle.setSurface(options.surface);
+    }
+    await vehicle.create(options.mesh, options.spawn);
+    return vehicle;
+}
+
+/**
+ * Keep the game's progress logging out of the test output
+ * (call from beforeEach; vi.restoreAllMocks() undoes it)
+ */
+export function silenceConsole() {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+}
@@ -1,8 +1,38 @@
-import { defineConfig } from 'vite';
+import { defineConfig, Plugin } from 'vite';
 import path from 'path';
 
+/**
+ * Tell the game when a shader or vehicle config under public/ is edited, so it
+ * can swap the file in without a page reload (see src/game/HotReload.ts)
+ */
+function hotReloadAssets(): Plugin {
+    const publicDir = path.resolve(__dirname, 'public');
+    return {
+        name: 'hot-reload-assets',
+        apply: 'serve',
+        handleHotUpdate({ file, server }) {
+            const relative = path
+                .relative(publicDir, file)
+                .split(path.sep)
+                .join('/');
+            if (
+                /^shaders\/.+\.(glsl|json)$/.test(relative) ||
+                /^vehicles\/.+\.json$/.test(relative)
+            ) {
+                server.ws.send({
+                    type: 'custom',
+                    event: 'game:asset-changed',
+                    data: { path: `/${relative}` },
+                });
+                return [];
+            }
+        },
+    };
+}
+
 export default defineConfig({
     base: '/',
+    plugins: [hotReloadAssets()],
     resolve: {
         alias: {
             '@': path.resolve(__dirname, './src'),